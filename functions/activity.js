@@ -0,0 +1,41 @@
+/**
+ * Tenant activity log
+ * Entries in tenants/{tenantId}/activityLog are written by Cloud Functions
+ * and never change once written.
+ *
+ * Entry fields:
+ *   - type: what happened, e.g. "member.joined"
+ *   - actorId: user who did it (null for the system)
+ *   - source: "app", "api", "agent" or "system"
+ *   - agentId: the AI agent that did it, when source is "agent"
+ *   - entityType / entityId: what it happened to
+ *   - data: type-specific details
+ */
+
+const admin = require("firebase-admin");
+
+/**
+ * Add an activity log entry as part of a transaction or batch
+ * Pass an id to make retries write the same entry
+ */
+function logActivity(writer, tenantId, { id, type, actorId, source, agentId, entityType, entityId, data }) {
+  const activityLogRef = admin.firestore()
+    .collection("tenants").doc(tenantId)
+    .collection("activityLog");
+  const entryRef = id ? activityLogRef.doc(id) : activityLogRef.doc();
+
+  writer.set(entryRef, {
+    type,
+    actorId: actorId || null,
+    source: source || "app",
+    agentId: agentId || null,
+    entityType: entityType || null,
+    entityId: entityId || null,
+    data: data || {},
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return entryRef;
+}
+
+exports.logActivity = logActivity;
@@ -0,0 +1,559 @@
+/**
+ * Agent work queue
+ * Tasks are handed to an AI agent by setting `assigneeType: "agent"` and
+ * `agentId` (a document in tenants/{tenantId}/agents). The agent works through
+ * the REST API with an API key bound to it (routes under /v1/agent in api.js):
+ *
+ *   claim -> heartbeat / progress ... -> complete
+ *                                     -> review (a person takes over)
+ *                                     -> fail (back to the queue if it may retry)
+ *
+ * A claim holds a lease; heartbeats and progress updates extend it. Leases
+ * that run out are reclaimed by reclaimAgentLeases: the task goes back to the
+ * queue, or fails after MAX_CLAIM_ATTEMPTS. A person sends a task under review
+ * or failed back to the agent by setting its status to "todo" again.
+ *
+ * Queue state is kept in `agentRun` on the task, which clients can't write:
+ *   agentId, tenantId and projectId (so claims query only the agent's tenant),
+ *   state ("queued", "claimed", "review", "completed", "failed"),
+ *   queuedAt, requestedBy (who handed the task over), attempts, leaseId,
+ *   leaseExpiresAt, claimedAt, heartbeatAt, progress (0-100), summary, error
+ *
+ * Every agent action is logged in the activity log with source "agent".
+ */
+
+const { onDocumentWritten, onDocumentUpdated } = require("firebase-functions/v2/firestore");
+const { onSchedule } = require("firebase-functions/v2/scheduler");
+const { HttpsError } = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const crypto = require("crypto");
+const { APP_URL } = require("./config");
+const { logActivity } = require("./activity");
+const { notify } = require("./notifications");
+const { renderEmail, resolveLocale, translate } = require("./templates");
+
+const DEFAULT_LEASE_SECONDS = 5 * 60;
+const MIN_LEASE_SECONDS = 30;
+const MAX_LEASE_SECONDS = 60 * 60;
+
+// Claims (including expired leases) before a task fails
+const MAX_CLAIM_ATTEMPTS = 3;
+
+// Queued tasks looked at per claim; the most urgent of them is claimed first
+const CLAIM_CANDIDATES = 20;
+
+const PRIORITY_RANK = { urgent: 0, high: 1, medium: 2, low: 3 };
+
+const RECLAIM_BATCH_SIZE = 100;
+
+const MAX_PROGRESS_LENGTH = 2000;
+const MAX_SUMMARY_LENGTH = 5000;
+
+// ============================================
+// Helpers
+// ============================================
+
+function isAgentTask(task) {
+  return Boolean(task && task.assigneeType === "agent" && task.agentId);
+}
+
+function getLeaseMs(leaseSeconds) {
+  if (leaseSeconds === undefined || leaseSeconds === null) return DEFAULT_LEASE_SECONDS * 1000;
+
+  if (!Number.isInteger(leaseSeconds) || leaseSeconds < MIN_LEASE_SECONDS || leaseSeconds > MAX_LEASE_SECONDS) {
+    throw new HttpsError(
+      "invalid-argument",
+      `leaseSeconds must be a whole number from ${MIN_LEASE_SECONDS} to ${MAX_LEASE_SECONDS}`
+    );
+  }
+  return leaseSeconds * 1000;
+}
+
+function optionalText(value, name, maxLength) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== "string") {
+    throw new HttpsError("invalid-argument", `${name} must be a string`);
+  }
+  return value.substring(0, maxLength);
+}
+
+/**
+ * Fields stamped on a task written by an agent, so history attributes it
+ */
+function agentWriteFields(agent) {
+  return {
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedBy: null,
+    source: "agent",
+    agentId: agent.agentId,
+    apiKeyId: agent.apiKeyId || null,
+  };
+}
+
+function getTaskRef(agent, projectId, taskId) {
+  return admin.firestore()
+    .collection("tenants").doc(agent.tenantId)
+    .collection("projects").doc(projectId)
+    .collection("tasks").doc(taskId);
+}
+
+/**
+ * Check that an agent exists and is enabled
+ */
+async function getAgent(agent) {
+  const agentDoc = await admin.firestore()
+    .collection("tenants").doc(agent.tenantId)
+    .collection("agents").doc(agent.agentId)
+    .get();
+
+  if (!agentDoc.exists || agentDoc.data().enabled === false) {
+    throw new HttpsError("permission-denied", "Agent not found or disabled");
+  }
+  return agentDoc.data();
+}
+
+/**
+ * Read a task the agent holds a live lease on, inside a transaction
+ */
+async function getLeasedTask(transaction, taskRef, agent, leaseId) {
+  if (!leaseId || typeof leaseId !== "string") {
+    throw new HttpsError("invalid-argument", "leaseId is required");
+  }
+
+  const taskDoc = await transaction.get(taskRef);
+  if (!taskDoc.exists) {
+    throw new HttpsError("not-found", "Task not found");
+  }
+
+  const run = taskDoc.data().agentRun;
+  if (!run || run.agentId !== agent.agentId || run.state !== "claimed" || run.leaseId !== leaseId) {
+    throw new HttpsError("failed-precondition", "The agent does not hold this task's lease");
+  }
+  if (run.leaseExpiresAt.toMillis() <= Date.now()) {
+    throw new HttpsError("failed-precondition", "The lease has expired; claim the task again");
+  }
+
+  return { task: taskDoc.data(), run };
+}
+
+function logAgentActivity(transaction, agent, type, taskRef, data = {}) {
+  logActivity(transaction, agent.tenantId, {
+    type,
+    actorId: null,
+    source: "agent",
+    agentId: agent.agentId,
+    entityType: "task",
+    entityId: taskRef.id,
+    data: { projectId: taskRef.parent.parent.id, ...data },
+  });
+}
+
+// ============================================
+// Queue
+// ============================================
+
+/**
+ * Claim the agent's most urgent queued task, optionally in one project
+ * `agent` is { tenantId, agentId, apiKeyId }
+ * Returns { taskRef, leaseId, leaseExpiresAt }, or null when the queue is empty
+ */
+async function claimNextTask(agent, { projectId, leaseSeconds } = {}) {
+  const leaseMs = getLeaseMs(leaseSeconds);
+  await getAgent(agent);
+
+  let query = admin.firestore()
+    .collectionGroup("tasks")
+    .where("agentId", "==", agent.agentId)
+    .where("agentRun.tenantId", "==", agent.tenantId);
+  if (projectId) query = query.where("agentRun.projectId", "==", projectId);
+
+  const snapshot = await query
+    .where("agentRun.state", "==", "queued")
+    .orderBy("agentRun.queuedAt")
+    .limit(CLAIM_CANDIDATES)
+    .get();
+
+  // tenants/{tenantId}/projects/{projectId}/tasks/{taskId}
+  const candidates = snapshot.docs
+    .filter((doc) => {
+      const segments = doc.ref.path.split("/");
+      return segments.length === 6 && segments[1] === agent.tenantId && (!projectId || segments[3] === projectId);
+    })
+    .sort((a, b) => (PRIORITY_RANK[a.data().priority] ?? PRIORITY_RANK.medium) -
+      (PRIORITY_RANK[b.data().priority] ?? PRIORITY_RANK.medium));
+
+  for (const candidate of candidates) {
+    const claim = await admin.firestore().runTransaction(async (transaction) => {
+      const [taskDoc, projectDoc] = await transaction.getAll(candidate.ref, candidate.ref.parent.parent);
+      if (!taskDoc.exists || !projectDoc.exists || projectDoc.data().deletedAt) return null;
+
+      // Another worker of the same agent may have got there first
+      const task = taskDoc.data();
+      const run = task.agentRun;
+      if (!isAgentTask(task) || task.agentId !== agent.agentId || !run || run.agentId !== agent.agentId ||
+        run.state !== "queued") return null;
+
+      const leaseId = crypto.randomUUID();
+      const leaseExpiresAt = admin.firestore.Timestamp.fromMillis(Date.now() + leaseMs);
+
+      transaction.update(candidate.ref, {
+        status: "in_progress",
+        "agentRun.state": "claimed",
+        "agentRun.attempts": (run.attempts || 0) + 1,
+        "agentRun.leaseId": leaseId,
+        "agentRun.leaseExpiresAt": leaseExpiresAt,
+        "agentRun.claimedAt": admin.firestore.FieldValue.serverTimestamp(),
+        "agentRun.heartbeatAt": admin.firestore.FieldValue.serverTimestamp(),
+        "agentRun.error": null,
+        ...agentWriteFields(agent),
+      });
+      logAgentActivity(transaction, agent, "agent.task_claimed", candidate.ref, { attempt: (run.attempts || 0) + 1 });
+
+      return { taskRef: candidate.ref, leaseId, leaseExpiresAt };
+    });
+
+    if (claim) {
+      console.log(`Agent ${agent.agentId} claimed task ${candidate.ref.path}`);
+      return claim;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Extend the agent's lease on a task
+ */
+async function heartbeatTask(agent, projectId, taskId, { leaseId, leaseSeconds } = {}) {
+  const leaseMs = getLeaseMs(leaseSeconds);
+  const taskRef = getTaskRef(agent, projectId, taskId);
+
+  return admin.firestore().runTransaction(async (transaction) => {
+    await getLeasedTask(transaction, taskRef, agent, leaseId);
+
+    // Heartbeats only touch agentRun, so they stay out of history and the activity log
+    const leaseExpiresAt = admin.firestore.Timestamp.fromMillis(Date.now() + leaseMs);
+    transaction.update(taskRef, {
+      "agentRun.leaseExpiresAt": leaseExpiresAt,
+      "agentRun.heartbeatAt": admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return { leaseId, leaseExpiresAt };
+  });
+}
+
+/**
+ * Post a progress update for a task, in the project's progressUpdates
+ * Also extends the lease
+ */
+async function postProgress(agent, projectId, taskId, { leaseId, text, percent, leaseSeconds } = {}) {
+  if (typeof text !== "string" || text.trim() === "") {
+    throw new HttpsError("invalid-argument", "text is required");
+  }
+  if (percent !== undefined && percent !== null && (typeof percent !== "number" || percent < 0 || percent > 100)) {
+    throw new HttpsError("invalid-argument", "percent must be a number from 0 to 100");
+  }
+
+  const leaseMs = getLeaseMs(leaseSeconds);
+  const taskRef = getTaskRef(agent, projectId, taskId);
+  const updateRef = taskRef.parent.parent.collection("progressUpdates").doc();
+
+  await admin.firestore().runTransaction(async (transaction) => {
+    await getLeasedTask(transaction, taskRef, agent, leaseId);
+
+    transaction.set(updateRef, {
+      taskId,
+      text: text.substring(0, MAX_PROGRESS_LENGTH),
+      percent: percent ?? null,
+      createdBy: null,
+      source: "agent",
+      agentId: agent.agentId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    transaction.update(taskRef, {
+      "agentRun.progress": percent ?? null,
+      "agentRun.leaseExpiresAt": admin.firestore.Timestamp.fromMillis(Date.now() + leaseMs),
+      "agentRun.heartbeatAt": admin.firestore.FieldValue.serverTimestamp(),
+    });
+    logAgentActivity(transaction, agent, "agent.progress_posted", taskRef, {
+      progressUpdateId: updateRef.id,
+      percent: percent ?? null,
+    });
+  });
+
+  return updateRef;
+}
+
+/**
+ * End the agent's lease on a task
+ *   - "complete": the task is done
+ *   - "review": a person should check the work (they are notified)
+ *   - "fail": the agent gave up; with `retry` the task is queued again while
+ *     attempts remain
+ */
+async function finishTask(agent, projectId, taskId, outcome, { leaseId, summary, error, retry } = {}) {
+  const taskRef = getTaskRef(agent, projectId, taskId);
+  const summaryText = optionalText(summary, "summary", MAX_SUMMARY_LENGTH);
+  const errorText = optionalText(error, "error", MAX_SUMMARY_LENGTH);
+  if (outcome === "fail" && !errorText) {
+    throw new HttpsError("invalid-argument", "error is required");
+  }
+
+  return admin.firestore().runTransaction(async (transaction) => {
+    const { run } = await getLeasedTask(transaction, taskRef, agent, leaseId);
+
+    const requeue = outcome === "fail" && retry === true && (run.attempts || 0) < MAX_CLAIM_ATTEMPTS;
+    const state = { complete: "completed", review: "review", fail: requeue ? "queued" : "failed" }[outcome];
+    const status = { completed: "done", review: "review", queued: "todo", failed: "blocked" }[state];
+
+    transaction.update(taskRef, {
+      status,
+      "agentRun.state": state,
+      "agentRun.leaseId": null,
+      "agentRun.leaseExpiresAt": null,
+      "agentRun.summary": summaryText,
+      "agentRun.error": errorText,
+      ...agentWriteFields(agent),
+    });
+
+    const activityType = {
+      completed: "agent.task_completed",
+      review: "agent.review_requested",
+      queued: "agent.task_failed",
+      failed: "agent.task_failed",
+    }[state];
+    logAgentActivity(transaction, agent, activityType, taskRef, {
+      ...(summaryText ? { summary: summaryText.substring(0, 500) } : {}),
+      ...(errorText ? { error: errorText.substring(0, 500), requeued: requeue } : {}),
+    });
+
+    return { state, status };
+  });
+}
+
+// ============================================
+// Triggers
+// ============================================
+
+/**
+ * Trigger: When a task is created, updated or deleted
+ * Action: Queue it for its agent when it is handed to one (or sent back to
+ * it), and keep agentRun in step when people take over
+ */
+exports.queueAgentTask = onDocumentWritten(
+  {
+    document: "tenants/{tenantId}/projects/{projectId}/tasks/{taskId}",
+  },
+  async (event) => {
+    const { tenantId, projectId, taskId } = event.params;
+    const before = event.data?.before?.exists ? event.data.before.data() : null;
+    if (!event.data?.after?.exists) return null;
+
+    const taskRef = event.data.after.ref;
+
+    try {
+      const result = await admin.firestore().runTransaction(async (transaction) => {
+        const taskDoc = await transaction.get(taskRef);
+        if (!taskDoc.exists) return null;
+
+        const task = taskDoc.data();
+        const run = task.agentRun || null;
+
+        // No longer an agent's task: drop the queue state, and any lease with it
+        if (!isAgentTask(task)) {
+          if (!run) return null;
+          transaction.update(taskRef, { agentRun: admin.firestore.FieldValue.delete() });
+          return "removed";
+        }
+
+        const handedOver = !run || run.agentId !== task.agentId;
+        const sentBack = !handedOver && task.status === "todo" && before && before.status !== "todo" &&
+          ["review", "completed", "failed"].includes(run.state);
+
+        if ((handedOver || sentBack) && task.status !== "done") {
+          transaction.update(taskRef, {
+            agentRun: {
+              agentId: task.agentId,
+              tenantId,
+              projectId,
+              state: "queued",
+              queuedAt: admin.firestore.FieldValue.serverTimestamp(),
+              requestedBy: task.updatedBy || task.createdBy || null,
+              attempts: 0,
+              leaseId: null,
+              leaseExpiresAt: null,
+              progress: null,
+              summary: handedOver ? null : run.summary || null,
+              error: null,
+            },
+          });
+          return "queued";
+        }
+
+        // Marked done by a person while queued, in progress or under review
+        if (!handedOver && task.status === "done" && ["queued", "claimed", "review"].includes(run.state)) {
+          transaction.update(taskRef, {
+            "agentRun.state": "completed",
+            "agentRun.leaseId": null,
+            "agentRun.leaseExpiresAt": null,
+          });
+          return "completed";
+        }
+
+        return null;
+      });
+
+      if (result) console.log(`Agent task ${taskId}: ${result}`);
+      return { success: true, result };
+    } catch (error) {
+      console.error(`Error queueing agent task ${taskId}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+);
+
+/**
+ * Trigger: When a task is updated
+ * Action: If its agent asked for a review, notify the person who handed it
+ * over and the task's creator
+ */
+exports.notifyAgentReview = onDocumentUpdated(
+  {
+    document: "tenants/{tenantId}/projects/{projectId}/tasks/{taskId}",
+  },
+  async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    const beforeRun = before.agentRun || {};
+    const run = after.agentRun;
+
+    if (!run || run.state !== "review" || beforeRun.state === "review") {
+      return null;
+    }
+
+    const { tenantId, projectId, taskId } = event.params;
+
+    try {
+      const tenantRef = admin.firestore().collection("tenants").doc(tenantId);
+      const [tenantDoc, projectDoc, agentDoc] = await admin.firestore().getAll(
+        tenantRef,
+        tenantRef.collection("projects").doc(projectId),
+        tenantRef.collection("agents").doc(run.agentId)
+      );
+
+      const tenant = tenantDoc.exists ? tenantDoc.data() : { name: "Unknown", slug: "unknown" };
+      const project = projectDoc.exists ? projectDoc.data() : { title: "Unknown Project" };
+      const agentName = agentDoc.exists ? agentDoc.data().name || null : null;
+      const taskUrl = `${APP_URL}/t/${tenant.slug}/projects/${projectId}?task=${taskId}`;
+
+      const recipients = [...new Set([run.requestedBy, after.createdBy].filter(Boolean))];
+      for (const userId of recipients) {
+        await notify({
+          userId,
+          type: "agent_review",
+          title: `${agentName || "An agent"} asked you to review "${after.title}"`,
+          message: (run.summary || "").substring(0, 200),
+          link: taskUrl,
+          tenantId,
+          tenantName: tenant.name,
+          projectId,
+          projectTitle: project.title,
+          taskId,
+          actorId: null,
+        }, (user) => {
+          const { language } = resolveLocale(user.locale, tenant.locale);
+
+          return renderEmail("agentReview", {
+            agentName: agentName || translate(language, "common.anAgent"),
+            taskTitle: after.title,
+            summary: run.summary || null,
+            projectTitle: project.title,
+            tenantName: tenant.name,
+            membersUrl: `${APP_URL}/t/${tenant.slug}/members`,
+            taskUrl,
+          }, { locale: [user.locale, tenant.locale], timeZone: user.timezone || tenant.timezone });
+        });
+      }
+
+      return { success: true, notified: recipients.length };
+    } catch (error) {
+      console.error(`Error notifying review request for task ${taskId}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+);
+
+/**
+ * Trigger: Every minute - Put tasks whose agent lease expired back in the
+ * queue, or fail them once they are out of attempts
+ */
+exports.reclaimAgentLeases = onSchedule(
+  {
+    schedule: "* * * * *",
+    timeZone: "Europe/Luxembourg",
+  },
+  async () => {
+    const snapshot = await admin.firestore()
+      .collectionGroup("tasks")
+      .where("agentRun.state", "==", "claimed")
+      .where("agentRun.leaseExpiresAt", "<=", admin.firestore.Timestamp.now())
+      .limit(RECLAIM_BATCH_SIZE)
+      .get();
+
+    let requeued = 0;
+    let failed = 0;
+
+    for (const doc of snapshot.docs) {
+      // tenants/{tenantId}/projects/{projectId}/tasks/{taskId}
+      const segments = doc.ref.path.split("/");
+      if (segments.length !== 6) continue;
+
+      try {
+        const state = await admin.firestore().runTransaction(async (transaction) => {
+          const taskDoc = await transaction.get(doc.ref);
+          const run = taskDoc.exists ? taskDoc.data().agentRun : null;
+
+          // Heartbeat or finished since the query
+          if (!run || run.state !== "claimed" || run.leaseExpiresAt.toMillis() > Date.now()) return null;
+
+          const exhausted = (run.attempts || 0) >= MAX_CLAIM_ATTEMPTS;
+          transaction.update(doc.ref, {
+            status: exhausted ? "blocked" : "todo",
+            "agentRun.state": exhausted ? "failed" : "queued",
+            "agentRun.leaseId": null,
+            "agentRun.leaseExpiresAt": null,
+            "agentRun.error": exhausted ? "The agent's lease expired too many times" : null,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedBy: null,
+            source: "system",
+          });
+          logActivity(transaction, segments[1], {
+            type: "agent.lease_expired",
+            source: "system",
+            agentId: run.agentId,
+            entityType: "task",
+            entityId: doc.id,
+            data: { projectId: segments[3], attempts: run.attempts || 0, failed: exhausted },
+          });
+
+          return exhausted ? "failed" : "queued";
+        });
+
+        if (state === "queued") requeued++;
+        if (state === "failed") failed++;
+      } catch (error) {
+        console.error(`Error reclaiming agent lease on ${doc.ref.path}:`, error);
+      }
+    }
+
+    if (requeued > 0 || failed > 0) {
+      console.log(`Reclaimed agent leases: ${requeued} requeued, ${failed} failed`);
+    }
+    return { success: true, requeued, failed };
+  }
+);
+
+exports.claimNextTask = claimNextTask;
+exports.heartbeatTask = heartbeatTask;
+exports.postProgress = postProgress;
+exports.finishTask = finishTask;
@@ -0,0 +1,685 @@
+/**
+ * REST API for Erold
+ * Versioned HTTPS API for projects, tasks, comments and knowledge entries,
+ * authenticated with hashed keys from tenants/{tenantId}/apiKeys
+ *
+ * Callers send `Authorization: Bearer <key>` (or `X-Api-Key: <key>`).
+ * The key determines the tenant; every route is scoped to it.
+ *
+ *   GET    /v1/projects
+ *   POST   /v1/projects
+ *   GET    /v1/projects/:projectId
+ *   PATCH  /v1/projects/:projectId
+ *   GET    /v1/projects/:projectId/tasks
+ *   POST   /v1/projects/:projectId/tasks
+ *   GET    /v1/projects/:projectId/tasks/:taskId
+ *   PATCH  /v1/projects/:projectId/tasks/:taskId
+ *   GET    /v1/projects/:projectId/tasks/:taskId/comments
+ *   POST   /v1/projects/:projectId/tasks/:taskId/comments
+ *   GET    /v1/knowledge
+ *   POST   /v1/knowledge
+ *   GET    /v1/knowledge/:entryId
+ *   PATCH  /v1/knowledge/:entryId
+ *
+ * Agent work queue (keys bound to an agent, "queue:work" scope; see agents.js):
+ *
+ *   POST   /v1/agent/claim
+ *   POST   /v1/agent/projects/:projectId/tasks/:taskId/heartbeat
+ *   POST   /v1/agent/projects/:projectId/tasks/:taskId/progress
+ *   POST   /v1/agent/projects/:projectId/tasks/:taskId/review
+ *   POST   /v1/agent/projects/:projectId/tasks/:taskId/complete
+ *   POST   /v1/agent/projects/:projectId/tasks/:taskId/fail
+ *
+ * Writes made with an agent's key are attributed to the agent (source "agent").
+ *
+ * Locally: `firebase emulators:start --only functions,firestore`, then
+ * call http://localhost:5001/<project>/europe-west1/api/v1/...
+ */
+
+const { onRequest, onCall, HttpsError } = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const crypto = require("crypto");
+const express = require("express");
+const { claimNextTask, heartbeatTask, postProgress, finishTask } = require("./agents");
+
+const API_KEY_PREFIX = "erold_";
+
+// Scopes an API key can be granted
+const API_SCOPES = [
+  "projects:read",
+  "projects:write",
+  "tasks:read",
+  "tasks:write",
+  "comments:read",
+  "comments:write",
+  "knowledge:read",
+  "knowledge:write",
+  "queue:work",
+];
+
+// Don't write lastUsedAt more than once a minute per key
+const LAST_USED_THROTTLE_MS = 60 * 1000;
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Fields each resource accepts from API callers
+const PROJECT_FIELDS = ["title", "description", "status", "visibility", "dueDate"];
+const TASK_FIELDS = ["title", "description", "status", "priority", "assignedTo", "dueDate", "order"];
+const KNOWLEDGE_FIELDS = ["title", "content", "category", "tags"];
+
+// ============================================
+// API Key Helpers
+// ============================================
+
+/**
+ * Hash an API key for storage and lookup (keys are never stored in plain text)
+ */
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+/**
+ * Generate a new random API key
+ */
+function generateApiKey() {
+  return API_KEY_PREFIX + crypto.randomBytes(32).toString("base64url");
+}
+
+/**
+ * Check that the caller of a callable function is an admin of the tenant
+ */
+async function assertTenantAdmin(tenantId, uid) {
+  const memberDoc = await admin.firestore()
+    .collection("tenants").doc(tenantId)
+    .collection("members").doc(uid)
+    .get();
+
+  if (!memberDoc.exists || !["owner", "admin"].includes(memberDoc.data().role)) {
+    throw new HttpsError("permission-denied", "Only tenant admins can manage API keys");
+  }
+}
+
+/**
+ * Callable: Create an API key for a tenant
+ * The plain key is returned once and only its hash is stored
+ */
+exports.createApiKey = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "You must be signed in");
+  }
+
+  const { tenantId, name, scopes, agentId } = request.data || {};
+  if (!tenantId || typeof tenantId !== "string") {
+    throw new HttpsError("invalid-argument", "tenantId is required");
+  }
+  if (!name || typeof name !== "string") {
+    throw new HttpsError("invalid-argument", "name is required");
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new HttpsError("invalid-argument", "At least one scope is required");
+  }
+
+  const unknownScopes = scopes.filter((scope) => !API_SCOPES.includes(scope));
+  if (unknownScopes.length > 0) {
+    throw new HttpsError("invalid-argument", `Unknown scopes: ${unknownScopes.join(", ")}`);
+  }
+
+  if (agentId !== undefined && agentId !== null && (typeof agentId !== "string" || !agentId)) {
+    throw new HttpsError("invalid-argument", "agentId must be a string");
+  }
+  if (scopes.includes("queue:work") && !agentId) {
+    throw new HttpsError("invalid-argument", "The queue:work scope needs an agentId");
+  }
+
+  await assertTenantAdmin(tenantId, request.auth.uid);
+
+  if (agentId) {
+    const agentDoc = await admin.firestore()
+      .collection("tenants").doc(tenantId)
+      .collection("agents").doc(agentId)
+      .get();
+    if (!agentDoc.exists) {
+      throw new HttpsError("not-found", "Agent not found");
+    }
+  }
+
+  const key = generateApiKey();
+  const keyRef = admin.firestore()
+    .collection("tenants").doc(tenantId)
+    .collection("apiKeys").doc();
+
+  await keyRef.set({
+    name,
+    scopes,
+    // Keys bound to an agent act as that agent
+    agentId: agentId || null,
+    keyHash: hashApiKey(key),
+    keyPrefix: key.substring(0, API_KEY_PREFIX.length + 6),
+    revoked: false,
+    createdBy: request.auth.uid,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    lastUsedAt: null,
+  });
+
+  console.log(`API key ${keyRef.id} created for tenant ${tenantId}`);
+  return { id: keyRef.id, key };
+});
+
+// ============================================
+// Request Helpers
+// ============================================
+
+/**
+ * Wrap an async route handler so rejected promises reach the error handler
+ */
+function route(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
+
+/**
+ * Middleware: Authenticate the request with a tenant API key
+ */
+async function authenticate(req, res, next) {
+  const authHeader = req.get("authorization") || "";
+  const bearer = authHeader.match(/^Bearer\s+(\S+)$/i);
+  const rawKey = bearer ? bearer[1] : req.get("x-api-key");
+
+  if (!rawKey) {
+    throw new HttpsError("unauthenticated", "Missing API key");
+  }
+
+  const keySnapshot = await admin.firestore()
+    .collectionGroup("apiKeys")
+    .where("keyHash", "==", hashApiKey(rawKey))
+    .limit(1)
+    .get();
+
+  if (keySnapshot.empty) {
+    throw new HttpsError("unauthenticated", "Invalid API key");
+  }
+
+  const keyDoc = keySnapshot.docs[0];
+  const key = keyDoc.data();
+
+  if (key.revoked || key.revokedAt) {
+    throw new HttpsError("permission-denied", "API key has been revoked");
+  }
+
+  if (key.expiresAt && key.expiresAt.toMillis() <= Date.now()) {
+    throw new HttpsError("permission-denied", "API key has expired");
+  }
+
+  // Keys of a deleted tenant stop working with the tenant (see deletion.js)
+  const tenantDoc = await keyDoc.ref.parent.parent.get();
+  if (!tenantDoc.exists || tenantDoc.data().deletedAt) {
+    throw new HttpsError("permission-denied", "The tenant of this API key has been deleted");
+  }
+
+  req.apiKey = {
+    id: keyDoc.id,
+    tenantId: keyDoc.ref.parent.parent.id,
+    scopes: key.scopes || [],
+    createdBy: key.createdBy || null,
+    agentId: key.agentId || null,
+  };
+
+  // Record usage without slowing down the request
+  const lastUsedAt = key.lastUsedAt ? key.lastUsedAt.toMillis() : 0;
+  if (Date.now() - lastUsedAt > LAST_USED_THROTTLE_MS) {
+    keyDoc.ref
+      .update({ lastUsedAt: admin.firestore.FieldValue.serverTimestamp() })
+      .catch((error) => console.error("Error updating API key lastUsedAt:", error));
+  }
+
+  next();
+}
+
+/**
+ * Middleware: Require the API key to carry a scope
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.apiKey.scopes.includes(scope)) {
+      next(new HttpsError("permission-denied", `API key is missing the "${scope}" scope`));
+      return;
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware: Require an API key bound to an agent, with the "queue:work" scope
+ */
+function requireAgent(req, res, next) {
+  if (!req.apiKey.agentId) {
+    next(new HttpsError("permission-denied", "API key is not bound to an agent"));
+    return;
+  }
+  requireScope("queue:work")(req, res, next);
+}
+
+/**
+ * Convert Firestore values (Timestamps) into JSON-friendly values
+ */
+function serializeValue(value) {
+  if (value instanceof admin.firestore.Timestamp) {
+    return value.toDate().toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(serializeValue);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, nested]) => [key, serializeValue(nested)])
+    );
+  }
+  return value;
+}
+
+function serializeDoc(doc) {
+  return { id: doc.id, ...serializeValue(doc.data()) };
+}
+
+/**
+ * Pick the allowed fields from a request body, converting dates to Timestamps
+ */
+function pickFields(body, fields) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new HttpsError("invalid-argument", "Request body must be a JSON object");
+  }
+
+  const result = {};
+  for (const field of fields) {
+    if (body[field] === undefined) continue;
+
+    if (field === "dueDate" && body.dueDate !== null) {
+      const dueDate = new Date(body.dueDate);
+      if (isNaN(dueDate.getTime())) {
+        throw new HttpsError("invalid-argument", "dueDate must be an ISO 8601 date");
+      }
+      result.dueDate = admin.firestore.Timestamp.fromDate(dueDate);
+    } else {
+      result[field] = body[field];
+    }
+  }
+  return result;
+}
+
+function requireString(value, name) {
+  if (typeof value !== "string" || value.trim() === "") {
+    throw new HttpsError("invalid-argument", `${name} is required`);
+  }
+}
+
+/**
+ * Parse `limit` and `startAfter` query parameters
+ */
+function getPagination(req) {
+  const limit = parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE;
+  return {
+    limit: Math.min(Math.max(limit, 1), MAX_PAGE_SIZE),
+    startAfter: req.query.startAfter || null,
+  };
+}
+
+/**
+ * Run a paginated query and build the list response
+ * Documents `include` rejects are left out of the page, so a page can hold
+ * fewer than `limit` items and still have a nextCursor
+ */
+async function listQuery(query, collectionRef, { limit, startAfter }, { include = () => true } = {}) {
+  if (startAfter) {
+    const cursorDoc = await collectionRef.doc(startAfter).get();
+    if (!cursorDoc.exists) {
+      throw new HttpsError("invalid-argument", "Invalid startAfter cursor");
+    }
+    query = query.startAfter(cursorDoc);
+  }
+
+  const snapshot = await query.limit(limit).get();
+  const data = snapshot.docs.filter(include).map(serializeDoc);
+
+  return {
+    data,
+    nextCursor: snapshot.size === limit ? snapshot.docs[snapshot.size - 1].id : null,
+  };
+}
+
+// ============================================
+// Firestore References
+// ============================================
+
+function tenantRef(req) {
+  return admin.firestore().collection("tenants").doc(req.apiKey.tenantId);
+}
+
+async function getProjectRef(req) {
+  const projectRef = tenantRef(req).collection("projects").doc(req.params.projectId);
+  const projectDoc = await projectRef.get();
+  // Deleted projects are gone as far as the API is concerned, even during the grace period
+  if (!projectDoc.exists || projectDoc.data().deletedAt) {
+    throw new HttpsError("not-found", "Project not found");
+  }
+  return projectRef;
+}
+
+async function getTaskRef(req) {
+  const projectRef = await getProjectRef(req);
+  const taskRef = projectRef.collection("tasks").doc(req.params.taskId);
+  const taskDoc = await taskRef.get();
+  if (!taskDoc.exists) {
+    throw new HttpsError("not-found", "Task not found");
+  }
+  return taskRef;
+}
+
+/**
+ * Who a write is attributed to: the key's agent, or the API on behalf of the key's creator
+ */
+function sourceFields(req) {
+  return req.apiKey.agentId
+    ? { source: "agent", agentId: req.apiKey.agentId, apiKeyId: req.apiKey.id }
+    : { source: "api", apiKeyId: req.apiKey.id };
+}
+
+/**
+ * Audit fields stamped on every document written through the API
+ */
+function createFields(req) {
+  const timestamp = admin.firestore.FieldValue.serverTimestamp();
+  return {
+    createdAt: timestamp,
+    createdBy: req.apiKey.createdBy,
+    updatedAt: timestamp,
+    updatedBy: req.apiKey.createdBy,
+    ...sourceFields(req),
+  };
+}
+
+function updateFields(req) {
+  return {
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedBy: req.apiKey.createdBy,
+    ...sourceFields(req),
+  };
+}
+
+/**
+ * The agent a queue request acts for
+ */
+function agentContext(req) {
+  return { tenantId: req.apiKey.tenantId, agentId: req.apiKey.agentId, apiKeyId: req.apiKey.id };
+}
+
+// ============================================
+// Routes
+// ============================================
+
+const v1 = express.Router();
+
+v1.use(route(authenticate));
+
+// Projects
+
+v1.get("/projects", requireScope("projects:read"), route(async (req, res) => {
+  const projectsRef = tenantRef(req).collection("projects");
+  let query = projectsRef;
+  if (req.query.status) {
+    query = query.where("status", "==", req.query.status);
+  }
+  query = query.orderBy("createdAt", "desc");
+
+  // Deleted projects are left out, as getProjectRef treats them as not found
+  res.json(await listQuery(query, projectsRef, getPagination(req), {
+    include: (doc) => !doc.data().deletedAt,
+  }));
+}));
+
+v1.post("/projects", requireScope("projects:write"), route(async (req, res) => {
+  const fields = pickFields(req.body, PROJECT_FIELDS);
+  requireString(fields.title, "title");
+
+  const projectRef = await tenantRef(req).collection("projects").add({
+    status: "active",
+    visibility: "private",
+    assignedUsers: [],
+    assignedEmails: [],
+    ...fields,
+    ...createFields(req),
+  });
+
+  res.status(201).json({ data: serializeDoc(await projectRef.get()) });
+}));
+
+v1.get("/projects/:projectId", requireScope("projects:read"), route(async (req, res) => {
+  const projectRef = await getProjectRef(req);
+  res.json({ data: serializeDoc(await projectRef.get()) });
+}));
+
+v1.patch("/projects/:projectId", requireScope("projects:write"), route(async (req, res) => {
+  const projectRef = await getProjectRef(req);
+  const fields = pickFields(req.body, PROJECT_FIELDS);
+  if (fields.title !== undefined) requireString(fields.title, "title");
+
+  await projectRef.update({ ...fields, ...updateFields(req) });
+  res.json({ data: serializeDoc(await projectRef.get()) });
+}));
+
+// Tasks
+
+v1.get("/projects/:projectId/tasks", requireScope("tasks:read"), route(async (req, res) => {
+  const projectRef = await getProjectRef(req);
+  const tasksRef = projectRef.collection("tasks");
+
+  let query = tasksRef;
+  if (req.query.assignedTo) {
+    query = query.where("assignedTo", "==", req.query.assignedTo);
+  }
+  if (req.query.status) {
+    query = query.where("status", "==", req.query.status);
+  }
+  query = query.orderBy("createdAt", "desc");
+
+  res.json(await listQuery(query, tasksRef, getPagination(req)));
+}));
+
+v1.post("/projects/:projectId/tasks", requireScope("tasks:write"), route(async (req, res) => {
+  const projectRef = await getProjectRef(req);
+  const fields = pickFields(req.body, TASK_FIELDS);
+  requireString(fields.title, "title");
+
+  const taskRef = await projectRef.collection("tasks").add({
+    status: "todo",
+    priority: "medium",
+    assignedTo: null,
+    dueDate: null,
+    ...fields,
+    ...createFields(req),
+  });
+
+  res.status(201).json({ data: serializeDoc(await taskRef.get()) });
+}));
+
+v1.get("/projects/:projectId/tasks/:taskId", requireScope("tasks:read"), route(async (req, res) => {
+  const taskRef = await getTaskRef(req);
+  res.json({ data: serializeDoc(await taskRef.get()) });
+}));
+
+v1.patch("/projects/:projectId/tasks/:taskId", requireScope("tasks:write"), route(async (req, res) => {
+  const taskRef = await getTaskRef(req);
+  const fields = pickFields(req.body, TASK_FIELDS);
+  if (fields.title !== undefined) requireString(fields.title, "title");
+
+  await taskRef.update({ ...fields, ...updateFields(req) });
+  res.json({ data: serializeDoc(await taskRef.get()) });
+}));
+
+// Comments
+
+v1.get("/projects/:projectId/tasks/:taskId/comments", requireScope("comments:read"), route(async (req, res) => {
+  const taskRef = await getTaskRef(req);
+  const commentsRef = taskRef.collection("comments");
+  const query = commentsRef.orderBy("createdAt", "asc");
+
+  res.json(await listQuery(query, commentsRef, getPagination(req)));
+}));
+
+v1.post("/projects/:projectId/tasks/:taskId/comments", requireScope("comments:write"), route(async (req, res) => {
+  const taskRef = await getTaskRef(req);
+  requireString(req.body && req.body.text, "text");
+
+  const commentRef = await taskRef.collection("comments").add({
+    text: req.body.text,
+    authorId: req.apiKey.createdBy,
+    ...createFields(req),
+  });
+
+  res.status(201).json({ data: serializeDoc(await commentRef.get()) });
+}));
+
+// Knowledge
+
+v1.get("/knowledge", requireScope("knowledge:read"), route(async (req, res) => {
+  const knowledgeRef = tenantRef(req).collection("knowledge");
+  let query = knowledgeRef;
+  if (req.query.category) {
+    query = query.where("category", "==", req.query.category);
+  }
+  query = query.orderBy("updatedAt", "desc");
+
+  res.json(await listQuery(query, knowledgeRef, getPagination(req)));
+}));
+
+v1.post("/knowledge", requireScope("knowledge:write"), route(async (req, res) => {
+  const fields = pickFields(req.body, KNOWLEDGE_FIELDS);
+  requireString(fields.title, "title");
+
+  const entryRef = await tenantRef(req).collection("knowledge").add({
+    category: "general",
+    tags: [],
+    ...fields,
+    ...createFields(req),
+  });
+
+  res.status(201).json({ data: serializeDoc(await entryRef.get()) });
+}));
+
+v1.get("/knowledge/:entryId", requireScope("knowledge:read"), route(async (req, res) => {
+  const entryDoc = await tenantRef(req).collection("knowledge").doc(req.params.entryId).get();
+  if (!entryDoc.exists) {
+    throw new HttpsError("not-found", "Knowledge entry not found");
+  }
+  res.json({ data: serializeDoc(entryDoc) });
+}));
+
+v1.patch("/knowledge/:entryId", requireScope("knowledge:write"), route(async (req, res) => {
+  const entryRef = tenantRef(req).collection("knowledge").doc(req.params.entryId);
+  if (!(await entryRef.get()).exists) {
+    throw new HttpsError("not-found", "Knowledge entry not found");
+  }
+
+  const fields = pickFields(req.body, KNOWLEDGE_FIELDS);
+  if (fields.title !== undefined) requireString(fields.title, "title");
+
+  await entryRef.update({ ...fields, ...updateFields(req) });
+  res.json({ data: serializeDoc(await entryRef.get()) });
+}));
+
+// Agent work queue
+
+function leaseResponse({ leaseId, leaseExpiresAt }) {
+  return { id: leaseId, expiresAt: leaseExpiresAt.toDate().toISOString() };
+}
+
+v1.post("/agent/claim", requireAgent, route(async (req, res) => {
+  const { projectId, leaseSeconds } = req.body || {};
+  const claim = await claimNextTask(agentContext(req), { projectId, leaseSeconds });
+  if (!claim) {
+    res.json({ data: null });
+    return;
+  }
+
+  res.json({
+    data: {
+      projectId: claim.taskRef.parent.parent.id,
+      task: serializeDoc(await claim.taskRef.get()),
+      lease: leaseResponse(claim),
+    },
+  });
+}));
+
+v1.post("/agent/projects/:projectId/tasks/:taskId/heartbeat", requireAgent, route(async (req, res) => {
+  const { projectId, taskId } = req.params;
+  const lease = await heartbeatTask(agentContext(req), projectId, taskId, req.body || {});
+  res.json({ data: { lease: leaseResponse(lease) } });
+}));
+
+v1.post("/agent/projects/:projectId/tasks/:taskId/progress", requireAgent, route(async (req, res) => {
+  const { projectId, taskId } = req.params;
+  const updateRef = await postProgress(agentContext(req), projectId, taskId, req.body || {});
+  res.status(201).json({ data: serializeDoc(await updateRef.get()) });
+}));
+
+/**
+ * End the agent's lease with an outcome and respond with the updated task
+ */
+function finishRoute(outcome) {
+  return route(async (req, res) => {
+    const { projectId, taskId } = req.params;
+    await finishTask(agentContext(req), projectId, taskId, outcome, req.body || {});
+
+    const taskRef = tenantRef(req).collection("projects").doc(projectId).collection("tasks").doc(taskId);
+    res.json({ data: serializeDoc(await taskRef.get()) });
+  });
+}
+
+v1.post("/agent/projects/:projectId/tasks/:taskId/review", requireAgent, finishRoute("review"));
+
+v1.post("/agent/projects/:projectId/tasks/:taskId/complete", requireAgent, finishRoute("complete"));
+
+v1.post("/agent/projects/:projectId/tasks/:taskId/fail", requireAgent, finishRoute("fail"));
+
+// ============================================
+// App
+// ============================================
+
+const app = express();
+
+app.use("/v1", v1);
+
+app.use((req, res) => {
+  res.status(404).json({ error: { code: "not-found", message: "Route not found" } });
+});
+
+app.use((error, req, res, next) => {
+  if (error instanceof HttpsError) {
+    res.status(error.httpErrorCode.status).json({
+      error: { code: error.code, message: error.message },
+    });
+    return;
+  }
+
+  console.error("Unhandled API error:", error);
+  res.status(500).json({ error: { code: "internal", message: "Internal server error" } });
+});
+
+/**
+ * HTTPS: Versioned REST API
+ */
+exports.api = onRequest(app);
+
+exports.serializeDoc = serializeDoc;
+exports.authenticate = authenticate;
+exports.route = route;
+exports.pickFields = pickFields;
+exports.requireString = requireString;
+exports.listQuery = listQuery;
+exports.createFields = createFields;
+exports.updateFields = updateFields;
+exports.hashApiKey = hashApiKey;
+exports.generateApiKey = generateApiKey;
+exports.API_SCOPES = API_SCOPES;
+exports.KNOWLEDGE_FIELDS = KNOWLEDGE_FIELDS;
@@ -0,0 +1,409 @@
+/**
+ * Task attachment pipeline
+ * Every object uploaded to
+ *   tenants/{tenantId}/projects/{projectId}/tasks/{taskId}/attachments/{fileName}
+ * is processed by processAttachmentUpload:
+ *   1. its attachments document is created, or corrected from the object
+ *      (name, size, MIME type, MD5 and SHA-256 checksums)
+ *   2. it is scanned by a ClamAV daemon; infected files are moved to
+ *      quarantine/<original path>, which no client can read
+ *   3. images and PDFs get a 400px WebP thumbnail at
+ *      .../tasks/{taskId}/thumbnails/{attachmentId}.webp
+ *
+ * The attachments document is found through the object's `attachmentId`
+ * custom metadata (set it when uploading) as long as that document is new or
+ * already has this object's path, then by its `path`; otherwise one is
+ * created. Deleting either the object or the document deletes the other.
+ *
+ * Attachment status: processing -> ready
+ *                               -> quarantined (scanStatus "infected")
+ * Uploads carry `scanStatus: "pending"` custom metadata (storage.rules
+ * requires it) and clients can't read them until a clean scan sets it to
+ * "clean". When the scanner can't be reached the attachment stays
+ * "processing" with scanStatus "error", and the error is rethrown so the
+ * upload event is retried.
+ *
+ * The scanner is any clamd speaking the INSTREAM protocol, at the CLAMAV_HOST
+ * and CLAMAV_PORT (default 3310) params. CLAMAV_HOST has no default, so
+ * deploys fail until it is set in functions/.env. Locally:
+ *   docker run -p 3310:3310 clamav/clamav
+ * with CLAMAV_HOST=127.0.0.1 in functions/.env.local
+ */
+
+const { onObjectFinalized, onObjectDeleted } = require("firebase-functions/v2/storage");
+const { onDocumentDeleted } = require("firebase-functions/v2/firestore");
+const admin = require("firebase-admin");
+const crypto = require("crypto");
+const net = require("net");
+const path = require("path");
+const sharp = require("sharp");
+const { createCanvas } = require("@napi-rs/canvas");
+const { logActivity } = require("./activity");
+const { clamavHost, clamavPort } = require("./config");
+
+const ATTACHMENT_PATH = /^tenants\/([^/]+)\/projects\/([^/]+)\/tasks\/([^/]+)\/attachments\/([^/]+)$/;
+
+const QUARANTINE_PREFIX = "quarantine/";
+
+const THUMBNAIL_WIDTH = 400;
+
+const THUMBNAIL_IMAGE_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp", "image/avif"];
+
+const SCAN_TIMEOUT_MS = 60 * 1000;
+
+// clamd's default StreamMaxLength is 25MB; chunks must stay well below it
+const SCAN_CHUNK_SIZE = 64 * 1024;
+
+function hash(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function parseAttachmentPath(objectName) {
+  const match = ATTACHMENT_PATH.exec(objectName || "");
+  if (!match) return null;
+
+  const [, tenantId, projectId, taskId, fileName] = match;
+  return { tenantId, projectId, taskId, fileName };
+}
+
+function taskRefFor({ tenantId, projectId, taskId }) {
+  return admin.firestore()
+    .collection("tenants").doc(tenantId)
+    .collection("projects").doc(projectId)
+    .collection("tasks").doc(taskId);
+}
+
+function thumbnailPathFor({ tenantId, projectId, taskId }, attachmentId) {
+  return `tenants/${tenantId}/projects/${projectId}/tasks/${taskId}/thumbnails/${attachmentId}.webp`;
+}
+
+/**
+ * The attachments document for an object: by attachmentId metadata, then by path
+ * The metadata is set by the client, so it only picks a document that doesn't
+ * exist yet or already belongs to this object
+ * Returns a ref, which may not exist yet
+ */
+async function findAttachmentRef(taskRef, object) {
+  const attachmentsRef = taskRef.collection("attachments");
+  const attachmentId = object.metadata && object.metadata.attachmentId;
+
+  if (attachmentId && !attachmentId.includes("/")) {
+    const attachmentDoc = await attachmentsRef.doc(attachmentId).get();
+    if (!attachmentDoc.exists || attachmentDoc.data().path === object.name) {
+      return attachmentDoc.ref;
+    }
+  }
+
+  const snapshot = await attachmentsRef.where("path", "==", object.name).limit(1).get();
+  if (!snapshot.empty) return snapshot.docs[0].ref;
+
+  // Stable across retries of the same upload
+  return attachmentsRef.doc(hash(`${object.name}:${object.generation}`).substring(0, 20));
+}
+
+// ============================================
+// Scanning
+// ============================================
+
+/**
+ * Scan a buffer with clamd (INSTREAM)
+ * Resolves to { infected: false } or { infected: true, signature }; rejects
+ * when the scanner can't be reached or reports an error
+ */
+function scanBuffer(buffer) {
+  return new Promise((resolve, reject) => {
+    if (!clamavHost.value()) {
+      reject(new Error("CLAMAV_HOST is not set"));
+      return;
+    }
+
+    const socket = net.createConnection({ host: clamavHost.value(), port: clamavPort.value() });
+    let response = "";
+
+    socket.setTimeout(SCAN_TIMEOUT_MS);
+
+    socket.on("connect", () => {
+      socket.write("zINSTREAM\0");
+      for (let offset = 0; offset < buffer.length; offset += SCAN_CHUNK_SIZE) {
+        const chunk = buffer.subarray(offset, offset + SCAN_CHUNK_SIZE);
+        const size = Buffer.alloc(4);
+        size.writeUInt32BE(chunk.length);
+        socket.write(size);
+        socket.write(chunk);
+      }
+      // A zero-length chunk ends the stream
+      socket.end(Buffer.alloc(4));
+    });
+
+    socket.on("data", (data) => {
+      response += data.toString("utf8");
+    });
+
+    socket.on("timeout", () => {
+      socket.destroy(new Error("Scanner timed out"));
+    });
+
+    socket.on("error", reject);
+
+    socket.on("close", () => {
+      const result = response.replace(/\0/g, "").trim();
+      const found = /^stream: (.+) FOUND$/.exec(result);
+
+      if (result === "stream: OK") {
+        resolve({ infected: false });
+      } else if (found) {
+        resolve({ infected: true, signature: found[1] });
+      } else {
+        reject(new Error(`Unexpected scanner response: ${result || "(empty)"}`));
+      }
+    });
+  });
+}
+
+// ============================================
+// Thumbnails
+// ============================================
+
+/**
+ * Render the first page of a PDF to PNG
+ */
+async function renderPdfPage(buffer) {
+  // pdfjs-dist only ships ES modules
+  const { getDocument } = await import("pdfjs-dist/legacy/build/pdf.mjs");
+  const pdf = await getDocument({ data: new Uint8Array(buffer), isEvalSupported: false }).promise;
+
+  try {
+    const page = await pdf.getPage(1);
+    const { width } = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: THUMBNAIL_WIDTH / width });
+
+    const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    await page.render({ canvas, viewport }).promise;
+
+    return canvas.toBuffer("image/png");
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * WebP thumbnail for images and PDFs, or null for other types
+ */
+async function createThumbnail(buffer, contentType) {
+  let image;
+  if (THUMBNAIL_IMAGE_TYPES.includes(contentType)) {
+    image = buffer;
+  } else if (contentType === "application/pdf") {
+    image = await renderPdfPage(buffer);
+  } else {
+    return null;
+  }
+
+  return sharp(image, { animated: false })
+    .rotate()
+    .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer();
+}
+
+// ============================================
+// Triggers
+// ============================================
+
+/**
+ * Move an infected file out of reach and record it
+ */
+async function quarantine(file, attachmentRef, params, { signature, uploadedBy }) {
+  const quarantinePath = `${QUARANTINE_PREFIX}${file.name}`;
+
+  // Marked first, so the delete trigger for the original path leaves the document alone
+  await attachmentRef.set({
+    status: "quarantined",
+    scanStatus: "infected",
+    scanSignature: signature,
+    quarantinePath,
+    thumbnailPath: null,
+    scannedAt: admin.firestore.FieldValue.serverTimestamp(),
+  }, { merge: true });
+
+  await file.move(quarantinePath);
+
+  const batch = admin.firestore().batch();
+  logActivity(batch, params.tenantId, {
+    type: "attachment.quarantined",
+    actorId: uploadedBy,
+    source: "system",
+    entityType: "attachment",
+    entityId: attachmentRef.id,
+    data: { projectId: params.projectId, taskId: params.taskId, name: params.fileName, signature },
+  });
+  await batch.commit();
+}
+
+/**
+ * Trigger: When a file is uploaded to a task's attachments
+ * Action: Sync its attachments document, scan it and create a thumbnail
+ * Errors are rethrown so the event is retried; the file stays unreadable
+ * until a scan succeeds.
+ */
+exports.processAttachmentUpload = onObjectFinalized(
+  {
+    memory: "1GiB",
+    timeoutSeconds: 300,
+    retry: true,
+  },
+  async (event) => {
+    const object = event.data;
+    const params = parseAttachmentPath(object.name);
+    if (!params) return null;
+
+    const taskRef = taskRefFor(params);
+    const file = admin.storage().bucket(object.bucket).file(object.name);
+
+    try {
+      const attachmentRef = await findAttachmentRef(taskRef, object);
+      const attachmentDoc = await attachmentRef.get();
+      const existing = attachmentDoc.exists ? attachmentDoc.data() : {};
+      // storage.rules binds uploadedBy to the uploader
+      const uploadedBy = (object.metadata && object.metadata.uploadedBy) || existing.uploadedBy || null;
+      const contentType = object.contentType || "application/octet-stream";
+
+      let buffer;
+      try {
+        [buffer] = await file.download();
+      } catch (error) {
+        // Replaced or deleted before this event was handled
+        if (error.code === 404) return null;
+        throw error;
+      }
+
+      // The object is the source of truth; the client's values are overwritten
+      await attachmentRef.set({
+        name: existing.name || path.basename(object.name),
+        path: object.name,
+        contentType,
+        size: Number(object.size),
+        checksums: {
+          md5: object.md5Hash || null,
+          sha256: crypto.createHash("sha256").update(buffer).digest("hex"),
+        },
+        uploadedBy,
+        status: "processing",
+        scanStatus: "pending",
+        ...(attachmentDoc.exists ? {} : { createdAt: admin.firestore.FieldValue.serverTimestamp() }),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, { merge: true });
+
+      let scan;
+      try {
+        scan = await scanBuffer(buffer);
+      } catch (error) {
+        await attachmentRef.update({
+          scanStatus: "error",
+          scanError: error.message,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        throw new Error(`Could not scan ${object.name}: ${error.message}`);
+      }
+
+      if (scan.infected) {
+        console.warn(`Quarantined ${object.name}: ${scan.signature}`);
+        await quarantine(file, attachmentRef, params, { signature: scan.signature, uploadedBy });
+        return { status: "quarantined" };
+      }
+
+      // Lets clients read the file (see storage.rules)
+      await file.setMetadata({ metadata: { scanStatus: "clean" } });
+
+      let thumbnailPath = null;
+      try {
+        const thumbnail = await createThumbnail(buffer, contentType);
+        if (thumbnail) {
+          thumbnailPath = thumbnailPathFor(params, attachmentRef.id);
+          await admin.storage().bucket(object.bucket).file(thumbnailPath).save(thumbnail, {
+            resumable: false,
+            contentType: "image/webp",
+            metadata: { metadata: { attachmentId: attachmentRef.id } },
+          });
+        }
+      } catch (error) {
+        console.warn(`Could not create a thumbnail for ${object.name}:`, error.message);
+      }
+
+      await attachmentRef.update({
+        status: "ready",
+        scanStatus: "clean",
+        scanError: null,
+        scannedAt: admin.firestore.FieldValue.serverTimestamp(),
+        thumbnailPath,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      return { status: "ready", attachmentId: attachmentRef.id };
+    } catch (error) {
+      console.error(`Error processing attachment ${object.name}:`, error);
+      throw error;
+    }
+  }
+);
+
+/**
+ * Trigger: When an attachment file is deleted
+ * Action: Delete its attachments document and thumbnail
+ */
+exports.cleanupDeletedAttachmentFile = onObjectDeleted(async (event) => {
+  const object = event.data;
+  const params = parseAttachmentPath(object.name);
+  if (!params) return null;
+
+  try {
+    const snapshot = await taskRefFor(params)
+      .collection("attachments")
+      .where("path", "==", object.name)
+      .get();
+
+    for (const doc of snapshot.docs) {
+      // Quarantine moves the file away; the record stays
+      if (doc.data().status === "quarantined") continue;
+      await doc.ref.delete();
+    }
+
+    return { success: true, deleted: snapshot.size };
+  } catch (error) {
+    console.error(`Error cleaning up after deleted file ${object.name}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Trigger: When an attachments document is deleted
+ * Action: Delete its file (including a quarantined copy) and thumbnail
+ */
+exports.cleanupDeletedAttachmentDoc = onDocumentDeleted(
+  {
+    document: "tenants/{tenantId}/projects/{projectId}/tasks/{taskId}/attachments/{attachmentId}",
+  },
+  async (event) => {
+    const attachment = event.data ? event.data.data() : {};
+    const bucket = admin.storage().bucket();
+
+    // `path` is written by clients, so only files of this task are deleted
+    const pathParams = parseAttachmentPath(attachment.path);
+    const isTaskFile = pathParams &&
+      ["tenantId", "projectId", "taskId"].every((key) => pathParams[key] === event.params[key]);
+
+    const paths = [thumbnailPathFor(event.params, event.params.attachmentId)];
+    if (isTaskFile) {
+      paths.push(attachment.path, `${QUARANTINE_PREFIX}${attachment.path}`);
+    }
+
+    try {
+      // Already-deleted files are fine: this also runs after the file's own delete trigger
+      await Promise.all(paths.map((filePath) => bucket.file(filePath).delete({ ignoreNotFound: true })));
+      return { success: true };
+    } catch (error) {
+      console.error(`Error deleting files for attachment ${event.params.attachmentId}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+);
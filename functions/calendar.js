@@ -0,0 +1,428 @@
+/**
+ * iCalendar subscription feeds
+ * Open tasks with a due date, as RFC 5545 all-day events, for calendar apps
+ * to subscribe to:
+ *   <CALENDAR_FEED_URL>/users/{userId}/{token}.ics
+ *     tasks assigned to the user, across their tenants
+ *   <CALENDAR_FEED_URL>/tenants/{tenantId}/projects/{projectId}/{token}.ics
+ *     the project's tasks
+ *
+ * Tokens are created (or rotated) with createCalendarFeed and revoked with
+ * revokeCalendarFeed. Only their hash is kept, in `calendarFeed` on the user
+ * or project document (project documents can be public), so the feed URL is
+ * shown once, like an API key. Rotating or revoking a project's token changes
+ * it for everyone subscribed.
+ *
+ * Due dates are read as calendar days in the user's time zone (user feeds) or
+ * the tenant's (project feeds), as the due-date reminders do. Done tasks drop
+ * out of the feed.
+ */
+
+const { onRequest, onCall, HttpsError } = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const crypto = require("crypto");
+const { APP_URL, CALENDAR_FEED_URL } = require("./config");
+const { DEFAULT_TIME_ZONE } = require("./templates");
+const { isValidTimeZone } = require("./reminders");
+
+const TOKEN_PREFIX = "cal_";
+
+// Open tasks read per feed, soonest due first
+const MAX_TASKS = 2000;
+
+// Documents per getAll() call
+const LOOKUP_BATCH_SIZE = 100;
+
+// How often calendar apps are asked to refresh
+const REFRESH_INTERVAL = "PT1H";
+
+// RFC 5545 PRIORITY: 1 is highest, 9 lowest
+const PRIORITY_VALUES = {
+  urgent: 1,
+  high: 3,
+  medium: 5,
+  low: 9,
+};
+
+const PRIORITY_LABELS = {
+  urgent: "Urgent",
+  high: "High",
+  medium: "Medium",
+  low: "Low",
+};
+
+const USER_FEED_PATH = /^\/users\/([^/]+)\/([^/]+)\.ics$/;
+const PROJECT_FEED_PATH = /^\/tenants\/([^/]+)\/projects\/([^/]+)\/([^/]+)\.ics$/;
+
+function hash(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function feedBaseUrl() {
+  if (CALENDAR_FEED_URL) return CALENDAR_FEED_URL.replace(/\/$/, "");
+
+  const projectId = process.env.GCLOUD_PROJECT;
+  if (process.env.FUNCTIONS_EMULATOR === "true") {
+    return `http://127.0.0.1:5001/${projectId}/europe-west1/calendarFeed`;
+  }
+  return `https://europe-west1-${projectId}.cloudfunctions.net/calendarFeed`;
+}
+
+/**
+ * Whether a token matches the calendarFeed stored on a user or project
+ */
+function isValidToken(data, token) {
+  const tokenHash = data?.calendarFeed?.tokenHash;
+  return Boolean(tokenHash && token.startsWith(TOKEN_PREFIX) && safeEqual(hash(token), tokenHash));
+}
+
+/**
+ * Load documents with getAll() in batches, as a map of path to data (null if missing)
+ */
+async function loadByPath(paths) {
+  const uniquePaths = [...new Set(paths)];
+  const result = new Map();
+  for (let i = 0; i < uniquePaths.length; i += LOOKUP_BATCH_SIZE) {
+    const refs = uniquePaths.slice(i, i + LOOKUP_BATCH_SIZE).map((path) => admin.firestore().doc(path));
+    const docs = await admin.firestore().getAll(...refs);
+    docs.forEach((doc) => result.set(doc.ref.path, doc.exists ? doc.data() : null));
+  }
+  return result;
+}
+
+// ============================================
+// iCalendar
+// ============================================
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Fold a content line to 75 octets, without splitting UTF-8 characters
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  let length = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their 75
+    if (length + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = "";
+      length = 0;
+    }
+    current += char;
+    length += size;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+}
+
+function formatDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Calendar day of a date in a time zone, as YYYYMMDD
+ */
+function formatLocalDate(date, timeZone) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date).replace(/-/g, "");
+}
+
+function nextDay(value) {
+  const date = new Date(Date.UTC(Number(value.slice(0, 4)), Number(value.slice(4, 6)) - 1, Number(value.slice(6, 8)) + 1));
+  return formatDateTime(date).slice(0, 8);
+}
+
+function taskEvent(task, timeZone, now) {
+  const priority = PRIORITY_VALUES[task.priority] ? task.priority : "medium";
+  const day = formatLocalDate(task.dueDate.toDate(), timeZone);
+  const link = `${APP_URL}/t/${task.tenant.slug}/projects/${task.projectId}?task=${task.id}`;
+  const project = task.showTenant
+    ? `${task.project.title || "Untitled project"} (${task.tenant.name})`
+    : task.project.title || "Untitled project";
+  const lastModified = task.updatedAt && typeof task.updatedAt.toDate === "function" ? task.updatedAt.toDate() : null;
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:${task.tenantId}-${task.projectId}-${task.id}@erold.dev`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `DTSTART;VALUE=DATE:${day}`,
+    `DTEND;VALUE=DATE:${nextDay(day)}`,
+    `SUMMARY:${escapeText(task.title || "Untitled task")}`,
+    `DESCRIPTION:${escapeText(`Project: ${project}\nPriority: ${PRIORITY_LABELS[priority]}\n\n${link}`)}`,
+    `URL:${link}`,
+    `PRIORITY:${PRIORITY_VALUES[priority]}`,
+    `CATEGORIES:${escapeText(project)}`,
+    ...(lastModified ? [`LAST-MODIFIED:${formatDateTime(lastModified)}`] : []),
+    "TRANSP:TRANSPARENT",
+    "END:VEVENT",
+  ];
+}
+
+function renderCalendar(name, events) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Erold//Task due dates//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+    ...events.flat(),
+    "END:VCALENDAR",
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+function isOpenWithDueDate(task) {
+  return task.status !== "done" && task.dueDate && typeof task.dueDate.toDate === "function";
+}
+
+function byDueDate(a, b) {
+  return a.dueDate.toMillis() - b.dueDate.toMillis();
+}
+
+// ============================================
+// Feeds
+// ============================================
+
+/**
+ * Tasks assigned to a user, in tenants they are still a member of
+ * Returns null if the token doesn't match
+ */
+async function buildUserFeed(userId, token) {
+  const userDoc = await admin.firestore().collection("users").doc(userId).get();
+  if (!userDoc.exists || !isValidToken(userDoc.data(), token)) return null;
+  const user = userDoc.data();
+
+  const snapshot = await admin.firestore()
+    .collectionGroup("tasks")
+    .where("assignedTo", "==", userId)
+    .where("status", "!=", "done")
+    .orderBy("dueDate")
+    .limit(MAX_TASKS)
+    .get();
+
+  // tenants/{tenantId}/projects/{projectId}/tasks/{taskId} only
+  const taskDocs = snapshot.docs.filter((doc) => {
+    const projectRef = doc.ref.parent.parent;
+    return projectRef && projectRef.parent.id === "projects" && projectRef.parent.parent?.parent.id === "tenants";
+  }).filter((doc) => isOpenWithDueDate(doc.data()));
+
+  const tasks = taskDocs.map((doc) => {
+    const projectRef = doc.ref.parent.parent;
+    return {
+      id: doc.id,
+      ...doc.data(),
+      projectId: projectRef.id,
+      tenantId: projectRef.parent.parent.id,
+    };
+  });
+
+  const tenantIds = [...new Set(tasks.map((task) => task.tenantId))];
+  const docs = await loadByPath([
+    ...tenantIds.map((tenantId) => `tenants/${tenantId}`),
+    ...tenantIds.map((tenantId) => `tenants/${tenantId}/members/${userId}`),
+    ...tasks.map((task) => `tenants/${task.tenantId}/projects/${task.projectId}`),
+  ]);
+
+  const visibleTasks = tasks.map((task) => ({
+    ...task,
+    tenant: docs.get(`tenants/${task.tenantId}`),
+    project: docs.get(`tenants/${task.tenantId}/projects/${task.projectId}`),
+    showTenant: tenantIds.length > 1,
+  })).filter((task) => task.tenant && !task.tenant.deletedAt &&
+    task.project && !task.project.deletedAt &&
+    docs.get(`tenants/${task.tenantId}/members/${userId}`));
+
+  const timeZone = isValidTimeZone(user.timezone) ? user.timezone : DEFAULT_TIME_ZONE;
+  const now = new Date();
+
+  return renderCalendar(
+    "Erold: my tasks",
+    visibleTasks.sort(byDueDate).map((task) => taskEvent(task, timeZone, now))
+  );
+}
+
+/**
+ * Tasks of a project
+ * Returns null if the token doesn't match or the project is deleted
+ */
+async function buildProjectFeed(tenantId, projectId, token) {
+  const tenantRef = admin.firestore().collection("tenants").doc(tenantId);
+  const projectRef = tenantRef.collection("projects").doc(projectId);
+  const [tenantDoc, projectDoc] = await Promise.all([tenantRef.get(), projectRef.get()]);
+
+  if (!tenantDoc.exists || !projectDoc.exists || !isValidToken(projectDoc.data(), token)) return null;
+  const tenant = tenantDoc.data();
+  const project = projectDoc.data();
+  if (tenant.deletedAt || project.deletedAt) return null;
+
+  const snapshot = await projectRef.collection("tasks")
+    .where("status", "!=", "done")
+    .orderBy("dueDate")
+    .limit(MAX_TASKS)
+    .get();
+  const tasks = snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data(), tenantId, projectId, tenant, project }))
+    .filter(isOpenWithDueDate);
+
+  const timeZone = isValidTimeZone(tenant.timezone) ? tenant.timezone : DEFAULT_TIME_ZONE;
+  const now = new Date();
+
+  return renderCalendar(
+    `${project.title || "Untitled project"} (${tenant.name})`,
+    tasks.sort(byDueDate).map((task) => taskEvent(task, timeZone, now))
+  );
+}
+
+/**
+ * HTTPS: iCalendar feed of open tasks for a user or project
+ * Unknown paths and wrong tokens are both answered with 404
+ */
+exports.calendarFeed = onRequest(async (req, res) => {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.status(405).send("Method not allowed");
+    return;
+  }
+
+  const userMatch = req.path.match(USER_FEED_PATH);
+  const projectMatch = req.path.match(PROJECT_FEED_PATH);
+
+  try {
+    let calendar = null;
+    if (userMatch) {
+      calendar = await buildUserFeed(userMatch[1], userMatch[2]);
+    } else if (projectMatch) {
+      calendar = await buildProjectFeed(projectMatch[1], projectMatch[2], projectMatch[3]);
+    }
+
+    if (!calendar) {
+      res.status(404).send("Not found");
+      return;
+    }
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Cache-Control", "private, max-age=900");
+    res.status(200).send(calendar);
+  } catch (error) {
+    console.error(`Error building calendar feed ${req.path.replace(/[^/]+\.ics$/, "<token>.ics")}:`, error);
+    res.status(500).send("Error");
+  }
+});
+
+// ============================================
+// Management
+// ============================================
+
+/**
+ * The user or project document a feed token belongs to
+ * Without tenantId and projectId it is the caller's own feed; project feeds
+ * are managed by tenant admins and by members who created or are assigned to the project
+ */
+async function getFeedOwner(request) {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "You must be signed in");
+  }
+
+  const userId = request.auth.uid;
+  const { tenantId, projectId } = request.data || {};
+
+  if (tenantId === undefined && projectId === undefined) {
+    return {
+      ref: admin.firestore().collection("users").doc(userId),
+      path: `/users/${userId}`,
+    };
+  }
+
+  if (!tenantId || typeof tenantId !== "string" || !projectId || typeof projectId !== "string") {
+    throw new HttpsError("invalid-argument", "tenantId and projectId are required for a project feed");
+  }
+
+  const tenantRef = admin.firestore().collection("tenants").doc(tenantId);
+  const projectRef = tenantRef.collection("projects").doc(projectId);
+  const [memberDoc, projectDoc] = await Promise.all([
+    tenantRef.collection("members").doc(userId).get(),
+    projectRef.get(),
+  ]);
+
+  if (!projectDoc.exists || projectDoc.data().deletedAt) {
+    throw new HttpsError("not-found", "Project not found");
+  }
+
+  const role = memberDoc.exists ? memberDoc.data().role : null;
+  const project = projectDoc.data();
+  const email = request.auth.token.email || null;
+  const canManage = ["owner", "admin"].includes(role) ||
+    (["owner", "admin", "member"].includes(role) &&
+      (project.createdBy === userId ||
+        (project.assignedUsers || []).includes(userId) ||
+        (email !== null && (project.assignedEmails || []).includes(email))));
+
+  if (!canManage) {
+    throw new HttpsError("permission-denied", "Only tenant admins and the project's members can manage its calendar feed");
+  }
+
+  return {
+    ref: projectRef,
+    path: `/tenants/${tenantId}/projects/${projectId}`,
+  };
+}
+
+/**
+ * Callable: Create a calendar feed URL for the caller, or for a project
+ * Replaces any existing token, so the previous URL stops working
+ */
+exports.createCalendarFeed = onCall(async (request) => {
+  const owner = await getFeedOwner(request);
+
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString("base64url");
+  await owner.ref.set({
+    calendarFeed: {
+      tokenHash: hash(token),
+      tokenPrefix: token.substring(0, 12),
+      createdBy: request.auth.uid,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    },
+  }, { merge: true });
+
+  const url = `${feedBaseUrl()}${owner.path}/${token}.ics`;
+  console.log(`Calendar feed created for ${owner.ref.path}`);
+
+  return { url, webcalUrl: url.replace(/^https?:/, "webcal:") };
+});
+
+/**
+ * Callable: Revoke the caller's or a project's calendar feed
+ */
+exports.revokeCalendarFeed = onCall(async (request) => {
+  const owner = await getFeedOwner(request);
+
+  await owner.ref.set({
+    calendarFeed: admin.firestore.FieldValue.delete(),
+  }, { merge: true });
+
+  console.log(`Calendar feed revoked for ${owner.ref.path}`);
+  return { success: true };
+});
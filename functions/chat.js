@@ -0,0 +1,592 @@
+/**
+ * Slack and Microsoft Teams project channels
+ * A project is linked to chat through its meta/chat document:
+ *   {
+ *     slack: { webhookUrl, enabled },   // Slack incoming webhook
+ *     teams: { webhookUrl, enabled },   // Teams incoming webhook (Workflows)
+ *     events: { taskAssigned, comment, statusChange, dueSummary },
+ *   }
+ * taskAssigned, comment and statusChange are posted unless switched off;
+ * the daily due-soon summary is opt-in (events.dueSummary: true).
+ *
+ * Messages are built once as { title, text, facts, url, linkText } in the
+ * tenant's language ("chat" keys in locales/<locale>.json) and rendered as
+ * Block Kit for Slack or an Adaptive Card for Teams. A failed post is logged
+ * and recorded on the channel as lastError; it never fails the trigger.
+ *
+ * Webhook URLs must be https URLs on Slack's or Microsoft's webhook hosts
+ * (WEBHOOK_HOSTS). In the emulator they may also point at http://localhost, so
+ * `npm run chat:stand-in` can take the place of Slack and Teams.
+ */
+
+const { onDocumentCreated, onDocumentUpdated } = require("firebase-functions/v2/firestore");
+const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const { onSchedule } = require("firebase-functions/v2/scheduler");
+const admin = require("firebase-admin");
+const { APP_URL } = require("./config");
+const { resolveLocale, translate, formatDate, DEFAULT_TIME_ZONE } = require("./templates");
+const { mentionsToText } = require("./markdown");
+const { getLocalTime, daysUntilDue } = require("./reminders");
+
+const CHAT_META_ID = "chat";
+
+const CHAT_PROVIDERS = ["slack", "teams"];
+
+// Events posted unless the project switches them off
+const DEFAULT_EVENTS = { taskAssigned: true, comment: true, statusChange: true, dueSummary: false };
+
+// Local hour (tenant time zone) the due-soon summary is posted at
+const DUE_SUMMARY_HOUR = 9;
+
+// Tasks listed in one summary; the rest are counted
+const MAX_SUMMARY_TASKS = 20;
+
+const MAX_COMMENT_LENGTH = 500;
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Hosts (and their subdomains) webhook URLs may point at, so a chat channel
+// can't be used to make requests to arbitrary or internal addresses
+const WEBHOOK_HOSTS = {
+  slack: ["hooks.slack.com", "hooks.slack-gov.com"],
+  // Incoming webhooks (webhook.office.com) and Workflows (Power Automate)
+  teams: ["webhook.office.com", "logic.azure.com", "environment.api.powerplatform.com"],
+};
+
+// Overdue tasks older than this are left out of the due-soon summary
+const OVERDUE_WINDOW_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function truncate(value, length) {
+  if (!value) return value;
+  return value.length > length ? `${value.substring(0, length)}...` : value;
+}
+
+/**
+ * Only https webhooks on the provider's own hosts, plus localhost when
+ * running in the emulator
+ */
+function isValidWebhookUrl(provider, url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol === "https:") {
+      return WEBHOOK_HOSTS[provider].some((host) =>
+        parsed.hostname === host || parsed.hostname.endsWith(`.${host}`)
+      );
+    }
+    return process.env.FUNCTIONS_EMULATOR === "true" &&
+      parsed.protocol === "http:" &&
+      ["localhost", "127.0.0.1"].includes(parsed.hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+function isEventEnabled(config, eventKey) {
+  const events = { ...DEFAULT_EVENTS, ...(config.events || {}) };
+  return events[eventKey] === true;
+}
+
+/**
+ * Translated task or project status, or the raw value for custom statuses
+ */
+function statusLabel(language, status) {
+  if (!status) return "-";
+  const key = `chat.statuses.${status}`;
+  const label = translate(language, key);
+  return label === key ? status : label;
+}
+
+async function getUserName(userId) {
+  if (!userId) return null;
+  const userDoc = await admin.firestore().collection("users").doc(userId).get();
+  if (!userDoc.exists) return null;
+  return userDoc.data().name || userDoc.data().email || null;
+}
+
+/**
+ * Tenant, project and chat config for a project, or null when the project
+ * has no chat channel
+ */
+async function loadChatContext(tenantId, projectId) {
+  const projectRef = admin.firestore()
+    .collection("tenants").doc(tenantId)
+    .collection("projects").doc(projectId);
+
+  const chatDoc = await projectRef.collection("meta").doc(CHAT_META_ID).get();
+  if (!chatDoc.exists) return null;
+
+  const config = chatDoc.data();
+  if (!CHAT_PROVIDERS.some((provider) => config[provider] && config[provider].webhookUrl)) return null;
+
+  const [projectDoc, tenantDoc] = await Promise.all([
+    projectRef.get(),
+    admin.firestore().collection("tenants").doc(tenantId).get(),
+  ]);
+
+  const tenant = tenantDoc.exists ? tenantDoc.data() : { name: "Unknown" };
+  const { locale, language } = resolveLocale(tenant.locale);
+
+  return {
+    chatRef: chatDoc.ref,
+    config,
+    tenant,
+    project: projectDoc.exists ? projectDoc.data() : { title: "Unknown Project" },
+    locale,
+    language,
+    timeZone: tenant.timezone || DEFAULT_TIME_ZONE,
+  };
+}
+
+// ============================================
+// Message formats
+// ============================================
+
+/**
+ * Escape text for Slack mrkdwn
+ */
+function escapeSlack(value) {
+  return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/**
+ * Slack Block Kit message
+ */
+function toSlackMessage({ title, text, facts = [], url, linkText }) {
+  const blocks = [{
+    type: "section",
+    // Section text is limited to 3000 characters
+    text: { type: "mrkdwn", text: truncate(`*${escapeSlack(title)}*${text ? `\n${escapeSlack(text)}` : ""}`, 2900) },
+  }];
+
+  if (facts.length > 0) {
+    blocks.push({
+      type: "section",
+      // Sections hold at most 10 fields
+      fields: facts.slice(0, 10).map((fact) => ({
+        type: "mrkdwn",
+        text: `*${escapeSlack(fact.title)}*\n${escapeSlack(fact.value)}`,
+      })),
+    });
+  }
+
+  if (url) {
+    blocks.push({
+      type: "actions",
+      elements: [{ type: "button", text: { type: "plain_text", text: linkText }, url }],
+    });
+  }
+
+  // `text` is the notification fallback
+  return { text: title, blocks };
+}
+
+/**
+ * Microsoft Teams message with an Adaptive Card
+ */
+function toTeamsMessage({ title, text, facts = [], url, linkText }) {
+  const body = [{ type: "TextBlock", text: title, weight: "Bolder", size: "Medium", wrap: true }];
+
+  if (text) {
+    body.push({ type: "TextBlock", text, wrap: true });
+  }
+  if (facts.length > 0) {
+    body.push({ type: "FactSet", facts: facts.map((fact) => ({ title: fact.title, value: String(fact.value) })) });
+  }
+
+  return {
+    type: "message",
+    attachments: [{
+      contentType: "application/vnd.microsoft.card.adaptive",
+      contentUrl: null,
+      content: {
+        $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+        type: "AdaptiveCard",
+        version: "1.4",
+        body,
+        actions: url ? [{ type: "Action.OpenUrl", title: linkText, url }] : [],
+      },
+    }],
+  };
+}
+
+const FORMATTERS = {
+  slack: toSlackMessage,
+  teams: toTeamsMessage,
+};
+
+// ============================================
+// Posting
+// ============================================
+
+async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => "");
+    throw new Error(`Webhook responded with ${response.status}${text ? `: ${truncate(text, 200)}` : ""}`);
+  }
+}
+
+/**
+ * Post a message to one provider's channel
+ * Records the outcome on the channel so admins can see broken webhooks
+ */
+async function postToProvider(chatRef, provider, channel, message) {
+  try {
+    if (!isValidWebhookUrl(provider, channel.webhookUrl)) {
+      throw new Error(`Webhook URL must be an https URL on ${WEBHOOK_HOSTS[provider].join(", ")}`);
+    }
+
+    await postJson(channel.webhookUrl, FORMATTERS[provider](message));
+
+    if (channel.lastError) {
+      await chatRef.update({ [`${provider}.lastError`]: null, [`${provider}.lastErrorAt`]: null });
+    }
+    return true;
+  } catch (error) {
+    const lastError = error.name === "TimeoutError" ? "Request timed out" : error.message;
+    console.error(`Error posting to ${provider} for ${chatRef.path}:`, lastError);
+
+    await chatRef.update({
+      [`${provider}.lastError`]: lastError,
+      [`${provider}.lastErrorAt`]: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return false;
+  }
+}
+
+/**
+ * Post a message to every enabled channel of a project
+ */
+async function postToChannels(context, message) {
+  const providers = CHAT_PROVIDERS.filter((provider) => {
+    const channel = context.config[provider];
+    return channel && channel.webhookUrl && channel.enabled !== false;
+  });
+
+  const results = await Promise.all(providers.map((provider) =>
+    postToProvider(context.chatRef, provider, context.config[provider], message)
+  ));
+
+  return { posted: results.filter(Boolean).length, failed: results.filter((result) => !result).length };
+}
+
+function taskUrl(tenant, projectId, taskId) {
+  return `${APP_URL}/t/${tenant.slug}/projects/${projectId}?task=${taskId}`;
+}
+
+function projectUrl(tenant, projectId) {
+  return `${APP_URL}/t/${tenant.slug}/projects/${projectId}`;
+}
+
+/**
+ * Due label for a task, from the reminder email copy
+ */
+function dueLabel(language, days) {
+  if (days < 0) return translate(language, "dueReminder.overdue", { count: -days });
+  if (days === 0) return translate(language, "dueReminder.dueToday");
+  if (days === 1) return translate(language, "dueReminder.dueTomorrow");
+  return translate(language, "dueReminder.dueInDays", { count: days });
+}
+
+// ============================================
+// Triggers
+// ============================================
+
+/**
+ * Trigger: When a task is updated
+ * Action: Post assignments and status changes to the project's chat channels
+ */
+exports.postTaskUpdateToChat = onDocumentUpdated(
+  {
+    document: "tenants/{tenantId}/projects/{projectId}/tasks/{taskId}",
+  },
+  async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    const { tenantId, projectId, taskId } = event.params;
+
+    const assigned = after.assignedTo && before.assignedTo !== after.assignedTo;
+    const statusChanged = before.status !== after.status;
+    if (!assigned && !statusChanged) return null;
+
+    try {
+      const context = await loadChatContext(tenantId, projectId);
+      if (!context) return null;
+
+      const { config, tenant, project, language, locale, timeZone } = context;
+      const actorName = (await getUserName(after.updatedBy)) || translate(language, "common.someone");
+      const url = taskUrl(tenant, projectId, taskId);
+      const results = [];
+
+      if (assigned && isEventEnabled(config, "taskAssigned")) {
+        const assigneeName = (await getUserName(after.assignedTo)) || translate(language, "common.teamMember");
+        const facts = [
+          { title: translate(language, "chat.project"), value: project.title },
+          { title: translate(language, "chat.priority"), value: translate(language, `priorities.${after.priority || "medium"}`) },
+        ];
+        if (after.dueDate) {
+          facts.push({ title: translate(language, "chat.dueDate"), value: formatDate(after.dueDate, locale, timeZone) });
+        }
+
+        results.push(await postToChannels(context, {
+          title: translate(language, "chat.taskAssigned.title", { actorName, assigneeName, taskTitle: after.title }),
+          text: truncate(after.description, MAX_COMMENT_LENGTH),
+          facts,
+          url,
+          linkText: translate(language, "chat.viewTask"),
+        }));
+      }
+
+      if (statusChanged && isEventEnabled(config, "statusChange")) {
+        results.push(await postToChannels(context, {
+          title: translate(language, "chat.taskStatus.title", {
+            actorName,
+            taskTitle: after.title,
+            status: statusLabel(language, after.status),
+          }),
+          facts: [
+            { title: translate(language, "chat.project"), value: project.title },
+            { title: translate(language, "chat.previousStatus"), value: statusLabel(language, before.status) },
+          ],
+          url,
+          linkText: translate(language, "chat.viewTask"),
+        }));
+      }
+
+      return { success: true, results };
+    } catch (error) {
+      console.error(`Error posting task ${taskId} update to chat:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+);
+
+/**
+ * Trigger: When a comment is added to a task
+ * Action: Post it to the project's chat channels
+ */
+exports.postCommentToChat = onDocumentCreated(
+  {
+    document: "tenants/{tenantId}/projects/{projectId}/tasks/{taskId}/comments/{commentId}",
+  },
+  async (event) => {
+    if (!event.data) return null;
+    const comment = event.data.data();
+    const { tenantId, projectId, taskId } = event.params;
+
+    try {
+      const context = await loadChatContext(tenantId, projectId);
+      if (!context || !isEventEnabled(context.config, "comment")) return null;
+
+      const taskDoc = await admin.firestore()
+        .collection("tenants").doc(tenantId)
+        .collection("projects").doc(projectId)
+        .collection("tasks").doc(taskId)
+        .get();
+      if (!taskDoc.exists) return null;
+
+      const { tenant, project, language } = context;
+      const authorName = (await getUserName(comment.createdBy)) || translate(language, "common.someone");
+
+      const result = await postToChannels(context, {
+        title: translate(language, "chat.comment.title", { authorName, taskTitle: taskDoc.data().title }),
+        text: truncate(mentionsToText(comment.text), MAX_COMMENT_LENGTH),
+        facts: [{ title: translate(language, "chat.project"), value: project.title }],
+        url: taskUrl(tenant, projectId, taskId),
+        linkText: translate(language, "chat.viewComment"),
+      });
+
+      return { success: true, ...result };
+    } catch (error) {
+      console.error(`Error posting comment on task ${taskId} to chat:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+);
+
+/**
+ * Trigger: When a project is updated
+ * Action: Post status changes to the project's chat channels
+ */
+exports.postProjectStatusToChat = onDocumentUpdated(
+  {
+    document: "tenants/{tenantId}/projects/{projectId}",
+  },
+  async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    const { tenantId, projectId } = event.params;
+
+    if (before.status === after.status) return null;
+
+    try {
+      const context = await loadChatContext(tenantId, projectId);
+      if (!context || !isEventEnabled(context.config, "statusChange")) return null;
+
+      const { tenant, language } = context;
+      const actorName = (await getUserName(after.updatedBy)) || translate(language, "common.someone");
+
+      const result = await postToChannels(context, {
+        title: translate(language, "chat.projectStatus.title", {
+          actorName,
+          projectTitle: after.title,
+          status: statusLabel(language, after.status),
+        }),
+        facts: [{ title: translate(language, "chat.previousStatus"), value: statusLabel(language, before.status) }],
+        url: projectUrl(tenant, projectId),
+        linkText: translate(language, "chat.viewProject"),
+      });
+
+      return { success: true, ...result };
+    } catch (error) {
+      console.error(`Error posting project ${projectId} status to chat:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+);
+
+/**
+ * Post one project's due-soon summary: overdue tasks and tasks due today or tomorrow
+ */
+async function postDueSummary(chatDoc, now) {
+  const projectRef = chatDoc.ref.parent.parent;
+  const tenantId = projectRef.parent.parent.id;
+
+  const context = await loadChatContext(tenantId, projectRef.id);
+  if (!context || !isEventEnabled(context.config, "dueSummary")) return null;
+
+  const { tenant, project, language, locale, timeZone } = context;
+  const localTime = getLocalTime(now, timeZone);
+
+  // Posted once a day, in the tenant's morning
+  if (localTime.hour !== DUE_SUMMARY_HOUR || context.config.dueSummarySentFor === localTime.day) return null;
+
+  const tasksSnapshot = await projectRef.collection("tasks")
+    .where("status", "!=", "done")
+    .where("dueDate", ">=", admin.firestore.Timestamp.fromMillis(now.getTime() - OVERDUE_WINDOW_DAYS * DAY_MS))
+    .where("dueDate", "<=", admin.firestore.Timestamp.fromMillis(now.getTime() + 2 * DAY_MS))
+    .orderBy("dueDate")
+    .get();
+
+  const dueTasks = tasksSnapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data(), days: daysUntilDue(doc.data().dueDate, now, timeZone) }))
+    .filter((task) => task.days <= 1);
+
+  let result = { posted: 0, failed: 0 };
+
+  if (dueTasks.length > 0) {
+    const lines = dueTasks.slice(0, MAX_SUMMARY_TASKS).map((task) =>
+      `• ${task.title} (${dueLabel(language, task.days)}, ${formatDate(task.dueDate, locale, timeZone)})`
+    );
+    if (dueTasks.length > MAX_SUMMARY_TASKS) {
+      lines.push(translate(language, "chat.dueSummary.more", { count: dueTasks.length - MAX_SUMMARY_TASKS }));
+    }
+
+    result = await postToChannels(context, {
+      title: translate(language, "chat.dueSummary.title", { count: dueTasks.length, projectTitle: project.title }),
+      text: lines.join("\n"),
+      facts: [
+        {
+          title: translate(language, "chat.dueSummary.overdue"),
+          value: dueTasks.filter((task) => task.days < 0).length,
+        },
+        {
+          title: translate(language, "chat.dueSummary.dueSoon"),
+          value: dueTasks.filter((task) => task.days >= 0).length,
+        },
+      ],
+      url: projectUrl(tenant, projectRef.id),
+      linkText: translate(language, "chat.viewProject"),
+    });
+  }
+
+  await chatDoc.ref.update({ dueSummarySentFor: localTime.day });
+  return result;
+}
+
+/**
+ * Trigger: Every hour - Post the daily due-soon summary to projects whose
+ * tenant has just reached DUE_SUMMARY_HOUR
+ */
+exports.sendChatDueSummaries = onSchedule(
+  {
+    schedule: "0 * * * *",
+    timeZone: "UTC",
+  },
+  async (event) => {
+    const now = event.scheduleTime ? new Date(event.scheduleTime) : new Date();
+
+    const chatSnapshot = await admin.firestore()
+      .collectionGroup("meta")
+      .where("events.dueSummary", "==", true)
+      .get();
+
+    let posted = 0;
+    for (const chatDoc of chatSnapshot.docs) {
+      if (chatDoc.id !== CHAT_META_ID) continue;
+
+      try {
+        const result = await postDueSummary(chatDoc, now);
+        if (result) posted += result.posted;
+      } catch (error) {
+        console.error(`Error posting due summary for ${chatDoc.ref.path}:`, error);
+      }
+    }
+
+    console.log(`Posted ${posted} due summaries to chat`);
+    return { success: true, posted };
+  }
+);
+
+/**
+ * Callable: Post a test message to one of a project's chat channels
+ */
+exports.sendTestChatMessage = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "You must be signed in");
+  }
+
+  const { tenantId, projectId, provider } = request.data || {};
+  if (!tenantId || !projectId) {
+    throw new HttpsError("invalid-argument", "tenantId and projectId are required");
+  }
+  if (!CHAT_PROVIDERS.includes(provider)) {
+    throw new HttpsError("invalid-argument", `provider must be one of: ${CHAT_PROVIDERS.join(", ")}`);
+  }
+
+  const memberDoc = await admin.firestore()
+    .collection("tenants").doc(tenantId)
+    .collection("members").doc(request.auth.uid)
+    .get();
+
+  if (!memberDoc.exists || !["owner", "admin"].includes(memberDoc.data().role)) {
+    throw new HttpsError("permission-denied", "Only tenant admins can manage chat channels");
+  }
+
+  const context = await loadChatContext(tenantId, projectId);
+  const channel = context && context.config[provider];
+  if (!channel || !channel.webhookUrl) {
+    throw new HttpsError("failed-precondition", `The project has no ${provider} webhook`);
+  }
+
+  const { tenant, project, language } = context;
+  const posted = await postToProvider(context.chatRef, provider, channel, {
+    title: translate(language, "chat.test.title", { projectTitle: project.title }),
+    text: translate(language, "chat.test.text"),
+    url: projectUrl(tenant, projectId),
+    linkText: translate(language, "chat.viewProject"),
+  });
+
+  if (!posted) {
+    throw new HttpsError("unavailable", `The ${provider} webhook did not accept the message`);
+  }
+  return { success: true };
+});
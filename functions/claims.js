@@ -0,0 +1,101 @@
+/**
+ * Membership custom claims
+ * Storage rules can't afford a Firestore lookup for every role check, so each
+ * user's ID token carries their role in every tenant:
+ *   { tenants: { <tenantId>: "owner" | "admin" | "member" | "guest" } }
+ * syncMemberClaims rebuilds the claim whenever a member document is written
+ * and stamps users/{userId}.claimsUpdatedAt, which tells the app to refresh
+ * the ID token (getIdToken(true)) so the change applies straight away.
+ * Other tokens pick it up when they next refresh, within the hour.
+ *
+ * Guests' project lists are not in the claim (they can be long); storage.rules
+ * reads them from the member document.
+ *
+ * Existing members are backfilled with `node scripts/backfill-claims.js`.
+ */
+
+const { onDocumentWritten } = require("firebase-functions/v2/firestore");
+const admin = require("firebase-admin");
+
+const MEMBER_ROLES = ["owner", "admin", "member", "guest"];
+
+// Firebase rejects custom claims larger than 1000 bytes
+const MAX_CLAIMS_BYTES = 1000;
+
+/**
+ * Rebuild a user's tenant roles from their member documents
+ * `tenantIds` are checked on top of the tenants listed on the user document
+ */
+async function syncUserClaims(userId, tenantIds = []) {
+  let authUser;
+  try {
+    authUser = await admin.auth().getUser(userId);
+  } catch (error) {
+    if (error.code === "auth/user-not-found") {
+      console.log(`Claims not synced, no auth user ${userId}`);
+      return null;
+    }
+    throw error;
+  }
+
+  const userRef = admin.firestore().collection("users").doc(userId);
+  const userDoc = await userRef.get();
+  const candidates = [...new Set([...(userDoc.exists ? userDoc.data().tenants || [] : []), ...tenantIds])];
+
+  const memberDocs = candidates.length > 0
+    ? await admin.firestore().getAll(...candidates.map((tenantId) =>
+      admin.firestore().collection("tenants").doc(tenantId).collection("members").doc(userId)
+    ))
+    : [];
+
+  const tenants = {};
+  for (const memberDoc of memberDocs) {
+    const role = memberDoc.exists ? memberDoc.data().role : null;
+    if (MEMBER_ROLES.includes(role)) {
+      tenants[memberDoc.ref.parent.parent.id] = role;
+    }
+  }
+
+  // Keep claims set by anything else
+  const claims = { ...(authUser.customClaims || {}), tenants };
+  if (JSON.stringify(claims).length > MAX_CLAIMS_BYTES) {
+    throw new Error(`Custom claims for ${userId} exceed ${MAX_CLAIMS_BYTES} bytes (${Object.keys(tenants).length} tenants)`);
+  }
+
+  await admin.auth().setCustomUserClaims(userId, claims);
+
+  if (userDoc.exists) {
+    await userRef.update({ claimsUpdatedAt: admin.firestore.FieldValue.serverTimestamp() });
+  }
+
+  return tenants;
+}
+
+/**
+ * Trigger: When a member is added, changed or removed
+ * Action: Update the user's tenant roles in their custom claims
+ */
+exports.syncMemberClaims = onDocumentWritten(
+  {
+    document: "tenants/{tenantId}/members/{memberId}",
+  },
+  async (event) => {
+    const { tenantId, memberId } = event.params;
+    const before = event.data?.before?.exists ? event.data.before.data() : null;
+    const after = event.data?.after?.exists ? event.data.after.data() : null;
+
+    // Only the role matters to the claim
+    if (before && after && before.role === after.role) return null;
+
+    try {
+      const tenants = await syncUserClaims(memberId, [tenantId]);
+      console.log(`Synced claims for ${memberId}: ${tenants ? Object.keys(tenants).length : 0} tenants`);
+      return { success: true };
+    } catch (error) {
+      console.error(`Error syncing claims for ${memberId}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+);
+
+exports.syncUserClaims = syncUserClaims;
@@ -0,0 +1,46 @@
+/**
+ * Shared configuration for Cloud Functions
+ */
+
+const { defineSecret, defineString, defineInt } = require("firebase-functions/params");
+
+// Define secrets for Resend API key and webhook signing
+const resendApiKey = defineSecret("RESEND_API_KEY");
+const resendWebhookSecret = defineSecret("RESEND_WEBHOOK_SECRET");
+
+// Vault master key: 32 random bytes, base64 (the emulator uses a local key file instead)
+const vaultMasterKey = defineSecret("VAULT_MASTER_KEY");
+
+// Inbound email: signs reply-to addresses, and authenticates the provider's inbound webhook
+const inboundEmailSecret = defineSecret("INBOUND_EMAIL_SECRET");
+const inboundWebhookSecret = defineSecret("INBOUND_WEBHOOK_SECRET");
+
+// Public portal: build hook URL of the super-spiral site, POSTed to start a rebuild (empty to skip)
+const portalBuildHook = defineSecret("PORTAL_BUILD_HOOK");
+
+// Attachment virus scanner (clamd); no default, so a deploy without it fails
+// rather than leaving uploads unscanned. Set it in functions/.env
+const clamavHost = defineString("CLAMAV_HOST", { description: "Host of the clamd that scans task attachments" });
+const clamavPort = defineInt("CLAMAV_PORT", { default: 3310 });
+
+// App configuration
+const APP_URL = process.env.APP_URL || "https://app.erold.dev";
+const FROM_EMAIL = "Erold <noreply@erold.dev>";
+const INBOUND_EMAIL_DOMAIN = process.env.INBOUND_EMAIL_DOMAIN || "reply.erold.dev";
+// Base URL of the calendarFeed function, e.g. behind a hosting rewrite (defaults to its function URL)
+const CALENDAR_FEED_URL = process.env.CALENDAR_FEED_URL || null;
+
+module.exports = {
+  resendApiKey,
+  resendWebhookSecret,
+  vaultMasterKey,
+  inboundEmailSecret,
+  inboundWebhookSecret,
+  portalBuildHook,
+  clamavHost,
+  clamavPort,
+  APP_URL,
+  FROM_EMAIL,
+  INBOUND_EMAIL_DOMAIN,
+  CALENDAR_FEED_URL,
+};
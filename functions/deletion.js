@@ -0,0 +1,485 @@
+/**
+ * Tenant and project deletion
+ * Deleting is soft first: deleteTenant / deleteProject stamp the document with
+ *   deletedAt, deletedBy, purgeAt (DELETE_GRACE_DAYS later)
+ * and restoreTenant / restoreProject clear them again until the purge starts,
+ * and reschedule their recurring tasks (see recurring.js).
+ * The app hides deleted tenants and projects; reminders skip them.
+ *
+ * purgeDeletedData (daily) then hands every tenant and project past its purgeAt
+ * to the purgeDeleted task queue, which removes, in order:
+ *   1. Storage files under the tenant or project prefix (and their quarantine copies)
+ *   2. every subcollection, recursively
+ *   3. for tenants: the tenant from users.tenants, its invites and reply addresses
+ *   4. the document itself
+ * Each task works in batches until PURGE_BUDGET_MS and re-enqueues itself to
+ * carry on, so a purge of any size resumes where it stopped; a purge that gave
+ * up is started again by the next daily run. `purgeStartedAt` marks documents
+ * being purged; nothing can restore them after that.
+ *
+ * Tenants or projects deleted outright (console, Admin SDK) are purged the
+ * same way by the delete triggers. Removing a member strips the tenant from
+ * their users.tenants and unassigns their tasks and projects.
+ */
+
+const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const { onSchedule } = require("firebase-functions/v2/scheduler");
+const { onTaskDispatched } = require("firebase-functions/v2/tasks");
+const { onDocumentDeleted } = require("firebase-functions/v2/firestore");
+const admin = require("firebase-admin");
+const { getFunctions } = require("firebase-admin/functions");
+const { logActivity } = require("./activity");
+const { replanRecurringTasks } = require("./recurring");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DELETE_GRACE_DAYS = 30;
+
+const PURGE_QUEUE = "locations/europe-west1/functions/purgeDeleted";
+
+// Each purge task stops this long into its run and enqueues the rest
+const PURGE_BUDGET_MS = 7 * 60 * 1000;
+
+const BATCH_SIZE = 400;
+
+const PURGE_FIELDS = ["deletedAt", "deletedBy", "purgeAt"];
+
+function tenantRef(tenantId) {
+  return admin.firestore().collection("tenants").doc(tenantId);
+}
+
+function projectRef(tenantId, projectId) {
+  return tenantRef(tenantId).collection("projects").doc(projectId);
+}
+
+/**
+ * Firestore document and Storage prefix of a purge target
+ */
+function purgeTarget({ tenantId, projectId }) {
+  return projectId
+    ? { ref: projectRef(tenantId, projectId), prefix: `tenants/${tenantId}/projects/${projectId}/` }
+    : { ref: tenantRef(tenantId), prefix: `tenants/${tenantId}/` };
+}
+
+async function assertTenantRole(request, tenantId, roles) {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "You must be signed in");
+  }
+  if (!tenantId || typeof tenantId !== "string") {
+    throw new HttpsError("invalid-argument", "tenantId is required");
+  }
+
+  const memberDoc = await tenantRef(tenantId).collection("members").doc(request.auth.uid).get();
+  if (!memberDoc.exists || !roles.includes(memberDoc.data().role)) {
+    throw new HttpsError("permission-denied", `Only tenant ${roles.join(" or ")}s can do this`);
+  }
+}
+
+/**
+ * Soft-delete a tenant or project
+ */
+async function softDelete(ref, actorId, tenantId, entityType) {
+  const purgeAt = admin.firestore.Timestamp.fromMillis(Date.now() + DELETE_GRACE_DAYS * DAY_MS);
+
+  await admin.firestore().runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists) {
+      throw new HttpsError("not-found", `${entityType === "tenant" ? "Tenant" : "Project"} not found`);
+    }
+    if (doc.data().deletedAt) {
+      throw new HttpsError("failed-precondition", "Already deleted");
+    }
+
+    transaction.update(ref, {
+      deletedAt: admin.firestore.FieldValue.serverTimestamp(),
+      deletedBy: actorId,
+      purgeAt,
+    });
+
+    logActivity(transaction, tenantId, {
+      type: `${entityType}.deleted`,
+      actorId,
+      entityType,
+      entityId: ref.id,
+      data: { title: doc.data().title || doc.data().name || null, purgeAt: purgeAt.toDate().toISOString() },
+    });
+  });
+
+  return { success: true, purgeAt: purgeAt.toDate().toISOString() };
+}
+
+/**
+ * Undo a soft delete, unless the purge has started
+ */
+async function restore(ref, actorId, tenantId, entityType) {
+  await admin.firestore().runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists || doc.data().purgeStartedAt) {
+      throw new HttpsError("not-found", "Already permanently deleted");
+    }
+    if (!doc.data().deletedAt) {
+      throw new HttpsError("failed-precondition", "Not deleted");
+    }
+
+    transaction.update(ref, Object.fromEntries(PURGE_FIELDS.map((field) => [field, admin.firestore.FieldValue.delete()])));
+
+    logActivity(transaction, tenantId, {
+      type: `${entityType}.restored`,
+      actorId,
+      entityType,
+      entityId: ref.id,
+      data: { title: doc.data().title || doc.data().name || null },
+    });
+  });
+
+  return { success: true };
+}
+
+// ============================================
+// Purge
+// ============================================
+
+/**
+ * Delete every document below a document (not the document itself)
+ * Returns false if the deadline passed before it finished
+ */
+async function purgeSubcollections(docRef, writer, deadline) {
+  for (const collectionRef of await docRef.listCollections()) {
+    if (!(await purgeCollection(collectionRef, writer, deadline))) return false;
+  }
+  return true;
+}
+
+async function purgeCollection(collectionRef, writer, deadline) {
+  for (;;) {
+    if (Date.now() > deadline) return false;
+
+    const snapshot = await collectionRef.limit(BATCH_SIZE).get();
+    if (snapshot.empty) break;
+
+    for (const doc of snapshot.docs) {
+      if (!(await purgeSubcollections(doc.ref, writer, deadline))) return false;
+      writer.delete(doc.ref);
+    }
+    // Deletes must land before the next page is read, or it returns them again
+    await writer.flush();
+  }
+
+  // Documents that were deleted without their subcollections don't show up in queries
+  for (const docRef of await collectionRef.listDocuments()) {
+    if (!(await purgeSubcollections(docRef, writer, deadline))) return false;
+  }
+  return true;
+}
+
+async function purgeStorage(prefix, deadline) {
+  const bucket = admin.storage().bucket();
+
+  for (const filePrefix of [prefix, `quarantine/${prefix}`]) {
+    for (;;) {
+      if (Date.now() > deadline) return false;
+
+      const [files] = await bucket.getFiles({ prefix: filePrefix, maxResults: BATCH_SIZE, autoPaginate: false });
+      if (files.length === 0) break;
+
+      await Promise.all(files.map((file) => file.delete({ ignoreNotFound: true })));
+    }
+  }
+  return true;
+}
+
+/**
+ * Remove top-level references to a tenant: users.tenants, invites, reply addresses
+ */
+async function purgeTenantReferences(tenantId, writer, deadline) {
+  for (;;) {
+    if (Date.now() > deadline) return false;
+
+    const usersSnapshot = await admin.firestore()
+      .collection("users")
+      .where("tenants", "array-contains", tenantId)
+      .limit(BATCH_SIZE)
+      .get();
+    if (usersSnapshot.empty) break;
+
+    usersSnapshot.docs.forEach((doc) => {
+      writer.update(doc.ref, { tenants: admin.firestore.FieldValue.arrayRemove(tenantId) });
+    });
+    await writer.flush();
+  }
+
+  for (const collection of ["invites", "replyAddresses"]) {
+    for (;;) {
+      if (Date.now() > deadline) return false;
+
+      const snapshot = await admin.firestore()
+        .collection(collection)
+        .where("tenantId", "==", tenantId)
+        .limit(BATCH_SIZE)
+        .get();
+      if (snapshot.empty) break;
+
+      snapshot.docs.forEach((doc) => writer.delete(doc.ref));
+      await writer.flush();
+    }
+  }
+  return true;
+}
+
+/**
+ * Purge a tenant or project until done or out of time
+ * Returns true when everything, including the document, is gone
+ */
+async function purge(target, deadline) {
+  const { ref, prefix } = purgeTarget(target);
+  const writer = admin.firestore().bulkWriter();
+
+  try {
+    if (!(await purgeStorage(prefix, deadline))) return false;
+    if (!(await purgeSubcollections(ref, writer, deadline))) return false;
+    if (!target.projectId && !(await purgeTenantReferences(target.tenantId, writer, deadline))) return false;
+
+    writer.delete(ref);
+    return true;
+  } finally {
+    await writer.close();
+  }
+}
+
+/**
+ * Mark a document as being purged and queue the purge
+ */
+async function startPurge(target) {
+  const { ref } = purgeTarget(target);
+
+  const doc = await ref.get();
+  if (doc.exists && !doc.data().purgeStartedAt) {
+    await ref.update({ purgeStartedAt: admin.firestore.FieldValue.serverTimestamp() });
+  }
+
+  await getFunctions().taskQueue(PURGE_QUEUE).enqueue(target);
+  console.log(`Queued purge of ${ref.path}`);
+}
+
+/**
+ * Cloud Tasks worker: purge a tenant or project, a batch at a time
+ */
+exports.purgeDeleted = onTaskDispatched(
+  {
+    retryConfig: {
+      maxAttempts: 5,
+      minBackoffSeconds: 60,
+    },
+    rateLimits: {
+      maxConcurrentDispatches: 5,
+    },
+    timeoutSeconds: 540,
+    memory: "512MiB",
+  },
+  async (request) => {
+    const { tenantId, projectId } = request.data;
+    const target = projectId ? { tenantId, projectId } : { tenantId };
+
+    const done = await purge(target, Date.now() + PURGE_BUDGET_MS);
+
+    if (!done) {
+      await getFunctions().taskQueue(PURGE_QUEUE).enqueue(target);
+      console.log(`Purge of ${purgeTarget(target).ref.path} continues in a new task`);
+      return;
+    }
+
+    console.log(`Purged ${purgeTarget(target).ref.path}`);
+  }
+);
+
+/**
+ * Trigger: Daily at 3am - Purge tenants and projects whose grace period has ended
+ */
+exports.purgeDeletedData = onSchedule(
+  {
+    schedule: "0 3 * * *",
+    timeZone: "Europe/Luxembourg",
+  },
+  async () => {
+    const now = admin.firestore.Timestamp.now();
+
+    const [tenantsSnapshot, projectsSnapshot] = await Promise.all([
+      admin.firestore().collection("tenants").where("purgeAt", "<=", now).get(),
+      admin.firestore().collectionGroup("projects").where("purgeAt", "<=", now).get(),
+    ]);
+
+    const targets = [
+      ...tenantsSnapshot.docs.map((doc) => ({ tenantId: doc.id })),
+      // Projects of a tenant that is purged go with it
+      ...projectsSnapshot.docs
+        .map((doc) => ({ tenantId: doc.ref.parent.parent.id, projectId: doc.id }))
+        .filter((target) => !tenantsSnapshot.docs.some((doc) => doc.id === target.tenantId)),
+    ];
+
+    for (const target of targets) {
+      try {
+        await startPurge(target);
+      } catch (error) {
+        console.error(`Error starting purge of ${purgeTarget(target).ref.path}:`, error);
+      }
+    }
+
+    console.log(`Started ${targets.length} purges`);
+    return { success: true, started: targets.length };
+  }
+);
+
+// ============================================
+// Delete triggers
+// ============================================
+
+/**
+ * Trigger: When a tenant document is deleted
+ * Action: Purge what it leaves behind, unless a purge deleted it
+ */
+exports.cleanupDeletedTenant = onDocumentDeleted(
+  {
+    document: "tenants/{tenantId}",
+  },
+  async (event) => {
+    if (event.data && event.data.data().purgeStartedAt) return null;
+
+    await startPurge({ tenantId: event.params.tenantId });
+    return { success: true };
+  }
+);
+
+/**
+ * Trigger: When a project document is deleted
+ * Action: Purge what it leaves behind, unless a purge deleted it
+ */
+exports.cleanupDeletedProject = onDocumentDeleted(
+  {
+    document: "tenants/{tenantId}/projects/{projectId}",
+  },
+  async (event) => {
+    if (event.data && event.data.data().purgeStartedAt) return null;
+
+    // The tenant purge takes care of its projects
+    const tenantDoc = await tenantRef(event.params.tenantId).get();
+    if (!tenantDoc.exists || tenantDoc.data().purgeStartedAt) return null;
+
+    await startPurge({ tenantId: event.params.tenantId, projectId: event.params.projectId });
+    return { success: true };
+  }
+);
+
+/**
+ * Trigger: When a member is removed from a tenant
+ * Action: Remove the tenant from their users.tenants and unassign their tasks and projects
+ */
+exports.cleanupRemovedMember = onDocumentDeleted(
+  {
+    document: "tenants/{tenantId}/members/{memberId}",
+  },
+  async (event) => {
+    const { tenantId, memberId } = event.params;
+
+    try {
+      await admin.firestore().collection("users").doc(memberId).update({
+        tenants: admin.firestore.FieldValue.arrayRemove(tenantId),
+      }).catch((error) => {
+        // NOT_FOUND: the user document is already gone
+        if (error.code !== 5) throw error;
+      });
+
+      // Tasks and projects go away with a purged tenant anyway
+      const tenantDoc = await tenantRef(tenantId).get();
+      if (!tenantDoc.exists || tenantDoc.data().purgeStartedAt) return { success: true };
+
+      const writer = admin.firestore().bulkWriter();
+      const timestamp = admin.firestore.FieldValue.serverTimestamp();
+
+      const tasksSnapshot = await admin.firestore()
+        .collectionGroup("tasks")
+        .where("assignedTo", "==", memberId)
+        .get();
+      const tenantTasks = tasksSnapshot.docs.filter((doc) => doc.ref.path.startsWith(`tenants/${tenantId}/`));
+
+      tenantTasks.forEach((doc) => {
+        writer.update(doc.ref, { assignedTo: null, updatedAt: timestamp, updatedBy: null, source: "system" });
+      });
+
+      const projectsSnapshot = await tenantRef(tenantId)
+        .collection("projects")
+        .where("assignedUsers", "array-contains", memberId)
+        .get();
+
+      projectsSnapshot.docs.forEach((doc) => {
+        writer.update(doc.ref, {
+          assignedUsers: admin.firestore.FieldValue.arrayRemove(memberId),
+          updatedAt: timestamp,
+        });
+      });
+
+      await writer.close();
+
+      console.log(`Member ${memberId} removed from ${tenantId}: unassigned ${tenantTasks.length} tasks, ${projectsSnapshot.size} projects`);
+      return { success: true, tasks: tenantTasks.length, projects: projectsSnapshot.size };
+    } catch (error) {
+      console.error(`Error cleaning up after member ${memberId} left ${tenantId}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+);
+
+// ============================================
+// Callables
+// ============================================
+
+/**
+ * Callable: Delete a tenant (owner only), restorable for DELETE_GRACE_DAYS
+ */
+exports.deleteTenant = onCall(async (request) => {
+  const { tenantId } = request.data || {};
+  await assertTenantRole(request, tenantId, ["owner"]);
+
+  return softDelete(tenantRef(tenantId), request.auth.uid, tenantId, "tenant");
+});
+
+/**
+ * Callable: Restore a deleted tenant (owner only)
+ */
+exports.restoreTenant = onCall(async (request) => {
+  const { tenantId } = request.data || {};
+  await assertTenantRole(request, tenantId, ["owner"]);
+
+  const result = await restore(tenantRef(tenantId), request.auth.uid, tenantId, "tenant");
+  await replanRecurringTasks(tenantId)
+    .catch((error) => console.error(`Error rescheduling recurring tasks of tenant ${tenantId}:`, error));
+  return result;
+});
+
+/**
+ * Callable: Delete a project (admins), restorable for DELETE_GRACE_DAYS
+ */
+exports.deleteProject = onCall(async (request) => {
+  const { tenantId, projectId } = request.data || {};
+  await assertTenantRole(request, tenantId, ["owner", "admin"]);
+  if (!projectId || typeof projectId !== "string") {
+    throw new HttpsError("invalid-argument", "projectId is required");
+  }
+
+  return softDelete(projectRef(tenantId, projectId), request.auth.uid, tenantId, "project");
+});
+
+/**
+ * Callable: Restore a deleted project (admins)
+ */
+exports.restoreProject = onCall(async (request) => {
+  const { tenantId, projectId } = request.data || {};
+  await assertTenantRole(request, tenantId, ["owner", "admin"]);
+  if (!projectId || typeof projectId !== "string") {
+    throw new HttpsError("invalid-argument", "projectId is required");
+  }
+
+  const result = await restore(projectRef(tenantId, projectId), request.auth.uid, tenantId, "project");
+  await replanRecurringTasks(tenantId, projectId)
+    .catch((error) => console.error(`Error rescheduling recurring tasks of project ${projectId}:`, error));
+  return result;
+});
@@ -0,0 +1,318 @@
+/**
+ * Task history and activity log
+ * Firestore triggers record every write to projects, tasks, comments, members
+ * and vault entries: a tenants/{tenantId}/activityLog entry for each, plus a
+ * tasks/{taskId}/history entry for tasks and their comments. Clients cannot
+ * write either collection, so the audit trail can't be forged.
+ *
+ * Entries carry field-level `changes` ({ field, from, to }) and who made the
+ * change:
+ *   - client writes: the signed-in user, source "app"
+ *   - Admin SDK writes (REST API, agents, other functions): the document's
+ *     `updatedBy`/`createdBy`, `source` and `agentId`, or source "system"
+ *
+ * Vault entries only record which fields changed, never their values.
+ * Because entries span every project, guests can't read the activity log (see
+ * firestore.rules); they see the history of tasks they have access to.
+ * Entries use the event id as document id, so retried events don't duplicate them.
+ */
+
+const { onDocumentWrittenWithAuthContext } = require("firebase-functions/v2/firestore");
+const admin = require("firebase-admin");
+const { logActivity } = require("./activity");
+
+// Bookkeeping fields that are never reported as changes
+const IGNORED_FIELDS = ["createdAt", "updatedAt", "updatedBy", "source", "apiKeyId", "agentId"];
+
+// Long values (descriptions, comment text) are cut down in entries
+const MAX_VALUE_LENGTH = 500;
+
+const SERVER_AUTH_TYPES = ["service_account", "system"];
+
+/**
+ * Convert a Firestore value to plain JSON-friendly data for an entry
+ */
+function serializeValue(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof admin.firestore.Timestamp) return value.toDate().toISOString();
+  if (value instanceof admin.firestore.DocumentReference) return value.path;
+  if (Array.isArray(value)) return value.map(serializeValue);
+  if (typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, serializeValue(item)]));
+  }
+  if (typeof value === "string" && value.length > MAX_VALUE_LENGTH) {
+    return `${value.substring(0, MAX_VALUE_LENGTH)}...`;
+  }
+  return value;
+}
+
+function isEqualValue(a, b) {
+  if (a === b) return true;
+  if (a === undefined || a === null || b === undefined || b === null) return (a ?? null) === (b ?? null);
+  if (typeof a.isEqual === "function") return a.isEqual(b);
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) &&
+      a.length === b.length && a.every((item, index) => isEqualValue(item, b[index]));
+  }
+  if (typeof a === "object" && typeof b === "object") {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every((key) => isEqualValue(a[key], b[key]));
+  }
+  return false;
+}
+
+/**
+ * Top-level fields that differ between two versions of a document
+ */
+function diffFields(before, after, { ignoredFields = [], redactValues = false } = {}) {
+  const ignored = [...IGNORED_FIELDS, ...ignoredFields];
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  return [...fields]
+    .filter((field) => !ignored.includes(field) && !isEqualValue(before[field], after[field]))
+    .sort()
+    .map((field) => (redactValues
+      ? { field }
+      : { field, from: serializeValue(before[field]), to: serializeValue(after[field]) }));
+}
+
+/**
+ * Who made a write: the signed-in user for client writes, otherwise whoever
+ * the server-side writer recorded on the document
+ */
+function getActor(event, data, actorFields) {
+  if (event.authId && !SERVER_AUTH_TYPES.includes(event.authType)) {
+    return { actorId: event.authId, source: "app", agentId: null };
+  }
+
+  const source = data.source || "system";
+  return {
+    actorId: actorFields.map((field) => data[field]).find(Boolean) || null,
+    source,
+    agentId: source === "agent" ? data.agentId || null : null,
+  };
+}
+
+/**
+ * Whether the tenant, or the project a document belongs to, is being purged
+ */
+async function isBeingPurged({ tenantId, projectId }) {
+  const refs = [admin.firestore().collection("tenants").doc(tenantId)];
+  if (projectId) {
+    refs.push(refs[0].collection("projects").doc(projectId));
+  }
+
+  const docs = await admin.firestore().getAll(...refs);
+  return docs.some((doc) => !doc.exists || doc.data().purgeStartedAt);
+}
+
+/**
+ * Record a document write in the activity log, and optionally a history collection
+ */
+async function recordWrite(event, options) {
+  const {
+    tenantId,
+    entityType,
+    entityId,
+    context = {},
+    historyRef = null,
+    actorFields = ["updatedBy", "createdBy"],
+    ignoredFields,
+    redactValues,
+  } = options;
+
+  const before = event.data?.before?.exists ? event.data.before.data() : null;
+  const after = event.data?.after?.exists ? event.data.after.data() : null;
+  if (!before && !after) return null;
+
+  const action = !before ? "created" : !after ? "deleted" : "updated";
+
+  // Documents removed by a tenant or project purge (see deletion.js) aren't logged
+  if (action === "deleted" && await isBeingPurged(event.params)) return null;
+  // Nor are documents restored by a tenant import (see portability.js)
+  if (action === "created" && after.importId && SERVER_AUTH_TYPES.includes(event.authType)) return null;
+  const changes = action === "deleted" ? [] : diffFields(before || {}, after, { ignoredFields, redactValues });
+
+  // Writes that only touched bookkeeping fields aren't worth an entry
+  if (action === "updated" && changes.length === 0) return null;
+
+  const data = after || before;
+  const actor = getActor(event, data, actorFields);
+  const type = `${entityType}.${action}`;
+  const title = data.title || data.name || null;
+
+  const batch = admin.firestore().batch();
+
+  logActivity(batch, tenantId, {
+    id: event.id,
+    type,
+    ...actor,
+    entityType,
+    entityId,
+    data: { ...context, title, changes },
+  });
+
+  if (historyRef) {
+    batch.set(historyRef.doc(event.id), {
+      type,
+      ...actor,
+      entityType,
+      entityId,
+      changes,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  await batch.commit();
+  return { type, changes: changes.length };
+}
+
+function taskHistoryRef(params) {
+  return admin.firestore()
+    .collection("tenants").doc(params.tenantId)
+    .collection("projects").doc(params.projectId)
+    .collection("tasks").doc(params.taskId)
+    .collection("history");
+}
+
+/**
+ * Trigger: When a project is created, updated or deleted
+ * Action: Write an activity log entry
+ */
+exports.recordProjectHistory = onDocumentWrittenWithAuthContext(
+  {
+    document: "tenants/{tenantId}/projects/{projectId}",
+  },
+  async (event) => {
+    const { tenantId, projectId } = event.params;
+
+    try {
+      return await recordWrite(event, {
+        tenantId,
+        entityType: "project",
+        entityId: projectId,
+        // Deletion is logged by deleteProject / restoreProject (see deletion.js);
+        // calendarFeed holds a token hash (see calendar.js)
+        ignoredFields: ["deletedAt", "deletedBy", "purgeAt", "purgeStartedAt", "calendarFeed"],
+      });
+    } catch (error) {
+      console.error(`Error recording history for project ${projectId}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+);
+
+/**
+ * Trigger: When a task is created, updated or deleted
+ * Action: Write task history and an activity log entry
+ */
+exports.recordTaskHistory = onDocumentWrittenWithAuthContext(
+  {
+    document: "tenants/{tenantId}/projects/{projectId}/tasks/{taskId}",
+  },
+  async (event) => {
+    const { tenantId, projectId, taskId } = event.params;
+    const deleted = !event.data?.after?.exists;
+
+    try {
+      return await recordWrite(event, {
+        tenantId,
+        entityType: "task",
+        entityId: taskId,
+        context: { projectId },
+        // A deleted task has nobody left to read its history
+        historyRef: deleted ? null : taskHistoryRef(event.params),
+        // Kept by the reminder, recurring task and agent queue functions
+        ignoredFields: ["overdueEscalatedFor", "recurrenceState", "agentRun"],
+      });
+    } catch (error) {
+      console.error(`Error recording history for task ${taskId}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+);
+
+/**
+ * Trigger: When a comment is added, edited or deleted
+ * Action: Write task history and an activity log entry
+ */
+exports.recordCommentHistory = onDocumentWrittenWithAuthContext(
+  {
+    document: "tenants/{tenantId}/projects/{projectId}/tasks/{taskId}/comments/{commentId}",
+  },
+  async (event) => {
+    const { tenantId, projectId, taskId, commentId } = event.params;
+
+    try {
+      return await recordWrite(event, {
+        tenantId,
+        entityType: "comment",
+        entityId: commentId,
+        context: { projectId, taskId },
+        historyRef: taskHistoryRef(event.params),
+        actorFields: ["updatedBy", "authorId", "createdBy"],
+      });
+    } catch (error) {
+      console.error(`Error recording history for comment ${commentId}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+);
+
+/**
+ * Trigger: When a member is added, changed or removed
+ * Action: Write an activity log entry
+ */
+exports.recordMemberHistory = onDocumentWrittenWithAuthContext(
+  {
+    document: "tenants/{tenantId}/members/{memberId}",
+  },
+  async (event) => {
+    const { tenantId, memberId } = event.params;
+
+    // acceptInvite logs "member.joined" in the same transaction that creates the member
+    const created = !event.data?.before?.exists && event.data?.after?.exists;
+    if (created && event.data.after.data().inviteId) return null;
+
+    try {
+      return await recordWrite(event, {
+        tenantId,
+        entityType: "member",
+        entityId: memberId,
+        actorFields: ["updatedBy", "invitedBy"],
+      });
+    } catch (error) {
+      console.error(`Error recording history for member ${memberId}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+);
+
+/**
+ * Trigger: When a vault entry is created, updated or deleted
+ * Action: Write an activity log entry naming the changed fields (never their values)
+ */
+exports.recordVaultHistory = onDocumentWrittenWithAuthContext(
+  {
+    document: "tenants/{tenantId}/projects/{projectId}/vault/{entryId}",
+  },
+  async (event) => {
+    const { tenantId, projectId, entryId } = event.params;
+
+    try {
+      return await recordWrite(event, {
+        tenantId,
+        entityType: "vault_entry",
+        entityId: entryId,
+        context: { projectId },
+        redactValues: true,
+      });
+    } catch (error) {
+      console.error(`Error recording history for vault entry ${entryId}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+);
+
+exports.diffFields = diffFields;
+exports.isBeingPurged = isBeingPurged;
@@ -0,0 +1,380 @@
+/**
+ * Inbound email replies
+ * Comment notification emails are sent with a per-task, per-user reply-to
+ * address:
+ *   reply+<addressId>.<signature>@<INBOUND_EMAIL_DOMAIN>
+ * addressId names a replyAddresses document (tenant, project, task, user) and
+ * the signature is an HMAC of it with INBOUND_EMAIL_SECRET, so addresses can't
+ * be guessed or forged.
+ *
+ * The email provider's inbound route POSTs every received message to
+ * inboundEmail as raw MIME (Content-Type: message/rfc822), authenticated with
+ * `Authorization: Bearer <INBOUND_WEBHOOK_SECRET>`. The reply, minus quoted
+ * history and signature, becomes a comment by the address's user (who must
+ * also be the sender and still have access to the project), and attachments
+ * are saved under the task's attachments storage path. The comment triggers
+ * then notify the other participants as for any other comment.
+ *
+ * Rejected messages are answered with 200 so the provider doesn't retry them;
+ * they are only logged.
+ */
+
+const { onRequest } = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const crypto = require("crypto");
+const path = require("path");
+const { simpleParser } = require("mailparser");
+const sanitizeHtml = require("sanitize-html");
+const { inboundEmailSecret, inboundWebhookSecret, INBOUND_EMAIL_DOMAIN } = require("./config");
+
+const ADDRESS_PREFIX = "reply+";
+
+// Hex only: some mail servers lowercase the local part
+const ADDRESS_ID_LENGTH = 24;
+const SIGNATURE_LENGTH = 16;
+
+const MAX_COMMENT_LENGTH = 10000;
+
+const MAX_ATTACHMENTS = 10;
+const MAX_ATTACHMENT_SIZE = 25 * 1024 * 1024;
+
+// Same list as isDocument() in storage.rules; other types, HTML in particular,
+// are stored as application/octet-stream so they are only ever downloaded
+const DOCUMENT_TYPE = /^(image\/(png|jpeg|gif|webp|avif)|application\/pdf|text\/(plain|csv|markdown)|application\/(json|zip|msword|vnd\.ms-(excel|powerpoint)|vnd\.openxmlformats-officedocument\..+|vnd\.oasis\.opendocument\..+)|audio\/.+|video\/.+)$/;
+
+// Firestore "already exists" error code
+const ALREADY_EXISTS = 6;
+
+// Lines that start the quoted original message; everything from there on is dropped
+const QUOTE_HEADER_PATTERNS = [
+  /^On\b[\s\S]*\bwrote:$/, // Gmail, Apple Mail (en)
+  /^Le\b[\s\S]*\ba écrit\s?:$/, // fr
+  /^Am\b[\s\S]*\bschrieb[\s\S]*:$/, // de
+  /^-{2,}\s*(Original Message|Message d'origine|Ursprüngliche Nachricht)\s*-{2,}$/i,
+  /^_{10,}$/, // Outlook separator
+  /^(From|De|Von)\s?:\s.+$/, // Outlook header block
+];
+
+// Lines that start a signature; everything from there on is dropped
+const SIGNATURE_PATTERNS = [
+  /^--\s?$/,
+  /^(Sent from|Envoyé de|Von meinem) .+$/i,
+  /^Get Outlook for .+$/i,
+];
+
+function hash(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function signAddressId(addressId) {
+  return crypto.createHmac("sha256", inboundEmailSecret.value())
+    .update(addressId)
+    .digest("hex")
+    .substring(0, SIGNATURE_LENGTH);
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Reply-to address for a user's notifications about a task
+ * Functions calling this must list inboundEmailSecret in their secrets
+ */
+async function getReplyAddress({ tenantId, projectId, taskId, userId }) {
+  const addressId = hash(`${tenantId}:${projectId}:${taskId}:${userId}`).substring(0, ADDRESS_ID_LENGTH);
+
+  await admin.firestore().collection("replyAddresses").doc(addressId).set({
+    tenantId,
+    projectId,
+    taskId,
+    userId,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  }, { merge: true });
+
+  return `${ADDRESS_PREFIX}${addressId}.${signAddressId(addressId)}@${INBOUND_EMAIL_DOMAIN}`;
+}
+
+/**
+ * Find our reply address among a message's recipients
+ * Returns the addressId, or null if none is present and correctly signed
+ */
+function findAddressId(parsed) {
+  const recipients = ["to", "cc"]
+    .flatMap((field) => (parsed[field] ? [].concat(parsed[field]) : []))
+    .flatMap((addressObject) => addressObject.value || [])
+    .map((address) => (address.address || "").toLowerCase());
+
+  const domainSuffix = `@${INBOUND_EMAIL_DOMAIN.toLowerCase()}`;
+
+  for (const address of recipients) {
+    if (!address.startsWith(ADDRESS_PREFIX) || !address.endsWith(domainSuffix)) continue;
+
+    const token = address.slice(ADDRESS_PREFIX.length, -domainSuffix.length);
+    const [addressId, signature] = token.split(".");
+    if (addressId && signature && safeEqual(signature, signAddressId(addressId))) {
+      return addressId;
+    }
+  }
+  return null;
+}
+
+/**
+ * Plain text of a message, from its text part or its HTML
+ */
+function getMessageText(parsed) {
+  if (parsed.text) return parsed.text;
+  if (!parsed.html) return "";
+
+  const withBreaks = parsed.html
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|li|h[1-6])>/gi, "\n")
+    // Quoted history in HTML replies is usually a blockquote
+    .replace(/<blockquote[\s\S]*$/i, "");
+
+  return sanitizeHtml(withBreaks, { allowedTags: [], allowedAttributes: {} })
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&#39;/g, "'");
+}
+
+/**
+ * Strip quoted history and signatures from a reply
+ */
+function stripReply(text) {
+  const lines = text.replace(/\r\n/g, "\n").split("\n");
+  const kept = [];
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index].trim();
+
+    // Quote headers are sometimes wrapped over two lines ("On ... <x@y>\nwrote:")
+    const twoLines = index + 1 < lines.length ? `${line} ${lines[index + 1].trim()}` : line;
+
+    const isQuoteHeader = QUOTE_HEADER_PATTERNS.some((pattern) => pattern.test(line) || pattern.test(twoLines));
+    const isSignature = SIGNATURE_PATTERNS.some((pattern) => pattern.test(lines[index]) || pattern.test(line));
+    if (isQuoteHeader || isSignature) break;
+
+    kept.push(lines[index]);
+  }
+
+  // Clients that don't add a quote header still prefix the quote with ">"
+  while (kept.length > 0 && (kept[kept.length - 1].trim() === "" || kept[kept.length - 1].startsWith(">"))) {
+    kept.pop();
+  }
+
+  return kept.join("\n").trim();
+}
+
+/**
+ * File name that is safe as a storage object name
+ */
+function safeFileName(filename) {
+  const base = path.basename(filename || "attachment").replace(/[^\w.\- ]+/g, "_").trim();
+  return base.substring(0, 100) || "attachment";
+}
+
+/**
+ * Save a reply's attachments to storage and the task's attachments collection
+ * Inline images (signature logos and the like) are skipped
+ */
+async function saveAttachments(taskRef, { tenantId, projectId, taskId, userId, commentId }, attachments) {
+  const bucket = admin.storage().bucket();
+  const saved = [];
+
+  const files = attachments
+    .filter((attachment) => !attachment.related && attachment.contentDisposition !== "inline")
+    .slice(0, MAX_ATTACHMENTS);
+
+  for (const attachment of files) {
+    if (attachment.size > MAX_ATTACHMENT_SIZE) {
+      console.warn(`Skipped attachment ${attachment.filename} on comment ${commentId}: too large`);
+      continue;
+    }
+
+    const attachmentRef = taskRef.collection("attachments").doc(`${commentId}-${saved.length}`);
+    const name = safeFileName(attachment.filename);
+    const storagePath = `tenants/${tenantId}/projects/${projectId}/tasks/${taskId}/attachments/${attachmentRef.id}-${name}`;
+    const contentType = DOCUMENT_TYPE.test((attachment.contentType || "").toLowerCase())
+      ? attachment.contentType.toLowerCase()
+      : "application/octet-stream";
+
+    await bucket.file(storagePath).save(attachment.content, {
+      resumable: false,
+      contentType,
+      metadata: {
+        metadata: { attachmentId: attachmentRef.id, uploadedBy: userId, scanStatus: "pending", commentId, source: "email" },
+      },
+    });
+
+    const record = {
+      name,
+      path: storagePath,
+      contentType,
+      size: attachment.size,
+    };
+
+    // processAttachmentUpload may already have written the scan fields
+    await attachmentRef.set({
+      ...record,
+      uploadedBy: userId,
+      commentId,
+      source: "email",
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+
+    saved.push({ id: attachmentRef.id, ...record });
+  }
+
+  return saved;
+}
+
+/**
+ * Check the address's user may still comment on the task
+ * Returns the user, or a reason the reply is rejected
+ */
+async function checkSender(address, fromAddress) {
+  const { tenantId, projectId, userId } = address;
+
+  const [userDoc, memberDoc] = await Promise.all([
+    admin.firestore().collection("users").doc(userId).get(),
+    admin.firestore().collection("tenants").doc(tenantId).collection("members").doc(userId).get(),
+  ]);
+
+  if (!userDoc.exists) return { reason: "user not found" };
+
+  const user = userDoc.data();
+  if (!user.email || user.email.toLowerCase() !== fromAddress) {
+    return { reason: `sender ${fromAddress} is not the address owner` };
+  }
+
+  if (!memberDoc.exists) return { reason: "user is no longer a tenant member" };
+
+  const member = memberDoc.data();
+  if (member.role === "guest" && !(member.projectIds || []).includes(projectId)) {
+    return { reason: "guest has no access to the project" };
+  }
+
+  return { user };
+}
+
+/**
+ * Turn a parsed reply into a comment
+ */
+async function handleReply(parsed) {
+  const addressId = findAddressId(parsed);
+  if (!addressId) return { status: "ignored", reason: "no valid reply address" };
+
+  const addressDoc = await admin.firestore().collection("replyAddresses").doc(addressId).get();
+  if (!addressDoc.exists) return { status: "rejected", reason: "unknown reply address" };
+
+  const address = addressDoc.data();
+  const { tenantId, projectId, taskId, userId } = address;
+
+  const fromAddress = (parsed.from?.value?.[0]?.address || "").toLowerCase();
+  const sender = await checkSender(address, fromAddress);
+  if (!sender.user) return { status: "rejected", reason: sender.reason };
+
+  const taskRef = admin.firestore()
+    .collection("tenants").doc(tenantId)
+    .collection("projects").doc(projectId)
+    .collection("tasks").doc(taskId);
+
+  const taskDoc = await taskRef.get();
+  if (!taskDoc.exists) return { status: "rejected", reason: "task not found" };
+
+  const text = stripReply(getMessageText(parsed)).substring(0, MAX_COMMENT_LENGTH);
+  const attachments = parsed.attachments || [];
+  if (!text && attachments.length === 0) return { status: "rejected", reason: "empty reply" };
+
+  // Providers retry deliveries; the same message always maps to the same comment
+  const messageKey = parsed.messageId || hash(parsed.text || parsed.html || "");
+  const commentRef = taskRef.collection("comments").doc(hash(`${messageKey}:${addressId}`).substring(0, 20));
+
+  const existing = await commentRef.get();
+  if (existing.exists) return { status: "duplicate", commentId: commentRef.id };
+
+  const savedAttachments = await saveAttachments(taskRef, { ...address, commentId: commentRef.id }, attachments);
+  const timestamp = admin.firestore.FieldValue.serverTimestamp();
+
+  try {
+    await commentRef.create({
+      text,
+      authorId: userId,
+      attachments: savedAttachments,
+      createdAt: timestamp,
+      createdBy: userId,
+      updatedAt: timestamp,
+      updatedBy: userId,
+      source: "email",
+      emailMessageId: parsed.messageId || null,
+    });
+  } catch (error) {
+    if (error.code !== ALREADY_EXISTS) throw error;
+    return { status: "duplicate", commentId: commentRef.id };
+  }
+
+  await addressDoc.ref.update({ lastUsedAt: timestamp });
+  return { status: "created", commentId: commentRef.id, attachments: savedAttachments.length };
+}
+
+/**
+ * HTTPS: Inbound email webhook
+ * Receives replies to notification emails as raw MIME and adds them as comments
+ */
+exports.inboundEmail = onRequest(
+  {
+    secrets: [inboundEmailSecret, inboundWebhookSecret],
+    memory: "512MiB",
+  },
+  async (req, res) => {
+    if (req.method !== "POST") {
+      res.status(405).send("Method not allowed");
+      return;
+    }
+
+    const authorization = req.get("authorization") || "";
+    if (!safeEqual(authorization, `Bearer ${inboundWebhookSecret.value()}`)) {
+      console.warn("Rejected inbound email with invalid credentials");
+      res.status(401).send("Unauthorized");
+      return;
+    }
+
+    if (!req.rawBody || req.rawBody.length === 0) {
+      res.status(400).send("Expected a raw MIME message");
+      return;
+    }
+
+    let parsed;
+    try {
+      parsed = await simpleParser(req.rawBody);
+    } catch (error) {
+      console.warn("Rejected inbound email that could not be parsed:", error.message);
+      res.status(400).send("Invalid MIME message");
+      return;
+    }
+
+    try {
+      const result = await handleReply(parsed);
+
+      if (result.status === "created") {
+        console.log(`Email reply ${parsed.messageId} added as comment ${result.commentId}`);
+      } else {
+        console.log(`Email reply ${parsed.messageId} ${result.status}: ${result.reason || result.commentId}`);
+      }
+
+      res.status(200).json(result);
+    } catch (error) {
+      // 500 lets the provider retry; the comment id makes the retry safe
+      console.error("Error handling inbound email:", error);
+      res.status(500).send("Error");
+    }
+  }
+);
+
+exports.getReplyAddress = getReplyAddress;
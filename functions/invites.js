@@ -0,0 +1,513 @@
+/**
+ * Tenant invites
+ * Admins create invites/{inviteId} from the app; the invite id is the secret
+ * token in the accept link. Everything after that happens here:
+ *
+ *   - sendInviteEmail: sets `expiresAt` and emails the invite
+ *   - acceptInvite: checks the token, verified email and expiry, then creates the
+ *     member, adds the tenant to users/{uid}.tenants and logs the join, all in
+ *     one transaction
+ *   - resendInvite: emails a pending or expired invite again with a new expiry
+ *   - revokeInvite: cancels a pending invite
+ *   - expireInvites: marks invites past `expiresAt` as expired and reminds
+ *     tenant admins about invites that are still pending
+ *
+ * Tenant imports (portability.js) invite the archive's members through
+ * createInvite instead.
+ *
+ * Invite status: pending -> accepted | revoked | expired (expired invites can
+ * be resent, which makes them pending again)
+ */
+
+const { onDocumentCreated } = require("firebase-functions/v2/firestore");
+const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const { onSchedule } = require("firebase-functions/v2/scheduler");
+const admin = require("firebase-admin");
+const { APP_URL } = require("./config");
+const { renderEmail, resolveLocale, translate } = require("./templates");
+const { queueEmail } = require("./mail");
+const { notifyUser } = require("./notifications");
+const { logActivity } = require("./activity");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const INVITE_TTL_DAYS = 7;
+
+// Admins are reminded once about invites pending for this long
+const PENDING_REMINDER_DAYS = 3;
+
+const INVITE_ROLES = ["admin", "member", "guest"];
+
+// Firestore batches are limited to 500 writes
+const BATCH_SIZE = 400;
+
+function inviteExpiry(fromMillis = Date.now()) {
+  return admin.firestore.Timestamp.fromMillis(fromMillis + INVITE_TTL_DAYS * DAY_MS);
+}
+
+/**
+ * Invites created before expiry was tracked expire INVITE_TTL_DAYS after creation
+ */
+function isExpired(invite) {
+  const expiresAt = invite.expiresAt || (invite.createdAt && inviteExpiry(invite.createdAt.toMillis()));
+  return Boolean(expiresAt) && expiresAt.toMillis() <= Date.now();
+}
+
+function normalizeEmail(email) {
+  return typeof email === "string" ? email.trim().toLowerCase() : "";
+}
+
+/**
+ * Check that the caller of a callable function is an admin of the tenant
+ */
+async function assertTenantAdmin(tenantId, uid) {
+  const memberDoc = await admin.firestore()
+    .collection("tenants").doc(tenantId)
+    .collection("members").doc(uid)
+    .get();
+
+  if (!memberDoc.exists || !["owner", "admin"].includes(memberDoc.data().role)) {
+    throw new HttpsError("permission-denied", "Only tenant admins can manage invites");
+  }
+}
+
+/**
+ * Load an invite for an admin action, checking the caller manages its tenant
+ */
+async function getManagedInvite(request) {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "You must be signed in");
+  }
+
+  const { inviteId } = request.data || {};
+  if (!inviteId || typeof inviteId !== "string") {
+    throw new HttpsError("invalid-argument", "inviteId is required");
+  }
+
+  const inviteRef = admin.firestore().collection("invites").doc(inviteId);
+  const inviteDoc = await inviteRef.get();
+  if (!inviteDoc.exists) {
+    throw new HttpsError("not-found", "Invite not found");
+  }
+
+  const invite = inviteDoc.data();
+  await assertTenantAdmin(invite.tenantId, request.auth.uid);
+
+  return { inviteRef, invite };
+}
+
+/**
+ * Render and queue the invite email
+ * Each send needs its own idempotency key, or a resend would be deduped
+ */
+async function queueInviteEmail(inviteRef, invite, idempotencyKey) {
+  // Emails go out in the invite's locale, falling back to the tenant's
+  const tenantDoc = await admin.firestore().collection("tenants").doc(invite.tenantId).get();
+  const tenant = tenantDoc.exists ? tenantDoc.data() : {};
+  const { language } = resolveLocale(invite.locale, tenant.locale);
+
+  // Get inviter name
+  let inviterName = translate(language, "common.teamMember");
+  if (invite.invitedBy) {
+    const inviterDoc = await admin
+      .firestore()
+      .collection("users")
+      .doc(invite.invitedBy)
+      .get();
+    if (inviterDoc.exists) {
+      inviterName = inviterDoc.data().name || inviterDoc.data().email || inviterName;
+    }
+  }
+
+  const acceptUrl = `${APP_URL}/accept-invite?token=${inviteRef.id}`;
+
+  const mailId = await queueEmail({
+    to: invite.email,
+    ...renderEmail("invite", {
+      tenantName: invite.tenantName,
+      inviterName,
+      roleName: translate(language, `roles.${invite.role}`),
+      acceptUrl,
+      email: invite.email,
+      expiresAt: invite.expiresAt,
+    }, { locale: [invite.locale, tenant.locale], timeZone: tenant.timezone }),
+  }, {
+    idempotencyKey,
+    sourceRef: inviteRef.path,
+  });
+
+  await inviteRef.update({
+    mailId,
+    emailQueuedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return mailId;
+}
+
+/**
+ * Create a pending invite on behalf of a tenant admin; sendInviteEmail then
+ * sets its expiry and emails it. `fields` are stored on the invite as given.
+ */
+async function createInvite({ tenantId, tenantName, email, role, projectIds, invitedBy }, fields = {}) {
+  if (!INVITE_ROLES.includes(role)) {
+    throw new Error(`Invalid invite role: ${role}`);
+  }
+
+  const inviteRef = admin.firestore().collection("invites").doc();
+  await inviteRef.set({
+    ...fields,
+    tenantId,
+    tenantName: tenantName || null,
+    email: normalizeEmail(email),
+    role,
+    projectIds: projectIds || [],
+    invitedBy,
+    status: "pending",
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return inviteRef;
+}
+
+exports.createInvite = createInvite;
+
+/**
+ * Trigger: When a new invite document is created
+ * Action: Set its expiry and queue the invitation email (the outbox records
+ * emailSent/emailError on the invite)
+ */
+exports.sendInviteEmail = onDocumentCreated(
+  {
+    document: "invites/{inviteId}",
+  },
+  async (event) => {
+    const snapshot = event.data;
+    if (!snapshot) {
+      console.log("No data associated with the event");
+      return null;
+    }
+
+    const invite = snapshot.data();
+    const inviteId = event.params.inviteId;
+
+    // Only send email for pending invites
+    if (invite.status !== "pending") {
+      console.log("Invite is not pending, skipping email");
+      return null;
+    }
+
+    // Skip if email already sent
+    if (invite.emailSent) {
+      console.log("Email already sent for this invite");
+      return null;
+    }
+
+    try {
+      const expiresAt = inviteExpiry();
+      await snapshot.ref.update({ expiresAt });
+
+      const mailId = await queueInviteEmail(snapshot.ref, { ...invite, expiresAt }, `invite:${inviteId}`);
+      console.log("Invite email queued:", mailId);
+
+      return { success: true, mailId };
+    } catch (error) {
+      console.error("Error in sendInviteEmail:", error);
+
+      // Mark email as failed
+      await snapshot.ref.update({
+        emailError: error.message,
+        emailAttemptedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      return { success: false, error: error.message };
+    }
+  }
+);
+
+/**
+ * Callable: Accept an invite as the signed-in user
+ * The invite must be pending, unexpired and addressed to the caller's
+ * verified email
+ */
+exports.acceptInvite = onCall(async (request) => {
+  if (!request.auth || request.auth.token.firebase?.sign_in_provider === "anonymous") {
+    throw new HttpsError("unauthenticated", "You must be signed in");
+  }
+
+  // Anyone can sign up with an address they don't own; only a verified one proves it
+  if (request.auth.token.email_verified !== true) {
+    throw new HttpsError("failed-precondition", "Verify your email address before accepting an invite");
+  }
+
+  const { token } = request.data || {};
+  if (!token || typeof token !== "string") {
+    throw new HttpsError("invalid-argument", "token is required");
+  }
+
+  const uid = request.auth.uid;
+  const email = normalizeEmail(request.auth.token.email);
+  const db = admin.firestore();
+  const inviteRef = db.collection("invites").doc(token);
+  const userRef = db.collection("users").doc(uid);
+
+  const result = await db.runTransaction(async (transaction) => {
+    const inviteDoc = await transaction.get(inviteRef);
+    if (!inviteDoc.exists) {
+      throw new HttpsError("not-found", "Invite not found");
+    }
+
+    const invite = inviteDoc.data();
+    if (!email || normalizeEmail(invite.email) !== email) {
+      throw new HttpsError("permission-denied", "This invite was sent to a different email address");
+    }
+
+    const tenantRef = db.collection("tenants").doc(invite.tenantId);
+    const memberRef = tenantRef.collection("members").doc(uid);
+    const [memberDoc, userDoc] = await Promise.all([
+      transaction.get(memberRef),
+      transaction.get(userRef),
+    ]);
+
+    // Accepting twice is harmless
+    if (invite.status === "accepted" && invite.acceptedBy === uid) {
+      return { tenantId: invite.tenantId, alreadyAccepted: true };
+    }
+    if (invite.status !== "pending") {
+      throw new HttpsError("failed-precondition", `This invite has been ${invite.status}`);
+    }
+    if (isExpired(invite)) {
+      throw new HttpsError("deadline-exceeded", "This invite has expired");
+    }
+    if (!INVITE_ROLES.includes(invite.role)) {
+      throw new HttpsError("failed-precondition", "This invite has an invalid role");
+    }
+
+    const user = userDoc.exists ? userDoc.data() : {};
+
+    // An existing member keeps their role
+    if (!memberDoc.exists) {
+      transaction.set(memberRef, {
+        userId: uid,
+        email,
+        name: user.name || request.auth.token.name || null,
+        role: invite.role,
+        projectIds: invite.projectIds || [],
+        invitedBy: invite.invitedBy || null,
+        inviteId: inviteRef.id,
+        joinedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+
+    transaction.set(userRef, {
+      tenants: admin.firestore.FieldValue.arrayUnion(invite.tenantId),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+
+    transaction.update(inviteRef, {
+      status: "accepted",
+      acceptedBy: uid,
+      acceptedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    logActivity(transaction, invite.tenantId, {
+      type: "member.joined",
+      actorId: uid,
+      source: "app",
+      entityType: "member",
+      entityId: uid,
+      data: {
+        email,
+        role: memberDoc.exists ? memberDoc.data().role : invite.role,
+        inviteId: inviteRef.id,
+        invitedBy: invite.invitedBy || null,
+      },
+    });
+
+    return { tenantId: invite.tenantId, alreadyAccepted: false };
+  });
+
+  console.log(`Invite ${token} accepted by ${uid}`);
+  return { success: true, ...result };
+});
+
+/**
+ * Callable: Send a pending or expired invite again, with a fresh expiry
+ */
+exports.resendInvite = onCall(async (request) => {
+  const { inviteRef, invite } = await getManagedInvite(request);
+
+  if (!["pending", "expired"].includes(invite.status)) {
+    throw new HttpsError("failed-precondition", `Cannot resend an invite that has been ${invite.status}`);
+  }
+
+  const resendCount = (invite.resendCount || 0) + 1;
+  const expiresAt = inviteExpiry();
+
+  await inviteRef.update({
+    status: "pending",
+    expiresAt,
+    resendCount,
+    lastResentAt: admin.firestore.FieldValue.serverTimestamp(),
+    lastResentBy: request.auth.uid,
+    adminRemindedAt: null,
+    emailSent: admin.firestore.FieldValue.delete(),
+    emailError: admin.firestore.FieldValue.delete(),
+  });
+
+  const mailId = await queueInviteEmail(
+    inviteRef,
+    { ...invite, expiresAt },
+    `invite:${inviteRef.id}:resend:${resendCount}`
+  );
+
+  console.log(`Invite ${inviteRef.id} resent by ${request.auth.uid}`);
+  return { success: true, mailId, expiresAt: expiresAt.toDate().toISOString() };
+});
+
+/**
+ * Callable: Revoke a pending invite so its link stops working
+ */
+exports.revokeInvite = onCall(async (request) => {
+  const { inviteRef, invite } = await getManagedInvite(request);
+
+  if (invite.status !== "pending") {
+    throw new HttpsError("failed-precondition", `Cannot revoke an invite that has been ${invite.status}`);
+  }
+
+  await inviteRef.update({
+    status: "revoked",
+    revokedBy: request.auth.uid,
+    revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  console.log(`Invite ${inviteRef.id} revoked by ${request.auth.uid}`);
+  return { success: true };
+});
+
+/**
+ * Mark pending invites past their expiry as expired
+ */
+async function expirePendingInvites() {
+  const invitesRef = admin.firestore().collection("invites");
+  const now = admin.firestore.Timestamp.now();
+
+  // Older invites have no expiresAt and expire INVITE_TTL_DAYS after creation
+  const [expiredSnapshot, legacySnapshot] = await Promise.all([
+    invitesRef.where("status", "==", "pending").where("expiresAt", "<=", now).get(),
+    invitesRef.where("status", "==", "pending").where("createdAt", "<=", admin.firestore.Timestamp.fromMillis(now.toMillis() - INVITE_TTL_DAYS * DAY_MS)).get(),
+  ]);
+
+  const docs = [...expiredSnapshot.docs, ...legacySnapshot.docs.filter((doc) => !doc.data().expiresAt)];
+
+  for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+    const batch = admin.firestore().batch();
+    docs.slice(i, i + BATCH_SIZE).forEach((doc) => {
+      batch.update(doc.ref, {
+        status: "expired",
+        expiredAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+    await batch.commit();
+  }
+
+  return docs.length;
+}
+
+/**
+ * Remind tenant admins, once per invite, about invites that are still pending
+ */
+async function remindAdminsOfPendingInvites() {
+  const pendingSnapshot = await admin.firestore()
+    .collection("invites")
+    .where("status", "==", "pending")
+    .where("createdAt", "<=", admin.firestore.Timestamp.fromMillis(Date.now() - PENDING_REMINDER_DAYS * DAY_MS))
+    .get();
+
+  // Group unreminded, unexpired invites by tenant
+  const invitesByTenant = {};
+  pendingSnapshot.docs.forEach((doc) => {
+    const invite = doc.data();
+    if (invite.adminRemindedAt || isExpired(invite)) return;
+
+    if (!invitesByTenant[invite.tenantId]) {
+      invitesByTenant[invite.tenantId] = [];
+    }
+    invitesByTenant[invite.tenantId].push(doc);
+  });
+
+  let reminded = 0;
+  for (const [tenantId, inviteDocs] of Object.entries(invitesByTenant)) {
+    try {
+      const tenantRef = admin.firestore().collection("tenants").doc(tenantId);
+      const [tenantDoc, adminsSnapshot] = await Promise.all([
+        tenantRef.get(),
+        tenantRef.collection("members").where("role", "in", ["owner", "admin"]).get(),
+      ]);
+      if (!tenantDoc.exists) continue;
+
+      const tenant = tenantDoc.data();
+      const membersUrl = `${APP_URL}/t/${tenant.slug}/members`;
+      const invites = inviteDocs.map((doc) => doc.data());
+
+      for (const adminDoc of adminsSnapshot.docs) {
+        const notifications = invites.map((invite) => ({
+          type: "invite_pending",
+          title: "Invitation still pending",
+          message: invite.email,
+          link: membersUrl,
+          tenantId,
+          tenantName: tenant.name,
+        }));
+
+        await notifyUser(adminDoc.id, notifications, (user) =>
+          renderEmail("invitePending", {
+            userName: user.name || user.email,
+            tenantName: tenant.name,
+            membersUrl,
+            count: invites.length,
+            invites: invites.map((invite) => ({
+              email: invite.email,
+              role: invite.role,
+              createdAt: invite.createdAt,
+              expiresAt: invite.expiresAt,
+            })),
+          }, { locale: [user.locale, tenant.locale], timeZone: user.timezone || tenant.timezone })
+        );
+      }
+
+      const batch = admin.firestore().batch();
+      inviteDocs.forEach((doc) => {
+        batch.update(doc.ref, { adminRemindedAt: admin.firestore.FieldValue.serverTimestamp() });
+      });
+      await batch.commit();
+
+      reminded += inviteDocs.length;
+    } catch (error) {
+      console.error(`Error reminding admins of tenant ${tenantId} about pending invites:`, error);
+    }
+  }
+
+  return reminded;
+}
+
+/**
+ * Trigger: Daily at 9am - Expire old invites and remind admins about pending ones
+ */
+exports.expireInvites = onSchedule(
+  {
+    schedule: "0 9 * * *",
+    timeZone: "Europe/Luxembourg",
+  },
+  async () => {
+    try {
+      const expired = await expirePendingInvites();
+      const reminded = await remindAdminsOfPendingInvites();
+
+      console.log(`Expired ${expired} invites, reminded admins about ${reminded}`);
+      return { success: true, expired, reminded };
+    } catch (error) {
+      console.error("Error expiring invites:", error);
+      return { success: false, error: error.message };
+    }
+  }
+);
@@ -0,0 +1,380 @@
+/**
+ * Outbound email
+ * All email goes through the `mail` outbox collection: queueEmail writes the
+ * message, processMail sends it through the configured transport (see
+ * transport.js), retryMail retries failures with exponential backoff and
+ * dead-letters messages that keep failing. resendWebhook records delivery
+ * status and suppresses addresses that hard-bounce or complain.
+ *
+ * Mail document status:
+ *   queued -> sending -> sent
+ *                     -> retry -> sending ...
+ *                     -> dead (gave up, see lastError)
+ *   suppressed (recipient is in mailSuppressions, never sent)
+ *
+ * After sending, `deliveryStatus` follows the provider's webhook events
+ * (delivered, delivery_delayed, bounced, complained).
+ */
+
+const { onDocumentCreated } = require("firebase-functions/v2/firestore");
+const { onSchedule } = require("firebase-functions/v2/scheduler");
+const { onRequest } = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const crypto = require("crypto");
+const { Resend } = require("resend");
+const { resendApiKey, resendWebhookSecret, FROM_EMAIL } = require("./config");
+const { getTransport, usesResend } = require("./transport");
+
+const MAX_ATTEMPTS = 6;
+
+// Retry delays: 1, 2, 4, 8, 16 minutes
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+
+// A message stuck in "sending" longer than this is picked up again
+const SEND_LEASE_MS = 2 * 60 * 1000;
+
+const RETRY_BATCH_SIZE = 100;
+
+// Only the Resend transport needs its secrets
+const SEND_SECRETS = usesResend() ? [resendApiKey] : [];
+const WEBHOOK_SECRETS = usesResend() ? [resendApiKey, resendWebhookSecret] : [];
+
+// Firestore "already exists" error code
+const ALREADY_EXISTS = 6;
+
+// Provider webhook events that update deliveryStatus
+const DELIVERY_EVENTS = {
+  "email.delivered": "delivered",
+  "email.delivery_delayed": "delivery_delayed",
+  "email.bounced": "bounced",
+  "email.complained": "complained",
+};
+
+function hash(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function suppressionRef(email) {
+  return admin.firestore().collection("mailSuppressions").doc(hash(email.trim().toLowerCase()));
+}
+
+/**
+ * Send an email through the configured transport (see transport.js)
+ * Throws an error carrying `retryable` so the worker knows whether to try again
+ */
+async function sendEmail({ to, subject, html, text, replyTo }, { idempotencyKey } = {}) {
+  return getTransport().send({
+    from: FROM_EMAIL,
+    to,
+    subject,
+    html,
+    text,
+    ...(replyTo ? { replyTo } : {}),
+  }, { idempotencyKey });
+}
+
+/**
+ * Queue an email in the outbox
+ * The message may carry a `replyTo` address
+ *
+ * Options:
+ *   - idempotencyKey: messages with the same key are only queued once
+ *   - sourceRef: path of a document to update with the outcome
+ *     (emailSent/emailSentAt/emailId, or emailError/emailAttemptedAt)
+ *
+ * Returns the mail document id
+ */
+async function queueEmail({ to, subject, html, text, replyTo }, { idempotencyKey, sourceRef } = {}) {
+  const mailCollection = admin.firestore().collection("mail");
+  const mailRef = idempotencyKey ? mailCollection.doc(hash(idempotencyKey)) : mailCollection.doc();
+
+  try {
+    await mailRef.create({
+      to,
+      subject,
+      html,
+      text,
+      replyTo: replyTo || null,
+      status: "queued",
+      attempts: 0,
+      nextAttemptAt: admin.firestore.FieldValue.serverTimestamp(),
+      idempotencyKey: idempotencyKey || null,
+      sourceRef: sourceRef || null,
+      providerMessageId: null,
+      deliveryStatus: null,
+      lastError: null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } catch (error) {
+    if (error.code !== ALREADY_EXISTS) throw error;
+    console.log(`Email with idempotency key ${idempotencyKey} already queued`);
+  }
+
+  return mailRef.id;
+}
+
+/**
+ * Claim a mail document for sending
+ * Returns the message, or null if it isn't due or another worker has it
+ */
+async function claimMail(mailRef) {
+  return admin.firestore().runTransaction(async (transaction) => {
+    const mailDoc = await transaction.get(mailRef);
+    if (!mailDoc.exists) return null;
+
+    const mail = mailDoc.data();
+    const now = Date.now();
+
+    const isDue = mail.status === "queued" ||
+      (mail.status === "retry" && mail.nextAttemptAt.toMillis() <= now) ||
+      (mail.status === "sending" && mail.leaseExpiresAt.toMillis() <= now);
+
+    if (!isDue) return null;
+
+    transaction.update(mailRef, {
+      status: "sending",
+      attempts: admin.firestore.FieldValue.increment(1),
+      leaseExpiresAt: admin.firestore.Timestamp.fromMillis(now + SEND_LEASE_MS),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return { ...mail, attempts: mail.attempts + 1 };
+  });
+}
+
+/**
+ * Mirror the outcome onto the document that asked for the email
+ */
+async function updateSourceRef(sourceRef, fields) {
+  if (!sourceRef) return;
+
+  try {
+    await admin.firestore().doc(sourceRef).update(fields);
+  } catch (error) {
+    console.error(`Error updating email status on ${sourceRef}:`, error);
+  }
+}
+
+/**
+ * Attempt to send one mail document
+ */
+async function processMailDoc(mailRef) {
+  const mail = await claimMail(mailRef);
+  if (!mail) return null;
+
+  const suppressionDoc = await suppressionRef(mail.to).get();
+  if (suppressionDoc.exists) {
+    console.log(`Email ${mailRef.id} not sent, recipient is suppressed`);
+    await mailRef.update({
+      status: "suppressed",
+      lastError: `Recipient suppressed (${suppressionDoc.data().reason})`,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    await updateSourceRef(mail.sourceRef, {
+      emailError: "Recipient address is suppressed",
+      emailAttemptedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return { status: "suppressed" };
+  }
+
+  try {
+    // The mail id is stable across retries, so the provider never sends a message twice
+    const data = await sendEmail(mail, { idempotencyKey: mailRef.id });
+
+    await mailRef.update({
+      status: "sent",
+      providerMessageId: data.id,
+      sentAt: admin.firestore.FieldValue.serverTimestamp(),
+      lastError: null,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    await updateSourceRef(mail.sourceRef, {
+      emailSent: true,
+      emailSentAt: admin.firestore.FieldValue.serverTimestamp(),
+      emailId: data.id,
+    });
+
+    console.log(`Email ${mailRef.id} sent to ${mail.to}`);
+    return { status: "sent" };
+  } catch (error) {
+    const shouldRetry = error.retryable !== false && mail.attempts < MAX_ATTEMPTS;
+
+    if (shouldRetry) {
+      const delay = RETRY_BASE_DELAY_MS * Math.pow(2, mail.attempts - 1);
+      console.warn(`Email ${mailRef.id} failed (attempt ${mail.attempts}), retrying in ${delay / 1000}s:`, error.message);
+
+      await mailRef.update({
+        status: "retry",
+        nextAttemptAt: admin.firestore.Timestamp.fromMillis(Date.now() + delay),
+        lastError: error.message,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return { status: "retry" };
+    }
+
+    console.error(`Email ${mailRef.id} dead-lettered after ${mail.attempts} attempts:`, error);
+
+    await mailRef.update({
+      status: "dead",
+      lastError: error.message,
+      deadAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    await updateSourceRef(mail.sourceRef, {
+      emailError: error.message,
+      emailAttemptedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return { status: "dead" };
+  }
+}
+
+/**
+ * Trigger: When an email is queued in the outbox
+ * Action: Send it
+ */
+exports.processMail = onDocumentCreated(
+  {
+    document: "mail/{mailId}",
+    secrets: SEND_SECRETS,
+  },
+  async (event) => {
+    if (!event.data) return null;
+    return processMailDoc(event.data.ref);
+  }
+);
+
+/**
+ * Trigger: Every 5 minutes - Retry failed and stuck emails
+ */
+exports.retryMail = onSchedule(
+  {
+    schedule: "*/5 * * * *",
+    timeZone: "Europe/Luxembourg",
+    secrets: SEND_SECRETS,
+  },
+  async () => {
+    const now = admin.firestore.Timestamp.now();
+    const mailCollection = admin.firestore().collection("mail");
+
+    const [retrySnapshot, stuckSnapshot] = await Promise.all([
+      mailCollection
+        .where("status", "==", "retry")
+        .where("nextAttemptAt", "<=", now)
+        .orderBy("nextAttemptAt")
+        .limit(RETRY_BATCH_SIZE)
+        .get(),
+      mailCollection
+        .where("status", "==", "sending")
+        .where("leaseExpiresAt", "<=", now)
+        .limit(RETRY_BATCH_SIZE)
+        .get(),
+    ]);
+
+    const docs = [...retrySnapshot.docs, ...stuckSnapshot.docs];
+    for (const doc of docs) {
+      try {
+        await processMailDoc(doc.ref);
+      } catch (error) {
+        console.error(`Error retrying email ${doc.id}:`, error);
+      }
+    }
+
+    console.log(`Retried ${docs.length} emails`);
+    return { success: true, retried: docs.length };
+  }
+);
+
+/**
+ * HTTPS: Resend webhook
+ * Records delivery status on the mail document and suppresses addresses
+ * that hard-bounce or mark our email as spam
+ */
+exports.resendWebhook = onRequest(
+  {
+    secrets: WEBHOOK_SECRETS,
+  },
+  async (req, res) => {
+    if (req.method !== "POST") {
+      res.status(405).send("Method not allowed");
+      return;
+    }
+    // Without Resend there is nothing to verify the signature with
+    if (!usesResend()) {
+      res.status(404).send("Not found");
+      return;
+    }
+
+    let event;
+    try {
+      const resend = new Resend(resendApiKey.value());
+      event = resend.webhooks.verify({
+        payload: req.rawBody.toString("utf8"),
+        headers: {
+          id: req.get("svix-id"),
+          timestamp: req.get("svix-timestamp"),
+          signature: req.get("svix-signature"),
+        },
+        webhookSecret: resendWebhookSecret.value(),
+      });
+    } catch (error) {
+      console.warn("Rejected Resend webhook with invalid signature:", error.message);
+      res.status(401).send("Invalid signature");
+      return;
+    }
+
+    const deliveryStatus = DELIVERY_EVENTS[event.type];
+    if (!deliveryStatus || !event.data?.email_id) {
+      res.status(200).send("Ignored");
+      return;
+    }
+
+    try {
+      const mailSnapshot = await admin.firestore()
+        .collection("mail")
+        .where("providerMessageId", "==", event.data.email_id)
+        .limit(1)
+        .get();
+
+      const mailDoc = mailSnapshot.empty ? null : mailSnapshot.docs[0];
+
+      if (mailDoc) {
+        await mailDoc.ref.update({
+          deliveryStatus,
+          deliveryUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          deliveryEvents: admin.firestore.FieldValue.arrayUnion({
+            type: event.type,
+            at: event.created_at || new Date().toISOString(),
+          }),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      }
+
+      // Soft bounces (mailbox full, etc.) are left alone
+      const isHardBounce = event.type === "email.bounced" &&
+        (!event.data.bounce?.type || event.data.bounce.type === "Permanent");
+
+      if (isHardBounce || event.type === "email.complained") {
+        const recipients = [].concat(event.data.to || (mailDoc ? mailDoc.data().to : []));
+
+        for (const email of recipients) {
+          await suppressionRef(email).set({
+            email: email.trim().toLowerCase(),
+            reason: isHardBounce ? "bounced" : "complained",
+            mailId: mailDoc ? mailDoc.id : null,
+            providerMessageId: event.data.email_id,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+          console.log(`Suppressed ${email} after ${event.type}`);
+        }
+      }
+
+      res.status(200).send("OK");
+    } catch (error) {
+      console.error("Error handling Resend webhook:", error);
+      res.status(500).send("Error");
+    }
+  }
+);
+
+exports.queueEmail = queueEmail;
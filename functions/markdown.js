@@ -0,0 +1,79 @@
+/**
+ * Markdown rendering for user content in emails
+ * Comment and description bodies are rendered with markdown-it (raw HTML
+ * disabled) and then sanitised against an allowlist, so user content can
+ * never inject markup, scripts or non-http(s) links into an email.
+ */
+
+const MarkdownIt = require("markdown-it");
+const sanitizeHtml = require("sanitize-html");
+
+// Comment mentions are stored as @[Display Name](userId)
+const MENTION_REGEX = /@\[([^\]]+)\]\(([^)]+)\)/g;
+
+const markdown = new MarkdownIt({
+  html: false,
+  linkify: true,
+  breaks: true,
+});
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    "p", "br", "strong", "em", "del", "s", "code", "pre", "blockquote",
+    "ul", "ol", "li", "a", "h1", "h2", "h3", "h4", "hr",
+  ],
+  allowedAttributes: {
+    a: ["href", "style"],
+    code: ["style"],
+    pre: ["style"],
+    blockquote: ["style"],
+    p: ["style"],
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowProtocolRelative: false,
+  // Email clients ignore stylesheets, so style the allowed tags inline
+  transformTags: {
+    a: sanitizeHtml.simpleTransform("a", { style: "color: #2563eb; text-decoration: none;" }),
+    p: sanitizeHtml.simpleTransform("p", { style: "margin: 0 0 8px;" }),
+    code: sanitizeHtml.simpleTransform("code", { style: "font-family: monospace; background-color: #f3f4f6; padding: 1px 4px; border-radius: 4px;" }),
+    pre: sanitizeHtml.simpleTransform("pre", { style: "margin: 0 0 8px; padding: 8px; background-color: #f3f4f6; border-radius: 4px; white-space: pre-wrap;" }),
+    blockquote: sanitizeHtml.simpleTransform("blockquote", { style: "margin: 0 0 8px; padding-left: 12px; border-left: 3px solid #e5e7eb; color: #6b7280;" }),
+  },
+};
+
+/**
+ * Escape characters that would end a Markdown link label early
+ */
+function escapeLinkLabel(label) {
+  return label.replace(/[\\[\]*_`]/g, "\\$&");
+}
+
+/**
+ * Render user Markdown to sanitised HTML
+ * Mentions become links when mentionUrl(userId) is given, plain "@Name" otherwise
+ */
+function renderMarkdown(text, { mentionUrl } = {}) {
+  if (!text) return "";
+
+  const source = text.replace(MENTION_REGEX, (match, name, userId) =>
+    mentionUrl
+      ? `[@${escapeLinkLabel(name)}](${mentionUrl(encodeURIComponent(userId))})`
+      : `@${escapeLinkLabel(name)}`
+  );
+
+  return sanitizeHtml(markdown.render(source), SANITIZE_OPTIONS).trim();
+}
+
+/**
+ * Plain-text version of user content: mentions become "@Name", Markdown is left as written
+ */
+function mentionsToText(text) {
+  if (!text) return "";
+  return text.replace(MENTION_REGEX, "@$1");
+}
+
+module.exports = {
+  MENTION_REGEX,
+  renderMarkdown,
+  mentionsToText,
+};
@@ -0,0 +1,654 @@
+/**
+ * Model Context Protocol server for Erold
+ * Gives coding assistants project context: projects and their meta
+ * (techInfo, ...), tasks, comments, progress updates and the knowledge base.
+ *
+ * Streamable HTTP transport, stateless: every JSON-RPC message is a POST to
+ * the function's URL and is answered with JSON (no sessions, no SSE stream).
+ * Authentication is the same tenant API key as the REST API (see api.js):
+ * `Authorization: Bearer <key>`. Tools are listed only when the key has their
+ * scope, and act with the role of the member who created the key, checked the
+ * same way firestore.rules does (guests only see their projects, and can only
+ * comment).
+ *
+ * Locally: `firebase emulators:start --only functions,firestore`, create a key
+ * with `npm run mcp:dev-key`, then point the client at
+ * http://localhost:5001/<project>/europe-west1/mcp
+ */
+
+const { onRequest, HttpsError } = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const express = require("express");
+const {
+  authenticate,
+  route,
+  serializeDoc,
+  pickFields,
+  requireString,
+  listQuery,
+  createFields,
+  updateFields,
+  KNOWLEDGE_FIELDS,
+} = require("./api");
+const { searchIndex } = require("./search");
+
+// Newest first; the client's version is used when we support it
+const PROTOCOL_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05"];
+
+const SERVER_INFO = { name: "erold", title: "Erold", version: "1.0.0" };
+
+const TASK_STATUSES = ["todo", "in_progress", "review", "blocked", "done"];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_SEARCH_LIMIT = 50;
+
+// Comments returned with a task
+const TASK_COMMENT_LIMIT = 20;
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+const UNAUTHORIZED = -32001;
+
+// ============================================
+// Access
+// ============================================
+
+function isMemberOrAbove(member) {
+  return ["owner", "admin", "member"].includes(member.role);
+}
+
+function isGuestOf(member, projectId) {
+  return member.role === "guest" && (member.projectIds || []).includes(projectId);
+}
+
+/**
+ * Read access to a project, as in firestore.rules
+ */
+function canReadProject(member, projectId, project) {
+  return project.visibility === "public" || member.role !== "guest" || isGuestOf(member, projectId);
+}
+
+function assertMemberOrAbove(member, action) {
+  if (!isMemberOrAbove(member)) {
+    throw new HttpsError("permission-denied", `Guests can't ${action}`);
+  }
+}
+
+/**
+ * The tenant member an API key acts for: the member who created it
+ */
+async function getKeyMember(req) {
+  const memberDoc = req.apiKey.createdBy
+    ? await admin.firestore()
+      .collection("tenants").doc(req.apiKey.tenantId)
+      .collection("members").doc(req.apiKey.createdBy)
+      .get()
+    : null;
+
+  if (!memberDoc || !memberDoc.exists) {
+    throw new HttpsError("permission-denied", "The API key's creator is no longer a member of this tenant");
+  }
+  return memberDoc.data();
+}
+
+// ============================================
+// Arguments
+// ============================================
+
+function getLimit(value, max = MAX_LIMIT) {
+  if (value === undefined) return DEFAULT_LIMIT;
+  if (!Number.isInteger(value) || value < 1 || value > max) {
+    throw new HttpsError("invalid-argument", `limit must be between 1 and ${max}`);
+  }
+  return value;
+}
+
+function optionalString(value, name) {
+  if (value !== undefined && typeof value !== "string") {
+    throw new HttpsError("invalid-argument", `${name} must be a string`);
+  }
+  return value;
+}
+
+// ============================================
+// Firestore References
+// ============================================
+
+function tenantRef(ctx) {
+  return admin.firestore().collection("tenants").doc(ctx.req.apiKey.tenantId);
+}
+
+/**
+ * A project the member can read; deleted projects are gone, as in the REST API
+ */
+async function getProject(ctx, projectId) {
+  requireString(projectId, "projectId");
+
+  const projectDoc = await tenantRef(ctx).collection("projects").doc(projectId).get();
+  if (!projectDoc.exists || projectDoc.data().deletedAt || !canReadProject(ctx.member, projectId, projectDoc.data())) {
+    throw new HttpsError("not-found", "Project not found");
+  }
+  return projectDoc;
+}
+
+async function getTask(ctx, projectId, taskId) {
+  const projectDoc = await getProject(ctx, projectId);
+  requireString(taskId, "taskId");
+
+  const taskDoc = await projectDoc.ref.collection("tasks").doc(taskId).get();
+  if (!taskDoc.exists) {
+    throw new HttpsError("not-found", "Task not found");
+  }
+  return taskDoc;
+}
+
+// ============================================
+// Tools
+// ============================================
+
+const stringProperty = (description) => ({ type: "string", description });
+const limitProperty = (max = MAX_LIMIT) => ({
+  type: "integer",
+  minimum: 1,
+  maximum: max,
+  description: `Maximum number of results (default ${DEFAULT_LIMIT})`,
+});
+
+/**
+ * Each tool: name, description, the API key scope it needs, a JSON Schema
+ * for its arguments and a handler returning JSON-friendly data
+ */
+const TOOLS = [
+  {
+    name: "list_projects",
+    description: "List the tenant's projects.",
+    scope: "projects:read",
+    inputSchema: {
+      type: "object",
+      properties: { status: stringProperty("Only projects with this status, e.g. \"active\"") },
+    },
+    handler: async (ctx, { status }) => {
+      optionalString(status, "status");
+
+      let query = tenantRef(ctx).collection("projects");
+      if (status) query = query.where("status", "==", status);
+      const snapshot = await query.orderBy("createdAt", "desc").get();
+
+      return {
+        projects: snapshot.docs
+          .filter((doc) => !doc.data().deletedAt && canReadProject(ctx.member, doc.id, doc.data()))
+          .map((doc) => {
+            const { title, description, status: projectStatus, visibility, dueDate } = serializeDoc(doc);
+            return { id: doc.id, title, description, status: projectStatus, visibility, dueDate };
+          }),
+      };
+    },
+  },
+  {
+    name: "get_project",
+    description: "Get a project with its technical context (the meta documents, such as techInfo).",
+    scope: "projects:read",
+    inputSchema: {
+      type: "object",
+      properties: { projectId: stringProperty("Project id") },
+      required: ["projectId"],
+    },
+    handler: async (ctx, { projectId }) => {
+      const projectDoc = await getProject(ctx, projectId);
+      const metaSnapshot = await projectDoc.ref.collection("meta").get();
+
+      return {
+        project: serializeDoc(projectDoc),
+        // The chat document holds webhook URLs, so it stays with admins in the app
+        meta: Object.fromEntries(metaSnapshot.docs
+          .filter((doc) => doc.id !== "chat")
+          .map((doc) => [doc.id, serializeDoc(doc)])),
+      };
+    },
+  },
+  {
+    name: "list_tasks",
+    description: "List a project's tasks, newest first. Pass nextCursor back as startAfter for the next page.",
+    scope: "tasks:read",
+    inputSchema: {
+      type: "object",
+      properties: {
+        projectId: stringProperty("Project id"),
+        status: { type: "string", enum: TASK_STATUSES, description: "Only tasks with this status" },
+        assignedTo: stringProperty("Only tasks assigned to this user id"),
+        limit: limitProperty(),
+        startAfter: stringProperty("Task id to continue after (nextCursor of the previous page)"),
+      },
+      required: ["projectId"],
+    },
+    handler: async (ctx, { projectId, status, assignedTo, limit, startAfter }) => {
+      const projectDoc = await getProject(ctx, projectId);
+      optionalString(status, "status");
+      optionalString(assignedTo, "assignedTo");
+      optionalString(startAfter, "startAfter");
+
+      const tasksRef = projectDoc.ref.collection("tasks");
+      let query = tasksRef;
+      if (assignedTo) query = query.where("assignedTo", "==", assignedTo);
+      if (status) query = query.where("status", "==", status);
+      query = query.orderBy("createdAt", "desc");
+
+      const { data, nextCursor } = await listQuery(query, tasksRef, { limit: getLimit(limit), startAfter });
+      return { tasks: data, nextCursor };
+    },
+  },
+  {
+    name: "search_tasks",
+    description: "Full-text search over task titles and descriptions.",
+    scope: "tasks:read",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: stringProperty("Search text"),
+        projectId: stringProperty("Only tasks in this project"),
+        status: { type: "string", enum: TASK_STATUSES, description: "Only tasks with this status" },
+        limit: limitProperty(MAX_SEARCH_LIMIT),
+      },
+      required: ["query"],
+    },
+    handler: async (ctx, { query, projectId, status, limit }) => {
+      requireString(query, "query");
+      optionalString(projectId, "projectId");
+      optionalString(status, "status");
+
+      const filters = { kind: ["task"] };
+      if (projectId) filters.projectId = [projectId];
+      if (status) filters.status = [status];
+
+      const { results, total } = await searchIndex(ctx.req.apiKey.tenantId, ctx.member, query.substring(0, 200), {
+        filters,
+        limit: getLimit(limit, MAX_SEARCH_LIMIT),
+      });
+      return {
+        total,
+        tasks: results.map(({ id, projectId: taskProjectId, title, status: taskStatus, priority, highlights }) => ({
+          id,
+          projectId: taskProjectId,
+          title,
+          status: taskStatus,
+          priority,
+          snippet: highlights.text.value,
+        })),
+      };
+    },
+  },
+  {
+    name: "get_task",
+    description: "Get a task, with its latest comments when the key can read comments on the project.",
+    scope: "tasks:read",
+    inputSchema: {
+      type: "object",
+      properties: {
+        projectId: stringProperty("Project id"),
+        taskId: stringProperty("Task id"),
+      },
+      required: ["projectId", "taskId"],
+    },
+    handler: async (ctx, { projectId, taskId }) => {
+      const taskDoc = await getTask(ctx, projectId, taskId);
+      // Tasks of public projects are readable by everyone, their comments only
+      // by members and the project's guests (as in firestore.rules)
+      if (!ctx.req.apiKey.scopes.includes("comments:read") ||
+          (!isMemberOrAbove(ctx.member) && !isGuestOf(ctx.member, projectId))) {
+        return { task: serializeDoc(taskDoc) };
+      }
+
+      const commentsSnapshot = await taskDoc.ref.collection("comments")
+        .orderBy("createdAt", "desc")
+        .limit(TASK_COMMENT_LIMIT)
+        .get();
+      return {
+        task: serializeDoc(taskDoc),
+        comments: commentsSnapshot.docs.map(serializeDoc).reverse(),
+      };
+    },
+  },
+  {
+    name: "update_task_status",
+    description: "Change a task's status.",
+    scope: "tasks:write",
+    inputSchema: {
+      type: "object",
+      properties: {
+        projectId: stringProperty("Project id"),
+        taskId: stringProperty("Task id"),
+        status: { type: "string", enum: TASK_STATUSES },
+      },
+      required: ["projectId", "taskId", "status"],
+    },
+    handler: async (ctx, { projectId, taskId, status }) => {
+      assertMemberOrAbove(ctx.member, "update tasks");
+      if (!TASK_STATUSES.includes(status)) {
+        throw new HttpsError("invalid-argument", `status must be one of ${TASK_STATUSES.join(", ")}`);
+      }
+
+      const taskDoc = await getTask(ctx, projectId, taskId);
+      await taskDoc.ref.update({ status, ...updateFields(ctx.req) });
+      return { task: serializeDoc(await taskDoc.ref.get()) };
+    },
+  },
+  {
+    name: "add_comment",
+    description: "Comment on a task. Markdown is supported.",
+    scope: "comments:write",
+    inputSchema: {
+      type: "object",
+      properties: {
+        projectId: stringProperty("Project id"),
+        taskId: stringProperty("Task id"),
+        text: stringProperty("Comment text (Markdown)"),
+      },
+      required: ["projectId", "taskId", "text"],
+    },
+    handler: async (ctx, { projectId, taskId, text }) => {
+      const taskDoc = await getTask(ctx, projectId, taskId);
+      // Guests may comment on their own projects, but not on other public ones
+      if (!isMemberOrAbove(ctx.member) && !isGuestOf(ctx.member, projectId)) {
+        throw new HttpsError("permission-denied", "Guests can only comment on their projects");
+      }
+      requireString(text, "text");
+
+      const commentRef = await taskDoc.ref.collection("comments").add({
+        text,
+        authorId: ctx.req.apiKey.createdBy,
+        ...createFields(ctx.req),
+      });
+      return { comment: serializeDoc(await commentRef.get()) };
+    },
+  },
+  {
+    name: "add_progress_update",
+    description: "Post a progress update on a project, optionally about one of its tasks.",
+    scope: "projects:write",
+    inputSchema: {
+      type: "object",
+      properties: {
+        projectId: stringProperty("Project id"),
+        text: stringProperty("What happened (Markdown)"),
+        taskId: stringProperty("The task the update is about"),
+        percent: { type: "number", minimum: 0, maximum: 100, description: "Progress in percent" },
+      },
+      required: ["projectId", "text"],
+    },
+    handler: async (ctx, { projectId, text, taskId, percent }) => {
+      assertMemberOrAbove(ctx.member, "post progress updates");
+      const projectDoc = await getProject(ctx, projectId);
+      requireString(text, "text");
+      if (taskId !== undefined) await getTask(ctx, projectId, taskId);
+      if (percent !== undefined && (typeof percent !== "number" || percent < 0 || percent > 100)) {
+        throw new HttpsError("invalid-argument", "percent must be a number from 0 to 100");
+      }
+
+      const updateRef = await projectDoc.ref.collection("progressUpdates").add({
+        text,
+        taskId: taskId || null,
+        percent: percent ?? null,
+        ...createFields(ctx.req),
+      });
+      return { progressUpdate: serializeDoc(await updateRef.get()) };
+    },
+  },
+  {
+    name: "list_knowledge",
+    description: "List knowledge base entries, most recently updated first.",
+    scope: "knowledge:read",
+    inputSchema: {
+      type: "object",
+      properties: {
+        category: stringProperty("Only entries in this category"),
+        limit: limitProperty(),
+        startAfter: stringProperty("Entry id to continue after (nextCursor of the previous page)"),
+      },
+    },
+    handler: async (ctx, { category, limit, startAfter }) => {
+      optionalString(category, "category");
+      optionalString(startAfter, "startAfter");
+
+      const knowledgeRef = tenantRef(ctx).collection("knowledge");
+      let query = knowledgeRef;
+      if (category) query = query.where("category", "==", category);
+      query = query.orderBy("updatedAt", "desc");
+
+      const { data, nextCursor } = await listQuery(query, knowledgeRef, { limit: getLimit(limit), startAfter });
+      return { entries: data, nextCursor };
+    },
+  },
+  {
+    name: "search_knowledge",
+    description: "Full-text search over the knowledge base.",
+    scope: "knowledge:read",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: stringProperty("Search text"),
+        category: stringProperty("Only entries in this category"),
+        limit: limitProperty(MAX_SEARCH_LIMIT),
+      },
+      required: ["query"],
+    },
+    handler: async (ctx, { query, category, limit }) => {
+      requireString(query, "query");
+      optionalString(category, "category");
+
+      const filters = { kind: ["knowledge"] };
+      if (category) filters.category = [category];
+
+      const { results, total } = await searchIndex(ctx.req.apiKey.tenantId, ctx.member, query.substring(0, 200), {
+        filters,
+        limit: getLimit(limit, MAX_SEARCH_LIMIT),
+      });
+      return {
+        total,
+        entries: results.map(({ id, title, category: entryCategory, highlights }) => ({
+          id,
+          title,
+          category: entryCategory,
+          snippet: highlights.text.value,
+        })),
+      };
+    },
+  },
+  {
+    name: "get_knowledge_entry",
+    description: "Get a knowledge base entry.",
+    scope: "knowledge:read",
+    inputSchema: {
+      type: "object",
+      properties: { entryId: stringProperty("Entry id") },
+      required: ["entryId"],
+    },
+    handler: async (ctx, { entryId }) => {
+      requireString(entryId, "entryId");
+
+      const entryDoc = await tenantRef(ctx).collection("knowledge").doc(entryId).get();
+      if (!entryDoc.exists) {
+        throw new HttpsError("not-found", "Knowledge entry not found");
+      }
+      return { entry: serializeDoc(entryDoc) };
+    },
+  },
+  {
+    name: "write_knowledge_entry",
+    description: "Create a knowledge base entry, or update one when entryId is given.",
+    scope: "knowledge:write",
+    inputSchema: {
+      type: "object",
+      properties: {
+        entryId: stringProperty("Entry to update; leave out to create one"),
+        title: stringProperty("Title (required when creating)"),
+        content: stringProperty("Content (Markdown)"),
+        category: stringProperty("Category, e.g. \"architecture\" (default \"general\")"),
+        tags: { type: "array", items: { type: "string" } },
+      },
+    },
+    handler: async (ctx, args) => {
+      assertMemberOrAbove(ctx.member, "write knowledge entries");
+      optionalString(args.entryId, "entryId");
+
+      const fields = pickFields(args, KNOWLEDGE_FIELDS);
+      if (fields.tags !== undefined && (!Array.isArray(fields.tags) || !fields.tags.every((tag) => typeof tag === "string"))) {
+        throw new HttpsError("invalid-argument", "tags must be a list of strings");
+      }
+
+      const knowledgeRef = tenantRef(ctx).collection("knowledge");
+      if (!args.entryId) {
+        requireString(fields.title, "title");
+        const entryRef = await knowledgeRef.add({ category: "general", tags: [], ...fields, ...createFields(ctx.req) });
+        return { entry: serializeDoc(await entryRef.get()) };
+      }
+
+      const entryRef = knowledgeRef.doc(args.entryId);
+      if (!(await entryRef.get()).exists) {
+        throw new HttpsError("not-found", "Knowledge entry not found");
+      }
+      if (fields.title !== undefined) requireString(fields.title, "title");
+
+      await entryRef.update({ ...fields, ...updateFields(ctx.req) });
+      return { entry: serializeDoc(await entryRef.get()) };
+    },
+  },
+];
+
+// ============================================
+// JSON-RPC
+// ============================================
+
+function rpcResult(id, result) {
+  return { jsonrpc: "2.0", id, result };
+}
+
+function rpcError(id, code, message) {
+  return { jsonrpc: "2.0", id: id ?? null, error: { code, message } };
+}
+
+function availableTools(ctx) {
+  return TOOLS.filter((tool) => ctx.req.apiKey.scopes.includes(tool.scope));
+}
+
+/**
+ * Run a tool; failures the caller can act on are reported as tool errors
+ */
+async function callTool(ctx, tool, args) {
+  try {
+    const result = await tool.handler(ctx, args);
+    return {
+      content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
+      structuredContent: result,
+    };
+  } catch (error) {
+    if (!(error instanceof HttpsError)) {
+      console.error(`Error in MCP tool ${tool.name}:`, error);
+    }
+    return {
+      content: [{ type: "text", text: error instanceof HttpsError ? error.message : "Internal error" }],
+      isError: true,
+    };
+  }
+}
+
+/**
+ * Handle one JSON-RPC message; returns the response, or null for notifications
+ */
+async function handleMessage(ctx, message) {
+  if (!message || typeof message !== "object" || message.jsonrpc !== "2.0" || typeof message.method !== "string") {
+    return rpcError(message && message.id, INVALID_REQUEST, "Invalid JSON-RPC request");
+  }
+
+  const { id, method, params = {} } = message;
+  if (id === undefined) return null;
+
+  switch (method) {
+    case "initialize": {
+      const requested = params.protocolVersion;
+      return rpcResult(id, {
+        protocolVersion: PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0],
+        capabilities: { tools: { listChanged: false } },
+        serverInfo: SERVER_INFO,
+        instructions: "Tools for the Erold projects, tasks and knowledge base of the tenant this API key belongs to.",
+      });
+    }
+    case "ping":
+      return rpcResult(id, {});
+    case "tools/list":
+      return rpcResult(id, {
+        tools: availableTools(ctx).map(({ name, description, inputSchema }) => ({ name, description, inputSchema })),
+      });
+    case "tools/call": {
+      const tool = availableTools(ctx).find((candidate) => candidate.name === params.name);
+      if (!tool) {
+        return rpcError(id, INVALID_PARAMS, `Unknown tool: ${params.name}`);
+      }
+
+      const args = params.arguments ?? {};
+      if (typeof args !== "object" || Array.isArray(args)) {
+        return rpcError(id, INVALID_PARAMS, "Tool arguments must be an object");
+      }
+      return rpcResult(id, await callTool(ctx, tool, args));
+    }
+    default:
+      return rpcError(id, METHOD_NOT_FOUND, `Method not found: ${method}`);
+  }
+}
+
+// ============================================
+// App
+// ============================================
+
+const app = express();
+
+app.post("/", route(authenticate), route(async (req, res) => {
+  if (req.body === undefined || typeof req.body !== "object" || req.body === null) {
+    res.status(400).json(rpcError(null, PARSE_ERROR, "Body must be a JSON-RPC message"));
+    return;
+  }
+
+  const ctx = { req, member: await getKeyMember(req) };
+
+  // Batches were allowed by the 2025-03-26 revision
+  const messages = Array.isArray(req.body) ? req.body : [req.body];
+  const responses = [];
+  for (const message of messages) {
+    const response = await handleMessage(ctx, message);
+    if (response) responses.push(response);
+  }
+
+  if (responses.length === 0) {
+    res.status(202).end();
+    return;
+  }
+  res.json(Array.isArray(req.body) ? responses : responses[0]);
+}));
+
+// Stateless: no server-sent event stream and no sessions to end
+app.all("/", (req, res) => {
+  res.set("Allow", "POST").status(405).json(rpcError(null, METHOD_NOT_FOUND, "Only POST is supported"));
+});
+
+app.use((error, req, res, next) => {
+  if (error instanceof HttpsError) {
+    const status = error.httpErrorCode.status;
+    if (status === 401) {
+      res.set("WWW-Authenticate", "Bearer");
+    }
+    res.status(status).json(rpcError(null, status === 401 || status === 403 ? UNAUTHORIZED : INVALID_REQUEST, error.message));
+    return;
+  }
+
+  console.error("Unhandled MCP error:", error);
+  res.status(500).json(rpcError(null, INTERNAL_ERROR, "Internal error"));
+});
+
+/**
+ * HTTPS: MCP server (Streamable HTTP)
+ */
+exports.mcp = onRequest({ memory: "1GiB" }, app);
@@ -0,0 +1,291 @@
+/**
+ * Notification dispatcher
+ * Every user-facing event goes through notifyUser: it writes the in-app
+ * notification to users/{userId}/notifications, dedupes repeats for the same
+ * task and type, and delivers email according to the user's preferences.
+ *
+ * Email delivery is read from `emailPreferences` on the user document:
+ *   - `taskAssigned`, `comments`, `dueReminders`: false turns email off for
+ *     that event type (the in-app notification is still written)
+ *   - `delivery`: "instant" (default), "hourly", "daily" or "none" (in-app only)
+ */
+
+const { onSchedule } = require("firebase-functions/v2/scheduler");
+const admin = require("firebase-admin");
+const { queueEmail } = require("./mail");
+const { renderEmail } = require("./templates");
+const { APP_URL } = require("./config");
+
+// Which emailPreferences toggle controls each notification type
+const EMAIL_PREFERENCE_KEYS = {
+  task_assigned: "taskAssigned",
+  comment: "comments",
+  mention: "comments",
+  due_reminder: "dueReminders",
+  overdue_escalation: "dueReminders",
+};
+
+// Repeats of the same type on the same task within this window are merged
+// into the existing unread notification instead of notifying again
+const DEDUPE_WINDOWS_MS = {
+  task_assigned: 10 * 60 * 1000,
+  comment: 10 * 60 * 1000,
+  mention: 10 * 60 * 1000,
+  agent_review: 10 * 60 * 1000,
+  due_reminder: 20 * 60 * 60 * 1000,
+  overdue_escalation: 20 * 60 * 60 * 1000,
+};
+
+// Reminders are deduped even once read, so a rerun never reminds twice a day
+const DEDUPE_READ_TYPES = ["due_reminder", "overdue_escalation"];
+
+const EMAIL_DELIVERY_MODES = ["instant", "hourly", "daily", "none"];
+
+// Firestore batches are limited to 500 writes
+const BATCH_SIZE = 400;
+
+/**
+ * Only links into the app are emailed; anything else could be a phishing link
+ */
+function isAppLink(link) {
+  return typeof link === "string" && link.startsWith(`${APP_URL}/`);
+}
+
+/**
+ * Work out how a notification type should be emailed to a user
+ */
+function getEmailDelivery(user, type) {
+  const preferences = user.emailPreferences || {};
+
+  if (!user.email) return "none";
+
+  const preferenceKey = EMAIL_PREFERENCE_KEYS[type];
+  if (preferenceKey && preferences[preferenceKey] === false) return "none";
+
+  return EMAIL_DELIVERY_MODES.includes(preferences.delivery) ? preferences.delivery : "instant";
+}
+
+/**
+ * Write an in-app notification, or merge it into a recent one for the same task and type
+ * Returns the new notification's ref, or null if it was deduped
+ */
+async function writeNotification(userRef, notification, emailDelivery) {
+  const notificationsRef = userRef.collection("notifications");
+  const dedupeWindow = DEDUPE_WINDOWS_MS[notification.type] || 0;
+
+  return admin.firestore().runTransaction(async (transaction) => {
+    if (notification.taskId && dedupeWindow > 0) {
+      const since = admin.firestore.Timestamp.fromMillis(Date.now() - dedupeWindow);
+      const recentSnapshot = await transaction.get(
+        notificationsRef
+          .where("taskId", "==", notification.taskId)
+          .where("type", "==", notification.type)
+          .where("createdAt", ">=", since)
+      );
+
+      const duplicate = recentSnapshot.docs.find((doc) =>
+        !doc.data().read || DEDUPE_READ_TYPES.includes(notification.type)
+      );
+
+      if (duplicate) {
+        if (!duplicate.data().read) {
+          transaction.update(duplicate.ref, {
+            title: notification.title,
+            message: notification.message,
+            actorId: notification.actorId || null,
+            count: admin.firestore.FieldValue.increment(1),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+        }
+        return null;
+      }
+    }
+
+    const isDigest = emailDelivery === "hourly" || emailDelivery === "daily";
+    const notificationRef = notificationsRef.doc();
+
+    transaction.set(notificationRef, {
+      type: notification.type,
+      title: notification.title,
+      message: notification.message || "",
+      link: notification.link || null,
+      tenantId: notification.tenantId || null,
+      tenantName: notification.tenantName || null,
+      projectId: notification.projectId || null,
+      projectTitle: notification.projectTitle || null,
+      taskId: notification.taskId || null,
+      actorId: notification.actorId || null,
+      count: 1,
+      read: false,
+      emailDelivery,
+      digest: isDigest ? emailDelivery : null,
+      digestPending: isDigest,
+      mailId: null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return notificationRef;
+  });
+}
+
+/**
+ * Notify a user about one or more events of the same type
+ *
+ * Each notification gets an in-app document. Notifications that were not
+ * deduped are then emailed: immediately via renderEmail(user, notifications),
+ * or later in the user's hourly/daily digest.
+ */
+async function notifyUser(userId, notifications, renderEmail) {
+  if (!userId || notifications.length === 0) return { notified: 0 };
+
+  const userRef = admin.firestore().collection("users").doc(userId);
+  const userDoc = await userRef.get();
+  if (!userDoc.exists) {
+    console.log(`Notification skipped, user ${userId} not found`);
+    return { notified: 0 };
+  }
+
+  const user = userDoc.data();
+  const emailDelivery = getEmailDelivery(user, notifications[0].type);
+
+  const created = [];
+  for (const notification of notifications) {
+    const notificationRef = await writeNotification(userRef, notification, emailDelivery);
+    if (notificationRef) {
+      created.push({ ...notification, ref: notificationRef });
+    }
+  }
+
+  if (created.length === 0) {
+    console.log(`Notification for ${userId} deduped`);
+    return { notified: 0 };
+  }
+
+  if (emailDelivery === "instant" && renderEmail) {
+    const email = renderEmail(user, created);
+    const mailId = await queueEmail(
+      { to: user.email, ...email },
+      { idempotencyKey: `notification:${created[0].ref.id}` }
+    );
+
+    const batch = admin.firestore().batch();
+    created.forEach(({ ref }) => {
+      batch.update(ref, { mailId });
+    });
+    await batch.commit();
+
+    console.log(`Notification email queued for ${user.email}`);
+  }
+
+  return { notified: created.length, emailDelivery };
+}
+
+/**
+ * Notify a user about a single event
+ */
+function notify(notification, renderEmail) {
+  return notifyUser(notification.userId, [notification], renderEmail);
+}
+
+// ============================================
+// Digests
+// ============================================
+
+/**
+ * Email every user their pending notifications for a digest frequency
+ */
+async function sendDigests(frequency) {
+  const pendingSnapshot = await admin.firestore()
+    .collectionGroup("notifications")
+    .where("digest", "==", frequency)
+    .where("digestPending", "==", true)
+    .get();
+
+  // Group pending notifications by user
+  const docsByUser = {};
+  pendingSnapshot.docs.forEach((doc) => {
+    const userId = doc.ref.parent.parent.id;
+    if (!docsByUser[userId]) {
+      docsByUser[userId] = [];
+    }
+    docsByUser[userId].push(doc);
+  });
+
+  let sent = 0;
+  for (const [userId, docs] of Object.entries(docsByUser)) {
+    try {
+      const userDoc = await admin.firestore().collection("users").doc(userId).get();
+      const user = userDoc.exists ? userDoc.data() : null;
+
+      // Users who switched to in-app only since are just marked done
+      const wantsDigest = user && user.email && user.emailPreferences?.delivery !== "none";
+
+      let mailId = null;
+      if (wantsDigest) {
+        const notifications = docs
+          .map((doc) => doc.data())
+          .sort((a, b) => a.createdAt.toMillis() - b.createdAt.toMillis());
+
+        mailId = await queueEmail({
+          to: user.email,
+          ...renderEmail("digest", {
+            userName: user.name || user.email,
+            frequency,
+            count: notifications.length,
+            notifications: notifications.map((notification) => ({
+              title: notification.title,
+              message: notification.message,
+              link: isAppLink(notification.link) ? notification.link : null,
+              context: [notification.tenantName, notification.projectTitle].filter(Boolean).join(" · "),
+              count: notification.count > 1 ? notification.count : null,
+            })),
+          }, { locale: user.locale, timeZone: user.timezone }),
+        }, { idempotencyKey: `digest:${userId}:${docs.map((doc) => doc.id).sort().join(",")}` });
+        sent++;
+      }
+
+      for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+        const batch = admin.firestore().batch();
+        docs.slice(i, i + BATCH_SIZE).forEach((doc) => {
+          batch.update(doc.ref, {
+            digestPending: false,
+            mailId,
+          });
+        });
+        await batch.commit();
+      }
+    } catch (error) {
+      // Leave the notifications pending so the next run retries them
+      console.error(`Error sending ${frequency} digest to user ${userId}:`, error);
+    }
+  }
+
+  console.log(`Queued ${sent} ${frequency} digests`);
+  return { success: true, sent };
+}
+
+/**
+ * Trigger: Every hour - Send hourly notification digests
+ */
+exports.sendHourlyDigest = onSchedule(
+  {
+    schedule: "0 * * * *",
+    timeZone: "Europe/Luxembourg",
+  },
+  () => sendDigests("hourly")
+);
+
+/**
+ * Trigger: Daily at 8am - Send daily notification digests
+ */
+exports.sendDailyDigest = onSchedule(
+  {
+    schedule: "0 8 * * *",
+    timeZone: "Europe/Luxembourg",
+  },
+  () => sendDigests("daily")
+);
+
+exports.notify = notify;
+exports.notifyUser = notifyUser;
@@ -0,0 +1,1121 @@
+/**
+ * Tenant export and import, and personal data requests (GDPR)
+ *
+ * exportTenantData (admins) queues an export. The runTenantExport task writes one
+ * zip archive to exports/tenants/{tenantId}/{jobId}.zip:
+ *   manifest.json    format, version, source tenant, counts and the file list
+ *   documents.jsonl  one line per document, { "path": ..., "data": ... }, with
+ *                    paths relative to the tenant ("" is the tenant itself)
+ *   files/...        the tenant's Storage files, by path relative to the tenant
+ * and emails the requester a signed download link, valid EXPORT_LINK_DAYS.
+ * Timestamps, references, geopoints and bytes are tagged ({ "__type": ... })
+ * so they survive the round trip. API keys, webhooks, chat settings and the
+ * vault (unreadable without the tenant's keys) are left out, as are thumbnails.
+ *
+ * importTenantData restores an archive uploaded to imports/{userId}/ into a new
+ * tenant owned by the importing user (runTenantImport task):
+ *   - the new tenant id replaces the old one everywhere, paths included
+ *   - the importing user is the only member (owner); if the archive lists them
+ *     (same email), their references are carried over
+ *   - every other member is invited again with their old role (createInvite in
+ *     invites.js) and stands in the documents as `imported:{oldUserId}` until
+ *     they accept; remapImportedMember then swaps in their user id. References
+ *     to members without an email are cleared. The job result only counts them.
+ *   - other document ids are kept, they only need to be unique within a tenant
+ * Imported documents carry `importId`, which keeps the history and comment
+ * notification triggers from treating them as new activity. Fields only
+ * functions write (calendar feed tokens, agent queue state, recurring task
+ * schedules) are dropped. Files are uploaded again pending a scan, without the
+ * archive's uploadedBy and attachmentId, so the attachment pipeline rescans
+ * them, takes the uploader from the attachments document and rebuilds
+ * thumbnails.
+ *
+ * Both run as dataJobs/{jobId} documents the requester can watch:
+ *   queued -> running -> done
+ *                     -> failed (retried by the task queue, see `error`)
+ *
+ * exportMyData emails the signed-in user a link to what Erold stores about
+ * them personally: their account, users/{userId}, notifications and
+ * memberships. eraseMyData deletes all of it, the account included; tasks and
+ * comments they wrote belong to their tenants and stay.
+ *
+ * Signing links needs the functions' service account to hold
+ * roles/iam.serviceAccountTokenCreator on itself.
+ */
+
+const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const { onTaskDispatched } = require("firebase-functions/v2/tasks");
+const { onSchedule } = require("firebase-functions/v2/scheduler");
+const { onDocumentUpdated } = require("firebase-functions/v2/firestore");
+const admin = require("firebase-admin");
+const { getFunctions } = require("firebase-admin/functions");
+const archiver = require("archiver");
+const yauzl = require("yauzl");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const readline = require("readline");
+const { once } = require("events");
+const { pipeline, finished } = require("stream/promises");
+const { logActivity } = require("./activity");
+const { queueEmail } = require("./mail");
+const { renderEmail } = require("./templates");
+const { MENTION_REGEX } = require("./markdown");
+const { createInvite } = require("./invites");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ARCHIVE_FORMAT = "erold-tenant-export";
+const ARCHIVE_VERSION = 1;
+
+// v4 signed URLs can't be valid for longer
+const EXPORT_LINK_DAYS = 7;
+
+// Archives and uploads are deleted after this long
+const RETENTION_DAYS = 7;
+
+// A user can ask for their personal data once an hour
+const PERSONAL_EXPORT_INTERVAL_MS = 60 * 60 * 1000;
+
+const EXPORT_QUEUE = "locations/europe-west1/functions/runTenantExport";
+const IMPORT_QUEUE = "locations/europe-west1/functions/runTenantImport";
+
+const PAGE_SIZE = 400;
+
+// Secrets, or data that means nothing outside this tenant; the search index is
+// rebuilt from the imported documents (see search.js)
+const EXCLUDED_COLLECTIONS = ["apiKeys", "webhooks", "vault", "vaultKeys", "searchEntries"];
+
+// Chat settings hold incoming webhook URLs (see chat.js)
+const EXCLUDED_DOCUMENT = /(^|\/)meta\/chat$/;
+
+// Thumbnails and search snapshots are rebuilt on import
+const EXCLUDED_FILE = /\/thumbnails\/|^tenants\/[^/]+\/search\//;
+
+// Deletion state of the source tenant doesn't carry over
+const TENANT_STATE_FIELDS = ["deletedAt", "deletedBy", "purgeAt", "purgeStartedAt"];
+
+// Fields only functions write are never taken from an archive: calendar feed
+// tokens, agent queue state and reminder indexes start over in the new tenant
+const SERVER_FIELDS = ["calendarFeed", "agentRun", "reminderUtcHours"];
+
+// Recurring tasks keep their place in the series; scheduleRecurringTask plans
+// their next instance again
+const RECURRENCE_POSITION_FIELDS = ["seriesId", "index", "occurrence", "previousTaskId", "nextTaskId", "ended"];
+
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{1,48}[a-z0-9])$/;
+
+// Archive roles as invite roles; nobody is invited as an owner
+const INVITE_ROLES = { owner: "admin", admin: "admin", member: "member", guest: "guest" };
+
+function tenantRef(tenantId) {
+  return admin.firestore().collection("tenants").doc(tenantId);
+}
+
+function jobRef(jobId) {
+  return admin.firestore().collection("dataJobs").doc(jobId);
+}
+
+function tempPath(name) {
+  return path.join(os.tmpdir(), name);
+}
+
+async function removeTemp(file) {
+  await fs.promises.rm(file, { force: true });
+}
+
+// ============================================
+// Value encoding
+// ============================================
+
+/**
+ * Convert a Firestore value to JSON, tagging types JSON can't express
+ */
+function encodeValue(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof admin.firestore.Timestamp) {
+    return { __type: "timestamp", seconds: value.seconds, nanoseconds: value.nanoseconds };
+  }
+  if (value instanceof admin.firestore.DocumentReference) return { __type: "reference", path: value.path };
+  if (value instanceof admin.firestore.GeoPoint) {
+    return { __type: "geopoint", latitude: value.latitude, longitude: value.longitude };
+  }
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    return { __type: "bytes", base64: Buffer.from(value).toString("base64") };
+  }
+  if (Array.isArray(value)) return value.map(encodeValue);
+  if (typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, encodeValue(item)]));
+  }
+  return value;
+}
+
+/**
+ * Drop the server-owned fields of an imported document
+ */
+function stripServerFields(fields) {
+  SERVER_FIELDS.forEach((field) => delete fields[field]);
+  if (fields.recurrenceState && typeof fields.recurrenceState === "object") {
+    fields.recurrenceState = Object.fromEntries(RECURRENCE_POSITION_FIELDS
+      .filter((field) => fields.recurrenceState[field] !== undefined)
+      .map((field) => [field, fields.recurrenceState[field]]));
+  } else {
+    delete fields.recurrenceState;
+  }
+  return fields;
+}
+
+/**
+ * Rewrites old ids to new ones in strings: whole values, path segments and
+ * @mentions. Ids mapped to null (members without an email) become null,
+ * and mentions of them plain text.
+ */
+function createRemapper(idMap) {
+  const mapSegments = (value) => value
+    .split("/")
+    .map((segment) => (idMap.has(segment) && idMap.get(segment) !== null ? idMap.get(segment) : segment))
+    .join("/");
+
+  return (value) => {
+    if (idMap.has(value)) return idMap.get(value);
+
+    let result = value;
+    if (result.includes("@[")) {
+      result = result.replace(new RegExp(MENTION_REGEX), (mention, name, userId) => {
+        if (!idMap.has(userId)) return mention;
+        return idMap.get(userId) === null ? `@${name}` : `@[${name}](${idMap.get(userId)})`;
+      });
+    }
+    return result.includes("/") ? mapSegments(result) : result;
+  };
+}
+
+/**
+ * Convert an encoded value back to Firestore types, remapping ids in strings
+ */
+function decodeValue(value, remap) {
+  if (value === null) return null;
+  if (typeof value === "string") return remap(value);
+  if (Array.isArray(value)) {
+    // Cleared member references drop out of lists such as assignedUsers
+    return value
+      .map((item) => decodeValue(item, remap))
+      .filter((item, index) => item !== null || value[index] === null);
+  }
+  if (typeof value === "object") {
+    switch (value.__type) {
+      case "timestamp":
+        return new admin.firestore.Timestamp(value.seconds, value.nanoseconds);
+      case "reference":
+        return admin.firestore().doc(remap(value.path));
+      case "geopoint":
+        return new admin.firestore.GeoPoint(value.latitude, value.longitude);
+      case "bytes":
+        return Buffer.from(value.base64, "base64");
+      default:
+        // Maps can be keyed by ids too, e.g. by user
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+          typeof remap(key) === "string" ? remap(key) : key,
+          decodeValue(item, remap),
+        ]));
+    }
+  }
+  return value;
+}
+
+/**
+ * Remap ids in stored Firestore data, as decodeValue does for archives
+ */
+function remapData(value, remap) {
+  if (typeof value === "string") return remap(value);
+  if (Array.isArray(value)) return value.map((item) => remapData(item, remap));
+  if (value instanceof admin.firestore.DocumentReference) return admin.firestore().doc(remap(value.path));
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [remap(key), remapData(item, remap)]));
+  }
+  return value;
+}
+
+// ============================================
+// Jobs
+// ============================================
+
+async function assertTenantAdmin(request, tenantId) {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "You must be signed in");
+  }
+  if (!tenantId || typeof tenantId !== "string") {
+    throw new HttpsError("invalid-argument", "tenantId is required");
+  }
+
+  const memberDoc = await tenantRef(tenantId).collection("members").doc(request.auth.uid).get();
+  if (!memberDoc.exists || !["owner", "admin"].includes(memberDoc.data().role)) {
+    throw new HttpsError("permission-denied", "Only tenant admins can export data");
+  }
+}
+
+/**
+ * Create a job document and queue its task
+ */
+async function queueJob(queue, job) {
+  const ref = admin.firestore().collection("dataJobs").doc();
+
+  await ref.set({
+    ...job,
+    status: "queued",
+    error: null,
+    result: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  await getFunctions().taskQueue(queue).enqueue({ jobId: ref.id });
+
+  return ref.id;
+}
+
+/**
+ * Run a queued job, recording its outcome on the job document
+ * Failures are rethrown so the task queue retries them
+ */
+async function runJob(jobId, run) {
+  const ref = jobRef(jobId);
+  const doc = await ref.get();
+  if (!doc.exists || doc.data().status === "done") return;
+
+  await ref.update({ status: "running", updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+
+  try {
+    const result = await run(doc.data(), jobId);
+    await ref.update({
+      status: "done",
+      error: null,
+      result,
+      finishedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } catch (error) {
+    console.error(`Data job ${jobId} failed:`, error);
+    await ref.update({
+      status: "failed",
+      error: error.message,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    throw error;
+  }
+}
+
+async function signDownloadUrl(file, fileName) {
+  const expiresAt = new Date(Date.now() + EXPORT_LINK_DAYS * DAY_MS);
+  const [url] = await file.getSignedUrl({
+    version: "v4",
+    action: "read",
+    expires: expiresAt,
+    responseDisposition: `attachment; filename="${fileName}"`,
+  });
+  return { url, expiresAt };
+}
+
+/**
+ * Email a user the link to their export
+ */
+async function sendExportEmail(userId, data, idempotencyKey) {
+  const userDoc = await admin.firestore().collection("users").doc(userId).get();
+  const user = userDoc.exists ? userDoc.data() : {};
+  const email = user.email || (await admin.auth().getUser(userId)).email;
+  if (!email) return null;
+
+  return queueEmail({
+    to: email,
+    ...renderEmail("dataExport", {
+      userName: user.name || email,
+      ...data,
+    }, { locale: user.locale, timeZone: user.timezone }),
+  }, { idempotencyKey });
+}
+
+// ============================================
+// Tenant export
+// ============================================
+
+/**
+ * Every document below a document, depth first, minus excluded collections
+ */
+async function* walkDocuments(docRef) {
+  for (const collectionRef of await docRef.listCollections()) {
+    if (EXCLUDED_COLLECTIONS.includes(collectionRef.id)) continue;
+
+    let last = null;
+    for (;;) {
+      let query = collectionRef.orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+      if (last) query = query.startAfter(last);
+
+      const snapshot = await query.get();
+      if (snapshot.empty) break;
+
+      for (const doc of snapshot.docs) {
+        yield doc;
+        yield* walkDocuments(doc.ref);
+      }
+      last = snapshot.docs[snapshot.docs.length - 1];
+    }
+  }
+}
+
+/**
+ * Write the tenant's documents to a JSONL file
+ * Returns document counts by collection
+ */
+async function writeDocuments(tenantId, destination) {
+  const root = tenantRef(tenantId);
+  const prefix = `${root.path}/`;
+  const out = fs.createWriteStream(destination);
+  const counts = {};
+
+  const writeLine = async (line) => {
+    if (!out.write(`${JSON.stringify(line)}\n`)) await once(out, "drain");
+  };
+
+  try {
+    const tenantDoc = await root.get();
+    await writeLine({ path: "", data: encodeValue(tenantDoc.data()) });
+
+    for await (const doc of walkDocuments(root)) {
+      const relativePath = doc.ref.path.substring(prefix.length);
+      if (EXCLUDED_DOCUMENT.test(relativePath)) continue;
+
+      await writeLine({ path: relativePath, data: encodeValue(doc.data()) });
+      counts[doc.ref.parent.id] = (counts[doc.ref.parent.id] || 0) + 1;
+    }
+  } finally {
+    out.end();
+    await finished(out);
+  }
+
+  return counts;
+}
+
+/**
+ * Add an entry to a zip archive and wait until it has been written
+ */
+async function appendEntry(archive, source, name) {
+  const added = once(archive, "entry");
+  archive.append(source, { name });
+  await added;
+}
+
+async function exportTenant(job, jobId) {
+  const { tenantId, requestedBy } = job;
+  const bucket = admin.storage().bucket();
+
+  const tenantDoc = await tenantRef(tenantId).get();
+  if (!tenantDoc.exists) throw new Error(`Tenant ${tenantId} not found`);
+  const tenant = tenantDoc.data();
+
+  const documentsFile = tempPath(`${jobId}.jsonl`);
+
+  try {
+    const counts = await writeDocuments(tenantId, documentsFile);
+
+    const filePrefix = `tenants/${tenantId}/`;
+    const [allFiles] = await bucket.getFiles({ prefix: filePrefix });
+    const files = allFiles.filter((file) => !file.name.endsWith("/") && !EXCLUDED_FILE.test(file.name));
+
+    const manifest = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exportId: jobId,
+      exportedAt: new Date().toISOString(),
+      exportedBy: requestedBy,
+      tenant: { id: tenantId, name: tenant.name || null, slug: tenant.slug || null },
+      counts,
+      files: files.map((file) => ({
+        path: file.name.substring(filePrefix.length),
+        contentType: file.metadata.contentType || null,
+        size: Number(file.metadata.size) || 0,
+        metadata: file.metadata.metadata || {},
+      })),
+    };
+
+    const archiveFile = bucket.file(`exports/tenants/${tenantId}/${jobId}.zip`);
+    const archive = archiver("zip", { zlib: { level: 6 } });
+    const upload = pipeline(archive, archiveFile.createWriteStream({
+      resumable: true,
+      metadata: { contentType: "application/zip", metadata: { tenantId, jobId } },
+    }));
+    // Surfaced by the await below; without this an early failure is unhandled
+    upload.catch(() => {});
+
+    await appendEntry(archive, JSON.stringify(manifest, null, 2), "manifest.json");
+    await appendEntry(archive, fs.createReadStream(documentsFile), "documents.jsonl");
+
+    // One file at a time, so only one download is open
+    for (const file of files) {
+      await appendEntry(archive, file.createReadStream(), `files/${file.name.substring(filePrefix.length)}`);
+    }
+
+    await archive.finalize();
+    await upload;
+
+    const { url, expiresAt } = await signDownloadUrl(archiveFile, `${tenant.slug || tenantId}-export.zip`);
+    const documents = Object.values(counts).reduce((sum, count) => sum + count, 0) + 1;
+
+    await sendExportEmail(requestedBy, {
+      kind: "tenant",
+      tenantName: tenant.name,
+      documents,
+      files: files.length,
+      downloadUrl: url,
+      expiresAt,
+    }, `dataExport:${jobId}`);
+
+    const batch = admin.firestore().batch();
+    logActivity(batch, tenantId, {
+      id: `export-${jobId}`,
+      type: "tenant.exported",
+      actorId: requestedBy,
+      entityType: "tenant",
+      entityId: tenantId,
+      data: { exportId: jobId, documents, files: files.length },
+    });
+    await batch.commit();
+
+    console.log(`Exported tenant ${tenantId}: ${documents} documents, ${files.length} files`);
+    return {
+      path: archiveFile.name,
+      downloadUrl: url,
+      expiresAt: admin.firestore.Timestamp.fromDate(expiresAt),
+      documents,
+      files: files.length,
+      counts,
+    };
+  } finally {
+    await removeTemp(documentsFile);
+  }
+}
+
+// ============================================
+// Tenant import
+// ============================================
+
+function openZip(file) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(file, { lazyEntries: true, autoClose: false }, (error, zipfile) => (
+      error ? reject(error) : resolve(zipfile)
+    ));
+  });
+}
+
+function readEntries(zipfile) {
+  return new Promise((resolve, reject) => {
+    const entries = new Map();
+    zipfile.on("entry", (entry) => {
+      entries.set(entry.fileName, entry);
+      zipfile.readEntry();
+    });
+    zipfile.on("end", () => resolve(entries));
+    zipfile.on("error", reject);
+    zipfile.readEntry();
+  });
+}
+
+function openEntry(zipfile, entry) {
+  return new Promise((resolve, reject) => {
+    zipfile.openReadStream(entry, (error, stream) => (error ? reject(error) : resolve(stream)));
+  });
+}
+
+async function* readDocuments(zipfile, entry) {
+  const lines = readline.createInterface({ input: await openEntry(zipfile, entry), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (line.trim()) yield JSON.parse(line);
+  }
+}
+
+/**
+ * Find a free slug: the requested one, or the source's with a number added
+ */
+async function findFreeSlug(base) {
+  for (let attempt = 1; attempt <= 20; attempt++) {
+    const slug = attempt === 1 ? base : `${base.substring(0, 45)}-${attempt}`;
+    const snapshot = await admin.firestore().collection("tenants").where("slug", "==", slug).limit(1).get();
+    if (snapshot.empty) return slug;
+  }
+  throw new Error(`No free slug found for ${base}`);
+}
+
+function importedUserId(oldUserId) {
+  return `imported:${oldUserId}`;
+}
+
+/**
+ * Plan the archive's members without looking up accounts: the importer (by
+ * their own email) keeps their references, everyone else is invited
+ * Returns old user id -> new user id (null for members without an email)
+ * and the invites to send
+ */
+async function planMembers(zipfile, entry, importer) {
+  const importerEmail = (importer.email || "").toLowerCase();
+  const userIds = new Map();
+  const invites = [];
+
+  for await (const { path: docPath, data } of readDocuments(zipfile, entry)) {
+    const match = /^members\/([^/]+)$/.exec(docPath);
+    if (!match) continue;
+
+    const oldUserId = match[1];
+    const email = typeof data.email === "string" ? data.email.trim().toLowerCase() : "";
+    if (!email) {
+      userIds.set(oldUserId, null);
+    } else if (email === importerEmail && ![...userIds.values()].includes(importer.uid)) {
+      userIds.set(oldUserId, importer.uid);
+    } else {
+      userIds.set(oldUserId, importedUserId(oldUserId));
+      invites.push({
+        oldUserId,
+        email,
+        role: INVITE_ROLES[data.role] || "member",
+        projectIds: Array.isArray(data.projectIds) ? data.projectIds.filter((id) => typeof id === "string") : [],
+      });
+    }
+  }
+
+  return { userIds, invites };
+}
+
+function countDropped(userIds) {
+  return [...userIds.values()].filter((userId) => userId === null).length;
+}
+
+/**
+ * Invite the archive's other members to the new tenant
+ * A retried import only invites those it hasn't yet
+ */
+async function inviteMembers(invites, { tenantId, tenantName, requestedBy, jobId }) {
+  const existing = await admin.firestore().collection("invites").where("importId", "==", jobId).get();
+  const invited = new Set(existing.docs.map((doc) => doc.data().importedUserId));
+
+  for (const { oldUserId, email, role, projectIds } of invites) {
+    const placeholder = importedUserId(oldUserId);
+    if (invited.has(placeholder)) continue;
+
+    await createInvite(
+      { tenantId, tenantName, email, role, projectIds, invitedBy: requestedBy },
+      { importId: jobId, importedUserId: placeholder }
+    );
+  }
+}
+
+/**
+ * Replace an imported member's placeholder id with their user id in every
+ * document of the tenant; documents stored under the placeholder move
+ */
+async function replaceImportedUserId(tenantId, placeholder, userId) {
+  const remap = createRemapper(new Map([[placeholder, userId]]));
+  const root = tenantRef(tenantId);
+  const writer = admin.firestore().bulkWriter();
+  let updated = 0;
+
+  try {
+    for await (const doc of walkDocuments(root)) {
+      const data = doc.data();
+      const newPath = remap(doc.ref.path);
+      if (newPath === doc.ref.path && !JSON.stringify(encodeValue(data)).includes(placeholder)) continue;
+
+      writer.set(admin.firestore().doc(newPath), remapData(data, remap));
+      if (newPath !== doc.ref.path) writer.delete(doc.ref);
+      updated++;
+    }
+  } finally {
+    await writer.close();
+  }
+
+  return updated;
+}
+
+async function importTenant(job, jobId) {
+  const { sourcePath, tenantId, requestedBy } = job;
+  const bucket = admin.storage().bucket();
+  const archiveFile = tempPath(`${jobId}.zip`);
+
+  await bucket.file(sourcePath).download({ destination: archiveFile });
+  const zipfile = await openZip(archiveFile);
+
+  try {
+    const entries = await readEntries(zipfile);
+    const manifestEntry = entries.get("manifest.json");
+    const documentsEntry = entries.get("documents.jsonl");
+    if (!manifestEntry || !documentsEntry) {
+      throw new Error("Not an Erold export: manifest.json or documents.jsonl is missing");
+    }
+
+    const chunks = [];
+    for await (const chunk of await openEntry(zipfile, manifestEntry)) chunks.push(chunk);
+    const manifest = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+    if (manifest.format !== ARCHIVE_FORMAT || !(manifest.version <= ARCHIVE_VERSION)) {
+      throw new Error(`Unsupported archive: ${manifest.format} version ${manifest.version}`);
+    }
+
+    const importer = await admin.auth().getUser(requestedBy);
+    const { userIds, invites } = await planMembers(zipfile, documentsEntry, importer);
+    const idMap = new Map([...userIds, [manifest.tenant.id, tenantId]]);
+    const remap = createRemapper(idMap);
+
+    const root = tenantRef(tenantId);
+    // A retried import keeps the slug it got the first time
+    const existing = await root.get();
+    const slug = existing.exists
+      ? existing.data().slug
+      : await findFreeSlug(job.slug || manifest.tenant.slug || "imported");
+    let tenantName = job.name || manifest.tenant.name;
+    const counts = {};
+    const writer = admin.firestore().bulkWriter();
+
+    try {
+      for await (const { path: docPath, data } of readDocuments(zipfile, documentsEntry)) {
+        const fields = stripServerFields(decodeValue(data, remap));
+
+        if (docPath === "") {
+          TENANT_STATE_FIELDS.forEach((field) => delete fields[field]);
+          tenantName = job.name || fields.name || manifest.tenant.name;
+          writer.set(root, {
+            ...fields,
+            name: tenantName,
+            slug,
+            ownerId: requestedBy,
+            importId: jobId,
+            importedFrom: { tenantId: manifest.tenant.id, exportId: manifest.exportId || null },
+          });
+          continue;
+        }
+
+        const [collection, docId] = docPath.split("/");
+        if (collection === "members") {
+          // Everyone else joins through their invite
+          if (userIds.get(docId) !== requestedBy) continue;
+
+          writer.set(root.collection("members").doc(requestedBy), {
+            ...fields,
+            userId: requestedBy,
+            role: "owner",
+            importId: jobId,
+          });
+        } else {
+          writer.set(admin.firestore().doc(`${root.path}/${remap(docPath)}`), { ...fields, importId: jobId });
+        }
+
+        const parent = docPath.split("/").slice(-2)[0];
+        counts[parent] = (counts[parent] || 0) + 1;
+      }
+
+      // The importing user owns the new tenant, whether or not they were a member
+      if (![...userIds.values()].includes(requestedBy)) {
+        writer.set(root.collection("members").doc(requestedBy), {
+          userId: requestedBy,
+          email: importer.email || null,
+          name: importer.displayName || null,
+          role: "owner",
+          projectIds: [],
+          joinedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      }
+
+      writer.set(admin.firestore().collection("users").doc(requestedBy), {
+        tenants: admin.firestore.FieldValue.arrayUnion(tenantId),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, { merge: true });
+
+      logActivity(writer, tenantId, {
+        id: `import-${jobId}`,
+        type: "tenant.imported",
+        actorId: requestedBy,
+        entityType: "tenant",
+        entityId: tenantId,
+        data: {
+          sourceTenantId: manifest.tenant.id,
+          exportId: manifest.exportId || null,
+          invitedMembers: invites.length,
+          droppedMembers: countDropped(userIds),
+        },
+      });
+    } finally {
+      await writer.close();
+    }
+
+    // Files go after their documents, so the attachment pipeline finds them
+    const fileInfo = new Map((manifest.files || []).map((file) => [file.path, file]));
+    let files = 0;
+
+    for (const [name, entry] of entries) {
+      if (!name.startsWith("files/") || name.endsWith("/")) continue;
+
+      const relativePath = name.substring("files/".length);
+      const info = fileInfo.get(relativePath) || {};
+      // Restored files are scanned again: uploadedBy and attachmentId come
+      // from the attachments documents, not from the archive
+      const metadata = Object.fromEntries(Object.entries(info.metadata || {})
+        .filter(([key]) => !["uploadedBy", "attachmentId", "scanStatus"].includes(key))
+        .map(([key, value]) => [key, typeof value === "string" ? remap(value) || "" : value]));
+      metadata.scanStatus = "pending";
+
+      await pipeline(
+        await openEntry(zipfile, entry),
+        bucket.file(`tenants/${tenantId}/${remap(relativePath)}`).createWriteStream({
+          resumable: false,
+          metadata: { contentType: info.contentType || "application/octet-stream", metadata },
+        })
+      );
+      files++;
+    }
+
+    // Invites go out last, so nobody accepts before their references exist
+    await inviteMembers(invites, { tenantId, tenantName, requestedBy, jobId });
+
+    await bucket.file(sourcePath).delete({ ignoreNotFound: true });
+
+    const documents = Object.values(counts).reduce((sum, count) => sum + count, 0) + 1;
+    console.log(`Imported ${manifest.tenant.id} as ${tenantId}: ${documents} documents, ${files} files`);
+    return {
+      tenantId,
+      slug,
+      documents,
+      files,
+      counts,
+      invitedMembers: invites.length,
+      droppedMembers: countDropped(userIds),
+    };
+  } finally {
+    zipfile.close();
+    await removeTemp(archiveFile);
+  }
+}
+
+/**
+ * Cloud Tasks worker: export a tenant
+ */
+exports.runTenantExport = onTaskDispatched(
+  {
+    retryConfig: {
+      maxAttempts: 3,
+      minBackoffSeconds: 300,
+    },
+    rateLimits: {
+      maxConcurrentDispatches: 2,
+    },
+    timeoutSeconds: 1800,
+    memory: "2GiB",
+  },
+  async (request) => {
+    await runJob(request.data.jobId, exportTenant);
+  }
+);
+
+/**
+ * Cloud Tasks worker: import an archive into a new tenant
+ * Writes are idempotent, so a retry picks up a failed import from the start
+ */
+exports.runTenantImport = onTaskDispatched(
+  {
+    retryConfig: {
+      maxAttempts: 3,
+      minBackoffSeconds: 300,
+    },
+    rateLimits: {
+      maxConcurrentDispatches: 2,
+    },
+    timeoutSeconds: 1800,
+    memory: "4GiB",
+  },
+  async (request) => {
+    await runJob(request.data.jobId, importTenant);
+  }
+);
+
+/**
+ * Trigger: When an invite sent by a tenant import is accepted
+ * Action: Swap the member's placeholder id for their user id in the tenant's
+ * documents. Errors are rethrown so the event is retried.
+ */
+exports.remapImportedMember = onDocumentUpdated(
+  {
+    document: "invites/{inviteId}",
+    timeoutSeconds: 540,
+    memory: "1GiB",
+    retry: true,
+  },
+  async (event) => {
+    const before = event.data.before.data();
+    const invite = event.data.after.data();
+    if (!invite.importedUserId || invite.status !== "accepted" || before.status === "accepted") return null;
+
+    try {
+      const updated = await replaceImportedUserId(invite.tenantId, invite.importedUserId, invite.acceptedBy);
+      console.log(`Remapped ${invite.importedUserId} to ${invite.acceptedBy} in ${updated} documents of ${invite.tenantId}`);
+      return { success: true, updated };
+    } catch (error) {
+      console.error(`Error remapping imported member ${invite.importedUserId}:`, error);
+      throw error;
+    }
+  }
+);
+
+/**
+ * Trigger: Daily at 4am - Delete export archives and import uploads past RETENTION_DAYS
+ */
+exports.cleanupDataExports = onSchedule(
+  {
+    schedule: "0 4 * * *",
+    timeZone: "Europe/Luxembourg",
+  },
+  async () => {
+    const bucket = admin.storage().bucket();
+    const cutoff = Date.now() - RETENTION_DAYS * DAY_MS;
+    let deleted = 0;
+
+    for (const prefix of ["exports/", "imports/"]) {
+      const [files] = await bucket.getFiles({ prefix });
+      const expired = files.filter((file) => new Date(file.metadata.timeCreated).getTime() < cutoff);
+
+      await Promise.all(expired.map((file) => file.delete({ ignoreNotFound: true })));
+      deleted += expired.length;
+    }
+
+    console.log(`Deleted ${deleted} expired export and import files`);
+    return { success: true, deleted };
+  }
+);
+
+// ============================================
+// Personal data
+// ============================================
+
+/**
+ * Tenants a user belongs to: from their user document and custom claims
+ */
+async function getUserMemberships(userId, account, user) {
+  const tenantIds = [...new Set([
+    ...(user.tenants || []),
+    ...Object.keys((account.customClaims || {}).tenants || {}),
+  ])];
+  if (tenantIds.length === 0) return [];
+
+  const memberDocs = await admin.firestore().getAll(
+    ...tenantIds.map((tenantId) => tenantRef(tenantId).collection("members").doc(userId))
+  );
+  return memberDocs.filter((doc) => doc.exists);
+}
+
+/**
+ * Callable: Email the signed-in user a copy of their personal data
+ */
+exports.exportMyData = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "You must be signed in");
+  }
+
+  const userId = request.auth.uid;
+  const userRef = admin.firestore().collection("users").doc(userId);
+  const [account, userDoc] = await Promise.all([admin.auth().getUser(userId), userRef.get()]);
+  const user = userDoc.exists ? userDoc.data() : {};
+
+  const requestedAt = user.dataExportRequestedAt ? user.dataExportRequestedAt.toMillis() : 0;
+  if (Date.now() - requestedAt < PERSONAL_EXPORT_INTERVAL_MS) {
+    throw new HttpsError("resource-exhausted", "You can request your data once an hour");
+  }
+
+  const [notificationsSnapshot, memberDocs] = await Promise.all([
+    userRef.collection("notifications").get(),
+    getUserMemberships(userId, account, user),
+  ]);
+  const tenantDocs = memberDocs.length > 0
+    ? await admin.firestore().getAll(...memberDocs.map((doc) => doc.ref.parent.parent))
+    : [];
+
+  const data = {
+    format: "erold-personal-export",
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    account: {
+      uid: account.uid,
+      email: account.email || null,
+      displayName: account.displayName || null,
+      phoneNumber: account.phoneNumber || null,
+      providers: account.providerData.map((provider) => provider.providerId),
+      createdAt: account.metadata.creationTime,
+      lastSignInAt: account.metadata.lastSignInTime,
+    },
+    profile: userDoc.exists ? encodeValue(user) : null,
+    notifications: notificationsSnapshot.docs.map((doc) => ({ id: doc.id, ...encodeValue(doc.data()) })),
+    memberships: memberDocs.map((doc, index) => ({
+      tenantId: doc.ref.parent.parent.id,
+      tenantName: tenantDocs[index].exists ? tenantDocs[index].data().name || null : null,
+      ...encodeValue(doc.data()),
+    })),
+  };
+
+  const exportId = admin.firestore().collection("dataJobs").doc().id;
+  const file = admin.storage().bucket().file(`exports/users/${userId}/${exportId}.json`);
+  await file.save(JSON.stringify(data, null, 2), { contentType: "application/json", resumable: false });
+
+  const { url, expiresAt } = await signDownloadUrl(file, "erold-personal-data.json");
+  await userRef.set({ dataExportRequestedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+  await sendExportEmail(userId, { kind: "personal", downloadUrl: url, expiresAt }, `dataExport:${exportId}`);
+
+  return { success: true, expiresAt: expiresAt.toISOString() };
+});
+
+/**
+ * Delete documents matching a query, a page at a time
+ */
+async function deleteMatching(query, writer) {
+  for (;;) {
+    const snapshot = await query.limit(PAGE_SIZE).get();
+    if (snapshot.empty) return;
+
+    snapshot.docs.forEach((doc) => writer.delete(doc.ref));
+    await writer.flush();
+  }
+}
+
+/**
+ * Callable: Erase the signed-in user's personal data and account
+ * `confirmEmail` must repeat the account's email address. Sole owners of a
+ * tenant must hand it over or delete it first.
+ */
+exports.eraseMyData = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "You must be signed in");
+  }
+
+  const userId = request.auth.uid;
+  const userRef = admin.firestore().collection("users").doc(userId);
+  const [account, userDoc] = await Promise.all([admin.auth().getUser(userId), userRef.get()]);
+  const user = userDoc.exists ? userDoc.data() : {};
+  const email = account.email || user.email || null;
+
+  const { confirmEmail } = request.data || {};
+  if (!email || typeof confirmEmail !== "string" || confirmEmail.trim().toLowerCase() !== email.toLowerCase()) {
+    throw new HttpsError("invalid-argument", "confirmEmail must match your email address");
+  }
+
+  const memberDocs = await getUserMemberships(userId, account, user);
+
+  const blocking = [];
+  for (const memberDoc of memberDocs.filter((doc) => doc.data().role === "owner")) {
+    const tenant = memberDoc.ref.parent.parent;
+    const [tenantDoc, ownersSnapshot] = await Promise.all([
+      tenant.get(),
+      tenant.collection("members").where("role", "==", "owner").limit(2).get(),
+    ]);
+    if (tenantDoc.exists && !tenantDoc.data().deletedAt && ownersSnapshot.size < 2) {
+      blocking.push(tenantDoc.data().name || tenant.id);
+    }
+  }
+  if (blocking.length > 0) {
+    throw new HttpsError("failed-precondition", `You are the only owner of ${blocking.join(", ")}; add another owner or delete it first`);
+  }
+
+  const writer = admin.firestore().bulkWriter();
+  try {
+    // Leaving unassigns their tasks and projects (see cleanupRemovedMember)
+    memberDocs.forEach((doc) => writer.delete(doc.ref));
+    await writer.flush();
+
+    await deleteMatching(admin.firestore().collection("replyAddresses").where("userId", "==", userId), writer);
+    await deleteMatching(admin.firestore().collection("invites").where("email", "==", email.toLowerCase()), writer);
+    await deleteMatching(admin.firestore().collection("mail").where("to", "==", email), writer);
+  } finally {
+    await writer.close();
+  }
+
+  // The user document and its notifications
+  await admin.firestore().recursiveDelete(userRef);
+
+  const bucket = admin.storage().bucket();
+  await bucket.deleteFiles({ prefix: `users/${userId}/` });
+  await bucket.deleteFiles({ prefix: `exports/users/${userId}/` });
+  await bucket.deleteFiles({ prefix: `imports/${userId}/` });
+
+  await admin.auth().deleteUser(userId);
+
+  console.log(`Erased user ${userId}: left ${memberDocs.length} tenants`);
+  return { success: true, tenants: memberDocs.length };
+});
+
+// ============================================
+// Tenant callables
+// ============================================
+
+/**
+ * Callable: Export a tenant (admins); the archive link is emailed when ready
+ */
+exports.exportTenantData = onCall(async (request) => {
+  const { tenantId } = request.data || {};
+  await assertTenantAdmin(request, tenantId);
+
+  const running = await admin.firestore()
+    .collection("dataJobs")
+    .where("tenantId", "==", tenantId)
+    .where("type", "==", "tenantExport")
+    .where("status", "in", ["queued", "running"])
+    .limit(1)
+    .get();
+  if (!running.empty) {
+    throw new HttpsError("already-exists", "An export of this tenant is already running");
+  }
+
+  const jobId = await queueJob(EXPORT_QUEUE, {
+    type: "tenantExport",
+    tenantId,
+    requestedBy: request.auth.uid,
+  });
+
+  return { success: true, jobId };
+});
+
+/**
+ * Callable: Import an export archive, uploaded to imports/{userId}/, as a new tenant
+ */
+exports.importTenantData = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "You must be signed in");
+  }
+  if (request.auth.token.firebase?.sign_in_provider === "anonymous") {
+    throw new HttpsError("permission-denied", "Sign in to import a tenant");
+  }
+
+  const { path: sourcePath, name, slug } = request.data || {};
+  if (typeof sourcePath !== "string" || !sourcePath.startsWith(`imports/${request.auth.uid}/`) || sourcePath.includes("..")) {
+    throw new HttpsError("invalid-argument", `path must point to your upload in imports/${request.auth.uid}/`);
+  }
+  if (name !== undefined && (typeof name !== "string" || !name.trim() || name.length > 100)) {
+    throw new HttpsError("invalid-argument", "name must be 1 to 100 characters");
+  }
+  if (slug !== undefined && (typeof slug !== "string" || !SLUG_PATTERN.test(slug))) {
+    throw new HttpsError("invalid-argument", "slug must be 3 to 50 lowercase letters, digits or dashes");
+  }
+
+  const [exists] = await admin.storage().bucket().file(sourcePath).exists();
+  if (!exists) {
+    throw new HttpsError("not-found", "Upload not found");
+  }
+  if (slug) {
+    const taken = await admin.firestore().collection("tenants").where("slug", "==", slug).limit(1).get();
+    if (!taken.empty) {
+      throw new HttpsError("already-exists", "This slug is taken");
+    }
+  }
+
+  const tenantId = admin.firestore().collection("tenants").doc().id;
+  const jobId = await queueJob(IMPORT_QUEUE, {
+    type: "tenantImport",
+    tenantId,
+    sourcePath,
+    name: name ? name.trim() : null,
+    slug: slug || null,
+    requestedBy: request.auth.uid,
+  });
+
+  return { success: true, jobId, tenantId };
+});
+
+exports.signDownloadUrl = signDownloadUrl;
@@ -0,0 +1,210 @@
+/**
+ * Public portal rebuilds
+ * The super-spiral site renders public projects (their status, tasks and
+ * progress updates) statically at build time. When any of that changes, a
+ * rebuild is requested from the hosting provider's build hook
+ * (PORTAL_BUILD_HOOK, a URL that starts a build when POSTed to).
+ *
+ * Changes are batched: the first change in a REBUILD_DELAY_SECONDS window
+ * enqueues one rebuildPortal task, which runs at the end of the window;
+ * later changes in the same window find it already enqueued.
+ */
+
+const { onDocumentWritten } = require("firebase-functions/v2/firestore");
+const { onTaskDispatched } = require("firebase-functions/v2/tasks");
+const admin = require("firebase-admin");
+const { getFunctions } = require("firebase-admin/functions");
+const { portalBuildHook } = require("./config");
+
+const REBUILD_QUEUE = "locations/europe-west1/functions/rebuildPortal";
+
+const REBUILD_DELAY_SECONDS = 120;
+
+// Fields the portal shows; changes to anything else don't need a rebuild
+const PROJECT_FIELDS = ["title", "description", "status", "visibility", "dueDate", "deletedAt"];
+const TASK_FIELDS = ["title", "status", "priority", "dueDate", "order"];
+const TENANT_FIELDS = ["name", "slug", "deletedAt"];
+
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+function isPublic(project) {
+  return Boolean(project && project.visibility === "public");
+}
+
+function changedFields(before, after, fields) {
+  return fields.some((field) => JSON.stringify(before?.[field] ?? null) !== JSON.stringify(after?.[field] ?? null));
+}
+
+async function isProjectPublic(tenantId, projectId) {
+  const projectDoc = await admin.firestore()
+    .collection("tenants").doc(tenantId)
+    .collection("projects").doc(projectId)
+    .get();
+  return projectDoc.exists && isPublic(projectDoc.data());
+}
+
+/**
+ * Enqueue a portal rebuild at the end of the current window, once per window
+ */
+async function requestRebuild(reason) {
+  const windowMs = REBUILD_DELAY_SECONDS * 1000;
+  const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+
+  try {
+    await getFunctions().taskQueue(REBUILD_QUEUE).enqueue(
+      { reason },
+      {
+        id: `portal-rebuild-${windowStart}`,
+        scheduleTime: new Date(windowStart + windowMs),
+      }
+    );
+    console.log(`Portal rebuild requested: ${reason}`);
+  } catch (error) {
+    // Another change in this window already asked for it
+    if (error.code !== "functions/task-already-exists") throw error;
+  }
+}
+
+/**
+ * Trigger: When a project is created, updated or deleted
+ * Action: Rebuild the portal if the project is (or was) public and shown fields changed
+ */
+exports.watchPublicProject = onDocumentWritten(
+  {
+    document: "tenants/{tenantId}/projects/{projectId}",
+  },
+  async (event) => {
+    const before = event.data?.before?.exists ? event.data.before.data() : null;
+    const after = event.data?.after?.exists ? event.data.after.data() : null;
+    const { projectId } = event.params;
+
+    if (!isPublic(before) && !isPublic(after)) return null;
+    if (before && after && !changedFields(before, after, PROJECT_FIELDS)) return null;
+
+    try {
+      await requestRebuild(`project ${projectId}`);
+      return { success: true };
+    } catch (error) {
+      console.error(`Error requesting portal rebuild for project ${projectId}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+);
+
+/**
+ * Trigger: When a task is created, updated or deleted
+ * Action: Rebuild the portal if its project is public and shown fields changed
+ */
+exports.watchPublicTask = onDocumentWritten(
+  {
+    document: "tenants/{tenantId}/projects/{projectId}/tasks/{taskId}",
+  },
+  async (event) => {
+    const before = event.data?.before?.exists ? event.data.before.data() : null;
+    const after = event.data?.after?.exists ? event.data.after.data() : null;
+    const { tenantId, projectId, taskId } = event.params;
+
+    if (before && after && !changedFields(before, after, TASK_FIELDS)) return null;
+
+    try {
+      if (!(await isProjectPublic(tenantId, projectId))) return null;
+
+      await requestRebuild(`task ${taskId}`);
+      return { success: true };
+    } catch (error) {
+      console.error(`Error requesting portal rebuild for task ${taskId}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+);
+
+/**
+ * Trigger: When a progress update is posted or removed
+ * Action: Rebuild the portal if its project is public
+ */
+exports.watchPublicProgressUpdate = onDocumentWritten(
+  {
+    document: "tenants/{tenantId}/projects/{projectId}/progressUpdates/{updateId}",
+  },
+  async (event) => {
+    const { tenantId, projectId, updateId } = event.params;
+
+    try {
+      if (!(await isProjectPublic(tenantId, projectId))) return null;
+
+      await requestRebuild(`progress update ${updateId}`);
+      return { success: true };
+    } catch (error) {
+      console.error(`Error requesting portal rebuild for progress update ${updateId}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+);
+
+/**
+ * Trigger: When a tenant is updated
+ * Action: Rebuild the portal if its name or slug changed and it has public projects
+ */
+exports.watchPublicTenant = onDocumentWritten(
+  {
+    document: "tenants/{tenantId}",
+  },
+  async (event) => {
+    const before = event.data?.before?.exists ? event.data.before.data() : null;
+    const after = event.data?.after?.exists ? event.data.after.data() : null;
+    const { tenantId } = event.params;
+
+    if (!before || !after || !changedFields(before, after, TENANT_FIELDS)) return null;
+
+    try {
+      const publicProjects = await admin.firestore()
+        .collection("tenants").doc(tenantId)
+        .collection("projects")
+        .where("visibility", "==", "public")
+        .limit(1)
+        .get();
+      if (publicProjects.empty) return null;
+
+      await requestRebuild(`tenant ${tenantId}`);
+      return { success: true };
+    } catch (error) {
+      console.error(`Error requesting portal rebuild for tenant ${tenantId}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+);
+
+/**
+ * Task queue: Start a portal build
+ * Errors are rethrown so Cloud Tasks retries
+ */
+exports.rebuildPortal = onTaskDispatched(
+  {
+    retryConfig: {
+      maxAttempts: 5,
+      minBackoffSeconds: 60,
+    },
+    rateLimits: {
+      maxConcurrentDispatches: 1,
+    },
+    secrets: [portalBuildHook],
+  },
+  async (request) => {
+    const hookUrl = portalBuildHook.value();
+    if (!hookUrl) {
+      // Not configured, e.g. in the emulator
+      console.log(`Portal rebuild skipped, no build hook (${request.data.reason})`);
+      return;
+    }
+
+    const response = await fetch(hookUrl, {
+      method: "POST",
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      throw new Error(`Portal build hook responded with ${response.status}`);
+    }
+
+    console.log(`Portal rebuild started (${request.data.reason})`);
+  }
+);
@@ -0,0 +1,704 @@
+/**
+ * Recurring tasks and task templates
+ *
+ * A task repeats when it has a `recurrence`, set by the app:
+ *   - `rule`: an RRULE, e.g. "FREQ=WEEKLY;BYDAY=MO" or "FREQ=MONTHLY;BYDAY=-1FR"
+ *     (FREQ, INTERVAL, COUNT, UNTIL, BYDAY, BYMONTHDAY and BYMONTH)
+ *   - `mode`: "schedule" (default) follows the calendar: the next instance is
+ *     created `leadDays` (default 0) before its occurrence, or as soon as the
+ *     current one is done. "completion" counts from the day the current
+ *     instance is done, and creates the next one then.
+ *   - `timezone`: IANA time zone of the calendar (falls back to the tenant's)
+ *
+ * Functions keep `recurrenceState` on the task, which clients can't write:
+ *   seriesId, index (1 for the first instance), occurrence (local date of this
+ *   instance), nextOccurrence, nextRunAt (when generateRecurringTasks creates
+ *   the next instance), nextTaskId once it exists, ended, error (invalid rule).
+ * Only the latest instance of a series carries it forward. Occurrences that
+ * passed while a series was stalled are skipped: the next instance is always
+ * for today or later in the series' time zone.
+ *
+ * The next instance copies the title, description, priority, tags and
+ * assignee, with the checklist unticked. Its due date keeps the same offset
+ * from its occurrence and the same local time of day.
+ *
+ * Task templates live in projects/{projectId}/taskTemplates; each lists tasks
+ * with a `dueOffsetDays` that createTasksFromTemplate counts from a start date.
+ */
+
+const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const { onDocumentWritten } = require("firebase-functions/v2/firestore");
+const { onSchedule } = require("firebase-functions/v2/scheduler");
+const admin = require("firebase-admin");
+const { DEFAULT_TIME_ZONE } = require("./templates");
+const { getLocalTime, isValidTimeZone } = require("./reminders");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = ["MO", "TU", "WE", "TH", "FR", "SA", "SU"];
+const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY", "YEARLY"];
+const MODES = ["schedule", "completion"];
+
+// Periods searched for the next occurrence before a rule counts as exhausted
+const MAX_PERIODS = 1000;
+
+const MAX_LEAD_DAYS = 60;
+
+// Fields an instance passes on to the next
+const COPIED_FIELDS = ["title", "description", "priority", "tags", "assignedTo"];
+
+const MAX_TEMPLATE_TASKS = 100;
+
+const SCAN_PAGE_SIZE = 200;
+
+// ============================================
+// Calendar days
+// ============================================
+
+// Days are counted since the epoch, like getLocalTime() in reminders.js
+
+function dayToParts(day) {
+  const date = new Date(day * DAY_MS);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    date: date.getUTCDate(),
+    // 0 is Monday
+    weekday: (date.getUTCDay() + 6) % 7,
+  };
+}
+
+function partsToDay(year, month, date) {
+  return Date.UTC(year, month - 1, date) / DAY_MS;
+}
+
+function formatDay(day) {
+  return new Date(day * DAY_MS).toISOString().substring(0, 10);
+}
+
+function parseDay(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || "");
+  if (!match) return null;
+
+  const day = partsToDay(Number(match[1]), Number(match[2]), Number(match[3]));
+  return formatDay(day) === value ? day : null;
+}
+
+/**
+ * Milliseconds a time zone is ahead of UTC at a given instant
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+      hourCycle: "h23",
+    }).formatToParts(date).map((part) => [part.type, part.value])
+  );
+
+  const asUtc = Date.UTC(
+    Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+    Number(parts.hour), Number(parts.minute), Number(parts.second)
+  );
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant a local wall-clock time (milliseconds, as if it were UTC) happens in a time zone
+ */
+function fromLocalTime(localMs, timeZone) {
+  const guess = localMs - getTimeZoneOffset(new Date(localMs), timeZone);
+  // A second pass settles the offset when a DST change falls in between
+  return new Date(localMs - getTimeZoneOffset(new Date(guess), timeZone));
+}
+
+/**
+ * The calendar a task's recurrence follows
+ */
+function getRecurrenceTimeZone(recurrence, tenant) {
+  return [recurrence && recurrence.timezone, tenant.timezone].find(isValidTimeZone) || DEFAULT_TIME_ZONE;
+}
+
+// ============================================
+// Rules
+// ============================================
+
+function parsePositiveInteger(value, name, max = Infinity) {
+  const number = Number(value);
+  if (!/^\d+$/.test(value) || number < 1 || number > max) {
+    throw new Error(`${name} must be a whole number from 1 to ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Parse the supported subset of an RRULE
+ * Throws with a readable message when the rule is invalid
+ */
+function parseRule(rule) {
+  if (typeof rule !== "string" || !rule.trim() || rule.length > 500) {
+    throw new Error("rule must be an RRULE string");
+  }
+
+  const parsed = { freq: null, interval: 1, count: null, until: null, byDay: [], byMonthDay: [], byMonth: [] };
+
+  for (const part of rule.trim().replace(/^RRULE:/i, "").split(";").filter(Boolean)) {
+    const [key, rawValue = ""] = part.split("=");
+    const value = rawValue.toUpperCase();
+
+    switch (key.toUpperCase()) {
+      case "FREQ":
+        if (!FREQUENCIES.includes(value)) throw new Error(`FREQ must be one of ${FREQUENCIES.join(", ")}`);
+        parsed.freq = value;
+        break;
+      case "INTERVAL":
+        parsed.interval = parsePositiveInteger(value, "INTERVAL", 366);
+        break;
+      case "COUNT":
+        parsed.count = parsePositiveInteger(value, "COUNT", 10000);
+        break;
+      case "UNTIL": {
+        const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(value);
+        parsed.until = match ? parseDay(`${match[1]}-${match[2]}-${match[3]}`) : null;
+        if (parsed.until === null) throw new Error("UNTIL must be a date like 20261231");
+        break;
+      }
+      case "BYDAY":
+        parsed.byDay = value.split(",").map((item) => {
+          const match = /^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/.exec(item);
+          const ordinal = match && match[1] ? Number(match[1]) : null;
+          if (!match || ordinal === 0 || Math.abs(ordinal) > 5) throw new Error(`Invalid BYDAY value ${item}`);
+          return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+        });
+        break;
+      case "BYMONTHDAY":
+        parsed.byMonthDay = value.split(",").map((item) => {
+          const number = Number(item);
+          if (!/^-?\d{1,2}$/.test(item) || number === 0 || Math.abs(number) > 31) {
+            throw new Error(`Invalid BYMONTHDAY value ${item}`);
+          }
+          return number;
+        });
+        break;
+      case "BYMONTH":
+        parsed.byMonth = value.split(",").map((item) => parsePositiveInteger(item, "BYMONTH", 12));
+        break;
+      case "WKST":
+        // Weeks start on Monday
+        break;
+      default:
+        throw new Error(`${key} is not supported`);
+    }
+  }
+
+  if (!parsed.freq) throw new Error("FREQ is required");
+  if (parsed.byDay.some((item) => item.ordinal !== null) && !["MONTHLY", "YEARLY"].includes(parsed.freq)) {
+    throw new Error("Numbered BYDAY values (like -1FR) need FREQ=MONTHLY or FREQ=YEARLY");
+  }
+  return parsed;
+}
+
+/**
+ * Days of a month that match the rule
+ */
+function monthCandidates(rule, year, month, anchor) {
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const first = partsToDay(year, month, 1);
+
+  const fromMonthDays = (monthDays) => monthDays
+    .map((monthDay) => (monthDay > 0 ? monthDay : daysInMonth + monthDay + 1))
+    .filter((date) => date >= 1 && date <= daysInMonth)
+    .map((date) => first + date - 1);
+
+  if (rule.byDay.length === 0) {
+    // Months without that day (the 31st, say) are skipped
+    return fromMonthDays(rule.byMonthDay.length > 0 ? rule.byMonthDay : [anchor.date]);
+  }
+
+  const days = rule.byDay.flatMap(({ weekday, ordinal }) => {
+    const offset = (weekday - dayToParts(first).weekday + 7) % 7;
+    const matching = [];
+    for (let date = 1 + offset; date <= daysInMonth; date += 7) matching.push(first + date - 1);
+
+    if (ordinal === null) return matching;
+    const picked = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+    return picked === undefined ? [] : [picked];
+  });
+
+  if (rule.byMonthDay.length === 0) return days;
+  const monthDays = fromMonthDays(rule.byMonthDay);
+  return days.filter((day) => monthDays.includes(day));
+}
+
+/**
+ * Days the rule yields in the k-th period (day, week, month or year) from the anchor
+ */
+function periodCandidates(rule, anchorDay, k) {
+  const anchor = dayToParts(anchorDay);
+  const step = k * rule.interval;
+
+  switch (rule.freq) {
+    case "DAILY":
+      return [anchorDay + step];
+    case "WEEKLY": {
+      const weekStart = anchorDay - anchor.weekday + 7 * step;
+      const weekdays = rule.byDay.length > 0 ? rule.byDay.map((item) => item.weekday) : [anchor.weekday];
+      return weekdays.map((weekday) => weekStart + weekday);
+    }
+    case "MONTHLY": {
+      const monthIndex = anchor.year * 12 + anchor.month - 1 + step;
+      return monthCandidates(rule, Math.floor(monthIndex / 12), (monthIndex % 12) + 1, anchor);
+    }
+    case "YEARLY": {
+      const months = rule.byMonth.length > 0 ? rule.byMonth : [anchor.month];
+      return months.flatMap((month) => monthCandidates(rule, anchor.year + step, month, anchor));
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * First occurrence of the rule after `afterDay`, in the series starting at `anchorDay`
+ * Returns null when the rule has no more occurrences
+ */
+function nextOccurrence(rule, anchorDay, afterDay) {
+  for (let k = 0; k < MAX_PERIODS; k++) {
+    const candidates = periodCandidates(rule, anchorDay, k)
+      .filter((day) => day > afterDay && day >= anchorDay)
+      .filter((day) => rule.freq === "YEARLY" || rule.byMonth.length === 0 || rule.byMonth.includes(dayToParts(day).month))
+      .filter((day) => rule.freq !== "DAILY" || rule.byDay.length === 0 ||
+        rule.byDay.some((item) => item.weekday === dayToParts(day).weekday))
+      .sort((a, b) => a - b);
+
+    if (candidates.length > 0) {
+      return rule.until !== null && candidates[0] > rule.until ? null : candidates[0];
+    }
+  }
+  return null;
+}
+
+// ============================================
+// Series
+// ============================================
+
+function getMode(recurrence) {
+  return MODES.includes(recurrence.mode) ? recurrence.mode : "schedule";
+}
+
+function getLeadDays(recurrence) {
+  return Number.isInteger(recurrence.leadDays) && recurrence.leadDays >= 0 && recurrence.leadDays <= MAX_LEAD_DAYS
+    ? recurrence.leadDays
+    : 0;
+}
+
+/**
+ * The next occurrence after `day` (instance `index` of the series) that falls on
+ * or after `today`, and its index. Occurrences missed while the series was
+ * stalled (e.g. its project was deleted) are skipped rather than created overdue.
+ * Returns null once COUNT or UNTIL runs out
+ */
+function upcomingOccurrence(rule, day, index, today) {
+  let next = day;
+  let nextIndex = index;
+  do {
+    if (rule.count !== null && nextIndex >= rule.count) return null;
+    // Each instance anchors the next, as when the series is created one by one
+    next = nextOccurrence(rule, next, next);
+    nextIndex++;
+  } while (next !== null && next < today);
+
+  return next === null ? null : { day: next, index: nextIndex };
+}
+
+/**
+ * Work out a task's recurrenceState: its occurrence and when the next instance is due
+ */
+function planSeries(task, taskId, tenant, now = new Date()) {
+  const state = task.recurrenceState || {};
+  const timeZone = getRecurrenceTimeZone(task.recurrence, tenant);
+  const occurrence = parseDay(state.occurrence) ?? getLocalTime(task.dueDate || now, timeZone).day;
+
+  const base = {
+    seriesId: state.seriesId || taskId,
+    index: state.index || 1,
+    occurrence: formatDay(occurrence),
+    previousTaskId: state.previousTaskId || null,
+    nextTaskId: null,
+    ended: false,
+  };
+
+  let rule;
+  try {
+    rule = parseRule(task.recurrence.rule);
+  } catch (error) {
+    return { ...base, nextOccurrence: null, nextRunAt: null, error: error.message };
+  }
+
+  const upcoming = upcomingOccurrence(rule, occurrence, base.index, getLocalTime(now, timeZone).day);
+  const next = upcoming ? upcoming.day : null;
+  const scheduled = next !== null && getMode(task.recurrence) === "schedule";
+
+  return {
+    ...base,
+    nextOccurrence: next === null ? null : formatDay(next),
+    nextRunAt: scheduled
+      ? admin.firestore.Timestamp.fromDate(fromLocalTime((next - getLeadDays(task.recurrence)) * DAY_MS, timeZone))
+      : null,
+    ended: next === null && getMode(task.recurrence) === "schedule",
+    error: null,
+  };
+}
+
+function isSamePlan(a, b) {
+  return Object.keys(b).every((key) => (
+    b[key] instanceof admin.firestore.Timestamp
+      ? a[key] instanceof admin.firestore.Timestamp && a[key].isEqual(b[key])
+      : (a[key] ?? null) === b[key]
+  ));
+}
+
+function resetChecklist(checklist) {
+  if (!Array.isArray(checklist)) return [];
+
+  return checklist.map((item) => {
+    if (!item || typeof item !== "object") return item;
+    return "checked" in item ? { ...item, checked: false } : { ...item, done: false };
+  });
+}
+
+/**
+ * Due date of the next instance: the same offset from its occurrence and the
+ * same local time of day as the current one
+ */
+function nextDueDate(task, occurrenceDay, nextDay, timeZone) {
+  if (!task.dueDate) return null;
+
+  const due = task.dueDate.toDate();
+  const localMs = due.getTime() + getTimeZoneOffset(due, timeZone);
+  const dueDay = Math.floor(localMs / DAY_MS);
+  const timeOfDay = localMs - dueDay * DAY_MS;
+
+  return admin.firestore.Timestamp.fromDate(fromLocalTime((nextDay + dueDay - occurrenceDay) * DAY_MS + timeOfDay, timeZone));
+}
+
+/**
+ * Create the next instance of a recurring task, once
+ * Returns the new task's id, or null if there is none (yet)
+ */
+async function createNextInstance(taskRef, completedAt = null) {
+  const projectRef = taskRef.parent.parent;
+  const tenantRef = projectRef.parent.parent;
+
+  const [projectDoc, tenantDoc] = await admin.firestore().getAll(projectRef, tenantRef);
+  if (!projectDoc.exists || !tenantDoc.exists || projectDoc.data().deletedAt || tenantDoc.data().deletedAt) {
+    return null;
+  }
+  const tenant = tenantDoc.data();
+
+  return admin.firestore().runTransaction(async (transaction) => {
+    const taskDoc = await transaction.get(taskRef);
+    if (!taskDoc.exists) return null;
+
+    const task = taskDoc.data();
+    const state = task.recurrenceState || {};
+    if (!task.recurrence || state.nextTaskId || state.ended) return null;
+
+    let rule;
+    try {
+      rule = parseRule(task.recurrence.rule);
+    } catch (error) {
+      return null;
+    }
+
+    const now = new Date();
+    const timeZone = getRecurrenceTimeZone(task.recurrence, tenant);
+    const plan = planSeries(task, taskRef.id, tenant, now);
+    const occurrenceDay = parseDay(plan.occurrence);
+
+    const anchorDay = getMode(task.recurrence) === "completion"
+      ? getLocalTime(completedAt || now, timeZone).day
+      : occurrenceDay;
+    const upcoming = upcomingOccurrence(rule, anchorDay, plan.index, getLocalTime(now, timeZone).day);
+
+    if (upcoming === null) {
+      transaction.update(taskRef, { recurrenceState: { ...plan, nextRunAt: null, ended: true } });
+      return null;
+    }
+    const nextDay = upcoming.day;
+
+    const nextRef = taskRef.parent.doc();
+    const timestamp = admin.firestore.FieldValue.serverTimestamp();
+    const nextTask = {
+      ...Object.fromEntries(COPIED_FIELDS.filter((field) => task[field] !== undefined).map((field) => [field, task[field]])),
+      checklist: resetChecklist(task.checklist),
+      status: "todo",
+      dueDate: nextDueDate(task, occurrenceDay, nextDay, timeZone),
+      recurrence: task.recurrence,
+      recurrenceState: {
+        seriesId: plan.seriesId,
+        index: upcoming.index,
+        occurrence: formatDay(nextDay),
+        previousTaskId: taskRef.id,
+      },
+      createdAt: timestamp,
+      createdBy: task.createdBy || null,
+      updatedAt: timestamp,
+      updatedBy: null,
+      source: "system",
+    };
+    nextTask.recurrenceState = planSeries(nextTask, nextRef.id, tenant, now);
+
+    transaction.set(nextRef, nextTask);
+    transaction.update(taskRef, { recurrenceState: { ...plan, nextRunAt: null, nextTaskId: nextRef.id } });
+    return nextRef.id;
+  });
+}
+
+/**
+ * Trigger: When a task is created, updated or deleted
+ * Action: Keep its recurrenceState up to date, and create the next instance
+ * of a recurring task when it is done
+ */
+exports.scheduleRecurringTask = onDocumentWritten(
+  {
+    document: "tenants/{tenantId}/projects/{projectId}/tasks/{taskId}",
+  },
+  async (event) => {
+    const { tenantId, taskId } = event.params;
+    const before = event.data?.before?.exists ? event.data.before.data() : null;
+    const after = event.data?.after?.exists ? event.data.after.data() : null;
+    if (!after) return null;
+
+    const taskRef = event.data.after.ref;
+    const state = after.recurrenceState || null;
+
+    try {
+      // Recurrence turned off: stop the schedule
+      if (!after.recurrence) {
+        if (state && state.nextRunAt) {
+          await taskRef.update({ "recurrenceState.nextRunAt": null });
+        }
+        return null;
+      }
+
+      // The series has moved on to a later instance
+      if (state && (state.nextTaskId || state.ended)) return null;
+
+      if (after.status === "done" && (!before || before.status !== "done")) {
+        const nextTaskId = await createNextInstance(taskRef, new Date());
+        console.log(`Recurring task ${taskId} done, next instance ${nextTaskId || "none"}`);
+        return { success: true, nextTaskId };
+      }
+
+      const tenantDoc = await admin.firestore().collection("tenants").doc(tenantId).get();
+      const plan = planSeries(after, taskId, tenantDoc.exists ? tenantDoc.data() : {});
+      if (state && isSamePlan(state, plan)) return null;
+
+      await taskRef.update({ recurrenceState: plan });
+      return { success: true, nextRunAt: plan.nextRunAt ? plan.nextRunAt.toDate().toISOString() : null };
+    } catch (error) {
+      console.error(`Error scheduling recurring task ${taskId}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+);
+
+/**
+ * Trigger: Every hour - Create the next instances of recurring tasks that are due
+ */
+exports.generateRecurringTasks = onSchedule(
+  {
+    schedule: "5 * * * *",
+    timeZone: "UTC",
+    timeoutSeconds: 540,
+  },
+  async () => {
+    const now = admin.firestore.Timestamp.now();
+    let created = 0;
+    let failed = 0;
+
+    // Created instances drop out of the query, so each page starts over
+    for (;;) {
+      const snapshot = await admin.firestore()
+        .collectionGroup("tasks")
+        .where("recurrenceState.nextRunAt", "<=", now)
+        .orderBy("recurrenceState.nextRunAt")
+        .limit(SCAN_PAGE_SIZE)
+        .get();
+
+      // tenants/{tenantId}/projects/{projectId}/tasks/{taskId}
+      const taskDocs = snapshot.docs.filter((doc) => doc.ref.path.split("/").length === 6);
+      let progressed = 0;
+
+      for (const doc of taskDocs) {
+        try {
+          if (await createNextInstance(doc.ref)) created++;
+          // Tasks that can't get a next instance are taken off the schedule
+          await doc.ref.update({ "recurrenceState.nextRunAt": null }).catch(() => {});
+          progressed++;
+        } catch (error) {
+          failed++;
+          console.error(`Error creating next instance of ${doc.ref.path}:`, error);
+        }
+      }
+
+      if (snapshot.size < SCAN_PAGE_SIZE || progressed === 0) break;
+    }
+
+    console.log(`Created ${created} recurring task instances, ${failed} failed`);
+    return { success: true, created, failed };
+  }
+);
+
+/**
+ * Plan the series of a tenant's (or one project's) recurring tasks again
+ * generateRecurringTasks takes the series of deleted tenants and projects off
+ * the schedule, so restoreTenant and restoreProject (deletion.js) call this
+ */
+async function replanRecurringTasks(tenantId, projectId = null) {
+  const tenantRef = admin.firestore().collection("tenants").doc(tenantId);
+  const tenantDoc = await tenantRef.get();
+  if (!tenantDoc.exists || tenantDoc.data().deletedAt) return 0;
+
+  const projectRefs = [];
+  if (projectId) {
+    projectRefs.push(tenantRef.collection("projects").doc(projectId));
+  } else {
+    const projectsSnapshot = await tenantRef.collection("projects").get();
+    projectRefs.push(...projectsSnapshot.docs.filter((doc) => !doc.data().deletedAt).map((doc) => doc.ref));
+  }
+
+  const now = new Date();
+  const writer = admin.firestore().bulkWriter();
+  let replanned = 0;
+
+  for (const projectRef of projectRefs) {
+    // The latest instance of each series that hasn't ended
+    const snapshot = await projectRef.collection("tasks")
+      .where("recurrenceState.nextTaskId", "==", null)
+      .where("recurrenceState.ended", "==", false)
+      .get();
+
+    for (const doc of snapshot.docs) {
+      const task = doc.data();
+      if (!task.recurrence) continue;
+
+      const plan = planSeries(task, doc.id, tenantDoc.data(), now);
+      if (isSamePlan(task.recurrenceState, plan)) continue;
+
+      writer.update(doc.ref, { recurrenceState: plan });
+      replanned++;
+    }
+  }
+
+  await writer.close();
+  return replanned;
+}
+
+// ============================================
+// Templates
+// ============================================
+
+/**
+ * Callable: Create a template's tasks in its project
+ * Due dates are `dueOffsetDays` after `startDate` (YYYY-MM-DD, default today),
+ * in the tenant's time zone. Assignees who aren't members are left out.
+ */
+exports.createTasksFromTemplate = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "You must be signed in");
+  }
+
+  const { tenantId, projectId, templateId, startDate } = request.data || {};
+  for (const [name, value] of Object.entries({ tenantId, projectId, templateId })) {
+    if (!value || typeof value !== "string") {
+      throw new HttpsError("invalid-argument", `${name} is required`);
+    }
+  }
+
+  const tenantRef = admin.firestore().collection("tenants").doc(tenantId);
+  const projectRef = tenantRef.collection("projects").doc(projectId);
+  const [memberDoc, tenantDoc, projectDoc, templateDoc] = await admin.firestore().getAll(
+    tenantRef.collection("members").doc(request.auth.uid),
+    tenantRef,
+    projectRef,
+    projectRef.collection("taskTemplates").doc(templateId)
+  );
+
+  if (!memberDoc.exists || !["owner", "admin", "member"].includes(memberDoc.data().role)) {
+    throw new HttpsError("permission-denied", "Only tenant members can create tasks");
+  }
+  if (!projectDoc.exists || projectDoc.data().deletedAt) {
+    throw new HttpsError("not-found", "Project not found");
+  }
+  if (!templateDoc.exists) {
+    throw new HttpsError("not-found", "Template not found");
+  }
+
+  const templateTasks = templateDoc.data().tasks;
+  if (!Array.isArray(templateTasks) || templateTasks.length === 0 || templateTasks.length > MAX_TEMPLATE_TASKS) {
+    throw new HttpsError("failed-precondition", `Templates must have 1 to ${MAX_TEMPLATE_TASKS} tasks`);
+  }
+  if (templateTasks.some((task) => !task || typeof task.title !== "string" || !task.title.trim())) {
+    throw new HttpsError("failed-precondition", "Every template task needs a title");
+  }
+
+  const tenant = tenantDoc.data();
+  const timeZone = getRecurrenceTimeZone(null, tenant);
+  const startDay = startDate === undefined ? getLocalTime(new Date(), timeZone).day : parseDay(startDate);
+  if (startDay === null) {
+    throw new HttpsError("invalid-argument", "startDate must be a date like 2026-01-31");
+  }
+
+  const assigneeIds = [...new Set(templateTasks.map((task) => task.assignedTo).filter((id) => typeof id === "string" && id))];
+  const assigneeDocs = assigneeIds.length > 0
+    ? await admin.firestore().getAll(...assigneeIds.map((id) => tenantRef.collection("members").doc(id)))
+    : [];
+  const members = new Set(assigneeDocs.filter((doc) => doc.exists).map((doc) => doc.id));
+
+  const batch = admin.firestore().batch();
+  const timestamp = admin.firestore.FieldValue.serverTimestamp();
+  const taskIds = [];
+
+  templateTasks.forEach((templateTask) => {
+    const taskRef = projectRef.collection("tasks").doc();
+    const dueDate = Number.isInteger(templateTask.dueOffsetDays)
+      ? admin.firestore.Timestamp.fromDate(fromLocalTime((startDay + templateTask.dueOffsetDays) * DAY_MS, timeZone))
+      : null;
+
+    batch.set(taskRef, {
+      title: templateTask.title.trim(),
+      description: typeof templateTask.description === "string" ? templateTask.description : "",
+      status: "todo",
+      priority: templateTask.priority || "medium",
+      tags: Array.isArray(templateTask.tags) ? templateTask.tags : [],
+      checklist: resetChecklist(templateTask.checklist),
+      assignedTo: members.has(templateTask.assignedTo) ? templateTask.assignedTo : null,
+      dueDate,
+      ...(templateTask.recurrence ? { recurrence: templateTask.recurrence } : {}),
+      templateId,
+      createdAt: timestamp,
+      createdBy: request.auth.uid,
+      updatedAt: timestamp,
+      updatedBy: request.auth.uid,
+      source: "app",
+    });
+    taskIds.push(taskRef.id);
+  });
+
+  await batch.commit();
+
+  console.log(`Created ${taskIds.length} tasks from template ${templateId} in project ${projectId}`);
+  return { success: true, taskIds };
+});
+
+exports.parseRule = parseRule;
+exports.nextOccurrence = nextOccurrence;
+exports.planSeries = planSeries;
+exports.replanRecurringTasks = replanRecurringTasks;
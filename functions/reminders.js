@@ -0,0 +1,652 @@
+/**
+ * Due-date reminders
+ * Runs every hour and reminds each user at their own local time. Read from
+ * the user document:
+ *   - `timezone`: IANA time zone (falls back to the tenant's, then Europe/Luxembourg)
+ *   - `reminderHour`: local hour to send reminders, 0-23 (default 8)
+ *   - `reminderLeadDays`: days before the due date to remind, e.g. [3, 1, 0]
+ *     (default [1, 0]: the day before and the day itself)
+ *
+ * Overdue tasks are reminded every day at the same hour. Once a task is
+ * `overdueEscalationDays` days overdue (tenant setting, default 3, 0 turns it
+ * off) the project owner is notified once per due date.
+ *
+ * "Today" is always the user's local date, so a task due on the 14th is "due
+ * today" on the 14th wherever the user is.
+ *
+ * The hours are indexed on each user as `reminderUtcHours`: the UTC hours
+ * their local reminder hour can start in, in winter and in summer, for their
+ * own time zone or each tenant's they fall back to. indexReminderHours keeps
+ * it up to date; run scripts/backfill-reminder-hours.js once for users
+ * written before it existed.
+ *
+ * Each hourly run (sendDueDateReminders) pages through the users indexed for
+ * this UTC hour, loads the open tasks assigned to them that are due in the
+ * reminder window, and enqueues one Cloud Task per user and tenant whose
+ * local reminder hour it is. Escalations go out in the run that reminds the
+ * assignee. The sendUserReminders worker then notifies that user.
+ *
+ * Progress is checkpointed in reminderRuns/{runId} (one run per hour): the
+ * cursor is saved after every page of users, so a failed run is retried and
+ * resumes after the last page it enqueued, and one that already finished
+ * stops early. Cloud Task ids are derived from the run, page and job so a
+ * job is never enqueued twice, and each worker records the steps it finished
+ * in reminderRuns/{runId}/jobs/{jobId} so a retried job doesn't send them
+ * again.
+ */
+
+const { onSchedule } = require("firebase-functions/v2/scheduler");
+const { onTaskDispatched } = require("firebase-functions/v2/tasks");
+const { onDocumentWritten, onDocumentUpdated } = require("firebase-functions/v2/firestore");
+const admin = require("firebase-admin");
+const { getFunctions } = require("firebase-admin/functions");
+const crypto = require("crypto");
+const { APP_URL } = require("./config");
+const { renderEmail, DEFAULT_TIME_ZONE } = require("./templates");
+const { notifyUser } = require("./notifications");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_REMINDER_HOUR = 8;
+const DEFAULT_LEAD_DAYS = [1, 0];
+const MAX_LEAD_DAYS = 14;
+
+const DEFAULT_ESCALATION_DAYS = 3;
+
+// Overdue tasks stop being reminded after this many days
+const MAX_OVERDUE_DAYS = 30;
+
+// Users per page of a reminder run
+const USER_PAGE_SIZE = 100;
+
+// Values per "in" filter
+const IN_FILTER_LIMIT = 30;
+
+// Documents per getAll() call
+const LOOKUP_BATCH_SIZE = 100;
+
+// Cloud Tasks enqueue calls in flight at once
+const ENQUEUE_CONCURRENCY = 20;
+
+const REMINDER_QUEUE = "locations/europe-west1/functions/sendUserReminders";
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Local calendar day (days since the epoch) and hour of a date in a time zone
+ */
+function getLocalTime(date, timeZone) {
+  const value = typeof date.toDate === "function" ? date.toDate() : date;
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      hourCycle: "h23",
+    }).formatToParts(value).map((part) => [part.type, part.value])
+  );
+
+  return {
+    day: Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day)) / DAY_MS,
+    hour: Number(parts.hour),
+  };
+}
+
+/**
+ * Days from today until the due date, both in the user's time zone (negative when overdue)
+ */
+function daysUntilDue(dueDate, now, timeZone) {
+  return getLocalTime(dueDate, timeZone).day - getLocalTime(now, timeZone).day;
+}
+
+/**
+ * When and how far ahead a user wants reminders
+ */
+function getReminderSchedule(user, tenant) {
+  const timeZone = [user.timezone, tenant.timezone].find(isValidTimeZone) || DEFAULT_TIME_ZONE;
+
+  const reminderHour = Number.isInteger(user.reminderHour) && user.reminderHour >= 0 && user.reminderHour <= 23
+    ? user.reminderHour
+    : DEFAULT_REMINDER_HOUR;
+
+  const leadDays = Array.isArray(user.reminderLeadDays)
+    ? user.reminderLeadDays.filter((days) => Number.isInteger(days) && days >= 0 && days <= MAX_LEAD_DAYS)
+    : DEFAULT_LEAD_DAYS;
+
+  return { timeZone, reminderHour, leadDays };
+}
+
+function getEscalationDays(tenant) {
+  return Number.isInteger(tenant.overdueEscalationDays) && tenant.overdueEscalationDays >= 0
+    ? tenant.overdueEscalationDays
+    : DEFAULT_ESCALATION_DAYS;
+}
+
+function taskUrl(tenant, task) {
+  return `${APP_URL}/t/${tenant.slug}/projects/${task.projectId}?task=${task.id}`;
+}
+
+/**
+ * Notification title for a task that is due in `days` days
+ */
+function reminderTitle(days) {
+  if (days < 0) return days === -1 ? "Task overdue by 1 day" : `Task overdue by ${-days} days`;
+  if (days === 0) return "Task due today";
+  if (days === 1) return "Task due tomorrow";
+  return `Task due in ${days} days`;
+}
+
+
+/**
+ * Load documents with getAll() in batches, in the order given
+ */
+async function getAllDocs(refs) {
+  const docs = [];
+  for (let i = 0; i < refs.length; i += LOOKUP_BATCH_SIZE) {
+    docs.push(...await admin.firestore().getAll(...refs.slice(i, i + LOOKUP_BATCH_SIZE)));
+  }
+  return docs;
+}
+
+/**
+ * Load documents by path, skipping duplicates, as a map of path to data (null if missing)
+ */
+async function loadByPath(paths) {
+  const uniquePaths = [...new Set(paths)];
+  const docs = await getAllDocs(uniquePaths.map((path) => admin.firestore().doc(path)));
+  return new Map(docs.map((doc) => [doc.ref.path, doc.exists ? doc.data() : null]));
+}
+
+function isReminderHour(user, tenant, now) {
+  const { timeZone, reminderHour } = getReminderSchedule(user, tenant);
+  return getLocalTime(now, timeZone).hour === reminderHour;
+}
+
+/**
+ * UTC hours a user's local reminder hour can start in, on a winter and a
+ * summer day, for each time zone their reminders use
+ */
+function getReminderUtcHours(user, tenants, now = new Date()) {
+  const year = now.getUTCFullYear();
+  const hours = new Set();
+
+  (tenants.length > 0 ? tenants : [{}]).forEach((tenant) => {
+    const { timeZone, reminderHour } = getReminderSchedule(user, tenant);
+    [0, 6].forEach((month) => {
+      for (let hour = 0; hour < 24; hour++) {
+        if (getLocalTime(new Date(Date.UTC(year, month, 15, hour)), timeZone).hour === reminderHour) {
+          hours.add(hour);
+        }
+      }
+    });
+  });
+
+  return [...hours].sort((a, b) => a - b);
+}
+
+/**
+ * Recompute a user's reminderUtcHours, writing only when they changed
+ */
+async function updateReminderHours(userRef, user) {
+  const tenants = await loadByPath((user.tenants || []).map((tenantId) => `tenants/${tenantId}`));
+  const hours = getReminderUtcHours(user, [...tenants.values()].filter(Boolean));
+
+  if (JSON.stringify(hours) === JSON.stringify(user.reminderUtcHours)) return false;
+
+  await userRef.update({ reminderUtcHours: hours });
+  return true;
+}
+
+/**
+ * Split a user's tasks into their own reminders and escalations for projects they own
+ */
+function selectReminders(userId, user, tenant, tasks, now) {
+  const { timeZone, leadDays } = getReminderSchedule(user, tenant);
+  const escalationDays = getEscalationDays(tenant);
+  const dueTasks = [];
+  const escalatedTasks = [];
+
+  tasks.forEach((task) => {
+    const days = daysUntilDue(task.dueDate, now, timeZone);
+
+    if (task.assignedTo === userId) {
+      if (days < 0 ? -days <= MAX_OVERDUE_DAYS : leadDays.includes(days)) {
+        dueTasks.push({ ...task, days });
+      }
+    } else if (task.ownerId === userId && escalationDays > 0 && -days >= escalationDays) {
+      const alreadyEscalated = task.overdueEscalatedFor && task.overdueEscalatedFor.isEqual(task.dueDate);
+      if (!alreadyEscalated) {
+        escalatedTasks.push({ ...task, days });
+      }
+    }
+  });
+
+  // Soonest first, so overdue tasks head the list
+  dueTasks.sort((a, b) => a.days - b.days);
+  escalatedTasks.sort((a, b) => a.days - b.days);
+
+  return { timeZone, escalationDays, dueTasks, escalatedTasks };
+}
+
+function toNotification(type, tenantId, tenant) {
+  return (task) => ({
+    type,
+    title: type === "overdue_escalation" ? "Overdue task in your project" : reminderTitle(task.days),
+    message: task.title,
+    link: taskUrl(tenant, task),
+    tenantId,
+    tenantName: tenant.name,
+    projectId: task.projectId,
+    projectTitle: task.projectTitle,
+    taskId: task.id,
+  });
+}
+
+function toTemplateTask(tenant) {
+  return (task) => ({
+    title: task.title,
+    projectTitle: task.projectTitle,
+    url: taskUrl(tenant, task),
+    daysUntilDue: Math.max(task.days, 0),
+    overdueDays: task.days < 0 ? -task.days : null,
+    urgent: task.days <= 0,
+  });
+}
+
+/**
+ * Remind a user about their upcoming and overdue tasks
+ */
+async function sendDueReminders(userId, { tenantId, tenant, timeZone, dueTasks }) {
+  // Only email about tasks that weren't already reminded today
+  return notifyUser(userId, dueTasks.map(toNotification("due_reminder", tenantId, tenant)), (user, created) => {
+    const newTaskIds = new Set(created.map((notification) => notification.taskId));
+    const emailTasks = dueTasks.filter((task) => newTaskIds.has(task.id));
+
+    return renderEmail("dueReminder", {
+      userName: user.name || user.email,
+      tenantName: tenant.name,
+      tenantUrl: `${APP_URL}/t/${tenant.slug}`,
+      count: emailTasks.length,
+      tasks: emailTasks.map(toTemplateTask(tenant)),
+    }, { locale: [user.locale, tenant.locale], timeZone });
+  });
+}
+
+/**
+ * Tell a project owner about long-overdue tasks, once per due date
+ */
+async function sendEscalations(userId, { tenantId, tenant, timeZone, escalationDays, escalatedTasks }) {
+  if (escalatedTasks.length === 0) return { notified: 0 };
+
+  const assignees = await loadByPath(escalatedTasks.map((task) => `users/${task.assignedTo}`));
+
+  const result = await notifyUser(userId, escalatedTasks.map(toNotification("overdue_escalation", tenantId, tenant)), (user, created) => {
+    const newTaskIds = new Set(created.map((notification) => notification.taskId));
+    const emailTasks = escalatedTasks.filter((task) => newTaskIds.has(task.id));
+
+    return renderEmail("overdueEscalation", {
+      userName: user.name || user.email,
+      tenantName: tenant.name,
+      count: emailTasks.length,
+      escalationDays,
+      tasks: emailTasks.map((task) => {
+        const assignee = assignees.get(`users/${task.assignedTo}`);
+        return {
+          ...toTemplateTask(tenant)(task),
+          assigneeName: assignee ? assignee.name || assignee.email : null,
+        };
+      }),
+    }, { locale: [user.locale, tenant.locale], timeZone });
+  });
+
+  // Moving the due date re-arms the escalation
+  const batch = admin.firestore().batch();
+  escalatedTasks.forEach((task) => {
+    batch.update(admin.firestore().doc(task.path), { overdueEscalatedFor: task.dueDate });
+  });
+  await batch.commit();
+
+  return result;
+}
+
+/**
+ * One page of the users indexed for a UTC hour, after the cursor
+ */
+async function loadUserPage(hour, cursor) {
+  let query = admin.firestore()
+    .collection("users")
+    .where("reminderUtcHours", "array-contains", hour)
+    .orderBy(admin.firestore.FieldPath.documentId())
+    .limit(USER_PAGE_SIZE);
+
+  if (cursor) {
+    query = query.startAfter(cursor);
+  }
+
+  return query.get();
+}
+
+/**
+ * Open tasks assigned to the given users with a due date in the reminder window
+ * Covers every lead time in every time zone, plus the overdue window
+ */
+async function loadReminderTasks(userIds, now) {
+  const windowStart = admin.firestore.Timestamp.fromMillis(now.getTime() - (MAX_OVERDUE_DAYS + 1) * DAY_MS);
+  const windowEnd = admin.firestore.Timestamp.fromMillis(now.getTime() + (MAX_LEAD_DAYS + 2) * DAY_MS);
+
+  const taskDocs = [];
+  for (let i = 0; i < userIds.length; i += IN_FILTER_LIMIT) {
+    const snapshot = await admin.firestore()
+      .collectionGroup("tasks")
+      .where("assignedTo", "in", userIds.slice(i, i + IN_FILTER_LIMIT))
+      .where("status", "!=", "done")
+      .where("dueDate", ">=", windowStart)
+      .where("dueDate", "<", windowEnd)
+      .orderBy("dueDate")
+      .get();
+    taskDocs.push(...snapshot.docs);
+  }
+
+  // tenants/{tenantId}/projects/{projectId}/tasks/{taskId}
+  return taskDocs.filter((doc) => {
+    const segments = doc.ref.path.split("/");
+    return segments.length === 6 && segments[0] === "tenants";
+  });
+}
+
+/**
+ * Group a page's tasks into one job per user and tenant: the assignees whose
+ * reminder hour it is, plus escalations for the owners of their projects
+ */
+async function planJobs(userDocs, taskDocs, now) {
+  const users = new Map(userDocs.map((doc) => [doc.id, doc.data()]));
+
+  // Batch-load the projects and tenants the tasks belong to
+  const projects = await loadByPath(taskDocs.map((doc) => doc.ref.parent.parent.path));
+  const tenants = await loadByPath(taskDocs.map((doc) => doc.ref.parent.parent.parent.parent.path));
+
+  const jobs = new Map();
+  const addToJob = (tenantId, userId, taskPath) => {
+    const key = `${tenantId}/${userId}`;
+    if (!jobs.has(key)) {
+      jobs.set(key, { tenantId, userId, taskPaths: [] });
+    }
+    jobs.get(key).taskPaths.push(taskPath);
+  };
+
+  taskDocs.forEach((doc) => {
+    const project = projects.get(doc.ref.parent.parent.path);
+    const tenant = tenants.get(doc.ref.parent.parent.parent.parent.path);
+    const tenantId = doc.ref.parent.parent.parent.parent.id;
+    if (!project || project.deletedAt || !tenant || tenant.deletedAt) return;
+
+    const task = doc.data();
+    if (!isReminderHour(users.get(task.assignedTo), tenant, now)) return;
+
+    addToJob(tenantId, task.assignedTo, doc.ref.path);
+
+    const ownerId = project.ownerId || project.createdBy;
+    if (ownerId && ownerId !== task.assignedTo && task.dueDate.toMillis() < now.getTime()) {
+      addToJob(tenantId, ownerId, doc.ref.path);
+    }
+  });
+
+  return [...jobs.values()];
+}
+
+function getJobId(runId, page, tenantId, userId) {
+  return crypto.createHash("sha256").update(`${runId}:${page}:${tenantId}:${userId}`).digest("hex");
+}
+
+/**
+ * Enqueue a page's jobs, skipping those an earlier attempt of the run enqueued
+ */
+async function enqueueJobs(runId, runAt, page, jobs) {
+  const queue = getFunctions().taskQueue(REMINDER_QUEUE);
+  let enqueued = 0;
+
+  for (let i = 0; i < jobs.length; i += ENQUEUE_CONCURRENCY) {
+    await Promise.all(jobs.slice(i, i + ENQUEUE_CONCURRENCY).map(async (job) => {
+      const id = getJobId(runId, page, job.tenantId, job.userId);
+      try {
+        await queue.enqueue({ runId, runAt: runAt.toISOString(), jobId: id, ...job }, { id });
+        enqueued++;
+      } catch (error) {
+        if (error.code !== "functions/task-already-exists") throw error;
+      }
+    }));
+  }
+
+  return enqueued;
+}
+
+/**
+ * Trigger: Every hour - Schedule due date reminders
+ * Action: Enqueue a sendUserReminders job for every user whose local
+ * reminder hour it is and who has upcoming, overdue or escalated tasks
+ * Errors are rethrown so the run is retried; it resumes from its cursor.
+ */
+exports.sendDueDateReminders = onSchedule(
+  {
+    schedule: "0 * * * *",
+    timeZone: "UTC",
+    timeoutSeconds: 540,
+    retryConfig: {
+      retryCount: 3,
+      minBackoffSeconds: 60,
+    },
+  },
+  async (event) => {
+    // Retries of the same scheduled run share its run id
+    const runAt = event.scheduleTime ? new Date(event.scheduleTime) : new Date();
+    const runId = runAt.toISOString().slice(0, 13);
+    const runRef = admin.firestore().collection("reminderRuns").doc(runId);
+
+    try {
+      const runDoc = await runRef.get();
+      const run = runDoc.exists ? runDoc.data() : {};
+      if (run.status === "enqueued") {
+        console.log(`Reminder run ${runId} already enqueued`);
+        return { success: true, runId, jobs: run.jobs };
+      }
+
+      let { cursor = null, page = 0, tasks = 0, jobs = 0 } = run;
+      let enqueued = 0;
+
+      await runRef.set({
+        status: "scanning",
+        runAt: admin.firestore.Timestamp.fromDate(runAt),
+        startedAt: admin.firestore.FieldValue.serverTimestamp(),
+        cursor,
+        page,
+        tasks,
+        jobs,
+      }, { merge: true });
+
+      for (;;) {
+        const usersSnapshot = await loadUserPage(runAt.getUTCHours(), cursor);
+        if (usersSnapshot.empty) break;
+
+        const taskDocs = await loadReminderTasks(usersSnapshot.docs.map((doc) => doc.id), runAt);
+        const pageJobs = await planJobs(usersSnapshot.docs, taskDocs, runAt);
+        enqueued += await enqueueJobs(runId, runAt, page, pageJobs);
+
+        cursor = usersSnapshot.docs[usersSnapshot.size - 1].id;
+        page++;
+        tasks += taskDocs.length;
+        jobs += pageJobs.length;
+        await runRef.update({ cursor, page, tasks, jobs });
+
+        if (usersSnapshot.size < USER_PAGE_SIZE) break;
+      }
+
+      await runRef.update({
+        status: "enqueued",
+        enqueuedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      console.log(`Reminder run ${runId}: ${tasks} tasks, enqueued ${enqueued} of ${jobs} jobs`);
+      return { success: true, runId, jobs };
+    } catch (error) {
+      console.error(`Error scheduling due date reminders for run ${runId}:`, error);
+      throw error;
+    }
+  }
+);
+
+/**
+ * Task queue: Send one user their reminders for one tenant
+ * Errors are rethrown so Cloud Tasks retries the job; finished steps are
+ * checkpointed and skipped on retry.
+ */
+exports.sendUserReminders = onTaskDispatched(
+  {
+    retryConfig: {
+      maxAttempts: 5,
+      minBackoffSeconds: 60,
+    },
+    rateLimits: {
+      maxConcurrentDispatches: 20,
+    },
+  },
+  async (request) => {
+    const { runId, runAt, jobId, tenantId, userId, taskPaths } = request.data;
+    const now = new Date(runAt);
+    const jobRef = admin.firestore()
+      .collection("reminderRuns").doc(runId)
+      .collection("jobs").doc(jobId);
+
+    const jobDoc = await jobRef.get();
+    const completed = jobDoc.exists ? jobDoc.data().completed || {} : {};
+    if (completed.dueReminders && completed.escalations) return;
+
+    const [tenantDoc, userDoc, ...taskDocs] = await getAllDocs([
+      admin.firestore().collection("tenants").doc(tenantId),
+      admin.firestore().collection("users").doc(userId),
+      ...taskPaths.map((path) => admin.firestore().doc(path)),
+    ]);
+    if (!tenantDoc.exists || !userDoc.exists) return;
+
+    const tenant = tenantDoc.data();
+    const user = userDoc.data();
+
+    // Tasks may have been completed or deleted since the run was scheduled
+    const openTaskDocs = taskDocs.filter((doc) => doc.exists && doc.data().status !== "done" && doc.data().dueDate);
+    const projects = await loadByPath(openTaskDocs.map((doc) => doc.ref.parent.parent.path));
+
+    const tasks = openTaskDocs.map((doc) => {
+      const project = projects.get(doc.ref.parent.parent.path) || {};
+      return {
+        ...doc.data(),
+        id: doc.id,
+        path: doc.ref.path,
+        projectId: doc.ref.parent.parent.id,
+        projectTitle: project.title,
+        ownerId: project.ownerId || project.createdBy || null,
+      };
+    });
+
+    const context = { tenantId, tenant, ...selectReminders(userId, user, tenant, tasks, now) };
+
+    if (!completed.dueReminders) {
+      await sendDueReminders(userId, context);
+      await jobRef.set({
+        tenantId,
+        userId,
+        completed: { dueReminders: true },
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, { merge: true });
+    }
+
+    if (!completed.escalations) {
+      await sendEscalations(userId, context);
+      await jobRef.set({
+        completed: { escalations: true },
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, { merge: true });
+    }
+
+    console.log(`Reminders sent to user ${userId} for tenant ${tenantId} (run ${runId})`);
+  }
+);
+
+/**
+ * Trigger: When a user document is written
+ * Action: Index the UTC hours of their reminders when their time zone,
+ * reminder hour or tenants changed
+ */
+exports.indexReminderHours = onDocumentWritten(
+  {
+    document: "users/{userId}",
+  },
+  async (event) => {
+    const { userId } = event.params;
+    const before = event.data?.before?.exists ? event.data.before.data() : null;
+    const after = event.data?.after?.exists ? event.data.after.data() : null;
+    if (!after) return null;
+
+    const unchanged = before && Array.isArray(after.reminderUtcHours) &&
+      before.timezone === after.timezone &&
+      before.reminderHour === after.reminderHour &&
+      JSON.stringify(before.tenants || []) === JSON.stringify(after.tenants || []);
+    if (unchanged) return null;
+
+    try {
+      await updateReminderHours(event.data.after.ref, after);
+      return { success: true };
+    } catch (error) {
+      console.error(`Error indexing reminder hours for user ${userId}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+);
+
+/**
+ * Trigger: When a tenant is updated
+ * Action: Re-index the reminder hours of members without a time zone of
+ * their own when the tenant's time zone changed
+ */
+exports.reindexTenantReminderHours = onDocumentUpdated(
+  {
+    document: "tenants/{tenantId}",
+  },
+  async (event) => {
+    const { tenantId } = event.params;
+    if (event.data.before.data().timezone === event.data.after.data().timezone) return null;
+
+    try {
+      const usersSnapshot = await admin.firestore()
+        .collection("users")
+        .where("tenants", "array-contains", tenantId)
+        .get();
+
+      let updated = 0;
+      for (const userDoc of usersSnapshot.docs) {
+        if (isValidTimeZone(userDoc.data().timezone)) continue;
+        if (await updateReminderHours(userDoc.ref, userDoc.data())) updated++;
+      }
+
+      console.log(`Re-indexed reminder hours of ${updated} users in tenant ${tenantId}`);
+      return { success: true, updated };
+    } catch (error) {
+      console.error(`Error re-indexing reminder hours for tenant ${tenantId}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+);
+
+exports.getLocalTime = getLocalTime;
+exports.daysUntilDue = daysUntilDue;
+exports.getReminderSchedule = getReminderSchedule;
+exports.isValidTimeZone = isValidTimeZone;
+exports.updateReminderHours = updateReminderHours;
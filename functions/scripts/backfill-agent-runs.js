@@ -0,0 +1,45 @@
+/**
+ * Add tenantId and projectId to the agentRun of existing agent tasks, which
+ * claimNextTask filters on (see agents.js)
+ *
+ * Usage: node scripts/backfill-agent-runs.js
+ * Uses Application Default Credentials (gcloud auth application-default login),
+ * or the emulator when FIRESTORE_EMULATOR_HOST is set.
+ */
+
+const admin = require("firebase-admin");
+
+admin.initializeApp();
+
+const STATES = ["queued", "claimed", "review", "completed", "failed"];
+
+async function main() {
+  const snapshot = await admin.firestore()
+    .collectionGroup("tasks")
+    .where("agentRun.state", "in", STATES)
+    .get();
+
+  const writer = admin.firestore().bulkWriter();
+  let updated = 0;
+
+  for (const doc of snapshot.docs) {
+    // tenants/{tenantId}/projects/{projectId}/tasks/{taskId}
+    const segments = doc.ref.path.split("/");
+    const run = doc.data().agentRun;
+    if (segments.length !== 6 || (run.tenantId === segments[1] && run.projectId === segments[3])) continue;
+
+    writer.update(doc.ref, {
+      "agentRun.tenantId": segments[1],
+      "agentRun.projectId": segments[3],
+    });
+    updated++;
+  }
+
+  await writer.close();
+  console.log(`Updated ${updated} of ${snapshot.size} agent tasks`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,43 @@
+/**
+ * Set membership custom claims for every existing member (see claims.js)
+ *
+ * Usage: node scripts/backfill-claims.js
+ * Uses Application Default Credentials (gcloud auth application-default login),
+ * or the emulators when FIRESTORE_EMULATOR_HOST and FIREBASE_AUTH_EMULATOR_HOST are set.
+ */
+
+const admin = require("firebase-admin");
+
+admin.initializeApp();
+
+const { syncUserClaims } = require("../claims");
+
+async function main() {
+  const membersSnapshot = await admin.firestore().collectionGroup("members").get();
+
+  const tenantsByUser = new Map();
+  for (const memberDoc of membersSnapshot.docs) {
+    const tenantIds = tenantsByUser.get(memberDoc.id) || [];
+    tenantIds.push(memberDoc.ref.parent.parent.id);
+    tenantsByUser.set(memberDoc.id, tenantIds);
+  }
+
+  let failed = 0;
+  for (const [userId, tenantIds] of tenantsByUser) {
+    try {
+      const tenants = await syncUserClaims(userId, tenantIds);
+      console.log(`${userId}: ${tenants ? Object.keys(tenants).length : 0} tenants`);
+    } catch (error) {
+      failed++;
+      console.error(`${userId}: ${error.message}`);
+    }
+  }
+
+  console.log(`Synced ${tenantsByUser.size - failed} users, ${failed} failed`);
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,36 @@
+/**
+ * Index the reminder hours of every existing user (see reminders.js)
+ *
+ * Usage: node scripts/backfill-reminder-hours.js
+ * Uses Application Default Credentials (gcloud auth application-default login),
+ * or the emulator when FIRESTORE_EMULATOR_HOST is set.
+ */
+
+const admin = require("firebase-admin");
+
+admin.initializeApp();
+
+const { updateReminderHours } = require("../reminders");
+
+async function main() {
+  const usersSnapshot = await admin.firestore().collection("users").get();
+
+  let updated = 0;
+  let failed = 0;
+  for (const userDoc of usersSnapshot.docs) {
+    try {
+      if (await updateReminderHours(userDoc.ref, userDoc.data())) updated++;
+    } catch (error) {
+      failed++;
+      console.error(`${userDoc.id}: ${error.message}`);
+    }
+  }
+
+  console.log(`Indexed ${updated} of ${usersSnapshot.size} users, ${failed} failed`);
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
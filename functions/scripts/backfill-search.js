@@ -0,0 +1,78 @@
+/**
+ * Write search entries for existing tasks, comments, projects and knowledge
+ * entries (see search.js)
+ *
+ * Usage: node scripts/backfill-search.js [tenantId]
+ * Uses Application Default Credentials (gcloud auth application-default login),
+ * or the emulators when FIRESTORE_EMULATOR_HOST is set.
+ */
+
+const admin = require("firebase-admin");
+
+admin.initializeApp();
+
+const { buildEntry, entryId } = require("../search");
+
+async function backfillTenant(tenantRef, writer) {
+  const entriesRef = tenantRef.collection("searchEntries");
+  let count = 0;
+
+  const write = (kind, params, doc) => {
+    const entry = buildEntry(kind, { tenantId: tenantRef.id, ...params }, doc.data());
+    writer.set(entriesRef.doc(entryId(kind, entry.entityId)), {
+      ...entry,
+      deleted: false,
+      indexedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    count++;
+  };
+
+  const knowledgeSnapshot = await tenantRef.collection("knowledge").get();
+  knowledgeSnapshot.docs.forEach((doc) => write("knowledge", { entryId: doc.id }, doc));
+
+  const projectsSnapshot = await tenantRef.collection("projects").get();
+  for (const projectDoc of projectsSnapshot.docs) {
+    const projectId = projectDoc.id;
+    write("project", { projectId }, projectDoc);
+
+    const tasksSnapshot = await projectDoc.ref.collection("tasks").get();
+    for (const taskDoc of tasksSnapshot.docs) {
+      const taskId = taskDoc.id;
+      write("task", { projectId, taskId }, taskDoc);
+
+      const commentsSnapshot = await taskDoc.ref.collection("comments").get();
+      commentsSnapshot.docs.forEach((doc) => write("comment", { projectId, taskId, commentId: doc.id }, doc));
+    }
+    await writer.flush();
+  }
+
+  return count;
+}
+
+async function main() {
+  const tenantsRef = admin.firestore().collection("tenants");
+  const tenantRefs = process.argv[2]
+    ? [tenantsRef.doc(process.argv[2])]
+    : (await tenantsRef.get()).docs.map((doc) => doc.ref);
+
+  const writer = admin.firestore().bulkWriter();
+  let failed = 0;
+
+  for (const tenantRef of tenantRefs) {
+    try {
+      console.log(`${tenantRef.id}: ${await backfillTenant(tenantRef, writer)} entries`);
+    } catch (error) {
+      failed++;
+      console.error(`${tenantRef.id}: ${error.message}`);
+    }
+  }
+  await writer.close();
+
+  console.log(`Indexed ${tenantRefs.length - failed} tenants, ${failed} failed`);
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
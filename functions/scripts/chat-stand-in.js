@@ -0,0 +1,44 @@
+/**
+ * Local stand-in for Slack and Teams incoming webhooks
+ *
+ * Usage: npm run chat:stand-in [-- <port>]
+ * Point a project's meta/chat webhookUrl at http://localhost:<port>/slack or
+ * http://localhost:<port>/teams (accepted in the emulator only). Every post is
+ * printed; paths ending in /fail answer 500 to exercise error handling.
+ */
+
+const http = require("http");
+
+const port = Number(process.argv[2]) || 8787;
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => {
+    body += chunk;
+  });
+
+  req.on("end", () => {
+    console.log(`\n${req.method} ${req.url}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (error) {
+      console.log(body);
+    }
+
+    if (req.method !== "POST") {
+      res.writeHead(405).end("method not allowed");
+      return;
+    }
+    if (req.url.endsWith("/fail")) {
+      res.writeHead(500).end("stand-in failure");
+      return;
+    }
+
+    // Slack answers "ok", Teams an empty 200/202
+    res.writeHead(200, { "Content-Type": "text/plain" }).end(req.url.startsWith("/slack") ? "ok" : "");
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Chat webhook stand-in listening on http://localhost:${port} (/slack, /teams)`);
+});
@@ -0,0 +1,174 @@
+/**
+ * Fixture data for every email template, used by render-emails.js
+ */
+
+const APP_URL = "https://app.erold.dev";
+const now = Date.now();
+const DAY = 24 * 60 * 60 * 1000;
+
+module.exports = {
+  invite: {
+    tenantName: "Acme Consulting",
+    inviterName: "Marie Schmit",
+    roleName: "Member",
+    role: "member",
+    acceptUrl: `${APP_URL}/accept-invite?token=fixture-invite`,
+    email: "jean.muller@example.lu",
+    expiresAt: new Date(now + 7 * DAY),
+  },
+  invitePending: {
+    userName: "Marie",
+    tenantName: "Acme Consulting",
+    membersUrl: `${APP_URL}/t/acme/members`,
+    count: 2,
+    invites: [
+      {
+        email: "jean.muller@example.lu",
+        role: "member",
+        createdAt: new Date(now - 4 * DAY),
+        expiresAt: new Date(now + 3 * DAY),
+      },
+      {
+        email: "client@example.com",
+        role: "guest",
+        createdAt: new Date(now - 3 * DAY),
+        expiresAt: null,
+      },
+    ],
+  },
+  taskAssigned: {
+    taskTitle: "Prepare Q3 client report",
+    taskDescription: "Collect the figures from **accounting** and draft the summary for @[Luc Weber](user-luc).",
+    projectTitle: "Client Reporting",
+    tenantName: "Acme Consulting",
+    assignerName: "Marie Schmit",
+    priority: "high",
+    priorityColor: "#ef4444",
+    dueDate: new Date(now + 2 * DAY),
+    taskUrl: `${APP_URL}/t/acme/projects/fixture-project?task=fixture-task`,
+    membersUrl: `${APP_URL}/t/acme/members`,
+  },
+  dueReminder: {
+    userName: "Jean",
+    tenantName: "Acme Consulting",
+    tenantUrl: `${APP_URL}/t/acme`,
+    count: 3,
+    tasks: [
+      {
+        title: "Send invoice to Luxair",
+        projectTitle: "Invoicing",
+        url: `${APP_URL}/t/acme/projects/invoicing?task=1`,
+        daysUntilDue: 0,
+        overdueDays: 2,
+        urgent: true,
+      },
+      {
+        title: "Review website copy",
+        projectTitle: "Website Relaunch",
+        url: `${APP_URL}/t/acme/projects/website?task=2`,
+        daysUntilDue: 0,
+        overdueDays: null,
+        urgent: true,
+      },
+      {
+        title: "Book venue for team offsite",
+        projectTitle: "Team Offsite",
+        url: `${APP_URL}/t/acme/projects/offsite?task=3`,
+        daysUntilDue: 3,
+        overdueDays: null,
+        urgent: false,
+      },
+    ],
+  },
+  overdueEscalation: {
+    userName: "Marie",
+    tenantName: "Acme Consulting",
+    count: 2,
+    escalationDays: 3,
+    tasks: [
+      {
+        title: "Send invoice to Luxair",
+        projectTitle: "Invoicing",
+        url: `${APP_URL}/t/acme/projects/invoicing?task=1`,
+        assigneeName: "Jean Muller",
+        daysUntilDue: 0,
+        overdueDays: 5,
+        urgent: true,
+      },
+      {
+        title: "Archive 2023 contracts",
+        projectTitle: "Invoicing",
+        url: `${APP_URL}/t/acme/projects/invoicing?task=4`,
+        assigneeName: null,
+        daysUntilDue: 0,
+        overdueDays: 3,
+        urgent: true,
+      },
+    ],
+  },
+  comment: {
+    taskTitle: "Prepare Q3 client report",
+    projectTitle: "Client Reporting",
+    tenantName: "Acme Consulting",
+    commenterName: "Marie Schmit",
+    commentText: "@[Jean Muller](user-jean), can you add the figures for **September**?\n\n- Revenue\n- Headcount\n\n<script>alert(1)</script> [bad](javascript:alert(1))",
+    taskUrl: `${APP_URL}/t/acme/projects/fixture-project?task=fixture-task`,
+    membersUrl: `${APP_URL}/t/acme/members`,
+    canReply: true,
+  },
+  digest: {
+    userName: "Jean",
+    frequency: "daily",
+    count: 2,
+    notifications: [
+      {
+        title: "Marie Schmit assigned you a task",
+        message: "Prepare Q3 client report",
+        link: `${APP_URL}/t/acme/projects/fixture-project?task=fixture-task`,
+        context: "Acme Consulting · Client Reporting",
+        count: null,
+      },
+      {
+        title: "Marie Schmit commented on \"Prepare Q3 client report\"",
+        message: "Jean, can you add the figures for September?",
+        link: `${APP_URL}/t/acme/projects/fixture-project?task=fixture-task`,
+        context: "Acme Consulting · Client Reporting",
+        count: 3,
+      },
+    ],
+  },
+  dataExport: {
+    userName: "Marie",
+    kind: "tenant",
+    tenantName: "Acme Consulting",
+    documents: 1284,
+    files: 37,
+    downloadUrl: "https://storage.googleapis.com/erold.appspot.com/exports/tenants/acme/fixture-export.zip?X-Goog-Signature=fixture",
+    expiresAt: new Date(now + 7 * DAY),
+  },
+  agentReview: {
+    agentName: "Report Writer",
+    taskTitle: "Prepare Q3 client report",
+    summary: "Drafted the summary from the **accounting** figures.\n\n- Revenue is up 4%\n- Headcount figures are missing for September",
+    projectTitle: "Client Reporting",
+    tenantName: "Acme Consulting",
+    taskUrl: `${APP_URL}/t/acme/projects/fixture-project?task=fixture-task`,
+    membersUrl: `${APP_URL}/t/acme/members`,
+  },
+  timeReport: {
+    userName: "Marie",
+    tenantName: "Acme Consulting",
+    period: "September 2026",
+    hours: "186.50",
+    billableHours: "152.25",
+    amount: "€14,463.75",
+    customers: [
+      { name: "Banque du Nord", hours: "96.00", amount: "€9,120.00" },
+      { name: "Ville de Esch", hours: "56.25", amount: "€5,343.75" },
+      { name: null, hours: "34.25", amount: "€0.00" },
+    ],
+    pdfUrl: "https://storage.googleapis.com/erold.appspot.com/exports/tenants/acme/reports/fixture-time-report.pdf?X-Goog-Signature=fixture",
+    csvUrl: "https://storage.googleapis.com/erold.appspot.com/exports/tenants/acme/reports/fixture-time-report.csv?X-Goog-Signature=fixture",
+    expiresAt: new Date(now + 7 * DAY),
+  },
+};
@@ -0,0 +1,108 @@
+/**
+ * Create an API key in the emulator for trying the MCP server (see mcp.js)
+ *
+ * Usage: npm run mcp:dev-key -- [tenantId] [userId]
+ * Only runs against the emulators (FIRESTORE_EMULATOR_HOST must be set, e.g.
+ * localhost:8080). A missing tenant is created with the user as owner, a
+ * project with a task, and a knowledge entry, so there is something to query.
+ */
+
+const admin = require("firebase-admin");
+
+if (!process.env.FIRESTORE_EMULATOR_HOST) {
+  console.error("Set FIRESTORE_EMULATOR_HOST (e.g. localhost:8080); this script only runs against the emulator");
+  process.exit(1);
+}
+
+admin.initializeApp();
+
+const { generateApiKey, hashApiKey, API_SCOPES } = require("../api");
+
+const tenantId = process.argv[2] || "demo-tenant";
+const userId = process.argv[3] || "demo-user";
+
+async function seedTenant(tenantRef) {
+  const timestamp = admin.firestore.FieldValue.serverTimestamp();
+  const batch = admin.firestore().batch();
+
+  batch.set(tenantRef, { name: "Demo Tenant", slug: tenantId, createdAt: timestamp });
+  batch.set(tenantRef.collection("members").doc(userId), { role: "owner", joinedAt: timestamp });
+
+  const projectRef = tenantRef.collection("projects").doc("demo-project");
+  batch.set(projectRef, {
+    title: "Demo Project",
+    description: "Seeded for the MCP server",
+    status: "active",
+    visibility: "private",
+    assignedUsers: [userId],
+    assignedEmails: [],
+    createdAt: timestamp,
+    createdBy: userId,
+  });
+  batch.set(projectRef.collection("meta").doc("techInfo"), {
+    stack: ["Node.js 20", "Firebase"],
+    repository: "https://example.com/demo.git",
+  });
+  batch.set(projectRef.collection("tasks").doc(), {
+    title: "Write the README",
+    description: "Explain how to run the project locally.",
+    status: "todo",
+    priority: "medium",
+    assignedTo: userId,
+    dueDate: null,
+    createdAt: timestamp,
+    createdBy: userId,
+  });
+  batch.set(tenantRef.collection("knowledge").doc(), {
+    title: "Deploying",
+    content: "Run `firebase deploy` from the repository root.",
+    category: "operations",
+    tags: ["deploy"],
+    createdAt: timestamp,
+    createdBy: userId,
+    updatedAt: timestamp,
+  });
+
+  await batch.commit();
+}
+
+async function main() {
+  const tenantRef = admin.firestore().collection("tenants").doc(tenantId);
+  if (!(await tenantRef.get()).exists) {
+    await seedTenant(tenantRef);
+    console.log(`Seeded tenant ${tenantId} with owner ${userId}`);
+  }
+
+  const key = generateApiKey();
+  const scopes = API_SCOPES.filter((scope) => scope !== "queue:work");
+  await tenantRef.collection("apiKeys").doc().set({
+    name: "MCP development key",
+    scopes,
+    agentId: null,
+    keyHash: hashApiKey(key),
+    keyPrefix: key.substring(0, 12),
+    revoked: false,
+    createdBy: userId,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    lastUsedAt: null,
+  });
+
+  const projectId = process.env.GCLOUD_PROJECT || admin.app().options.projectId || "<project>";
+  console.log(`\nAPI key: ${key}`);
+  console.log(`MCP URL: http://localhost:5001/${projectId}/europe-west1/mcp`);
+  console.log("\nClient configuration:");
+  console.log(JSON.stringify({
+    mcpServers: {
+      erold: {
+        type: "http",
+        url: `http://localhost:5001/${projectId}/europe-west1/mcp`,
+        headers: { Authorization: `Bearer ${key}` },
+      },
+    },
+  }, null, 2));
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,33 @@
+/**
+ * Render every email template in every locale with fixture data
+ *
+ * Usage: npm run emails:preview [-- <outputDir>]
+ * Writes <outputDir>/<locale>/<template>.html and .txt (default: preview/)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { EMAIL_TEMPLATES, SUPPORTED_LOCALES, renderEmail, translate } = require("../templates");
+const fixtures = require("./email-fixtures");
+
+const outputDir = path.resolve(process.argv[2] || path.join(__dirname, "..", "preview"));
+
+for (const locale of SUPPORTED_LOCALES) {
+  const localeDir = path.join(outputDir, locale);
+  fs.mkdirSync(localeDir, { recursive: true });
+
+  for (const name of EMAIL_TEMPLATES) {
+    const data = { ...fixtures[name] };
+    if (data.role) {
+      data.roleName = translate(locale, `roles.${data.role}`);
+    }
+
+    const email = renderEmail(name, data, { locale });
+
+    fs.writeFileSync(path.join(localeDir, `${name}.html`), email.html);
+    fs.writeFileSync(path.join(localeDir, `${name}.txt`), `Subject: ${email.subject}\n\n${email.text}\n`);
+    console.log(`${locale}/${name}: ${email.subject}`);
+  }
+}
+
+console.log(`\nRendered ${EMAIL_TEMPLATES.length} templates in ${SUPPORTED_LOCALES.length} locales to ${outputDir}`);
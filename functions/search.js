@@ -0,0 +1,583 @@
+/**
+ * Full-text search over tasks, comments, projects and knowledge entries
+ * Each tenant has its own MiniSearch index:
+ *   - triggers keep one tenants/{tenantId}/searchEntries document per indexed
+ *     document, with the text to index and the fields to filter on; deletes
+ *     leave a tombstone ({ deleted: true })
+ *   - snapshotSearchIndexes saves the index of recently changed tenants to
+ *     Storage at tenants/{tenantId}/search/index.json, with a watermark
+ *   - searchTenant loads the snapshot once per instance and applies the entries
+ *     indexed since its watermark on every call, so results are never stale
+ *
+ * Results follow firestore.rules: members see everything, guests only the
+ * projects in their projectIds (and knowledge entries). Projects in the trash
+ * and comments whose task is gone are left out.
+ *
+ * Terms are lowercased and stripped of accents, so "echeance" finds
+ * "échéance". Highlights are character ranges in the title and in an excerpt
+ * of the text; the app marks them up.
+ *
+ * Documents written before search existed are indexed with
+ * `node scripts/backfill-search.js`.
+ */
+
+const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const { onDocumentWritten } = require("firebase-functions/v2/firestore");
+const { onSchedule } = require("firebase-functions/v2/scheduler");
+const admin = require("firebase-admin");
+const MiniSearch = require("minisearch");
+const { mentionsToText } = require("./markdown");
+const { isBeingPurged } = require("./history");
+
+const SNAPSHOT_VERSION = 1;
+
+// Entries committed close together can land out of timestamp order, so
+// changes are read again from a little before the watermark
+const OVERLAP_MS = 60 * 1000;
+
+const SNAPSHOT_INTERVAL_MINUTES = 30;
+
+// Text beyond this isn't indexed
+const MAX_TEXT_LENGTH = 20000;
+
+// Kept in the index for highlighting
+const EXCERPT_LENGTH = 2000;
+
+// Characters of context shown before the first match
+const SNIPPET_LEAD = 60;
+const SNIPPET_LENGTH = 200;
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// Indexes kept in memory per instance, and for how long before they are
+// loaded again; tombstones outlive that, so a cached index always sees them
+const MAX_CACHED_INDEXES = 10;
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const TOMBSTONE_TTL_MS = 24 * 60 * 60 * 1000;
+
+const PAGE_SIZE = 500;
+
+const KINDS = ["task", "comment", "project", "knowledge"];
+const FACETS = ["kind", "status", "priority", "category"];
+
+/**
+ * Lowercase and strip accents
+ */
+function normalizeTerm(term) {
+  return term.normalize("NFD").replace(/\p{M}/gu, "").toLowerCase();
+}
+
+const INDEX_OPTIONS = {
+  fields: ["title", "text"],
+  storeFields: ["kind", "entityId", "projectId", "taskId", "title", "excerpt", "status", "priority", "category"],
+  processTerm: normalizeTerm,
+  searchOptions: {
+    boost: { title: 3 },
+    prefix: true,
+    fuzzy: 0.2,
+  },
+};
+
+function entriesRef(tenantId) {
+  return admin.firestore().collection("tenants").doc(tenantId).collection("searchEntries");
+}
+
+function snapshotFile(tenantId) {
+  return admin.storage().bucket().file(`tenants/${tenantId}/search/index.json`);
+}
+
+function truncate(value, length) {
+  return value.length > length ? value.substring(0, length) : value;
+}
+
+function joinText(...parts) {
+  return truncate(parts.flat().filter((part) => typeof part === "string" && part).join("\n"), MAX_TEXT_LENGTH);
+}
+
+// ============================================
+// Entries
+// ============================================
+
+/**
+ * The search entry for a document: what is indexed and filtered on
+ * `params` are the trigger's path parameters
+ */
+function buildEntry(kind, params, data) {
+  const base = {
+    kind,
+    projectId: params.projectId || null,
+    taskId: params.taskId || null,
+    status: null,
+    priority: null,
+    category: null,
+  };
+
+  switch (kind) {
+    case "task":
+      return {
+        ...base,
+        entityId: params.taskId,
+        title: data.title || "",
+        text: joinText(data.description, data.tags || []),
+        status: data.status || null,
+        priority: data.priority || null,
+      };
+    case "comment":
+      return {
+        ...base,
+        entityId: params.commentId,
+        title: "",
+        text: joinText(mentionsToText(data.text)),
+      };
+    case "project":
+      return {
+        ...base,
+        entityId: params.projectId,
+        title: data.title || "",
+        text: joinText(data.description),
+        status: data.status || null,
+        // Projects in the trash are left out of results, with everything in them
+        hidden: Boolean(data.deletedAt),
+      };
+    case "knowledge":
+      return {
+        ...base,
+        entityId: params.entryId,
+        title: data.title || "",
+        text: joinText(data.content, data.tags || []),
+        category: data.category || null,
+      };
+    default:
+      throw new Error(`Unknown search entry kind ${kind}`);
+  }
+}
+
+function entryId(kind, entityId) {
+  return `${kind}-${entityId}`;
+}
+
+/**
+ * Update a document's search entry after a write
+ */
+async function indexWrite(event, kind, entityId) {
+  const { tenantId } = event.params;
+  const before = event.data?.before?.exists ? event.data.before.data() : null;
+  const after = event.data?.after?.exists ? event.data.after.data() : null;
+  const ref = entriesRef(tenantId).doc(entryId(kind, entityId));
+
+  if (!after) {
+    // The tenant purge removes the entries themselves (see deletion.js)
+    if (await isBeingPurged({ tenantId })) return null;
+
+    await ref.set({ kind, entityId, deleted: true, indexedAt: admin.firestore.FieldValue.serverTimestamp() });
+    return { success: true, deleted: true };
+  }
+
+  const entry = buildEntry(kind, event.params, after);
+  if (before && JSON.stringify(buildEntry(kind, event.params, before)) === JSON.stringify(entry)) {
+    return null;
+  }
+
+  await ref.set({ ...entry, deleted: false, indexedAt: admin.firestore.FieldValue.serverTimestamp() });
+  return { success: true };
+}
+
+function indexTrigger(document, kind, idParam) {
+  return onDocumentWritten({ document }, async (event) => {
+    const entityId = event.params[idParam];
+
+    try {
+      return await indexWrite(event, kind, entityId);
+    } catch (error) {
+      console.error(`Error indexing ${kind} ${entityId}:`, error);
+      return { success: false, error: error.message };
+    }
+  });
+}
+
+/**
+ * Trigger: When a task is created, updated or deleted
+ * Action: Update its search entry
+ */
+exports.indexTask = indexTrigger("tenants/{tenantId}/projects/{projectId}/tasks/{taskId}", "task", "taskId");
+
+/**
+ * Trigger: When a comment is added, edited or deleted
+ * Action: Update its search entry
+ */
+exports.indexComment = indexTrigger(
+  "tenants/{tenantId}/projects/{projectId}/tasks/{taskId}/comments/{commentId}",
+  "comment",
+  "commentId"
+);
+
+/**
+ * Trigger: When a project is created, updated or deleted
+ * Action: Update its search entry
+ */
+exports.indexProject = indexTrigger("tenants/{tenantId}/projects/{projectId}", "project", "projectId");
+
+/**
+ * Trigger: When a knowledge entry is created, updated or deleted
+ * Action: Update its search entry
+ */
+exports.indexKnowledgeEntry = indexTrigger("tenants/{tenantId}/knowledge/{entryId}", "knowledge", "entryId");
+
+// ============================================
+// Index
+// ============================================
+
+function createIndex() {
+  return new MiniSearch(INDEX_OPTIONS);
+}
+
+/**
+ * An empty index, or the tenant's snapshot from Storage
+ * State: { index, watermark (ms), hiddenProjects }
+ */
+async function loadSnapshot(tenantId) {
+  const file = snapshotFile(tenantId);
+
+  try {
+    const [contents] = await file.download();
+    const snapshot = JSON.parse(contents.toString("utf8"));
+    if (snapshot.version === SNAPSHOT_VERSION) {
+      return {
+        index: MiniSearch.loadJS(snapshot.index, INDEX_OPTIONS),
+        watermark: snapshot.watermark,
+        hiddenProjects: new Set(snapshot.hiddenProjects),
+      };
+    }
+  } catch (error) {
+    if (error.code !== 404) throw error;
+  }
+
+  return { index: createIndex(), watermark: 0, hiddenProjects: new Set() };
+}
+
+/**
+ * Apply the entries indexed since the state's watermark
+ */
+async function applyChanges(tenantId, state) {
+  const since = admin.firestore.Timestamp.fromMillis(Math.max(0, state.watermark - OVERLAP_MS));
+  let last = null;
+  let applied = 0;
+
+  for (;;) {
+    let query = entriesRef(tenantId).where("indexedAt", ">", since).orderBy("indexedAt").limit(PAGE_SIZE);
+    if (last) query = query.startAfter(last);
+
+    const snapshot = await query.get();
+    if (snapshot.empty) break;
+
+    for (const doc of snapshot.docs) {
+      const entry = doc.data();
+
+      if (state.index.has(doc.id)) state.index.discard(doc.id);
+      if (!entry.deleted) {
+        state.index.add({ ...entry, id: doc.id, excerpt: truncate(entry.text || "", EXCERPT_LENGTH) });
+      }
+
+      if (entry.kind === "project") {
+        if (entry.hidden && !entry.deleted) {
+          state.hiddenProjects.add(entry.entityId);
+        } else {
+          state.hiddenProjects.delete(entry.entityId);
+        }
+      }
+
+      state.watermark = Math.max(state.watermark, entry.indexedAt.toMillis());
+      applied++;
+    }
+    last = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  return applied;
+}
+
+// tenantId -> { loaded: promise of state, expiresAt }, least recently used first
+const indexCache = new Map();
+
+/**
+ * The tenant's index, brought up to date
+ * Calls for the same tenant take turns, so changes are never applied twice at once
+ */
+function getIndex(tenantId) {
+  let cached = indexCache.get(tenantId);
+  indexCache.delete(tenantId);
+  if (cached && cached.expiresAt < Date.now()) cached = null;
+
+  const loaded = (cached ? cached.loaded : loadSnapshot(tenantId)).then(async (state) => {
+    await applyChanges(tenantId, state);
+    return state;
+  });
+  indexCache.set(tenantId, { loaded, expiresAt: cached ? cached.expiresAt : Date.now() + CACHE_TTL_MS });
+
+  // A failed load isn't cached
+  loaded.catch(() => {
+    if (indexCache.get(tenantId)?.loaded === loaded) indexCache.delete(tenantId);
+  });
+
+  while (indexCache.size > MAX_CACHED_INDEXES) {
+    indexCache.delete(indexCache.keys().next().value);
+  }
+
+  return loaded;
+}
+
+/**
+ * Write the tenant's index to Storage and drop the tombstones it covers
+ */
+async function saveSnapshot(tenantId) {
+  const state = await loadSnapshot(tenantId);
+  const applied = await applyChanges(tenantId, state);
+  if (applied === 0) return 0;
+
+  await snapshotFile(tenantId).save(JSON.stringify({
+    version: SNAPSHOT_VERSION,
+    watermark: state.watermark,
+    hiddenProjects: [...state.hiddenProjects],
+    index: state.index.toJSON(),
+  }), { contentType: "application/json", gzip: true, resumable: false });
+
+  const writer = admin.firestore().bulkWriter();
+  const covered = admin.firestore.Timestamp.fromMillis(Math.min(state.watermark - OVERLAP_MS, Date.now() - TOMBSTONE_TTL_MS));
+  for (;;) {
+    const tombstones = await entriesRef(tenantId)
+      .where("deleted", "==", true)
+      .where("indexedAt", "<", covered)
+      .limit(PAGE_SIZE)
+      .get();
+    if (tombstones.empty) break;
+
+    tombstones.docs.forEach((doc) => writer.delete(doc.ref));
+    await writer.flush();
+  }
+  await writer.close();
+
+  return applied;
+}
+
+/**
+ * Trigger: Every 30 minutes - Snapshot the search index of tenants with new entries
+ */
+exports.snapshotSearchIndexes = onSchedule(
+  {
+    schedule: `every ${SNAPSHOT_INTERVAL_MINUTES} minutes`,
+    timeZone: "Europe/Luxembourg",
+    memory: "1GiB",
+    timeoutSeconds: 540,
+  },
+  async () => {
+    // A missed run only means a longer catch-up for searchTenant
+    const since = admin.firestore.Timestamp.fromMillis(Date.now() - SNAPSHOT_INTERVAL_MINUTES * 60 * 1000 - OVERLAP_MS);
+
+    const snapshot = await admin.firestore()
+      .collectionGroup("searchEntries")
+      .where("indexedAt", ">", since)
+      .select()
+      .get();
+    const tenantIds = [...new Set(snapshot.docs.map((doc) => doc.ref.parent.parent.id))];
+
+    let saved = 0;
+    for (const tenantId of tenantIds) {
+      try {
+        if (await saveSnapshot(tenantId) > 0) saved++;
+      } catch (error) {
+        console.error(`Error saving search index of ${tenantId}:`, error);
+      }
+    }
+
+    console.log(`Saved ${saved} of ${tenantIds.length} search indexes`);
+    return { success: true, saved };
+  }
+);
+
+// ============================================
+// Search
+// ============================================
+
+/**
+ * Fold a string for matching without changing its length, so offsets found
+ * in it apply to the original
+ */
+function foldForMatching(value) {
+  return Array.from(value, (char) => {
+    const folded = normalizeTerm(char);
+    return folded.length === char.length ? folded : char;
+  }).join("");
+}
+
+/**
+ * Character ranges [start, end) where the matched terms start a word
+ */
+function findRanges(value, terms) {
+  const folded = foldForMatching(value);
+  const ranges = [];
+
+  for (const term of terms) {
+    let index = folded.indexOf(term);
+    while (index !== -1) {
+      if (index === 0 || !/[\p{L}\p{N}]/u.test(folded[index - 1])) {
+        ranges.push([index, index + term.length]);
+      }
+      index = folded.indexOf(term, index + 1);
+    }
+  }
+
+  ranges.sort((a, b) => a[0] - b[0] || b[1] - a[1]);
+  return ranges.filter((range, index) => index === 0 || range[0] >= ranges[index - 1][1]);
+}
+
+/**
+ * Highlight a field; long text is cut to a snippet around the first match
+ */
+function highlight(value, terms, snippet = false) {
+  if (!value) return { value: "", ranges: [] };
+
+  const ranges = findRanges(value, terms);
+  if (!snippet || value.length <= SNIPPET_LENGTH) return { value, ranges };
+
+  const start = ranges.length > 0 ? Math.max(0, ranges[0][0] - SNIPPET_LEAD) : 0;
+  const end = Math.min(value.length, start + SNIPPET_LENGTH);
+
+  return {
+    value: value.substring(start, end),
+    ranges: ranges
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from - start, to - start]),
+    truncatedStart: start > 0,
+    truncatedEnd: end < value.length,
+  };
+}
+
+/**
+ * Whether the caller may see a result (see firestore.rules)
+ */
+function isVisible(result, state, member) {
+  if (result.projectId && state.hiddenProjects.has(result.projectId)) return false;
+  if (result.kind === "comment" && !state.index.has(entryId("task", result.taskId))) return false;
+
+  if (member.role !== "guest" || result.kind === "knowledge") return true;
+  return (member.projectIds || []).includes(result.projectId);
+}
+
+function countFacets(results) {
+  const facets = Object.fromEntries(FACETS.map((facet) => [facet, {}]));
+
+  for (const result of results) {
+    for (const facet of FACETS) {
+      const value = result[facet];
+      if (value) facets[facet][value] = (facets[facet][value] || 0) + 1;
+    }
+  }
+  return facets;
+}
+
+/**
+ * Check and normalize the { kind, status, priority, category, projectId } filters
+ * Each may be a value or a list of values
+ */
+function parseFilters(filters) {
+  if (filters === undefined || filters === null) return {};
+  if (typeof filters !== "object" || Array.isArray(filters)) {
+    throw new HttpsError("invalid-argument", "filters must be an object");
+  }
+
+  const parsed = {};
+  for (const [field, value] of Object.entries(filters)) {
+    if (![...FACETS, "projectId"].includes(field)) {
+      throw new HttpsError("invalid-argument", `Unknown filter ${field}`);
+    }
+
+    const values = [].concat(value);
+    if (values.length === 0 || !values.every((item) => typeof item === "string")) {
+      throw new HttpsError("invalid-argument", `Filter ${field} must be a string or a list of strings`);
+    }
+    if (field === "kind" && !values.every((item) => KINDS.includes(item))) {
+      throw new HttpsError("invalid-argument", `kind must be one of ${KINDS.join(", ")}`);
+    }
+    parsed[field] = values;
+  }
+  return parsed;
+}
+
+/**
+ * Search a tenant's index as a member sees it
+ * `filters` are already parsed (see parseFilters)
+ */
+async function searchIndex(tenantId, member, query, { filters = {}, limit = DEFAULT_LIMIT, offset = 0 } = {}) {
+  const state = await getIndex(tenantId);
+  const visible = state.index.search(query.trim()).filter((result) => isVisible(result, state, member));
+  const matching = visible.filter((result) =>
+    Object.entries(filters).every(([field, values]) => values.includes(result[field]))
+  );
+
+  const results = matching.slice(offset, offset + limit).map((result) => {
+    // Comments are shown under their task's title
+    const task = result.kind === "comment" ? state.index.getStoredFields(entryId("task", result.taskId)) : null;
+
+    return {
+      kind: result.kind,
+      id: result.entityId,
+      projectId: result.projectId,
+      taskId: result.taskId,
+      title: task ? task.title : result.title,
+      status: result.status,
+      priority: result.priority,
+      category: result.category,
+      score: result.score,
+      highlights: {
+        title: highlight(result.title, result.terms),
+        text: highlight(result.excerpt, result.terms, true),
+      },
+    };
+  });
+
+  return {
+    results,
+    total: matching.length,
+    facets: countFacets(visible),
+  };
+}
+
+/**
+ * Callable: Search a tenant
+ * Returns ranked results with highlights, and facet counts for the query
+ * before filters are applied, so the app can offer the other values
+ */
+exports.searchTenant = onCall({ memory: "1GiB" }, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "You must be signed in");
+  }
+
+  const { tenantId, query, filters, limit = DEFAULT_LIMIT, offset = 0 } = request.data || {};
+  if (!tenantId || typeof tenantId !== "string") {
+    throw new HttpsError("invalid-argument", "tenantId is required");
+  }
+  if (typeof query !== "string" || !query.trim() || query.length > 200) {
+    throw new HttpsError("invalid-argument", "query must be 1 to 200 characters");
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new HttpsError("invalid-argument", `limit must be between 1 and ${MAX_LIMIT}`);
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new HttpsError("invalid-argument", "offset must be a positive integer");
+  }
+  const parsedFilters = parseFilters(filters);
+
+  const memberDoc = await admin.firestore()
+    .collection("tenants").doc(tenantId)
+    .collection("members").doc(request.auth.uid)
+    .get();
+  if (!memberDoc.exists) {
+    throw new HttpsError("permission-denied", "You are not a member of this tenant");
+  }
+
+  return searchIndex(tenantId, memberDoc.data(), query, { filters: parsedFilters, limit, offset });
+});
+
+exports.buildEntry = buildEntry;
+exports.entryId = entryId;
+exports.searchIndex = searchIndex;
@@ -0,0 +1,193 @@
+/**
+ * Email templates
+ * Renders the Handlebars templates in templates/ inside the shared layout,
+ * with copy from locales/<locale>.json.
+ *
+ * Each email has <name>.html.hbs and <name>.text.hbs; its subject is the
+ * `<name>.subject` translation. Partials live in templates/partials and the
+ * layouts in templates/layouts.
+ *
+ * Translations interpolate `{field}` from the template data. Values may be
+ * plural objects ({ "one": ..., "other": ... }) selected by `count`, and
+ * `**text**` renders bold in HTML.
+ *
+ * All values are HTML-escaped. User-written bodies (comments, descriptions)
+ * go through {{markdown value mentionBaseUrl=...}}, which renders sanitised
+ * Markdown in HTML and plain text in text emails.
+ *
+ * Run `npm run emails:preview` to render every template with fixture data.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const Handlebars = require("handlebars");
+const { APP_URL } = require("./config");
+const { renderMarkdown, mentionsToText } = require("./markdown");
+
+const TEMPLATES_DIR = path.join(__dirname, "templates");
+const LOCALES_DIR = path.join(__dirname, "locales");
+
+const DEFAULT_LOCALE = "en";
+const DEFAULT_TIME_ZONE = "Europe/Luxembourg";
+
+const EMAIL_TEMPLATES = ["invite", "taskAssigned", "dueReminder", "overdueEscalation", "invitePending", "comment", "digest", "dataExport", "agentReview", "timeReport"];
+
+// Load translations once per instance
+const messages = Object.fromEntries(
+  fs.readdirSync(LOCALES_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => [path.basename(file, ".json"), JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), "utf8"))])
+);
+
+const SUPPORTED_LOCALES = Object.keys(messages);
+
+// HTML templates escape by default; text templates must not
+const html = Handlebars.create();
+const text = Handlebars.create();
+
+/**
+ * Pick the first supported locale from candidates like "fr-LU", "de", undefined
+ * Returns the full tag (for date formatting) and the language (for translations)
+ */
+function resolveLocale(...candidates) {
+  for (const candidate of candidates) {
+    if (!candidate || typeof candidate !== "string") continue;
+
+    const language = candidate.split(/[-_]/)[0].toLowerCase();
+    if (SUPPORTED_LOCALES.includes(language)) {
+      return { locale: candidate.replace("_", "-"), language };
+    }
+  }
+  return { locale: DEFAULT_LOCALE, language: DEFAULT_LOCALE };
+}
+
+function lookup(language, key) {
+  return key.split(".").reduce((value, part) => (value == null ? undefined : value[part]), messages[language]);
+}
+
+/**
+ * Translate a key, interpolating params
+ * In "html" format params are escaped and **bold** becomes <strong>
+ */
+function translate(language, key, params = {}, format = "text") {
+  let value = lookup(language, key);
+  if (value === undefined) value = lookup(DEFAULT_LOCALE, key);
+  if (value === undefined) return key;
+
+  if (typeof value === "object") {
+    const category = new Intl.PluralRules(language).select(Number(params.count) || 0);
+    value = value[category] !== undefined ? value[category] : value.other;
+  }
+
+  const escape = format === "html" ? Handlebars.escapeExpression : (param) => param;
+  const result = value.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] === undefined || params[name] === null ? "" : escape(String(params[name]))
+  );
+
+  return format === "html"
+    ? result.replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>")
+    : result.replace(/\*\*(.+?)\*\*/g, "$1");
+}
+
+/**
+ * Format a date (Date or Firestore Timestamp) for a locale and time zone
+ */
+function formatDate(date, locale, timeZone, options = { weekday: "short", month: "short", day: "numeric" }) {
+  if (!date) return "";
+  const value = typeof date.toDate === "function" ? date.toDate() : new Date(date);
+  return new Intl.DateTimeFormat(locale, { ...options, timeZone: timeZone || DEFAULT_TIME_ZONE }).format(value);
+}
+
+function registerHelpers(instance, format) {
+  // {{t "key"}} interpolates from the current context, plus any hash params
+  instance.registerHelper("t", function(key, options) {
+    const params = { ...this, ...options.hash };
+    const value = translate(options.data.language, key, params, format);
+    return format === "html" ? new Handlebars.SafeString(value) : value;
+  });
+
+  instance.registerHelper("formatDate", (date, options) =>
+    formatDate(date, options.data.locale, options.data.timeZone)
+  );
+
+  instance.registerHelper("markdown", (value, options) => {
+    if (format !== "html") return mentionsToText(value);
+
+    const { mentionBaseUrl } = options.hash;
+    return new Handlebars.SafeString(renderMarkdown(value, {
+      mentionUrl: mentionBaseUrl ? (userId) => `${mentionBaseUrl}/${userId}` : null,
+    }));
+  });
+
+  instance.registerHelper("eq", (a, b) => a === b);
+
+  instance.registerHelper("concat", (...args) => args.slice(0, -1).join(""));
+}
+
+function loadTemplate(name) {
+  return fs.readFileSync(path.join(TEMPLATES_DIR, name), "utf8");
+}
+
+registerHelpers(html, "html");
+registerHelpers(text, "text");
+
+fs.readdirSync(path.join(TEMPLATES_DIR, "partials")).forEach((file) => {
+  const source = loadTemplate(path.join("partials", file));
+  const name = file.replace(/\.(html|text)\.hbs$/, "");
+  if (file.endsWith(".html.hbs")) html.registerPartial(name, source);
+  if (file.endsWith(".text.hbs")) text.registerPartial(name, source);
+});
+
+const layouts = {
+  html: html.compile(loadTemplate("layouts/email.html.hbs")),
+  text: text.compile(loadTemplate("layouts/email.text.hbs"), { noEscape: true }),
+};
+
+const compiled = Object.fromEntries(EMAIL_TEMPLATES.map((name) => [name, {
+  html: html.compile(loadTemplate(`${name}.html.hbs`)),
+  text: text.compile(loadTemplate(`${name}.text.hbs`), { noEscape: true }),
+}]));
+
+/**
+ * Render an email
+ *
+ * @param {string} name - template name, one of EMAIL_TEMPLATES
+ * @param {object} data - template data (also used for subject interpolation)
+ * @param {object} options - { locale, timeZone }; locale may be a list of candidates
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+function renderEmail(name, data, { locale, timeZone } = {}) {
+  const template = compiled[name];
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+
+  const resolved = resolveLocale(...[].concat(locale));
+  const context = { appUrl: APP_URL, ...data };
+  const runtime = {
+    data: {
+      locale: resolved.locale,
+      language: resolved.language,
+      timeZone: timeZone || DEFAULT_TIME_ZONE,
+    },
+  };
+
+  const subject = translate(resolved.language, `${name}.subject`, context);
+  const layoutContext = { appUrl: APP_URL, lang: resolved.language, title: subject };
+
+  return {
+    subject,
+    html: layouts.html({ ...layoutContext, body: template.html(context, runtime) }, runtime).trim(),
+    text: layouts.text({ ...layoutContext, body: template.text(context, runtime).trim() }, runtime).trim(),
+  };
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  EMAIL_TEMPLATES,
+  SUPPORTED_LOCALES,
+  resolveLocale,
+  translate,
+  formatDate,
+  renderEmail,
+};
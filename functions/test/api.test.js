@@ -0,0 +1,168 @@
+/**
+ * REST API (api.js) against the Firestore emulator
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const express = require("express");
+const { emulatorSkip, initAdmin, clearFirestore } = require("./helpers");
+
+describe("REST API", { skip: emulatorSkip }, () => {
+  const TENANT_ID = "api-tenant";
+  const USER_ID = "api-owner";
+
+  let admin;
+  let server;
+  let baseUrl;
+
+  async function createKey(scopes) {
+    const { generateApiKey, hashApiKey } = require("../api");
+    const key = generateApiKey();
+    await admin.firestore().collection("tenants").doc(TENANT_ID).collection("apiKeys").doc().set({
+      name: "Test key",
+      scopes,
+      agentId: null,
+      keyHash: hashApiKey(key),
+      keyPrefix: key.substring(0, 12),
+      revoked: false,
+      createdBy: USER_ID,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      lastUsedAt: null,
+    });
+    return key;
+  }
+
+  async function request(method, path, { key, body } = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(key ? { Authorization: `Bearer ${key}` } : {}),
+        ...(body ? { "Content-Type": "application/json" } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  before(async () => {
+    admin = initAdmin();
+    const { api } = require("../api");
+
+    // Cloud Functions parses JSON bodies before the handler runs
+    server = http.createServer(express().use(express.json()).use(api));
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    await clearFirestore();
+
+    const tenantRef = admin.firestore().collection("tenants").doc(TENANT_ID);
+    await tenantRef.set({ name: "API Tenant", slug: "api-tenant" });
+    await tenantRef.collection("members").doc(USER_ID).set({ role: "owner" });
+  });
+
+  it("rejects requests without a key", async () => {
+    const { status, body } = await request("GET", "/projects");
+    assert.equal(status, 401);
+    assert.equal(body.error.code, "unauthenticated");
+  });
+
+  it("rejects unknown and revoked keys", async () => {
+    assert.equal((await request("GET", "/projects", { key: "erold_unknown" })).status, 401);
+
+    const key = await createKey(["projects:read"]);
+    const keys = await admin.firestore().collection("tenants").doc(TENANT_ID).collection("apiKeys").get();
+    await keys.docs[0].ref.update({ revoked: true });
+
+    const { status } = await request("GET", "/projects", { key });
+    assert.equal(status, 403);
+  });
+
+  it("requires the route's scope", async () => {
+    const key = await createKey(["projects:read"]);
+    const { status, body } = await request("POST", "/projects", { key, body: { title: "New" } });
+    assert.equal(status, 403);
+    assert.equal(body.error.code, "permission-denied");
+  });
+
+  it("creates projects and attributes them to the API", async () => {
+    const key = await createKey(["projects:read", "projects:write"]);
+
+    const created = await request("POST", "/projects", { key, body: { title: "Website", dueDate: "2026-12-01" } });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.data.title, "Website");
+    assert.equal(created.body.data.status, "active");
+    assert.equal(created.body.data.source, "api");
+    assert.equal(created.body.data.createdBy, USER_ID);
+    assert.equal(created.body.data.dueDate, "2026-12-01T00:00:00.000Z");
+
+    const fetched = await request("GET", `/projects/${created.body.data.id}`, { key });
+    assert.equal(fetched.status, 200);
+    assert.equal(fetched.body.data.title, "Website");
+  });
+
+  it("validates request bodies", async () => {
+    const key = await createKey(["projects:write"]);
+
+    assert.equal((await request("POST", "/projects", { key, body: { title: " " } })).status, 400);
+    assert.equal((await request("POST", "/projects", { key, body: { title: "A", dueDate: "soon" } })).status, 400);
+  });
+
+  it("leaves deleted projects out of lists and treats them as not found", async () => {
+    const key = await createKey(["projects:read"]);
+    const projects = admin.firestore().collection("tenants").doc(TENANT_ID).collection("projects");
+    const timestamp = admin.firestore.FieldValue.serverTimestamp();
+    await projects.doc("live").set({ title: "Live", status: "active", createdAt: timestamp });
+    await projects.doc("trashed").set({ title: "Trashed", status: "active", createdAt: timestamp, deletedAt: timestamp });
+
+    const list = await request("GET", "/projects", { key });
+    assert.equal(list.status, 200);
+    assert.deepEqual(list.body.data.map((project) => project.id), ["live"]);
+
+    assert.equal((await request("GET", "/projects/trashed", { key })).status, 404);
+  });
+
+  it("pages through projects with startAfter", async () => {
+    const key = await createKey(["projects:read"]);
+    const projects = admin.firestore().collection("tenants").doc(TENANT_ID).collection("projects");
+    for (const [index, id] of ["a", "b", "c"].entries()) {
+      await projects.doc(id).set({ title: id, createdAt: admin.firestore.Timestamp.fromMillis(1000 + index) });
+    }
+
+    const first = await request("GET", "/projects?limit=2", { key });
+    assert.deepEqual(first.body.data.map((project) => project.id), ["c", "b"]);
+    assert.equal(first.body.nextCursor, "b");
+
+    const second = await request("GET", `/projects?limit=2&startAfter=${first.body.nextCursor}`, { key });
+    assert.deepEqual(second.body.data.map((project) => project.id), ["a"]);
+    assert.equal(second.body.nextCursor, null);
+  });
+
+  it("creates, updates and lists tasks of a project", async () => {
+    const key = await createKey(["tasks:read", "tasks:write"]);
+    await admin.firestore().collection("tenants").doc(TENANT_ID).collection("projects").doc("p1").set({
+      title: "Project",
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    const created = await request("POST", "/projects/p1/tasks", { key, body: { title: "Write docs", priority: "high" } });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.data.status, "todo");
+
+    const taskId = created.body.data.id;
+    const updated = await request("PATCH", `/projects/p1/tasks/${taskId}`, { key, body: { status: "done" } });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.data.status, "done");
+
+    const list = await request("GET", "/projects/p1/tasks?status=done", { key });
+    assert.deepEqual(list.body.data.map((task) => task.id), [taskId]);
+
+    assert.equal((await request("GET", "/projects/missing/tasks", { key })).status, 404);
+  });
+});
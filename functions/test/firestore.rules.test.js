@@ -0,0 +1,139 @@
+/**
+ * firestore.rules against the Firestore emulator
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const fs = require("fs");
+const path = require("path");
+const {
+  initializeTestEnvironment,
+  assertSucceeds,
+  assertFails,
+} = require("@firebase/rules-unit-testing");
+const { PROJECT_ID, emulatorSkip } = require("./helpers");
+
+const TENANT = "tenants/t1";
+const DELETED_TENANT = "tenants/t2";
+
+describe("firestore.rules for deleted tenants and projects", { skip: emulatorSkip }, () => {
+  let testEnv;
+
+  function dbAs(userId) {
+    if (!userId) return testEnv.unauthenticatedContext().firestore();
+    return testEnv.authenticatedContext(userId).firestore();
+  }
+
+  before(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: PROJECT_ID,
+      firestore: { rules: fs.readFileSync(path.join(__dirname, "../../firestore.rules"), "utf8") },
+    });
+  });
+
+  after(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await db.doc(TENANT).set({ name: "Live", slug: "live" });
+      await db.doc(`${TENANT}/members/alice`).set({ role: "admin" });
+      await db.doc(`${TENANT}/projects/live`).set({ title: "Live", visibility: "private", createdBy: "alice" });
+      await db.doc(`${TENANT}/projects/trashed`).set({
+        title: "Trashed", visibility: "public", createdBy: "alice", deletedAt: new Date(),
+      });
+      await db.doc(`${TENANT}/projects/trashed/tasks/task1`).set({ title: "Task", status: "todo" });
+
+      await db.doc(DELETED_TENANT).set({ name: "Gone", slug: "gone", deletedAt: new Date() });
+      await db.doc(`${DELETED_TENANT}/members/alice`).set({ role: "owner" });
+      await db.doc(`${DELETED_TENANT}/projects/p1`).set({ title: "Project", visibility: "private" });
+      await db.doc(`${DELETED_TENANT}/projects/public`).set({ title: "Public", visibility: "public" });
+      await db.doc(`${DELETED_TENANT}/projects/public/tasks/task1`).set({ title: "Task", status: "todo" });
+      await db.doc(`${DELETED_TENANT}/projects/public/progressUpdates/u1`).set({ text: "Update" });
+    });
+  });
+
+  it("keeps deleted projects from being fetched or changed", async () => {
+    const db = dbAs("alice");
+    await assertSucceeds(db.doc(`${TENANT}/projects/live`).get());
+    await assertFails(db.doc(`${TENANT}/projects/trashed`).get());
+    await assertFails(dbAs(null).doc(`${TENANT}/projects/trashed`).get());
+    await assertFails(db.doc(`${TENANT}/projects/trashed`).update({ title: "Renamed" }));
+  });
+
+  it("keeps the subcollections of deleted projects out of reach", async () => {
+    const db = dbAs("alice");
+    await assertFails(db.doc(`${TENANT}/projects/trashed/tasks/task1`).get());
+    await assertFails(db.collection(`${TENANT}/projects/trashed/tasks`).add({ title: "New", status: "todo" }));
+    await assertSucceeds(db.collection(`${TENANT}/projects/live/tasks`).add({ title: "New", status: "todo" }));
+  });
+
+  it("keeps deleted tenants and their data out of reach", async () => {
+    const db = dbAs("alice");
+    await assertSucceeds(db.doc(TENANT).get());
+    await assertFails(db.doc(DELETED_TENANT).get());
+    await assertFails(db.doc(DELETED_TENANT).update({ name: "Renamed" }));
+    await assertFails(db.doc(`${DELETED_TENANT}/projects/p1`).get());
+    await assertFails(db.collection(`${DELETED_TENANT}/projects`).add({ title: "New", visibility: "private" }));
+  });
+
+  it("keeps public projects of deleted tenants from anonymous readers", async () => {
+    const db = dbAs(null);
+    await assertFails(db.doc(`${DELETED_TENANT}/projects/public`).get());
+    await assertFails(db.collection(`${DELETED_TENANT}/projects`).where("visibility", "==", "public").get());
+    await assertFails(db.doc(`${DELETED_TENANT}/projects/public/tasks/task1`).get());
+    await assertFails(db.doc(`${DELETED_TENANT}/projects/public/progressUpdates/u1`).get());
+  });
+
+  it("still allows the portal's public projects query", async () => {
+    const query = dbAs(null).collectionGroup("projects").where("visibility", "==", "public");
+    await assertSucceeds(query.get());
+  });
+});
+
+describe("firestore.rules for activity and history", { skip: emulatorSkip }, () => {
+  let testEnv;
+
+  before(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: PROJECT_ID,
+      firestore: { rules: fs.readFileSync(path.join(__dirname, "../../firestore.rules"), "utf8") },
+    });
+  });
+
+  after(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await db.doc(TENANT).set({ name: "Live", slug: "live" });
+      await db.doc(`${TENANT}/members/alice`).set({ role: "member" });
+      await db.doc(`${TENANT}/members/guest`).set({ role: "guest", projectIds: ["p1"] });
+      await db.doc(`${TENANT}/activityLog/entry1`).set({ type: "task.updated", data: { changes: [] } });
+      for (const projectId of ["p1", "p2"]) {
+        await db.doc(`${TENANT}/projects/${projectId}`).set({ title: projectId, visibility: "private" });
+        await db.doc(`${TENANT}/projects/${projectId}/tasks/task1/history/h1`).set({ type: "task.updated", changes: [] });
+      }
+    });
+  });
+
+  it("keeps the tenant-wide activity log from guests", async () => {
+    const db = (userId) => testEnv.authenticatedContext(userId).firestore();
+    await assertSucceeds(db("alice").doc(`${TENANT}/activityLog/entry1`).get());
+    await assertFails(db("guest").doc(`${TENANT}/activityLog/entry1`).get());
+    await assertFails(db("guest").collection(`${TENANT}/activityLog`).get());
+  });
+
+  it("shows guests the task history of their projects only", async () => {
+    const guest = testEnv.authenticatedContext("guest").firestore();
+    await assertSucceeds(guest.doc(`${TENANT}/projects/p1/tasks/task1/history/h1`).get());
+    await assertFails(guest.doc(`${TENANT}/projects/p2/tasks/task1/history/h1`).get());
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Shared setup for tests against the Firebase emulators
+ *
+ * Run them with the emulators up, e.g. from the repository root:
+ *   firebase emulators:exec --only firestore,storage "npm --prefix functions test"
+ * Without FIRESTORE_EMULATOR_HOST the emulator tests are skipped, so
+ * `npm test` alone only runs the unit tests.
+ */
+
+const admin = require("firebase-admin");
+
+const PROJECT_ID = process.env.GCLOUD_PROJECT || "demo-erold";
+
+const FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || null;
+const STORAGE_EMULATOR_HOST = process.env.FIREBASE_STORAGE_EMULATOR_HOST || null;
+
+// Pass as test options: { skip: emulatorSkip }
+const emulatorSkip = FIRESTORE_EMULATOR_HOST ? false : "needs the Firestore emulator (FIRESTORE_EMULATOR_HOST)";
+
+// Storage rules read Firestore too
+const storageEmulatorSkip = FIRESTORE_EMULATOR_HOST && STORAGE_EMULATOR_HOST
+  ? false
+  : "needs the Firestore and Storage emulators (FIRESTORE_EMULATOR_HOST, FIREBASE_STORAGE_EMULATOR_HOST)";
+
+function initAdmin() {
+  if (admin.apps.length === 0) {
+    admin.initializeApp({ projectId: PROJECT_ID, storageBucket: `${PROJECT_ID}.appspot.com` });
+  }
+  return admin;
+}
+
+/**
+ * Delete every document in the Firestore emulator
+ */
+async function clearFirestore() {
+  const response = await fetch(
+    `http://${FIRESTORE_EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`,
+    { method: "DELETE" }
+  );
+  if (!response.ok) {
+    throw new Error(`Clearing the Firestore emulator failed with ${response.status}`);
+  }
+}
+
+module.exports = {
+  PROJECT_ID,
+  emulatorSkip,
+  storageEmulatorSkip,
+  initAdmin,
+  clearFirestore,
+};
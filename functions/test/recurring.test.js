@@ -0,0 +1,139 @@
+/**
+ * RRULE parsing and occurrences (recurring.js)
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseRule, nextOccurrence, planSeries } = require("../recurring");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days since the epoch, as recurring.js counts them
+function day(value) {
+  return Date.parse(`${value}T00:00:00Z`) / DAY_MS;
+}
+
+function format(value) {
+  return value === null ? null : new Date(value * DAY_MS).toISOString().substring(0, 10);
+}
+
+/**
+ * The next `count` occurrences of a rule after its anchor
+ */
+function occurrences(rule, anchor, count) {
+  const parsed = parseRule(rule);
+  const days = [];
+  let last = day(anchor);
+  while (days.length < count) {
+    last = nextOccurrence(parsed, day(anchor), last);
+    days.push(format(last));
+    if (last === null) break;
+  }
+  return days;
+}
+
+describe("parseRule", () => {
+  it("parses the supported parts", () => {
+    assert.deepEqual(parseRule("RRULE:FREQ=MONTHLY;INTERVAL=2;BYDAY=-1FR;COUNT=5"), {
+      freq: "MONTHLY",
+      interval: 2,
+      count: 5,
+      until: null,
+      byDay: [{ weekday: 4, ordinal: -1 }],
+      byMonthDay: [],
+      byMonth: [],
+    });
+    assert.equal(format(parseRule("FREQ=DAILY;UNTIL=20261231T235959Z").until), "2026-12-31");
+  });
+
+  it("rejects invalid rules", () => {
+    assert.throws(() => parseRule(""), /RRULE string/);
+    assert.throws(() => parseRule("INTERVAL=2"), /FREQ is required/);
+    assert.throws(() => parseRule("FREQ=HOURLY"), /FREQ must be one of/);
+    assert.throws(() => parseRule("FREQ=WEEKLY;INTERVAL=0"), /INTERVAL/);
+    assert.throws(() => parseRule("FREQ=WEEKLY;BYDAY=-1FR"), /Numbered BYDAY/);
+    assert.throws(() => parseRule("FREQ=MONTHLY;BYDAY=6MO"), /Invalid BYDAY/);
+    assert.throws(() => parseRule("FREQ=MONTHLY;UNTIL=20260231"), /UNTIL/);
+    assert.throws(() => parseRule("FREQ=DAILY;BYSETPOS=-1"), /BYSETPOS is not supported/);
+  });
+});
+
+describe("nextOccurrence", () => {
+  it("finds the last weekday of each month", () => {
+    assert.deepEqual(occurrences("FREQ=MONTHLY;BYDAY=-1FR", "2026-01-30", 3), ["2026-02-27", "2026-03-27", "2026-04-24"]);
+    assert.deepEqual(occurrences("FREQ=YEARLY;BYMONTH=5;BYDAY=-1MO", "2026-05-25", 2), ["2027-05-31", "2028-05-29"]);
+  });
+
+  it("combines INTERVAL with BYDAY", () => {
+    assert.deepEqual(
+      occurrences("FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH", "2026-01-05", 4),
+      ["2026-01-08", "2026-01-19", "2026-01-22", "2026-02-02"]
+    );
+    assert.deepEqual(occurrences("FREQ=MONTHLY;INTERVAL=3;BYDAY=1MO", "2026-01-05", 2), ["2026-04-06", "2026-07-06"]);
+  });
+
+  it("skips months without the anchor's day", () => {
+    assert.deepEqual(occurrences("FREQ=MONTHLY", "2026-01-31", 3), ["2026-03-31", "2026-05-31", "2026-07-31"]);
+    assert.deepEqual(occurrences("FREQ=YEARLY", "2024-02-29", 1), ["2028-02-29"]);
+  });
+
+  it("uses BYMONTHDAY=-1 for the last day of every month", () => {
+    assert.deepEqual(occurrences("FREQ=MONTHLY;BYMONTHDAY=-1", "2026-01-31", 3), ["2026-02-28", "2026-03-31", "2026-04-30"]);
+  });
+
+  it("stops after UNTIL, which is inclusive", () => {
+    assert.deepEqual(occurrences("FREQ=WEEKLY;UNTIL=20260115", "2026-01-01", 3), ["2026-01-08", "2026-01-15", null]);
+  });
+});
+
+describe("planSeries", () => {
+  function plan(rule, index, occurrence, { timezone = "UTC", now = "2026-01-01T12:00:00Z" } = {}) {
+    return planSeries({
+      recurrence: { rule, timezone },
+      recurrenceState: { seriesId: "series", index, occurrence },
+    }, "task", {}, new Date(now));
+  }
+
+  it("ends the series after COUNT instances", () => {
+    const second = plan("FREQ=DAILY;COUNT=3", 2, "2026-01-02");
+    assert.equal(second.nextOccurrence, "2026-01-03");
+    assert.equal(second.nextRunAt.toDate().toISOString(), "2026-01-03T00:00:00.000Z");
+    assert.equal(second.ended, false);
+
+    const third = plan("FREQ=DAILY;COUNT=3", 3, "2026-01-03");
+    assert.equal(third.nextOccurrence, null);
+    assert.equal(third.nextRunAt, null);
+    assert.equal(third.ended, true);
+  });
+
+  it("ends the series after UNTIL", () => {
+    assert.equal(plan("FREQ=DAILY;UNTIL=20260103", 1, "2026-01-02").nextOccurrence, "2026-01-03");
+    assert.equal(plan("FREQ=DAILY;UNTIL=20260103", 2, "2026-01-03").ended, true);
+  });
+
+  it("skips occurrences that have passed", () => {
+    // Stalled since January: the next instance is for the first Monday from today
+    const state = plan("FREQ=WEEKLY;BYDAY=MO", 2, "2026-01-05", { now: "2026-03-04T12:00:00Z" });
+    assert.equal(state.nextOccurrence, "2026-03-09");
+    assert.equal(state.nextRunAt.toDate().toISOString(), "2026-03-09T00:00:00.000Z");
+
+    // An occurrence due today is kept
+    assert.equal(plan("FREQ=DAILY", 1, "2026-01-01", { now: "2026-02-10T08:00:00Z" }).nextOccurrence, "2026-02-10");
+  });
+
+  it("counts today in the series' time zone", () => {
+    // Still the 9th in New York
+    const state = plan("FREQ=DAILY", 1, "2026-01-01", { timezone: "America/New_York", now: "2026-02-10T03:00:00Z" });
+    assert.equal(state.nextOccurrence, "2026-02-09");
+  });
+
+  it("ends the series when COUNT runs out among skipped occurrences", () => {
+    assert.equal(plan("FREQ=DAILY;COUNT=5", 2, "2026-01-02", { now: "2026-02-01T12:00:00Z" }).ended, true);
+  });
+
+  it("records invalid rules instead of throwing", () => {
+    const state = plan("FREQ=SOMETIMES", 1, "2026-01-01");
+    assert.match(state.error, /FREQ must be one of/);
+    assert.equal(state.nextOccurrence, null);
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * storage.rules against the Storage and Firestore emulators
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const fs = require("fs");
+const path = require("path");
+const {
+  initializeTestEnvironment,
+  assertSucceeds,
+  assertFails,
+} = require("@firebase/rules-unit-testing");
+const { PROJECT_ID, storageEmulatorSkip } = require("./helpers");
+
+const MB = 1024 * 1024;
+
+const TENANT_ID = "t1";
+const PROJECT = `tenants/${TENANT_ID}/projects/p1`;
+const ATTACHMENTS = `${PROJECT}/tasks/task1/attachments`;
+
+const ROLES = {
+  owner: "owner",
+  admin: "admin",
+  alice: "member",
+  bob: "member",
+  guest: "guest",
+  outsider: null,
+};
+
+describe("storage.rules", { skip: storageEmulatorSkip }, () => {
+  let testEnv;
+
+  function storageAs(userId) {
+    if (!userId) return testEnv.unauthenticatedContext().storage();
+    const role = ROLES[userId];
+    return testEnv.authenticatedContext(userId, { tenants: role ? { [TENANT_ID]: role } : {} }).storage();
+  }
+
+  function upload(storage, filePath, { size = 1024, contentType = "application/pdf", ...customMetadata } = {}) {
+    return storage.ref(filePath).put(new Uint8Array(size), { contentType, customMetadata });
+  }
+
+  // Attachments are uploaded pending a scan
+  function uploadAttachment(storage, filePath, options = {}) {
+    return upload(storage, filePath, { scanStatus: "pending", ...options });
+  }
+
+  // Write a file bypassing the rules
+  async function seedFile(filePath, customMetadata) {
+    await testEnv.withSecurityRulesDisabled((context) => upload(context.storage(), filePath, customMetadata));
+  }
+
+  before(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: PROJECT_ID,
+      storage: { rules: fs.readFileSync(path.join(__dirname, "../../storage.rules"), "utf8") },
+      firestore: { rules: fs.readFileSync(path.join(__dirname, "../../firestore.rules"), "utf8") },
+    });
+  });
+
+  after(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearStorage();
+    await testEnv.clearFirestore();
+
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await db.doc(`tenants/${TENANT_ID}`).set({ name: "Tenant", slug: "tenant" });
+      await db.doc(`${PROJECT}`).set({ title: "Project", visibility: "private" });
+      await db.doc(`tenants/${TENANT_ID}/projects/p2`).set({ title: "Other", visibility: "private" });
+      await db.doc(`tenants/${TENANT_ID}/members/guest`).set({ role: "guest", projectIds: ["p1"] });
+    });
+  });
+
+  describe("task attachments", () => {
+    it("lets members upload documents as themselves", async () => {
+      await assertSucceeds(uploadAttachment(storageAs("alice"), `${ATTACHMENTS}/a.pdf`, { uploadedBy: "alice" }));
+    });
+
+    it("requires uploadedBy to be the uploader", async () => {
+      await assertFails(uploadAttachment(storageAs("alice"), `${ATTACHMENTS}/a.pdf`));
+      await assertFails(uploadAttachment(storageAs("alice"), `${ATTACHMENTS}/a.pdf`, { uploadedBy: "bob" }));
+    });
+
+    it("rejects guests, outsiders and signed-out users", async () => {
+      await assertFails(uploadAttachment(storageAs("guest"), `${ATTACHMENTS}/a.pdf`, { uploadedBy: "guest" }));
+      await assertFails(uploadAttachment(storageAs("outsider"), `${ATTACHMENTS}/a.pdf`, { uploadedBy: "outsider" }));
+      await assertFails(uploadAttachment(storageAs(null), `${ATTACHMENTS}/a.pdf`));
+    });
+
+    it("only accepts document content types", async () => {
+      const storage = storageAs("alice");
+      for (const contentType of ["image/png", "text/plain", "video/mp4",
+        "application/vnd.openxmlformats-officedocument.wordprocessingml.document"]) {
+        await assertSucceeds(uploadAttachment(storage, `${ATTACHMENTS}/ok`, { contentType, uploadedBy: "alice" }));
+      }
+      for (const contentType of ["text/html", "image/svg+xml", "application/javascript", "application/octet-stream"]) {
+        await assertFails(uploadAttachment(storage, `${ATTACHMENTS}/bad`, { contentType, uploadedBy: "alice" }));
+      }
+    });
+
+    it("limits uploads to 25 MB", async () => {
+      const storage = storageAs("alice");
+      await assertSucceeds(uploadAttachment(storage, `${ATTACHMENTS}/small.pdf`, { size: 25 * MB - 1, uploadedBy: "alice" }));
+      await assertFails(uploadAttachment(storage, `${ATTACHMENTS}/large.pdf`, { size: 25 * MB, uploadedBy: "alice" }));
+    });
+
+    it("lets members replace and delete only their own uploads", async () => {
+      await seedFile(`${ATTACHMENTS}/alice.pdf`, { uploadedBy: "alice", scanStatus: "clean" });
+
+      await assertSucceeds(uploadAttachment(storageAs("alice"), `${ATTACHMENTS}/alice.pdf`, { uploadedBy: "alice" }));
+      await assertFails(uploadAttachment(storageAs("bob"), `${ATTACHMENTS}/alice.pdf`, { uploadedBy: "bob" }));
+      await assertFails(uploadAttachment(storageAs("bob"), `${ATTACHMENTS}/alice.pdf`, { uploadedBy: "alice" }));
+      await assertFails(storageAs("bob").ref(`${ATTACHMENTS}/alice.pdf`).delete());
+      await assertSucceeds(storageAs("alice").ref(`${ATTACHMENTS}/alice.pdf`).delete());
+    });
+
+    it("lets admins replace and delete any upload, as themselves", async () => {
+      await seedFile(`${ATTACHMENTS}/alice.pdf`, { uploadedBy: "alice", scanStatus: "clean" });
+
+      await assertFails(uploadAttachment(storageAs("admin"), `${ATTACHMENTS}/alice.pdf`, { uploadedBy: "alice" }));
+      await assertSucceeds(uploadAttachment(storageAs("admin"), `${ATTACHMENTS}/alice.pdf`, { uploadedBy: "admin" }));
+      await assertSucceeds(storageAs("owner").ref(`${ATTACHMENTS}/alice.pdf`).delete());
+    });
+
+    it("requires uploads to be pending a scan", async () => {
+      await assertFails(upload(storageAs("alice"), `${ATTACHMENTS}/a.pdf`, { uploadedBy: "alice" }));
+      await assertFails(upload(storageAs("alice"), `${ATTACHMENTS}/a.pdf`, { uploadedBy: "alice", scanStatus: "clean" }));
+    });
+
+    it("keeps files unreadable until they are scanned clean", async () => {
+      await seedFile(`${ATTACHMENTS}/pending.pdf`, { uploadedBy: "alice", scanStatus: "pending" });
+      await seedFile(`${ATTACHMENTS}/failed.pdf`, { uploadedBy: "alice", scanStatus: "error" });
+      await seedFile(`${ATTACHMENTS}/legacy.pdf`, { uploadedBy: "alice" });
+
+      await assertFails(storageAs("alice").ref(`${ATTACHMENTS}/pending.pdf`).getMetadata());
+      await assertFails(storageAs("owner").ref(`${ATTACHMENTS}/failed.pdf`).getMetadata());
+      await assertSucceeds(storageAs("alice").ref(`${ATTACHMENTS}/legacy.pdf`).getMetadata());
+    });
+
+    it("lets guests read attachments of their projects only", async () => {
+      await seedFile(`${ATTACHMENTS}/a.pdf`, { uploadedBy: "alice", scanStatus: "clean" });
+      await seedFile(`tenants/${TENANT_ID}/projects/p2/tasks/task2/attachments/b.pdf`, { uploadedBy: "alice", scanStatus: "clean" });
+
+      await assertSucceeds(storageAs("guest").ref(`${ATTACHMENTS}/a.pdf`).getMetadata());
+      await assertFails(storageAs("guest").ref(`tenants/${TENANT_ID}/projects/p2/tasks/task2/attachments/b.pdf`).getMetadata());
+      await assertFails(storageAs("outsider").ref(`${ATTACHMENTS}/a.pdf`).getMetadata());
+    });
+
+    it("keeps thumbnails and quarantined files out of clients' reach", async () => {
+      await assertFails(upload(storageAs("admin"), `${PROJECT}/tasks/task1/thumbnails/a.webp`, {
+        contentType: "image/webp",
+        uploadedBy: "admin",
+      }));
+
+      await seedFile(`quarantine/${ATTACHMENTS}/a.pdf`, { uploadedBy: "alice" });
+      await assertFails(storageAs("owner").ref(`quarantine/${ATTACHMENTS}/a.pdf`).getMetadata());
+    });
+  });
+
+  describe("project files", () => {
+    it("allows documents up to 50 MB from members, as themselves", async () => {
+      const storage = storageAs("bob");
+      await assertSucceeds(upload(storage, `${PROJECT}/files/spec.pdf`, { size: 26 * MB, uploadedBy: "bob" }));
+      await assertFails(upload(storage, `${PROJECT}/files/huge.pdf`, { size: 50 * MB, uploadedBy: "bob" }));
+      await assertFails(upload(storage, `${PROJECT}/files/spec.pdf`, { uploadedBy: "alice" }));
+      await assertFails(upload(storage, `${PROJECT}/files/page.html`, { contentType: "text/html", uploadedBy: "bob" }));
+    });
+
+    it("lets anyone read files of public projects", async () => {
+      await seedFile(`${PROJECT}/files/spec.pdf`, { uploadedBy: "bob" });
+      await assertFails(storageAs(null).ref(`${PROJECT}/files/spec.pdf`).getMetadata());
+
+      await testEnv.withSecurityRulesDisabled((context) => context.firestore().doc(PROJECT).update({ visibility: "public" }));
+      await assertSucceeds(storageAs(null).ref(`${PROJECT}/files/spec.pdf`).getMetadata());
+    });
+  });
+
+  describe("deleted tenants and projects", () => {
+    function softDelete(docPath) {
+      return testEnv.withSecurityRulesDisabled((context) =>
+        context.firestore().doc(docPath).update({ deletedAt: new Date() })
+      );
+    }
+
+    beforeEach(async () => {
+      await seedFile(`${PROJECT}/files/spec.pdf`, { uploadedBy: "alice" });
+      await seedFile(`${ATTACHMENTS}/a.pdf`, { uploadedBy: "alice", scanStatus: "clean" });
+      await testEnv.withSecurityRulesDisabled((context) => context.firestore().doc(PROJECT).update({ visibility: "public" }));
+    });
+
+    it("keeps the files of deleted projects out of reach", async () => {
+      await softDelete(PROJECT);
+
+      await assertFails(storageAs(null).ref(`${PROJECT}/files/spec.pdf`).getMetadata());
+      await assertFails(storageAs("alice").ref(`${PROJECT}/files/spec.pdf`).getMetadata());
+      await assertFails(storageAs("guest").ref(`${ATTACHMENTS}/a.pdf`).getMetadata());
+      await assertFails(upload(storageAs("alice"), `${PROJECT}/files/new.pdf`, { uploadedBy: "alice" }));
+      await assertFails(uploadAttachment(storageAs("alice"), `${ATTACHMENTS}/b.pdf`, { uploadedBy: "alice" }));
+      await assertFails(storageAs("admin").ref(`${ATTACHMENTS}/a.pdf`).delete());
+    });
+
+    it("keeps the files of deleted tenants out of reach", async () => {
+      await softDelete(`tenants/${TENANT_ID}`);
+
+      await assertFails(storageAs(null).ref(`${PROJECT}/files/spec.pdf`).getMetadata());
+      await assertFails(storageAs("alice").ref(`${ATTACHMENTS}/a.pdf`).getMetadata());
+      await assertFails(upload(storageAs("alice"), `${PROJECT}/files/new.pdf`, { uploadedBy: "alice" }));
+    });
+  });
+
+  describe("branding and avatars", () => {
+    it("lets only admins upload small images as branding", async () => {
+      const branding = `tenants/${TENANT_ID}/branding/logo.png`;
+      await assertSucceeds(upload(storageAs("admin"), branding, { contentType: "image/png" }));
+      await assertFails(upload(storageAs("alice"), branding, { contentType: "image/png" }));
+      await assertFails(upload(storageAs("admin"), branding, { contentType: "image/svg+xml" }));
+      await assertFails(upload(storageAs("admin"), branding, { contentType: "image/png", size: 2 * MB }));
+    });
+
+    it("lets users upload only their own avatar", async () => {
+      await assertSucceeds(upload(storageAs("alice"), "users/alice/avatar/me.jpg", { contentType: "image/jpeg" }));
+      await assertFails(upload(storageAs("bob"), "users/alice/avatar/me.jpg", { contentType: "image/jpeg" }));
+      await assertFails(upload(storageAs("alice"), "users/alice/avatar/me.gif", { contentType: "image/gif", size: 2 * MB }));
+    });
+  });
+
+  describe("import archives", () => {
+    it("accepts zip archives in the user's own folder", async () => {
+      await assertSucceeds(upload(storageAs("alice"), "imports/alice/export.zip", { contentType: "application/zip" }));
+      await assertFails(upload(storageAs("alice"), "imports/bob/export.zip", { contentType: "application/zip" }));
+      await assertFails(upload(storageAs("alice"), "imports/alice/export.pdf"));
+    });
+  });
+});
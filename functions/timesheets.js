@@ -0,0 +1,894 @@
+/**
+ * Time tracking and billing reports
+ *
+ * Time is logged on tasks, in tenants/{t}/projects/{p}/tasks/{taskId}/timeEntries:
+ *   { tenantId, projectId, taskId, userId, date, minutes, billable, note,
+ *     hourlyRate, currency, source: "timer" | "manual", running, startedAt,
+ *     endedAt, createdAt }
+ * `date` (YYYY-MM-DD) is the day the work was done, in the tenant's time zone,
+ * which is what reports filter on. Entries are written by these functions only:
+ *   - startTimer starts a running entry, stopping the user's running timer if
+ *     they have one (in any tenant); stopTimer stops it and records `minutes`
+ *   - logTime records minutes worked on a day
+ * People delete their own entries and admins any (see firestore.rules);
+ * corrections are logged again.
+ *
+ * Billing: a project links to a customer (tenants/{t}/customers) with
+ * `customerId` and sets `hourlyRate`, in the tenant's `currency` (default EUR).
+ * An entry records the rate and currency when it is finished (stopped or
+ * logged), and its billable minutes are charged at that rate, so changing a
+ * rate doesn't reprice time already logged. Members belong to a department
+ * through `departmentId` on their member document.
+ *
+ * Reports (admins) sum hours and amounts per customer, project, member and
+ * department over a date range, with amounts kept apart per currency (rates
+ * and the tenant's currency can change, and are never converted): getTimeReport returns them, exportTimeReport
+ * writes a CSV of every entry or a PDF summary to
+ * exports/tenants/{tenantId}/reports/ and returns a signed download link.
+ * On the 1st of each month, sendMonthlyTimeReports enqueues one sendTimeReport
+ * task per tenant, which emails its admins last month's report with links to
+ * both.
+ */
+
+const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const { onSchedule } = require("firebase-functions/v2/scheduler");
+const { onTaskDispatched } = require("firebase-functions/v2/tasks");
+const admin = require("firebase-admin");
+const { getFunctions } = require("firebase-admin/functions");
+const PDFDocument = require("pdfkit");
+const { queueEmail } = require("./mail");
+const { renderEmail, resolveLocale, translate, DEFAULT_TIME_ZONE } = require("./templates");
+const { isValidTimeZone } = require("./reminders");
+const { signDownloadUrl } = require("./portability");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_CURRENCY = "EUR";
+
+// One manual entry covers at most a day
+const MAX_ENTRY_MINUTES = 24 * 60;
+
+const MAX_NOTE_LENGTH = 500;
+
+// Longest range a report can cover
+const MAX_REPORT_DAYS = 366;
+
+const PAGE_SIZE = 1000;
+
+// Documents per getAll() call
+const LOOKUP_BATCH_SIZE = 100;
+
+const REPORT_QUEUE = "locations/europe-west1/functions/sendTimeReport";
+
+const ADMIN_ROLES = ["owner", "admin"];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// CSV columns, one row per entry
+const CSV_COLUMNS = [
+  ["date", (line) => line.date],
+  ["customer", (line) => line.customerName],
+  ["project", (line) => line.projectTitle],
+  ["task", (line) => line.taskTitle],
+  ["member", (line) => line.memberName],
+  ["email", (line) => line.memberEmail],
+  ["department", (line) => line.departmentName],
+  ["source", (line) => line.source],
+  ["billable", (line) => (line.billable ? "yes" : "no")],
+  ["minutes", (line) => line.minutes],
+  ["hours", (line) => (line.minutes / 60).toFixed(2)],
+  ["hourly_rate", (line) => line.hourlyRate],
+  ["currency", (line) => line.currency],
+  ["amount", (line) => line.amount.toFixed(2)],
+  ["note", (line) => line.note],
+];
+
+function tenantRef(tenantId) {
+  return admin.firestore().collection("tenants").doc(tenantId);
+}
+
+/**
+ * Load documents by path with getAll() in batches, as a map of path to data (null if missing)
+ */
+async function loadByPath(paths) {
+  const uniquePaths = [...new Set(paths)];
+  const result = new Map();
+  for (let i = 0; i < uniquePaths.length; i += LOOKUP_BATCH_SIZE) {
+    const refs = uniquePaths.slice(i, i + LOOKUP_BATCH_SIZE).map((path) => admin.firestore().doc(path));
+    const docs = await admin.firestore().getAll(...refs);
+    docs.forEach((doc) => result.set(doc.ref.path, doc.exists ? doc.data() : null));
+  }
+  return result;
+}
+
+function getTimeZone(tenant) {
+  return isValidTimeZone(tenant.timezone) ? tenant.timezone : DEFAULT_TIME_ZONE;
+}
+
+function getCurrency(tenant) {
+  if (typeof tenant.currency !== "string") return DEFAULT_CURRENCY;
+  try {
+    new Intl.NumberFormat("en", { style: "currency", currency: tenant.currency });
+    return tenant.currency.toUpperCase();
+  } catch (error) {
+    return DEFAULT_CURRENCY;
+  }
+}
+
+function isValidRate(value) {
+  return typeof value === "number" && Number.isFinite(value) && value >= 0;
+}
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Calendar day of a date in a time zone, as YYYY-MM-DD
+ */
+function localDate(date, timeZone) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+}
+
+function isValidDate(value) {
+  if (typeof value !== "string" || !DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * The month before the one `now` falls in, in a time zone, as YYYY-MM
+ */
+function previousMonth(now, timeZone) {
+  const [year, month] = localDate(now, timeZone).split("-").map(Number);
+  return new Date(Date.UTC(year, month - 2, 1)).toISOString().slice(0, 7);
+}
+
+/**
+ * First and last day of a YYYY-MM month
+ */
+function monthRange(month) {
+  const [year, monthNumber] = month.split("-").map(Number);
+  return {
+    from: `${month}-01`,
+    to: new Date(Date.UTC(year, monthNumber, 0)).toISOString().slice(0, 10),
+  };
+}
+
+// ============================================
+// Time entries
+// ============================================
+
+function requireIds(data) {
+  const { tenantId, projectId, taskId } = data || {};
+  for (const [name, value] of Object.entries({ tenantId, projectId, taskId })) {
+    if (!value || typeof value !== "string") {
+      throw new HttpsError("invalid-argument", `${name} is required`);
+    }
+  }
+  return { tenantId, projectId, taskId };
+}
+
+function readNote(note) {
+  if (note === undefined || note === null) return "";
+  if (typeof note !== "string") {
+    throw new HttpsError("invalid-argument", "note must be a string");
+  }
+  return note.trim().substring(0, MAX_NOTE_LENGTH);
+}
+
+function readBillable(billable) {
+  if (billable === undefined || billable === null) return true;
+  if (typeof billable !== "boolean") {
+    throw new HttpsError("invalid-argument", "billable must be a boolean");
+  }
+  return billable;
+}
+
+/**
+ * The task to log time on, checking the user can work on it
+ * Guests only log time on projects they were given access to
+ */
+async function getTrackableTask(userId, { tenantId, projectId, taskId }) {
+  const root = tenantRef(tenantId);
+  const projectRef = root.collection("projects").doc(projectId);
+  const taskRef = projectRef.collection("tasks").doc(taskId);
+
+  const [tenantDoc, memberDoc, projectDoc, taskDoc] = await admin.firestore().getAll(
+    root,
+    root.collection("members").doc(userId),
+    projectRef,
+    taskRef
+  );
+
+  if (!memberDoc.exists) {
+    throw new HttpsError("permission-denied", "You are not a member of this tenant");
+  }
+
+  const member = memberDoc.data();
+  if (member.role === "guest" && !(member.projectIds || []).includes(projectId)) {
+    throw new HttpsError("permission-denied", "You don't have access to this project");
+  }
+
+  if (!tenantDoc.exists || tenantDoc.data().deletedAt || !projectDoc.exists || projectDoc.data().deletedAt) {
+    throw new HttpsError("not-found", "Project not found");
+  }
+  if (!taskDoc.exists) {
+    throw new HttpsError("not-found", "Task not found");
+  }
+
+  return { taskRef, tenant: tenantDoc.data(), project: projectDoc.data() };
+}
+
+/**
+ * The rate and currency an entry is charged at, recorded when it is finished
+ */
+function billingFields(tenant, project) {
+  return {
+    hourlyRate: isValidRate(project.hourlyRate) ? project.hourlyRate : 0,
+    currency: getCurrency(tenant),
+  };
+}
+
+/**
+ * billingFields for a running entry, read in the transaction that stops it
+ */
+async function getBilling(transaction, { tenantId, projectId }) {
+  const root = tenantRef(tenantId);
+  const [tenantDoc, projectDoc] = await transaction.getAll(root, root.collection("projects").doc(projectId));
+  return billingFields(tenantDoc.data() || {}, projectDoc.data() || {});
+}
+
+function runningTimers(userId) {
+  return admin.firestore()
+    .collectionGroup("timeEntries")
+    .where("userId", "==", userId)
+    .where("running", "==", true);
+}
+
+/**
+ * Fields that stop a running entry at `now`
+ */
+function stopFields(entry, now, billing) {
+  const startedAt = entry.startedAt.toDate();
+  return {
+    ...billing,
+    running: false,
+    endedAt: admin.firestore.Timestamp.fromDate(now),
+    minutes: Math.max(0, Math.round((now.getTime() - startedAt.getTime()) / 60000)),
+  };
+}
+
+/**
+ * Callable: Start a timer on a task
+ * A timer already running for the user is stopped first
+ */
+exports.startTimer = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "You must be signed in");
+  }
+
+  const userId = request.auth.uid;
+  const ids = requireIds(request.data);
+  const note = readNote(request.data.note);
+  const billable = readBillable(request.data.billable);
+  const { taskRef, tenant } = await getTrackableTask(userId, ids);
+
+  const entryRef = taskRef.collection("timeEntries").doc();
+
+  const stopped = await admin.firestore().runTransaction(async (transaction) => {
+    const running = await transaction.get(runningTimers(userId));
+    const billing = await Promise.all(running.docs.map((doc) => getBilling(transaction, doc.data())));
+    const now = new Date();
+
+    running.docs.forEach((doc, index) => transaction.update(doc.ref, stopFields(doc.data(), now, billing[index])));
+    transaction.set(entryRef, {
+      ...ids,
+      userId,
+      date: localDate(now, getTimeZone(tenant)),
+      minutes: null,
+      billable,
+      note,
+      source: "timer",
+      running: true,
+      startedAt: admin.firestore.Timestamp.fromDate(now),
+      endedAt: null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return running.docs.map((doc) => doc.id);
+  });
+
+  return { success: true, entryId: entryRef.id, stoppedEntryIds: stopped };
+});
+
+/**
+ * Callable: Stop the caller's running timer
+ */
+exports.stopTimer = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "You must be signed in");
+  }
+
+  const userId = request.auth.uid;
+
+  const stopped = await admin.firestore().runTransaction(async (transaction) => {
+    const running = await transaction.get(runningTimers(userId));
+    const billing = await Promise.all(running.docs.map((doc) => getBilling(transaction, doc.data())));
+    const now = new Date();
+
+    return running.docs.map((doc, index) => {
+      const fields = stopFields(doc.data(), now, billing[index]);
+      transaction.update(doc.ref, fields);
+      return { entryId: doc.id, taskId: doc.data().taskId, minutes: fields.minutes };
+    });
+  });
+
+  if (stopped.length === 0) {
+    throw new HttpsError("failed-precondition", "No timer is running");
+  }
+
+  return { success: true, entries: stopped };
+});
+
+/**
+ * Callable: Log time worked on a task on a given day
+ */
+exports.logTime = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "You must be signed in");
+  }
+
+  const userId = request.auth.uid;
+  const ids = requireIds(request.data);
+  const { date, minutes } = request.data;
+  const note = readNote(request.data.note);
+  const billable = readBillable(request.data.billable);
+
+  if (!isValidDate(date)) {
+    throw new HttpsError("invalid-argument", "date must be a YYYY-MM-DD date");
+  }
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_ENTRY_MINUTES) {
+    throw new HttpsError("invalid-argument", `minutes must be a whole number from 1 to ${MAX_ENTRY_MINUTES}`);
+  }
+
+  const { taskRef, tenant, project } = await getTrackableTask(userId, ids);
+
+  const entryRef = taskRef.collection("timeEntries").doc();
+  await entryRef.set({
+    ...ids,
+    userId,
+    date,
+    minutes,
+    billable,
+    note,
+    ...billingFields(tenant, project),
+    source: "manual",
+    running: false,
+    startedAt: null,
+    endedAt: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return { success: true, entryId: entryRef.id };
+});
+
+// ============================================
+// Reports
+// ============================================
+
+/**
+ * Finished entries of a tenant from `from` to `to` (inclusive)
+ */
+async function loadEntries(tenantId, from, to) {
+  const entries = [];
+  let last = null;
+
+  for (;;) {
+    let query = admin.firestore()
+      .collectionGroup("timeEntries")
+      .where("tenantId", "==", tenantId)
+      .where("date", ">=", from)
+      .where("date", "<=", to)
+      .orderBy("date")
+      .limit(PAGE_SIZE);
+    if (last) query = query.startAfter(last);
+
+    const snapshot = await query.get();
+    snapshot.docs.forEach((doc) => {
+      const entry = doc.data();
+      if (!entry.running && Number.isInteger(entry.minutes) && entry.minutes > 0) {
+        entries.push({ id: doc.id, ...entry });
+      }
+    });
+
+    if (snapshot.size < PAGE_SIZE) break;
+    last = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  return entries;
+}
+
+/**
+ * Sum lines by a key into { id, name, minutes, billableMinutes, amounts } rows,
+ * `amounts` being [{ currency, amount }] per currency billed, by currency code
+ * Sorted by name, with lines without the key (id null) last
+ */
+function summarize(lines, getId, getName) {
+  const groups = new Map();
+
+  lines.forEach((line) => {
+    const id = getId(line);
+    const group = groups.get(id) || { id, name: getName(line), minutes: 0, billableMinutes: 0, amounts: new Map() };
+    group.minutes += line.minutes;
+    if (line.billable) {
+      group.billableMinutes += line.minutes;
+      group.amounts.set(line.currency, (group.amounts.get(line.currency) || 0) + line.amount);
+    }
+    groups.set(id, group);
+  });
+
+  return [...groups.values()]
+    .map((group) => ({
+      ...group,
+      amounts: [...group.amounts]
+        .map(([currency, amount]) => ({ currency, amount: roundAmount(amount) }))
+        .sort((a, b) => a.currency.localeCompare(b.currency)),
+    }))
+    .sort((a, b) => (a.id === null) - (b.id === null) || String(a.name || "").localeCompare(String(b.name || "")));
+}
+
+/**
+ * Hours and amounts of a tenant from `from` to `to` (YYYY-MM-DD, inclusive)
+ * Names that can't be resolved (no customer, former members) are null
+ */
+async function buildTimeReport(tenantId, tenant, { from, to }) {
+  const entries = await loadEntries(tenantId, from, to);
+  const currency = getCurrency(tenant);
+  const root = `tenants/${tenantId}`;
+
+  const docs = await loadByPath([
+    ...entries.map((entry) => `${root}/projects/${entry.projectId}`),
+    ...entries.map((entry) => `${root}/projects/${entry.projectId}/tasks/${entry.taskId}`),
+    ...entries.map((entry) => `${root}/members/${entry.userId}`),
+  ]);
+
+  const projectOf = (entry) => docs.get(`${root}/projects/${entry.projectId}`) || {};
+  const memberOf = (entry) => docs.get(`${root}/members/${entry.userId}`) || {};
+  const customerIdOf = (entry) => (typeof projectOf(entry).customerId === "string" && projectOf(entry).customerId) || null;
+  const departmentIdOf = (entry) => (typeof memberOf(entry).departmentId === "string" && memberOf(entry).departmentId) || null;
+
+  const names = await loadByPath([
+    ...entries.map(customerIdOf).filter(Boolean).map((id) => `${root}/customers/${id}`),
+    ...entries.map(departmentIdOf).filter(Boolean).map((id) => `${root}/departments/${id}`),
+  ]);
+
+  const lines = entries.map((entry) => {
+    const project = projectOf(entry);
+    const member = memberOf(entry);
+    const task = docs.get(`${root}/projects/${entry.projectId}/tasks/${entry.taskId}`);
+    const customerId = customerIdOf(entry);
+    const departmentId = departmentIdOf(entry);
+    const customer = customerId ? names.get(`${root}/customers/${customerId}`) : null;
+    const department = departmentId ? names.get(`${root}/departments/${departmentId}`) : null;
+    // Entries finished before rates were recorded on them use the project's
+    const { hourlyRate, currency: entryCurrency } = isValidRate(entry.hourlyRate)
+      ? { hourlyRate: entry.hourlyRate, currency: entry.currency || currency }
+      : billingFields(tenant, project);
+    const billable = entry.billable !== false;
+
+    return {
+      entryId: entry.id,
+      date: entry.date,
+      customerId,
+      customerName: customer ? customer.name || customerId : null,
+      projectId: entry.projectId,
+      projectTitle: project.title || null,
+      taskId: entry.taskId,
+      taskTitle: task ? task.title || null : null,
+      userId: entry.userId,
+      memberName: member.name || member.email || null,
+      memberEmail: member.email || null,
+      departmentId,
+      departmentName: department ? department.name || departmentId : null,
+      source: entry.source || "manual",
+      billable,
+      minutes: entry.minutes,
+      hourlyRate,
+      currency: entryCurrency,
+      amount: billable ? (entry.minutes / 60) * hourlyRate : 0,
+      note: entry.note || "",
+    };
+  }).sort((a, b) => a.date.localeCompare(b.date) || String(a.memberName || "").localeCompare(String(b.memberName || "")));
+
+  const [totals = { minutes: 0, billableMinutes: 0, amounts: [] }] = summarize(lines, () => "total", () => null);
+  delete totals.id;
+  delete totals.name;
+
+  return {
+    tenantId,
+    from,
+    to,
+    currency,
+    entries: lines.length,
+    totals,
+    byCustomer: summarize(lines, (line) => line.customerId, (line) => line.customerName),
+    byProject: summarize(lines, (line) => line.projectId, (line) => line.projectTitle),
+    byMember: summarize(lines, (line) => line.userId, (line) => line.memberName),
+    byDepartment: summarize(lines, (line) => line.departmentId, (line) => line.departmentName),
+    lines,
+  };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let cell = String(value);
+  // Keep spreadsheets from running user-written text as a formula
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(cell)) cell = `'${cell}`;
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, "\"\"")}"` : cell;
+}
+
+/**
+ * CSV of every entry in a report, with a BOM so spreadsheets read it as UTF-8
+ */
+function renderCsv(report) {
+  const rows = [
+    CSV_COLUMNS.map(([name]) => name),
+    ...report.lines.map((line) => CSV_COLUMNS.map(([, value]) => value(line))),
+  ];
+  return `\uFEFF${rows.map((row) => row.map(csvCell).join(",")).join("\r\n")}\r\n`;
+}
+
+/**
+ * Number and date formatting for a report in a locale
+ * Amounts in several currencies are listed side by side; when nothing was
+ * billed, the amount is zero in the report's currency
+ */
+function reportFormatter(locale, currency) {
+  const hours = new Intl.NumberFormat(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const amount = (value, code) => new Intl.NumberFormat(locale, { style: "currency", currency: code }).format(value);
+  const date = new Intl.DateTimeFormat(locale, { day: "numeric", month: "short", year: "numeric", timeZone: "UTC" });
+
+  return {
+    hours: (minutes) => hours.format(minutes / 60),
+    amounts: (amounts) => (amounts.length > 0
+      ? amounts.map((item) => amount(item.amount, item.currency)).join(" / ")
+      : amount(0, currency)),
+    date: (value) => date.format(new Date(`${value}T00:00:00Z`)),
+    month: (value) => new Intl.DateTimeFormat(locale, { month: "long", year: "numeric", timeZone: "UTC" })
+      .format(new Date(`${value}-01T00:00:00Z`)),
+  };
+}
+
+// The standard PDF fonts (WinAnsi) have no narrow no-break space, which
+// Intl uses as a group separator (e.g. in French), and draw no-break spaces
+// without width
+function pdfText(value) {
+  return String(value).replace(/[\u00a0\u202f]/g, " ");
+}
+
+/**
+ * PDF summary of a report: totals, then hours and amounts per customer,
+ * project, member and department
+ */
+function renderPdf(report, { tenantName, locale }) {
+  const resolved = resolveLocale(...[].concat(locale));
+  const t = (key, params) => translate(resolved.language, `timeReport.${key}`, params);
+  const format = reportFormatter(resolved.locale, report.currency);
+
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: 50,
+    info: { Title: `${t("pdf.title")}: ${tenantName}` },
+  });
+
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  // Name, hours, billable hours, amount
+  const columns = [width - 310, 80, 130, 100];
+  const rowHeight = 18;
+
+  const row = (cells, { bold = false, rule = false } = {}) => {
+    if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) doc.addPage();
+
+    const y = doc.y;
+    let x = left;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(10).fillColor("#111827");
+    cells.forEach((cell, index) => {
+      // One line per cell, long names end in an ellipsis
+      doc.text(pdfText(cell), x, y, {
+        width: columns[index] - 8,
+        height: doc.currentLineHeight(),
+        align: index === 0 ? "left" : "right",
+        ellipsis: true,
+      });
+      x += columns[index];
+    });
+
+    if (rule) {
+      doc.moveTo(left, y + rowHeight - 4).lineTo(left + width, y + rowHeight - 4).strokeColor("#e5e7eb").stroke();
+    }
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+
+  const section = (title, rows, fallbackName) => {
+    if (doc.y + rowHeight * 3 > doc.page.height - doc.page.margins.bottom) doc.addPage();
+
+    doc.moveDown(1);
+    doc.font("Helvetica-Bold").fontSize(13).fillColor("#111827").text(pdfText(title), left);
+    doc.moveDown(0.4);
+
+    row([t("pdf.name"), t("hours"), t("pdf.billableHours"), t("amount")], { bold: true, rule: true });
+    rows.forEach((group) => row([
+      group.name || fallbackName,
+      format.hours(group.minutes),
+      format.hours(group.billableMinutes),
+      format.amounts(group.amounts),
+    ]));
+  };
+
+  doc.font("Helvetica-Bold").fontSize(20).fillColor("#111827").text(pdfText(t("pdf.title")), left);
+  doc.font("Helvetica").fontSize(11).fillColor("#4b5563")
+    .text(pdfText(tenantName))
+    .text(pdfText(t("pdf.period", { from: format.date(report.from), to: format.date(report.to) })))
+    .text(pdfText(t("pdf.generated", { date: format.date(new Date().toISOString().slice(0, 10)) })));
+
+  doc.moveDown(1);
+  row([t("total"), t("hours"), t("pdf.billableHours"), t("amount")], { bold: true, rule: true });
+  row([
+    t("pdf.entries", { count: report.entries }),
+    format.hours(report.totals.minutes),
+    format.hours(report.totals.billableMinutes),
+    format.amounts(report.totals.amounts),
+  ]);
+
+  section(t("pdf.byCustomer"), report.byCustomer, t("noCustomer"));
+  section(t("pdf.byProject"), report.byProject, t("pdf.deletedProject"));
+  section(t("pdf.byMember"), report.byMember, t("pdf.formerMember"));
+  section(t("pdf.byDepartment"), report.byDepartment, t("pdf.noDepartment"));
+
+  doc.end();
+  return done;
+}
+
+/**
+ * Write a report file to Storage and sign a download link for it
+ */
+async function saveReportFile(tenantId, report, format, contents) {
+  const fileName = `time-report-${report.from}-${report.to}.${format}`;
+  const file = admin.storage().bucket()
+    .file(`exports/tenants/${tenantId}/reports/${Date.now()}-${fileName}`);
+
+  await file.save(contents, {
+    contentType: format === "pdf" ? "application/pdf" : "text/csv; charset=utf-8",
+    resumable: false,
+  });
+
+  return signDownloadUrl(file, fileName);
+}
+
+/**
+ * The tenant and the caller, who must be one of its admins, and a valid date range
+ */
+async function authorizeReport(request) {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "You must be signed in");
+  }
+
+  const { tenantId, from, to } = request.data || {};
+  if (!tenantId || typeof tenantId !== "string") {
+    throw new HttpsError("invalid-argument", "tenantId is required");
+  }
+  if (!isValidDate(from) || !isValidDate(to)) {
+    throw new HttpsError("invalid-argument", "from and to must be YYYY-MM-DD dates");
+  }
+  if (from > to) {
+    throw new HttpsError("invalid-argument", "from must not be after to");
+  }
+  if ((Date.parse(to) - Date.parse(from)) / DAY_MS >= MAX_REPORT_DAYS) {
+    throw new HttpsError("invalid-argument", `A report covers at most ${MAX_REPORT_DAYS} days`);
+  }
+
+  const [tenantDoc, memberDoc] = await Promise.all([
+    tenantRef(tenantId).get(),
+    tenantRef(tenantId).collection("members").doc(request.auth.uid).get(),
+  ]);
+
+  if (!memberDoc.exists || !ADMIN_ROLES.includes(memberDoc.data().role)) {
+    throw new HttpsError("permission-denied", "Only tenant admins can see time reports");
+  }
+  if (!tenantDoc.exists || tenantDoc.data().deletedAt) {
+    throw new HttpsError("not-found", "Tenant not found");
+  }
+
+  return { tenantId, tenant: tenantDoc.data(), from, to };
+}
+
+/**
+ * Callable: Hours and amounts per customer, project, member and department
+ */
+exports.getTimeReport = onCall({ memory: "512MiB" }, async (request) => {
+  const { tenantId, tenant, from, to } = await authorizeReport(request);
+
+  const report = await buildTimeReport(tenantId, tenant, { from, to });
+  // Every entry is in the CSV export
+  delete report.lines;
+  return report;
+});
+
+/**
+ * Callable: Export a time report as CSV (every entry) or PDF (summary)
+ * Returns a signed download link
+ */
+exports.exportTimeReport = onCall({ memory: "1GiB", timeoutSeconds: 300 }, async (request) => {
+  const { tenantId, tenant, from, to } = await authorizeReport(request);
+
+  const { format } = request.data;
+  if (!["csv", "pdf"].includes(format)) {
+    throw new HttpsError("invalid-argument", "format must be csv or pdf");
+  }
+
+  const report = await buildTimeReport(tenantId, tenant, { from, to });
+
+  let contents;
+  if (format === "csv") {
+    contents = renderCsv(report);
+  } else {
+    const userDoc = await admin.firestore().collection("users").doc(request.auth.uid).get();
+    const user = userDoc.exists ? userDoc.data() : {};
+    contents = await renderPdf(report, { tenantName: tenant.name || tenantId, locale: [user.locale, tenant.locale] });
+  }
+
+  const { url, expiresAt } = await saveReportFile(tenantId, report, format, contents);
+  console.log(`Time report ${from}..${to} exported as ${format} for tenant ${tenantId}`);
+
+  return { url, expiresAt: expiresAt.toISOString(), entries: report.entries };
+});
+
+// ============================================
+// Monthly report email
+// ============================================
+
+/**
+ * Email last month's report to a tenant's admins
+ */
+async function sendTenantReport(tenantId, month) {
+  const tenantDoc = await tenantRef(tenantId).get();
+  if (!tenantDoc.exists || tenantDoc.data().deletedAt) return { skipped: "tenant not found" };
+  const tenant = tenantDoc.data();
+
+  const report = await buildTimeReport(tenantId, tenant, monthRange(month));
+  if (report.entries === 0) return { skipped: "no time logged" };
+
+  const tenantName = tenant.name || tenantId;
+  const adminsSnapshot = await tenantRef(tenantId).collection("members").where("role", "in", ADMIN_ROLES).get();
+  const userDocs = adminsSnapshot.empty
+    ? []
+    : await admin.firestore().getAll(...adminsSnapshot.docs.map((doc) => admin.firestore().collection("users").doc(doc.id)));
+
+  const csv = await saveReportFile(tenantId, report, "csv", renderCsv(report));
+
+  // One PDF per language, as the admins read them
+  const pdfs = new Map();
+  let sent = 0;
+
+  for (const userDoc of userDocs) {
+    const user = userDoc.exists ? userDoc.data() : {};
+    const memberDoc = adminsSnapshot.docs.find((doc) => doc.id === userDoc.id);
+    const email = user.email || memberDoc.data().email;
+    if (!email) continue;
+
+    const locale = [user.locale, tenant.locale];
+    const resolved = resolveLocale(...locale);
+    if (!pdfs.has(resolved.language)) {
+      const contents = await renderPdf(report, { tenantName, locale });
+      pdfs.set(resolved.language, await saveReportFile(tenantId, report, "pdf", contents));
+    }
+    const pdf = pdfs.get(resolved.language);
+    const format = reportFormatter(resolved.locale, report.currency);
+
+    await queueEmail({
+      to: email,
+      ...renderEmail("timeReport", {
+        userName: user.name || memberDoc.data().name || email,
+        tenantName,
+        period: format.month(month),
+        hours: format.hours(report.totals.minutes),
+        billableHours: format.hours(report.totals.billableMinutes),
+        amount: format.amounts(report.totals.amounts),
+        customers: report.byCustomer.map((group) => ({
+          name: group.name,
+          hours: format.hours(group.minutes),
+          amount: format.amounts(group.amounts),
+        })),
+        pdfUrl: pdf.url,
+        csvUrl: csv.url,
+        expiresAt: csv.expiresAt,
+      }, { locale, timeZone: user.timezone || tenant.timezone }),
+    }, { idempotencyKey: `time-report-${tenantId}-${month}-${userDoc.id}` });
+    sent++;
+  }
+
+  return { entries: report.entries, sent };
+}
+
+/**
+ * Trigger: 1st of each month at 7am - Queue last month's time report for every tenant
+ */
+exports.sendMonthlyTimeReports = onSchedule(
+  {
+    schedule: "0 7 1 * *",
+    timeZone: "Europe/Luxembourg",
+  },
+  async () => {
+    const queue = getFunctions().taskQueue(REPORT_QUEUE);
+    const now = new Date();
+    let queued = 0;
+    let last = null;
+
+    for (;;) {
+      let query = admin.firestore().collection("tenants")
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .select("timezone", "deletedAt")
+        .limit(PAGE_SIZE);
+      if (last) query = query.startAfter(last);
+
+      const snapshot = await query.get();
+      for (const doc of snapshot.docs) {
+        if (doc.data().deletedAt) continue;
+
+        const month = previousMonth(now, getTimeZone(doc.data()));
+        try {
+          await queue.enqueue({ tenantId: doc.id, month }, { id: `time-report-${doc.id}-${month}` });
+          queued++;
+        } catch (error) {
+          // Already queued by an earlier attempt of this run
+          if (error.code !== "functions/task-already-exists") throw error;
+        }
+      }
+
+      if (snapshot.size < PAGE_SIZE) break;
+      last = snapshot.docs[snapshot.docs.length - 1];
+    }
+
+    console.log(`Queued ${queued} monthly time reports`);
+    return { success: true, queued };
+  }
+);
+
+/**
+ * Task queue: Email one tenant's monthly time report to its admins
+ * Errors are rethrown so Cloud Tasks retries; emails are sent once per admin
+ * (idempotency keys), retries only upload the files again
+ */
+exports.sendTimeReport = onTaskDispatched(
+  {
+    retryConfig: {
+      maxAttempts: 3,
+      minBackoffSeconds: 300,
+    },
+    rateLimits: {
+      maxConcurrentDispatches: 5,
+    },
+    memory: "1GiB",
+    timeoutSeconds: 300,
+  },
+  async (request) => {
+    const { tenantId, month } = request.data;
+    const result = await sendTenantReport(tenantId, month);
+    console.log(`Monthly time report ${month} for tenant ${tenantId}:`, result);
+  }
+);
@@ -0,0 +1,159 @@
+/**
+ * Email transports
+ * The outbox worker (mail.js) hands every message to the transport selected
+ * by the EMAIL_TRANSPORT environment variable:
+ *
+ *   - resend (default): Resend API, uses the RESEND_API_KEY secret; mail.js
+ *     binds the Resend secrets only when this transport is selected
+ *   - smtp: any SMTP server, e.g. a local MailHog on localhost:1025
+ *       SMTP_HOST, SMTP_PORT, SMTP_SECURE ("true" for TLS), SMTP_USER, SMTP_PASS
+ *   - file: writes each message as <id>.json and <id>.eml to EMAIL_FILE_DIR
+ *       (default: <tmp>/erold-mail), for tests and the emulator
+ *
+ * For the emulator, put EMAIL_TRANSPORT=file (or smtp) in functions/.env.local.
+ *
+ * Every transport exposes send(message, { idempotencyKey }) and resolves to
+ * { id }. Failures are thrown with `retryable` set so the worker knows whether
+ * to try again.
+ */
+
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
+const { Resend } = require("resend");
+const { resendApiKey } = require("./config");
+
+/**
+ * Build a transport error that tells the worker whether a retry can help
+ */
+function transportError(message, { code, retryable }) {
+  const error = new Error(message);
+  error.code = code;
+  error.retryable = retryable;
+  return error;
+}
+
+/**
+ * Resend API
+ */
+function createResendTransport() {
+  return {
+    name: "resend",
+    async send(message, { idempotencyKey } = {}) {
+      const resend = new Resend(resendApiKey.value());
+      const { data, error } = await resend.emails.send(message, { idempotencyKey });
+
+      if (error) {
+        // Network errors have no status code; rate limits and server errors are transient
+        throw transportError(error.message, {
+          code: error.name,
+          retryable: !error.statusCode || error.statusCode === 429 || error.statusCode >= 500,
+        });
+      }
+
+      return { id: data.id };
+    },
+  };
+}
+
+/**
+ * Generic SMTP (MailHog, Mailpit, a relay...)
+ */
+function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || "localhost",
+    port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+    async send(message) {
+      try {
+        const info = await transporter.sendMail(message);
+        return { id: info.messageId };
+      } catch (error) {
+        // 5xx SMTP replies are permanent, 4xx replies and connection errors are not
+        throw transportError(error.message, {
+          code: error.code,
+          retryable: !(error.responseCode >= 500),
+        });
+      }
+    },
+  };
+}
+
+/**
+ * File sink: each message is written as JSON (for assertions) and EML (to open in a mail client)
+ */
+function createFileTransport() {
+  const directory = process.env.EMAIL_FILE_DIR || path.join(os.tmpdir(), "erold-mail");
+  const composer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: "file",
+    async send(message, { idempotencyKey } = {}) {
+      // Reuse the idempotency key as the file name so retries overwrite instead of duplicating
+      const id = idempotencyKey || crypto.randomUUID();
+      const { message: eml } = await composer.sendMail(message);
+
+      try {
+        await fs.mkdir(directory, { recursive: true });
+        await Promise.all([
+          fs.writeFile(path.join(directory, `${id}.eml`), eml),
+          fs.writeFile(
+            path.join(directory, `${id}.json`),
+            JSON.stringify({ id, ...message, writtenAt: new Date().toISOString() }, null, 2)
+          ),
+        ]);
+      } catch (error) {
+        throw transportError(error.message, { code: error.code, retryable: true });
+      }
+
+      console.log(`Email written to ${path.join(directory, `${id}.eml`)}`);
+      return { id };
+    },
+  };
+}
+
+const TRANSPORTS = {
+  resend: createResendTransport,
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+};
+
+let transport = null;
+
+function getTransportName() {
+  return process.env.EMAIL_TRANSPORT || "resend";
+}
+
+/**
+ * Whether mail goes through Resend; functions bind the Resend secrets only then,
+ * so SMTP and file setups don't need them provisioned
+ */
+function usesResend() {
+  return getTransportName() === "resend";
+}
+
+/**
+ * Get the configured transport (created once per instance)
+ */
+function getTransport() {
+  if (!transport) {
+    const name = getTransportName();
+    if (!TRANSPORTS[name]) {
+      throw new Error(`Unknown EMAIL_TRANSPORT "${name}", expected one of: ${Object.keys(TRANSPORTS).join(", ")}`);
+    }
+    transport = TRANSPORTS[name]();
+  }
+  return transport;
+}
+
+exports.getTransport = getTransport;
+exports.usesResend = usesResend;
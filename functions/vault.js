@@ -0,0 +1,521 @@
+/**
+ * Project vault encryption
+ * Secrets in tenants/{tenantId}/projects/{projectId}/vault are encrypted at
+ * rest with envelope encryption:
+ *
+ *   - each tenant has a data key (AES-256) in tenants/{tenantId}/vaultKeys,
+ *     stored wrapped (encrypted) by the master key
+ *   - the master key is the VAULT_MASTER_KEY secret (32 random bytes, base64);
+ *     in the emulator it is read from a local key file, VAULT_MASTER_KEY_FILE
+ *     or functions/.vault-master-key (generated on first use)
+ *
+ * Entries keep their metadata (title, type, url, username, scope) in plain
+ * fields and their secrets in `encrypted` ({ keyId, iv, tag, ciphertext },
+ * AES-256-GCM bound to the entry's path), with the secret names in
+ * `secretFields`. Clients can't write vault entries directly:
+ *
+ *   - saveVaultEntry: create or update an entry, encrypting its secrets
+ *   - revealVaultEntry: decrypt an entry's secrets for a caller allowed to see
+ *     them, after writing a "vault_entry.revealed" activity log entry
+ *   - rotateVaultKey: create a new data key and re-encrypt every entry in the
+ *     tenant. Entries saved before encryption (plain `value`, `password`...
+ *     fields) are encrypted by the first rotation.
+ *
+ * Access follows the vault read rules: tenant admins, the entry's creator, or
+ * any non-guest member for shared entries.
+ */
+
+const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { vaultMasterKey } = require("./config");
+const { logActivity } = require("./activity");
+
+const CIPHER = "aes-256-gcm";
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+// Plain fields older clients stored secrets in
+const LEGACY_SECRET_FIELDS = ["value", "password", "secret", "token", "apiKey", "privateKey", "notes"];
+
+const ENTRY_FIELDS = ["title", "type", "url", "username"];
+const ENTRY_SCOPES = ["shared", "private"];
+
+// Total size of an entry's secrets, as JSON
+const MAX_SECRETS_BYTES = 16 * 1024;
+
+// Unwrapped data keys, cached per instance
+const dataKeys = new Map();
+let masterKey = null;
+
+function fingerprint(key) {
+  return crypto.createHash("sha256").update(key).digest("hex").substring(0, 16);
+}
+
+/**
+ * Load the master key from the local key file (emulator) or the VAULT_MASTER_KEY secret
+ */
+function getMasterKey() {
+  if (masterKey) return masterKey;
+
+  const isEmulator = process.env.FUNCTIONS_EMULATOR === "true";
+  const keyFile = process.env.VAULT_MASTER_KEY_FILE ||
+    (isEmulator ? path.join(__dirname, ".vault-master-key") : null);
+
+  let encoded;
+  if (keyFile) {
+    if (!fs.existsSync(keyFile) && isEmulator) {
+      fs.writeFileSync(keyFile, crypto.randomBytes(KEY_BYTES).toString("base64"), { mode: 0o600 });
+      console.log(`Generated local vault master key at ${keyFile}`);
+    }
+    encoded = fs.readFileSync(keyFile, "utf8").trim();
+  } else {
+    encoded = vaultMasterKey.value();
+  }
+
+  const key = Buffer.from(encoded || "", "base64");
+  if (key.length !== KEY_BYTES) {
+    throw new Error(`Vault master key must be ${KEY_BYTES} bytes, base64-encoded`);
+  }
+
+  masterKey = { key, id: fingerprint(key) };
+  return masterKey;
+}
+
+/**
+ * AES-256-GCM; `aad` binds the ciphertext to the document it belongs to
+ */
+function encrypt(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return {
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    ciphertext: ciphertext.toString("base64"),
+  };
+}
+
+function decrypt(key, { iv, tag, ciphertext }, aad) {
+  const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(iv, "base64"));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, "base64")), decipher.final()]);
+}
+
+function vaultKeysRef(tenantId) {
+  return admin.firestore().collection("tenants").doc(tenantId).collection("vaultKeys");
+}
+
+/**
+ * Create a data key, wrapped by the master key, as part of a transaction
+ */
+function createDataKey(transaction, tenantId, createdBy) {
+  const master = getMasterKey();
+  const keyRef = vaultKeysRef(tenantId).doc();
+  const key = crypto.randomBytes(KEY_BYTES);
+
+  transaction.set(keyRef, {
+    wrappedKey: encrypt(master.key, key, keyRef.path),
+    masterKeyId: master.id,
+    status: "active",
+    createdBy: createdBy || null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  dataKeys.set(keyRef.path, key);
+  return { id: keyRef.id, key };
+}
+
+/**
+ * Unwrap one of a tenant's data keys
+ */
+async function getDataKey(tenantId, keyId) {
+  const keyRef = vaultKeysRef(tenantId).doc(keyId);
+  if (dataKeys.has(keyRef.path)) {
+    return dataKeys.get(keyRef.path);
+  }
+
+  const keyDoc = await keyRef.get();
+  if (!keyDoc.exists) {
+    throw new Error(`Vault key ${keyId} not found for tenant ${tenantId}`);
+  }
+
+  const master = getMasterKey();
+  const { wrappedKey, masterKeyId } = keyDoc.data();
+  if (masterKeyId !== master.id) {
+    throw new Error(`Vault key ${keyId} was wrapped by a different master key`);
+  }
+
+  const key = decrypt(master.key, wrappedKey, keyRef.path);
+  dataKeys.set(keyRef.path, key);
+  return key;
+}
+
+/**
+ * The tenant's active data key, created on first use
+ */
+async function getActiveDataKey(tenantId, createdBy) {
+  const activeKey = await admin.firestore().runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(vaultKeysRef(tenantId).where("status", "==", "active").limit(1));
+    if (!snapshot.empty) return { id: snapshot.docs[0].id };
+    return createDataKey(transaction, tenantId, createdBy);
+  });
+
+  return activeKey.key ? activeKey : { id: activeKey.id, key: await getDataKey(tenantId, activeKey.id) };
+}
+
+function encryptSecrets(entryRef, secrets, dataKey) {
+  return {
+    keyId: dataKey.id,
+    ...encrypt(dataKey.key, Buffer.from(JSON.stringify(secrets)), entryRef.path),
+  };
+}
+
+/**
+ * Read an entry's secrets, whether encrypted or stored by an older client in plain fields
+ */
+async function readSecrets(tenantId, entryRef, entry) {
+  if (entry.encrypted) {
+    const key = await getDataKey(tenantId, entry.encrypted.keyId);
+    return JSON.parse(decrypt(key, entry.encrypted, entryRef.path).toString("utf8"));
+  }
+
+  return Object.fromEntries(
+    LEGACY_SECRET_FIELDS
+      .filter((field) => typeof entry[field] === "string" && entry[field] !== "")
+      .map((field) => [field, entry[field]])
+  );
+}
+
+// ============================================
+// Access checks
+// ============================================
+
+function requireString(data, field) {
+  const value = data[field];
+  if (!value || typeof value !== "string") {
+    throw new HttpsError("invalid-argument", `${field} is required`);
+  }
+  return value;
+}
+
+async function getMember(tenantId, uid) {
+  const memberDoc = await admin.firestore()
+    .collection("tenants").doc(tenantId)
+    .collection("members").doc(uid)
+    .get();
+
+  if (!memberDoc.exists) {
+    throw new HttpsError("permission-denied", "You are not a member of this tenant");
+  }
+  return memberDoc.data();
+}
+
+function isAdmin(member) {
+  return ["owner", "admin"].includes(member.role);
+}
+
+function canReadEntry(member, uid, entry) {
+  return isAdmin(member) ||
+    entry.createdBy === uid ||
+    (entry.scope === "shared" && member.role !== "guest");
+}
+
+function vaultEntryRef(tenantId, projectId, entryId) {
+  const vaultRef = admin.firestore()
+    .collection("tenants").doc(tenantId)
+    .collection("projects").doc(projectId)
+    .collection("vault");
+  return entryId ? vaultRef.doc(entryId) : vaultRef.doc();
+}
+
+function validateSecrets(secrets) {
+  const isValid = secrets && typeof secrets === "object" && !Array.isArray(secrets) &&
+    Object.values(secrets).every((value) => typeof value === "string");
+
+  if (!isValid || Object.keys(secrets).length === 0) {
+    throw new HttpsError("invalid-argument", "secrets must be an object of strings");
+  }
+  if (Buffer.byteLength(JSON.stringify(secrets)) > MAX_SECRETS_BYTES) {
+    throw new HttpsError("invalid-argument", "secrets are too large");
+  }
+}
+
+// ============================================
+// Callables
+// ============================================
+
+/**
+ * Callable: Create or update a vault entry
+ * `secrets` (name -> string) replaces the entry's secrets; leave it out to
+ * change only the metadata
+ */
+exports.saveVaultEntry = onCall(
+  {
+    secrets: [vaultMasterKey],
+  },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError("unauthenticated", "You must be signed in");
+    }
+
+    const data = request.data || {};
+    const uid = request.auth.uid;
+    const tenantId = requireString(data, "tenantId");
+    const projectId = requireString(data, "projectId");
+
+    const member = await getMember(tenantId, uid);
+    if (member.role === "guest") {
+      throw new HttpsError("permission-denied", "Guests cannot edit the vault");
+    }
+
+    if (data.scope !== undefined && !ENTRY_SCOPES.includes(data.scope)) {
+      throw new HttpsError("invalid-argument", `scope must be one of: ${ENTRY_SCOPES.join(", ")}`);
+    }
+    if (data.secrets !== undefined) {
+      validateSecrets(data.secrets);
+    }
+
+    const projectDoc = await admin.firestore()
+      .collection("tenants").doc(tenantId)
+      .collection("projects").doc(projectId)
+      .get();
+    if (!projectDoc.exists) {
+      throw new HttpsError("not-found", "Project not found");
+    }
+
+    const entryRef = vaultEntryRef(tenantId, projectId, data.entryId);
+    const entryDoc = data.entryId ? await entryRef.get() : null;
+
+    if (data.entryId && !entryDoc.exists) {
+      throw new HttpsError("not-found", "Vault entry not found");
+    }
+    if (entryDoc && entryDoc.data().createdBy !== uid && !isAdmin(member)) {
+      throw new HttpsError("permission-denied", "Only the entry's creator or an admin can edit it");
+    }
+    if (!entryDoc && data.secrets === undefined) {
+      throw new HttpsError("invalid-argument", "secrets are required for a new entry");
+    }
+
+    const fields = {};
+    ENTRY_FIELDS.forEach((field) => {
+      if (data[field] !== undefined) {
+        fields[field] = typeof data[field] === "string" ? data[field] : null;
+      }
+    });
+    if (data.scope !== undefined) {
+      fields.scope = data.scope;
+    }
+
+    if (data.secrets !== undefined) {
+      const dataKey = await getActiveDataKey(tenantId, uid);
+      fields.encrypted = encryptSecrets(entryRef, data.secrets, dataKey);
+      fields.secretFields = Object.keys(data.secrets).sort();
+
+      // Drop any plain secrets an older client left behind
+      LEGACY_SECRET_FIELDS.forEach((field) => {
+        if (entryDoc && entryDoc.data()[field] !== undefined) {
+          fields[field] = admin.firestore.FieldValue.delete();
+        }
+      });
+    }
+
+    if (entryDoc) {
+      await entryRef.update({
+        ...fields,
+        updatedBy: uid,
+        source: "app",
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    } else {
+      await entryRef.set({
+        title: null,
+        type: null,
+        url: null,
+        username: null,
+        scope: "private",
+        ...fields,
+        createdBy: uid,
+        updatedBy: uid,
+        source: "app",
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+
+    return { success: true, id: entryRef.id };
+  }
+);
+
+/**
+ * Callable: Decrypt a vault entry's secrets
+ * Every reveal is recorded in the activity log before anything is returned
+ */
+exports.revealVaultEntry = onCall(
+  {
+    secrets: [vaultMasterKey],
+  },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError("unauthenticated", "You must be signed in");
+    }
+
+    const data = request.data || {};
+    const uid = request.auth.uid;
+    const tenantId = requireString(data, "tenantId");
+    const projectId = requireString(data, "projectId");
+    const entryId = requireString(data, "entryId");
+
+    const member = await getMember(tenantId, uid);
+    const entryRef = vaultEntryRef(tenantId, projectId, entryId);
+    const entryDoc = await entryRef.get();
+
+    // Hidden entries look the same as missing ones
+    if (!entryDoc.exists || !canReadEntry(member, uid, entryDoc.data())) {
+      throw new HttpsError("not-found", "Vault entry not found");
+    }
+
+    const entry = entryDoc.data();
+    const secrets = await readSecrets(tenantId, entryRef, entry);
+
+    if (data.field !== undefined && !(data.field in secrets)) {
+      throw new HttpsError("not-found", `Secret "${data.field}" not found`);
+    }
+    const fields = data.field !== undefined ? [data.field] : Object.keys(secrets);
+
+    const batch = admin.firestore().batch();
+    logActivity(batch, tenantId, {
+      type: "vault_entry.revealed",
+      actorId: uid,
+      source: "app",
+      entityType: "vault_entry",
+      entityId: entryId,
+      data: {
+        projectId,
+        title: entry.title || null,
+        fields,
+      },
+    });
+    await batch.commit();
+
+    console.log(`Vault entry ${entryRef.path} revealed to ${uid}`);
+    return {
+      secrets: Object.fromEntries(fields.map((field) => [field, secrets[field]])),
+    };
+  }
+);
+
+/**
+ * Callable: Rotate a tenant's data key
+ * Creates a new key, re-encrypts every entry with it (encrypting any plain
+ * legacy entries on the way), then retires the old keys
+ */
+exports.rotateVaultKey = onCall(
+  {
+    secrets: [vaultMasterKey],
+    timeoutSeconds: 540,
+  },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError("unauthenticated", "You must be signed in");
+    }
+
+    const uid = request.auth.uid;
+    const tenantId = requireString(request.data || {}, "tenantId");
+
+    const member = await getMember(tenantId, uid);
+    if (!isAdmin(member)) {
+      throw new HttpsError("permission-denied", "Only tenant admins can rotate the vault key");
+    }
+
+    const db = admin.firestore();
+
+    // New saves use the new key as soon as it exists
+    const { newKey, oldKeyIds } = await db.runTransaction(async (transaction) => {
+      const activeSnapshot = await transaction.get(vaultKeysRef(tenantId).where("status", "==", "active"));
+      activeSnapshot.docs.forEach((doc) => {
+        transaction.update(doc.ref, {
+          status: "retiring",
+          retiringAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      });
+      return {
+        newKey: createDataKey(transaction, tenantId, uid),
+        oldKeyIds: activeSnapshot.docs.map((doc) => doc.id),
+      };
+    });
+
+    const projectsSnapshot = await db.collection("tenants").doc(tenantId).collection("projects").get();
+
+    let reencrypted = 0;
+    let failed = 0;
+
+    for (const projectDoc of projectsSnapshot.docs) {
+      const vaultSnapshot = await projectDoc.ref.collection("vault").get();
+
+      for (const entryDoc of vaultSnapshot.docs) {
+        try {
+          // Re-read inside a transaction so a concurrent save isn't overwritten
+          const changed = await db.runTransaction(async (transaction) => {
+            const currentDoc = await transaction.get(entryDoc.ref);
+            if (!currentDoc.exists) return false;
+
+            const entry = currentDoc.data();
+            if (entry.encrypted && entry.encrypted.keyId === newKey.id) return false;
+
+            const secrets = await readSecrets(tenantId, entryDoc.ref, entry);
+            if (!entry.encrypted && Object.keys(secrets).length === 0) return false;
+
+            const fields = {
+              encrypted: encryptSecrets(entryDoc.ref, secrets, newKey),
+              secretFields: Object.keys(secrets).sort(),
+              updatedBy: uid,
+              source: "system",
+            };
+            LEGACY_SECRET_FIELDS.forEach((field) => {
+              if (entry[field] !== undefined) {
+                fields[field] = admin.firestore.FieldValue.delete();
+              }
+            });
+
+            transaction.update(entryDoc.ref, fields);
+            return true;
+          });
+
+          if (changed) reencrypted++;
+        } catch (error) {
+          failed++;
+          console.error(`Error re-encrypting vault entry ${entryDoc.ref.path}:`, error);
+        }
+      }
+    }
+
+    // Old keys are only retired once nothing depends on them
+    const batch = db.batch();
+    if (failed === 0) {
+      oldKeyIds.forEach((keyId) => {
+        batch.update(vaultKeysRef(tenantId).doc(keyId), {
+          status: "retired",
+          retiredAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      });
+    }
+    logActivity(batch, tenantId, {
+      type: "vault.key_rotated",
+      actorId: uid,
+      source: "app",
+      entityType: "vault_key",
+      entityId: newKey.id,
+      data: { reencrypted, failed, retiredKeyIds: failed === 0 ? oldKeyIds : [] },
+    });
+    await batch.commit();
+
+    console.log(`Vault key rotated for tenant ${tenantId}: ${reencrypted} entries re-encrypted, ${failed} failed`);
+    return { success: failed === 0, keyId: newKey.id, reencrypted, failed };
+  }
+);
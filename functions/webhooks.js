@@ -0,0 +1,659 @@
+/**
+ * Outgoing webhooks
+ * Tenant admins register endpoints in tenants/{tenantId}/webhooks (created
+ * with createWebhook, which generates the signing secret). Events are queued
+ * per endpoint in tenants/{tenantId}/webhooks/{webhookId}/deliveries, which is
+ * also the endpoint's delivery log.
+ *
+ * Each delivery is a JSON POST:
+ *   { id, type, createdAt, tenantId, data }
+ * with headers
+ *   X-Erold-Event: the event type
+ *   X-Erold-Delivery: the delivery id
+ *   X-Erold-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the secret>
+ *
+ * Delivery status: queued -> sending -> delivered
+ *                                    -> retry -> sending ...
+ *                                    -> failed (4xx response, or out of attempts)
+ *                  cancelled (endpoint disabled or deleted before sending)
+ *
+ * An endpoint is disabled after DISABLE_AFTER_FAILURES deliveries in a row
+ * have failed; admins re-enable it by setting `enabled` back to true.
+ *
+ * Endpoints must resolve to public addresses only. The host is checked when
+ * the webhook is created and before every delivery, and deliveries connect
+ * through PUBLIC_AGENT, which checks the address each connection actually
+ * uses, so a DNS answer that changes after the check (rebinding) is refused too.
+ */
+
+const { onDocumentCreated, onDocumentUpdated } = require("firebase-functions/v2/firestore");
+const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const { onSchedule } = require("firebase-functions/v2/scheduler");
+const admin = require("firebase-admin");
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const { Agent, fetch } = require("undici");
+const { APP_URL } = require("./config");
+const { serializeDoc } = require("./api");
+const { diffFields } = require("./history");
+const { notifyUser } = require("./notifications");
+
+const WEBHOOK_EVENTS = [
+  "task.created",
+  "task.updated",
+  "task.assigned",
+  "task.completed",
+  "comment.created",
+  "project.status_changed",
+  "member.joined",
+];
+
+const SECRET_PREFIX = "whsec_";
+
+const MAX_ATTEMPTS = 8;
+
+// Retry delays: 1, 2, 4, 8, 16, 32, 64 minutes
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+
+// A delivery stuck in "sending" longer than this is picked up again
+const SEND_LEASE_MS = 2 * 60 * 1000;
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+const DISABLE_AFTER_FAILURES = 5;
+
+// Response bodies are kept in the delivery log, cut to this length
+const MAX_RESPONSE_LENGTH = 1000;
+
+const RETRY_BATCH_SIZE = 100;
+
+// Firestore "already exists" error code
+const ALREADY_EXISTS = 6;
+
+// Kept by the reminder, recurring task and agent queue functions
+const IGNORED_TASK_FIELDS = ["overdueEscalatedFor", "recurrenceState", "agentRun"];
+
+function hash(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+/**
+ * Signature header value for a request body
+ */
+function sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// Loopback, private, link-local (incl. cloud metadata), shared, reserved and multicast ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.0.2.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15],
+  ["198.51.100.0", 24], ["203.0.113.0", 24], ["224.0.0.0", 4], ["240.0.0.0", 4],
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4"));
+[
+  ["::", 128], ["::1", 128], ["::ffff:0:0", 96], ["64:ff9b::", 96], ["100::", 64], ["2001:db8::", 32],
+  ["fc00::", 7], ["fe80::", 10], ["ff00::", 8],
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6"));
+
+const BLOCKED_HOSTNAMES = ["localhost", "metadata", "metadata.google.internal"];
+
+function isPublicAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as IPv4; other mapped forms are blocked
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPublicAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !BLOCKED_ADDRESSES.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * Only https endpoints, plus localhost when running in the emulator
+ */
+function isValidEndpoint(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol === "https:") return true;
+    return isEmulatorEndpoint(parsed);
+  } catch (error) {
+    return false;
+  }
+}
+
+function isEmulatorEndpoint(parsed) {
+  return process.env.FUNCTIONS_EMULATOR === "true" &&
+    parsed.protocol === "http:" &&
+    ["localhost", "127.0.0.1"].includes(parsed.hostname);
+}
+
+/**
+ * Resolve an endpoint's host and throw unless every address it resolves to is public
+ */
+async function assertPublicEndpoint(url) {
+  if (!isValidEndpoint(url)) {
+    throw new Error("Endpoint must be an https URL");
+  }
+
+  const parsed = new URL(url);
+  if (isEmulatorEndpoint(parsed)) return;
+
+  // Bracketed IPv6 literals
+  const hostname = parsed.hostname.replace(/^\[(.*)\]$/, "$1").toLowerCase();
+  if (BLOCKED_HOSTNAMES.includes(hostname) || hostname.endsWith(".localhost") || hostname.endsWith(".internal")) {
+    throw new Error(`Endpoint host ${hostname} is not allowed`);
+  }
+
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname }]
+    : await dns.promises.lookup(hostname, { all: true, verbatim: true });
+
+  const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+  if (addresses.length === 0 || blocked) {
+    throw new Error(`Endpoint host ${hostname} resolves to a non-public address`);
+  }
+}
+
+/**
+ * dns.lookup for outgoing connections that fails unless every address is public
+ * IP literals never get here; assertPublicEndpoint checks those
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (addresses.length === 0 || blocked) {
+      const refused = new Error(`Endpoint host ${hostname} resolves to a non-public address`);
+      refused.code = "ENOTPUBLIC";
+      return callback(refused);
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Connects only to the public addresses it resolved itself
+const PUBLIC_AGENT = new Agent({ connect: { lookup: lookupPublicAddress } });
+
+/**
+ * Queue an event for every enabled endpoint of the tenant subscribed to it
+ * `eventId` must be stable across retries of the trigger, so each endpoint
+ * gets each event once
+ */
+async function emitWebhookEvent(tenantId, type, data, { eventId }) {
+  const webhooksSnapshot = await admin.firestore()
+    .collection("tenants").doc(tenantId)
+    .collection("webhooks")
+    .where("enabled", "==", true)
+    .where("events", "array-contains", type)
+    .get();
+
+  if (webhooksSnapshot.empty) return 0;
+
+  const payload = {
+    id: hash(`${eventId}:${type}`).substring(0, 32),
+    type,
+    createdAt: new Date().toISOString(),
+    tenantId,
+    data,
+  };
+
+  let queued = 0;
+  for (const webhookDoc of webhooksSnapshot.docs) {
+    const deliveryRef = webhookDoc.ref.collection("deliveries").doc(hash(`${payload.id}:${webhookDoc.id}`));
+
+    try {
+      await deliveryRef.create({
+        event: type,
+        eventId: payload.id,
+        payload,
+        status: "queued",
+        attempts: 0,
+        nextAttemptAt: admin.firestore.FieldValue.serverTimestamp(),
+        responseStatus: null,
+        lastError: null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      queued++;
+    } catch (error) {
+      if (error.code !== ALREADY_EXISTS) throw error;
+    }
+  }
+
+  console.log(`Webhook event ${type} queued for ${queued} endpoints in tenant ${tenantId}`);
+  return queued;
+}
+
+/**
+ * Emit an event from a trigger without failing the trigger's own work
+ */
+async function safeEmit(tenantId, type, data, options) {
+  try {
+    await emitWebhookEvent(tenantId, type, data, options);
+  } catch (error) {
+    console.error(`Error queueing webhook event ${type} for tenant ${tenantId}:`, error);
+  }
+}
+
+/**
+ * Emit task.updated, task.assigned and task.completed for a task update event
+ */
+async function emitTaskUpdateWebhooks(event) {
+  const { tenantId, projectId } = event.params;
+  const before = event.data.before.data();
+  const after = event.data.after.data();
+
+  const changes = diffFields(before, after, { ignoredFields: IGNORED_TASK_FIELDS, redactValues: true })
+    .map(({ field }) => field);
+  if (changes.length === 0) return;
+
+  const data = { projectId, task: serializeDoc(event.data.after), changes };
+  const options = { eventId: event.id };
+
+  await safeEmit(tenantId, "task.updated", data, options);
+
+  if (changes.includes("assignedTo") && after.assignedTo) {
+    await safeEmit(tenantId, "task.assigned", { ...data, previousAssignee: before.assignedTo || null }, options);
+  }
+  if (changes.includes("status") && after.status === "done") {
+    await safeEmit(tenantId, "task.completed", data, options);
+  }
+}
+
+// ============================================
+// Delivery
+// ============================================
+
+/**
+ * Claim a delivery for sending
+ * Returns the delivery, or null if it isn't due or another worker has it
+ */
+async function claimDelivery(deliveryRef) {
+  return admin.firestore().runTransaction(async (transaction) => {
+    const deliveryDoc = await transaction.get(deliveryRef);
+    if (!deliveryDoc.exists) return null;
+
+    const delivery = deliveryDoc.data();
+    const now = Date.now();
+
+    const isDue = delivery.status === "queued" ||
+      (delivery.status === "retry" && delivery.nextAttemptAt.toMillis() <= now) ||
+      (delivery.status === "sending" && delivery.leaseExpiresAt.toMillis() <= now);
+
+    if (!isDue) return null;
+
+    transaction.update(deliveryRef, {
+      status: "sending",
+      attempts: admin.firestore.FieldValue.increment(1),
+      leaseExpiresAt: admin.firestore.Timestamp.fromMillis(now + SEND_LEASE_MS),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return { ...delivery, attempts: delivery.attempts + 1 };
+  });
+}
+
+/**
+ * POST a delivery to its endpoint
+ * Resolves to { status, body }; throws on network errors and timeouts
+ */
+async function postDelivery(webhook, deliveryId, payload) {
+  // The URL may have been edited, or its DNS changed, since the webhook was created
+  await assertPublicEndpoint(webhook.url);
+  const emulator = isEmulatorEndpoint(new URL(webhook.url));
+
+  const body = JSON.stringify(payload);
+
+  const response = await fetch(webhook.url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "User-Agent": "Erold-Webhooks/1.0",
+      "X-Erold-Event": payload.type,
+      "X-Erold-Delivery": deliveryId,
+      "X-Erold-Signature": sign(webhook.secret, body),
+    },
+    body,
+    redirect: "manual",
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    dispatcher: emulator ? undefined : PUBLIC_AGENT,
+  });
+
+  const text = await response.text().catch(() => "");
+  return { status: response.status, body: text.substring(0, MAX_RESPONSE_LENGTH) };
+}
+
+/**
+ * Count a delivery's final outcome against its endpoint, disabling it after
+ * too many failures in a row
+ */
+async function recordEndpointOutcome(webhookRef, succeeded) {
+  const disabled = await admin.firestore().runTransaction(async (transaction) => {
+    const webhookDoc = await transaction.get(webhookRef);
+    if (!webhookDoc.exists) return false;
+
+    if (succeeded) {
+      transaction.update(webhookRef, {
+        consecutiveFailures: 0,
+        lastDeliveryAt: admin.firestore.FieldValue.serverTimestamp(),
+        lastDeliveryStatus: "delivered",
+      });
+      return false;
+    }
+
+    const webhook = webhookDoc.data();
+    const consecutiveFailures = (webhook.consecutiveFailures || 0) + 1;
+    const shouldDisable = webhook.enabled && consecutiveFailures >= DISABLE_AFTER_FAILURES;
+
+    transaction.update(webhookRef, {
+      consecutiveFailures,
+      lastDeliveryAt: admin.firestore.FieldValue.serverTimestamp(),
+      lastDeliveryStatus: "failed",
+      ...(shouldDisable
+        ? {
+          enabled: false,
+          disabledAt: admin.firestore.FieldValue.serverTimestamp(),
+          disabledReason: `${consecutiveFailures} deliveries in a row failed`,
+        }
+        : {}),
+    });
+
+    return shouldDisable ? webhook : false;
+  });
+
+  if (disabled) {
+    console.warn(`Webhook ${webhookRef.path} disabled after repeated failures`);
+
+    const tenantId = webhookRef.parent.parent.id;
+    const tenantDoc = await admin.firestore().collection("tenants").doc(tenantId).get();
+    const tenant = tenantDoc.exists ? tenantDoc.data() : {};
+
+    await notifyUser(disabled.createdBy, [{
+      type: "webhook_disabled",
+      title: "Webhook disabled after repeated failures",
+      message: disabled.url,
+      link: `${APP_URL}/t/${tenant.slug}/settings/webhooks`,
+      tenantId,
+      tenantName: tenant.name,
+    }]);
+  }
+}
+
+/**
+ * Attempt one delivery
+ */
+async function processDelivery(deliveryRef) {
+  const delivery = await claimDelivery(deliveryRef);
+  if (!delivery) return null;
+
+  const webhookRef = deliveryRef.parent.parent;
+  const webhookDoc = await webhookRef.get();
+  const webhook = webhookDoc.exists ? webhookDoc.data() : null;
+
+  if (!webhook || !webhook.enabled) {
+    await deliveryRef.update({
+      status: "cancelled",
+      lastError: webhook ? "Endpoint disabled" : "Endpoint deleted",
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return { status: "cancelled" };
+  }
+
+  const startedAt = Date.now();
+  let response = null;
+  let error = null;
+
+  try {
+    response = await postDelivery(webhook, deliveryRef.id, delivery.payload);
+  } catch (requestError) {
+    // fetch reports connection failures as "fetch failed" with the reason in `cause`
+    error = requestError.name === "TimeoutError"
+      ? "Request timed out"
+      : requestError.cause?.code === "ENOTPUBLIC" ? requestError.cause.message : requestError.message;
+  }
+
+  const durationMs = Date.now() - startedAt;
+  const responseFields = {
+    responseStatus: response ? response.status : null,
+    responseBody: response ? response.body : null,
+    durationMs,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+
+  if (response && response.status >= 200 && response.status < 300) {
+    await deliveryRef.update({
+      ...responseFields,
+      status: "delivered",
+      lastError: null,
+      deliveredAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    await recordEndpointOutcome(webhookRef, true);
+    return { status: "delivered" };
+  }
+
+  // Timeouts, network errors, 408, 429 and 5xx are worth retrying; other responses are not
+  const lastError = error || `Endpoint responded with ${response.status}`;
+  const retryable = !response || response.status === 408 || response.status === 429 || response.status >= 500;
+
+  if (retryable && delivery.attempts < MAX_ATTEMPTS) {
+    const delay = RETRY_BASE_DELAY_MS * Math.pow(2, delivery.attempts - 1);
+    await deliveryRef.update({
+      ...responseFields,
+      status: "retry",
+      lastError,
+      nextAttemptAt: admin.firestore.Timestamp.fromMillis(Date.now() + delay),
+    });
+    return { status: "retry" };
+  }
+
+  console.warn(`Webhook delivery ${deliveryRef.path} failed after ${delivery.attempts} attempts: ${lastError}`);
+  await deliveryRef.update({
+    ...responseFields,
+    status: "failed",
+    lastError,
+    failedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  await recordEndpointOutcome(webhookRef, false);
+  return { status: "failed" };
+}
+
+/**
+ * Trigger: When a webhook delivery is queued
+ * Action: Send it
+ */
+exports.processWebhookDelivery = onDocumentCreated(
+  {
+    document: "tenants/{tenantId}/webhooks/{webhookId}/deliveries/{deliveryId}",
+  },
+  async (event) => {
+    if (!event.data) return null;
+    return processDelivery(event.data.ref);
+  }
+);
+
+/**
+ * Trigger: Every minute - Retry failed and stuck webhook deliveries
+ */
+exports.retryWebhookDeliveries = onSchedule(
+  {
+    schedule: "* * * * *",
+    timeZone: "Europe/Luxembourg",
+  },
+  async () => {
+    const now = admin.firestore.Timestamp.now();
+    const deliveries = admin.firestore().collectionGroup("deliveries");
+
+    const [retrySnapshot, stuckSnapshot] = await Promise.all([
+      deliveries
+        .where("status", "==", "retry")
+        .where("nextAttemptAt", "<=", now)
+        .orderBy("nextAttemptAt")
+        .limit(RETRY_BATCH_SIZE)
+        .get(),
+      deliveries
+        .where("status", "==", "sending")
+        .where("leaseExpiresAt", "<=", now)
+        .limit(RETRY_BATCH_SIZE)
+        .get(),
+    ]);
+
+    const docs = [...retrySnapshot.docs, ...stuckSnapshot.docs];
+    for (const doc of docs) {
+      try {
+        await processDelivery(doc.ref);
+      } catch (error) {
+        console.error(`Error retrying webhook delivery ${doc.ref.path}:`, error);
+      }
+    }
+
+    console.log(`Retried ${docs.length} webhook deliveries`);
+    return { success: true, retried: docs.length };
+  }
+);
+
+// ============================================
+// Event triggers
+// ============================================
+
+/**
+ * Trigger: When a task is created
+ * Action: Emit task.created
+ */
+exports.dispatchTaskCreatedWebhook = onDocumentCreated(
+  {
+    document: "tenants/{tenantId}/projects/{projectId}/tasks/{taskId}",
+  },
+  async (event) => {
+    if (!event.data) return null;
+    const { tenantId, projectId } = event.params;
+
+    await safeEmit(tenantId, "task.created", {
+      projectId,
+      task: serializeDoc(event.data),
+    }, { eventId: event.id });
+
+    return { success: true };
+  }
+);
+
+/**
+ * Trigger: When a project is updated
+ * Action: Emit project.status_changed if its status changed
+ */
+exports.dispatchProjectWebhook = onDocumentUpdated(
+  {
+    document: "tenants/{tenantId}/projects/{projectId}",
+  },
+  async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    if (before.status === after.status) return null;
+
+    await safeEmit(event.params.tenantId, "project.status_changed", {
+      project: serializeDoc(event.data.after),
+      previousStatus: before.status || null,
+    }, { eventId: event.id });
+
+    return { success: true };
+  }
+);
+
+/**
+ * Trigger: When a member is added to a tenant
+ * Action: Emit member.joined
+ */
+exports.dispatchMemberJoinedWebhook = onDocumentCreated(
+  {
+    document: "tenants/{tenantId}/members/{memberId}",
+  },
+  async (event) => {
+    if (!event.data) return null;
+    const member = event.data.data();
+
+    await safeEmit(event.params.tenantId, "member.joined", {
+      member: {
+        id: event.params.memberId,
+        email: member.email || null,
+        name: member.name || null,
+        role: member.role || null,
+      },
+    }, { eventId: event.id });
+
+    return { success: true };
+  }
+);
+
+// ============================================
+// Management
+// ============================================
+
+/**
+ * Callable: Register a webhook endpoint for a tenant
+ * The signing secret is generated here and returned with the endpoint
+ */
+exports.createWebhook = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "You must be signed in");
+  }
+
+  const { tenantId, url, events, description } = request.data || {};
+  if (!tenantId || typeof tenantId !== "string") {
+    throw new HttpsError("invalid-argument", "tenantId is required");
+  }
+  if (!url || typeof url !== "string" || !isValidEndpoint(url)) {
+    throw new HttpsError("invalid-argument", "url must be an https URL");
+  }
+  try {
+    await assertPublicEndpoint(url);
+  } catch (error) {
+    throw new HttpsError("invalid-argument", error.message);
+  }
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new HttpsError("invalid-argument", "At least one event is required");
+  }
+
+  const unknownEvents = events.filter((type) => !WEBHOOK_EVENTS.includes(type));
+  if (unknownEvents.length > 0) {
+    throw new HttpsError("invalid-argument", `Unknown events: ${unknownEvents.join(", ")}`);
+  }
+
+  const memberDoc = await admin.firestore()
+    .collection("tenants").doc(tenantId)
+    .collection("members").doc(request.auth.uid)
+    .get();
+
+  if (!memberDoc.exists || !["owner", "admin"].includes(memberDoc.data().role)) {
+    throw new HttpsError("permission-denied", "Only tenant admins can manage webhooks");
+  }
+
+  const secret = SECRET_PREFIX + crypto.randomBytes(32).toString("base64url");
+  const webhookRef = admin.firestore()
+    .collection("tenants").doc(tenantId)
+    .collection("webhooks").doc();
+
+  await webhookRef.set({
+    url,
+    events: [...new Set(events)],
+    description: typeof description === "string" ? description : "",
+    secret,
+    enabled: true,
+    consecutiveFailures: 0,
+    lastDeliveryAt: null,
+    lastDeliveryStatus: null,
+    createdBy: request.auth.uid,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  console.log(`Webhook ${webhookRef.id} created for tenant ${tenantId}`);
+  return { id: webhookRef.id, secret };
+});
+
+exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+exports.emitWebhookEvent = emitWebhookEvent;
+exports.emitTaskUpdateWebhooks = emitTaskUpdateWebhooks;
+exports.safeEmit = safeEmit;
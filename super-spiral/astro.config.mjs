@@ -1,5 +1,16 @@
 // @ts-check
-import { defineConfig } from 'astro/config';
+import { defineConfig, envField } from 'astro/config';
 
 // https://astro.build/config
-export default defineConfig({});
+export default defineConfig({
+	// Absolute links in feeds are built from this
+	site: process.env.SITE_URL || 'https://portal.erold.dev',
+	env: {
+		schema: {
+			FIREBASE_PROJECT_ID: envField.string({ context: 'server', access: 'public', default: 'demo-erold' }),
+			FIREBASE_API_KEY: envField.string({ context: 'server', access: 'public', optional: true }),
+			// Set (e.g. to localhost:8080) to build from the Firestore emulator
+			FIRESTORE_EMULATOR_HOST: envField.string({ context: 'server', access: 'public', optional: true }),
+		},
+	},
+});
@@ -0,0 +1,91 @@
+/**
+ * Atom feeds of project progress updates
+ */
+
+import { formatDate, type PortalProject, type PortalTenant, type PortalUpdate } from './portal';
+
+const TITLE_LENGTH = 80;
+
+interface FeedEntry {
+	project: PortalProject;
+	update: PortalUpdate;
+}
+
+function escapeXml(value: string): string {
+	return value
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&apos;');
+}
+
+export function projectPath(tenant: PortalTenant, project: PortalProject): string {
+	return `/t/${tenant.slug}/projects/${project.id}/`;
+}
+
+/**
+ * First line of the update, cut to fit a feed reader's list
+ */
+function entryTitle({ project, update }: FeedEntry, withProject: boolean): string {
+	const firstLine = update.text.trim().split('\n')[0].replace(/[#*_`>]/g, '').trim();
+	const title = firstLine.length > TITLE_LENGTH ? `${firstLine.substring(0, TITLE_LENGTH - 1)}…` : firstLine;
+	return withProject ? `${project.title}: ${title}` : title;
+}
+
+function entryContent({ update }: FeedEntry): string {
+	const details = [
+		update.taskTitle ? `Task: ${update.taskTitle}` : null,
+		update.percent !== null ? `Progress: ${update.percent}%` : null,
+		`Posted ${formatDate(update.createdAt)}`,
+	].filter(Boolean);
+	return `${update.text}\n\n${details.join('\n')}`;
+}
+
+/**
+ * Render an Atom feed
+ * `path` is the feed's own path; entries link to their project page
+ */
+export function renderFeed(
+	site: URL,
+	{ title, path, pagePath, tenant, projects }: {
+		title: string;
+		path: string;
+		pagePath: string;
+		tenant: PortalTenant;
+		projects: PortalProject[];
+	},
+): Response {
+	const entries: FeedEntry[] = projects
+		.flatMap((project) => project.updates.map((update) => ({ project, update })))
+		.sort((a, b) => b.update.createdAt.getTime() - a.update.createdAt.getTime());
+
+	const feedUrl = new URL(path, site).href;
+	const updated = entries[0]?.update.createdAt ?? new Date(0);
+
+	const xml = [
+		'<?xml version="1.0" encoding="utf-8"?>',
+		'<feed xmlns="http://www.w3.org/2005/Atom">',
+		`  <id>${escapeXml(feedUrl)}</id>`,
+		`  <title>${escapeXml(title)}</title>`,
+		`  <updated>${updated.toISOString()}</updated>`,
+		`  <link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}"/>`,
+		`  <link rel="alternate" type="text/html" href="${escapeXml(new URL(pagePath, site).href)}"/>`,
+		`  <author><name>${escapeXml(tenant.name)}</name></author>`,
+		...entries.map((entry) => {
+			const link = new URL(`${projectPath(tenant, entry.project)}#update-${entry.update.id}`, site).href;
+			return [
+				'  <entry>',
+				`    <id>${escapeXml(link)}</id>`,
+				`    <title>${escapeXml(entryTitle(entry, projects.length > 1))}</title>`,
+				`    <updated>${entry.update.createdAt.toISOString()}</updated>`,
+				`    <link rel="alternate" type="text/html" href="${escapeXml(link)}"/>`,
+				`    <content type="text">${escapeXml(entryContent(entry))}</content>`,
+				'  </entry>',
+			].join('\n');
+		}),
+		'</feed>',
+	].join('\n');
+
+	return new Response(xml, { headers: { 'Content-Type': 'application/atom+xml; charset=utf-8' } });
+}
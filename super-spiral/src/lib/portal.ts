@@ -0,0 +1,246 @@
+/**
+ * Public portal data, read from Firestore at build time
+ *
+ * Only what firestore.rules lets anyone read: tenants, projects with
+ * `visibility == 'public'` (through the collection-group rule), and their
+ * tasks and progressUpdates. Deleted tenants and projects are left out.
+ * functions/portal.js triggers a rebuild when any of it changes.
+ */
+
+import { initializeApp } from 'firebase/app';
+import {
+	FirestoreError,
+	Timestamp,
+	collection,
+	collectionGroup,
+	connectFirestoreEmulator,
+	doc,
+	getDoc,
+	getDocs,
+	getFirestore,
+	limit,
+	orderBy,
+	query,
+	where,
+	type DocumentData,
+} from 'firebase/firestore/lite';
+import { FIREBASE_API_KEY, FIREBASE_PROJECT_ID, FIRESTORE_EMULATOR_HOST } from 'astro:env/server';
+
+// Newest progress updates shown per project
+const UPDATE_LIMIT = 50;
+
+// Tasks shown per project
+const TASK_LIMIT = 500;
+
+export interface PortalTask {
+	id: string;
+	title: string;
+	status: string;
+	priority: string;
+	dueDate: Date | null;
+	updatedAt: Date | null;
+	order: number | null;
+}
+
+export interface PortalUpdate {
+	id: string;
+	text: string;
+	percent: number | null;
+	taskId: string | null;
+	taskTitle: string | null;
+	createdAt: Date;
+}
+
+export interface PortalProject {
+	id: string;
+	title: string;
+	description: string;
+	status: string;
+	dueDate: Date | null;
+	updatedAt: Date | null;
+	tasks: PortalTask[];
+	updates: PortalUpdate[];
+}
+
+export interface PortalTenant {
+	id: string;
+	name: string;
+	slug: string;
+	projects: PortalProject[];
+}
+
+const app = initializeApp({ projectId: FIREBASE_PROJECT_ID, apiKey: FIREBASE_API_KEY });
+const db = getFirestore(app);
+
+if (FIRESTORE_EMULATOR_HOST) {
+	const [host, port] = FIRESTORE_EMULATOR_HOST.split(':');
+	connectFirestoreEmulator(db, host, Number(port));
+}
+
+function toDate(value: unknown): Date | null {
+	return value instanceof Timestamp ? value.toDate() : null;
+}
+
+function toText(value: unknown): string {
+	return typeof value === 'string' ? value : '';
+}
+
+function toTask(id: string, data: DocumentData): PortalTask {
+	return {
+		id,
+		title: toText(data.title),
+		status: toText(data.status) || 'todo',
+		priority: toText(data.priority) || 'medium',
+		dueDate: toDate(data.dueDate),
+		updatedAt: toDate(data.updatedAt),
+		order: typeof data.order === 'number' ? data.order : null,
+	};
+}
+
+async function loadProject(tenantId: string, id: string, data: DocumentData): Promise<PortalProject> {
+	const projectPath = ['tenants', tenantId, 'projects', id] as const;
+
+	const [taskSnapshot, updateSnapshot] = await Promise.all([
+		getDocs(query(collection(db, ...projectPath, 'tasks'), limit(TASK_LIMIT))),
+		getDocs(query(collection(db, ...projectPath, 'progressUpdates'), orderBy('createdAt', 'desc'), limit(UPDATE_LIMIT))),
+	]);
+
+	const tasks = taskSnapshot.docs.map((taskDoc) => toTask(taskDoc.id, taskDoc.data()));
+	const taskTitles = new Map(tasks.map((task) => [task.id, task.title]));
+
+	const updates = updateSnapshot.docs.flatMap((updateDoc) => {
+		const update = updateDoc.data();
+		const createdAt = toDate(update.createdAt);
+		if (!createdAt || !toText(update.text)) return [];
+
+		const taskId = toText(update.taskId) || null;
+		return [{
+			id: updateDoc.id,
+			text: toText(update.text),
+			percent: typeof update.percent === 'number' ? update.percent : null,
+			taskId,
+			taskTitle: taskId ? taskTitles.get(taskId) ?? null : null,
+			createdAt,
+		}];
+	});
+
+	return {
+		id,
+		title: toText(data.title) || 'Untitled project',
+		description: toText(data.description),
+		status: toText(data.status) || 'active',
+		dueDate: toDate(data.dueDate),
+		updatedAt: toDate(data.updatedAt),
+		tasks,
+		updates,
+	};
+}
+
+/**
+ * A tenant's document, or undefined when it is gone: firestore.rules denies
+ * reads of deleted tenants, whose public projects the collection-group query
+ * still returns
+ */
+async function fetchTenant(tenantId: string): Promise<DocumentData | undefined> {
+	try {
+		return (await getDoc(doc(db, 'tenants', tenantId))).data();
+	} catch (error) {
+		if (error instanceof FirestoreError && error.code === 'permission-denied') return undefined;
+		throw error;
+	}
+}
+
+async function fetchPortals(): Promise<PortalTenant[]> {
+	const projectSnapshot = await getDocs(query(collectionGroup(db, 'projects'), where('visibility', '==', 'public')));
+
+	const projectsByTenant = new Map<string, { id: string; data: DocumentData }[]>();
+	for (const projectDoc of projectSnapshot.docs) {
+		const tenantRef = projectDoc.ref.parent.parent;
+		// tenants/{tenantId}/projects/{projectId} only
+		if (!tenantRef || tenantRef.parent.id !== 'tenants' || projectDoc.data().deletedAt) continue;
+
+		const projects = projectsByTenant.get(tenantRef.id) ?? [];
+		projects.push({ id: projectDoc.id, data: projectDoc.data() });
+		projectsByTenant.set(tenantRef.id, projects);
+	}
+
+	const tenants = await Promise.all([...projectsByTenant].map(async ([tenantId, projects]) => {
+		const tenant = await fetchTenant(tenantId);
+		if (!tenant || tenant.deletedAt || !toText(tenant.slug)) return null;
+
+		const loaded = await Promise.all(projects.map(({ id, data }) => loadProject(tenantId, id, data)));
+		return {
+			id: tenantId,
+			name: toText(tenant.name) || tenant.slug,
+			slug: tenant.slug,
+			projects: loaded.sort((a, b) => a.title.localeCompare(b.title)),
+		};
+	}));
+
+	return tenants.filter((tenant): tenant is PortalTenant => tenant !== null);
+}
+
+let portals: Promise<PortalTenant[]> | undefined;
+
+/**
+ * Every tenant with public projects; fetched once per build and shared by all pages
+ */
+export function loadPortals(): Promise<PortalTenant[]> {
+	portals ??= fetchPortals();
+	return portals;
+}
+
+// ============================================
+// Display helpers
+// ============================================
+
+const STATUS_LABELS: Record<string, string> = {
+	todo: 'To do',
+	in_progress: 'In progress',
+	review: 'In review',
+	blocked: 'Blocked',
+	done: 'Done',
+};
+
+// Open tasks are shown in this order on the roadmap
+const OPEN_STATUSES = ['in_progress', 'review', 'blocked', 'todo'];
+
+export function statusLabel(status: string): string {
+	return STATUS_LABELS[status] ?? status.charAt(0).toUpperCase() + status.slice(1).replace(/_/g, ' ');
+}
+
+function byOrder(a: PortalTask, b: PortalTask): number {
+	return (a.order ?? Infinity) - (b.order ?? Infinity) || a.title.localeCompare(b.title);
+}
+
+/**
+ * Open tasks grouped by status, and done tasks, most recently finished first
+ */
+export function roadmap(tasks: PortalTask[]): { open: { status: string; tasks: PortalTask[] }[]; done: PortalTask[] } {
+	const open = tasks.filter((task) => task.status !== 'done');
+	const statuses = [
+		...OPEN_STATUSES,
+		...new Set(open.map((task) => task.status).filter((status) => !OPEN_STATUSES.includes(status))),
+	];
+
+	return {
+		open: statuses
+			.map((status) => ({ status, tasks: open.filter((task) => task.status === status).sort(byOrder) }))
+			.filter((group) => group.tasks.length > 0),
+		done: tasks
+			.filter((task) => task.status === 'done')
+			.sort((a, b) => (b.updatedAt?.getTime() ?? 0) - (a.updatedAt?.getTime() ?? 0)),
+	};
+}
+
+/**
+ * Share of tasks done, 0-100, or null without tasks
+ */
+export function completion(tasks: PortalTask[]): number | null {
+	if (tasks.length === 0) return null;
+	return Math.round((tasks.filter((task) => task.status === 'done').length / tasks.length) * 100);
+}
+
+export function formatDate(date: Date): string {
+	return date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
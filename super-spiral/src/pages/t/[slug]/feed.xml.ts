@@ -0,0 +1,20 @@
+import type { APIRoute, GetStaticPaths } from 'astro';
+import { loadPortals, type PortalTenant } from '../../../lib/portal';
+import { renderFeed } from '../../../lib/feed';
+
+export const getStaticPaths = (async () => {
+	const tenants = await loadPortals();
+	return tenants.map((tenant) => ({ params: { slug: tenant.slug }, props: { tenant } }));
+}) satisfies GetStaticPaths;
+
+export const GET: APIRoute<{ tenant: PortalTenant }> = ({ props, site }) => {
+	const { tenant } = props;
+
+	return renderFeed(site!, {
+		title: `${tenant.name}: project updates`,
+		path: `/t/${tenant.slug}/feed.xml`,
+		pagePath: `/t/${tenant.slug}/`,
+		tenant,
+		projects: tenant.projects,
+	});
+};
@@ -0,0 +1,23 @@
+import type { APIRoute, GetStaticPaths } from 'astro';
+import { loadPortals, type PortalProject, type PortalTenant } from '../../../../../lib/portal';
+import { projectPath, renderFeed } from '../../../../../lib/feed';
+
+export const getStaticPaths = (async () => {
+	const tenants = await loadPortals();
+	return tenants.flatMap((tenant) => tenant.projects.map((project) => ({
+		params: { slug: tenant.slug, projectId: project.id },
+		props: { tenant, project },
+	})));
+}) satisfies GetStaticPaths;
+
+export const GET: APIRoute<{ tenant: PortalTenant; project: PortalProject }> = ({ props, site }) => {
+	const { tenant, project } = props;
+
+	return renderFeed(site!, {
+		title: `${project.title} (${tenant.name}): updates`,
+		path: `${projectPath(tenant, project)}feed.xml`,
+		pagePath: projectPath(tenant, project),
+		tenant,
+		projects: [project],
+	});
+};